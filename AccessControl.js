@@ -0,0 +1,169 @@
+import { jwtVerify } from "jose";
+import { Database } from "./DatabaseClasses.ts";
+import { get, set, del } from "./redis.js";
+
+// How long (in seconds) a resolved access decision is cached in Redis
+const ACCESS_CACHE_TTL = Number(process.env.ACCESS_CACHE_TTL) || 30;
+
+// Roles in increasing order of what they allow. Viewers can follow along,
+// editors can change files and run code, owners can also manage the
+// environment. Owners come from environments.owner_id, everyone else from
+// environment_members.role.
+const ROLES = ["viewer", "editor", "owner"];
+
+/**
+ * Thrown when a user tries to act on an environment they don't own and
+ * aren't a member of, or that their role doesn't allow. Carries a stable
+ * `code` so clients can tell it apart from ordinary request errors.
+ */
+class AccessDeniedError extends Error {
+  constructor(environmentId, message = `Not authorized for environment ${environmentId}`) {
+    super(message);
+    this.name = "AccessDeniedError";
+    this.code = "FORBIDDEN";
+    this.environmentId = environmentId;
+  }
+}
+
+/**
+ * Get the user id out of a verified session token payload
+ * @param {Object} user - The JWT payload attached to the socket
+ * @returns {string|null} The user id, or null if the payload has none
+ */
+function getUserId(user) {
+  if (!user) return null;
+  const id = user.id ?? user.userId ?? user.sub;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Whether a role allows at least as much as another
+ * @param {string|null} role - The user's role
+ * @param {string} required - The least role needed
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Throw an AccessDeniedError unless a role allows at least as much as another
+ * @param {string|null} role - The user's role
+ * @param {string} required - The least role needed
+ * @param {string} environmentId - The environment, for the error
+ */
+function assertRole(role, required, environmentId) {
+  if (!hasRole(role, required)) {
+    throw new AccessDeniedError(
+      environmentId,
+      role
+        ? `The ${required} role is needed for this in environment ${environmentId}`
+        : `Not authorized for environment ${environmentId}`
+    );
+  }
+}
+
+/**
+ * Verify a session token issued by the main app
+ * @param {string} token - The JWT from the session_token cookie or an
+ *   Authorization header
+ * @returns {Promise<Object>} The token's payload
+ * @throws If the token is invalid or expired
+ */
+async function verifySessionToken(token) {
+  const { payload } = await jwtVerify(
+    token,
+    new TextEncoder().encode(process.env.JWT_SECRET)
+  );
+  return payload;
+}
+
+class AccessControl {
+  constructor(database = null) {
+    this.database = database;
+  }
+
+  getDatabase() {
+    // Created lazily so the socket server can boot without DATABASE_URL set
+    if (!this.database) {
+      this.database = new Database();
+    }
+    return this.database;
+  }
+
+  cacheKey(environmentId, userId) {
+    return `role:${environmentId}:${userId}`;
+  }
+
+  /**
+   * Work out how a user relates to an environment
+   * @param {Object} user - The JWT payload attached to the socket
+   * @param {string} environmentId - The environment being accessed
+   * @returns {Promise<string|null>} "owner", "editor", "viewer", or null if
+   *   no access
+   */
+  async resolveRole(user, environmentId) {
+    const userId = getUserId(user);
+    if (!userId || !environmentId) return null;
+
+    const key = this.cacheKey(environmentId, userId);
+    const cached = await get(key);
+    if (cached !== null && cached !== undefined) {
+      return cached === "none" ? null : cached;
+    }
+
+    // environment_members.role is added by migrate-schema.js
+    const database = this.getDatabase();
+    const result = await database.execute`
+      SELECT e.owner_id, m.user_id AS member_id, m.role AS member_role
+      FROM environments e
+      LEFT JOIN environment_members m
+        ON m.environment_id = e.id AND m.user_id = ${userId}
+      WHERE e.id = ${environmentId}
+      LIMIT 1;
+    `;
+
+    if (!result.ok) {
+      // Fail closed, and don't cache the failure
+      throw new Error("Unable to check environment access");
+    }
+
+    let role = null;
+    const row = result.rows[0];
+    if (row) {
+      if (String(row.owner_id) === userId) {
+        role = "owner";
+      } else if (row.member_id !== null && row.member_id !== undefined) {
+        role = row.member_role === "viewer" ? "viewer" : "editor";
+      }
+    }
+
+    await set(key, role || "none", ACCESS_CACHE_TTL);
+    return role;
+  }
+
+  /**
+   * Throw an AccessDeniedError unless the user can access the environment
+   * @param {Object} user - The JWT payload attached to the socket
+   * @param {string} environmentId - The environment being accessed
+   * @param {string} [required] - The least role needed
+   * @returns {Promise<string>} The user's role in the environment
+   */
+  async assertAccess(user, environmentId, required = "viewer") {
+    const role = await this.resolveRole(user, environmentId);
+    assertRole(role, required, environmentId);
+    return role;
+  }
+
+  /**
+   * Drop a cached access decision, e.g. after membership changes
+   * @param {string} environmentId - The environment
+   * @param {string} userId - The user
+   */
+  async invalidate(environmentId, userId) {
+    await del(this.cacheKey(environmentId, userId));
+  }
+}
+
+export default AccessControl;
+export { ROLES, AccessDeniedError, hasRole, assertRole, getUserId, verifySessionToken };
@@ -0,0 +1,227 @@
+// Reading and writing environment archives (.tar, .tar.gz and .zip).
+import tar from "tar-stream";
+import zlib from "zlib";
+import { zipSync, unzipSync, strToU8 } from "fflate";
+import { normalizePath, parentFolders, PathError } from "./paths.js";
+
+const archiveLimits = {
+  maxArchiveBytes: Number(process.env.MAX_ARCHIVE_BYTES) || 10 * 1024 * 1024,
+  maxExtractedBytes: Number(process.env.MAX_EXTRACTED_BYTES) || 20 * 1024 * 1024,
+  maxFileBytes: Number(process.env.MAX_ARCHIVE_FILE_BYTES) || 2 * 1024 * 1024,
+  maxFiles: Number(process.env.MAX_ARCHIVE_FILES) || 500,
+};
+
+const FORMATS = ["tar", "tar.gz", "zip"];
+
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ArchiveError";
+    this.code = "INVALID_ARCHIVE";
+  }
+}
+
+// Files are stored as text, so anything that isn't valid UTF-8 is skipped
+const utf8 = new TextDecoder("utf-8", { fatal: true });
+function decodeText(bytes) {
+  try {
+    const text = utf8.decode(bytes);
+    return text.includes("\0") ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build an archive of an environment's files
+ * @param {Object} files - Maps path -> content, as stored
+ * @param {string[]} folders - Folder paths, so empty folders survive
+ * @param {string} format - "tar", "tar.gz" or "zip"
+ * @returns {Promise<Buffer>} The archive
+ */
+async function createArchive(files, folders, format) {
+  if (!FORMATS.includes(format)) {
+    throw new ArchiveError(`Unsupported archive format: ${format}`);
+  }
+
+  if (format === "zip") {
+    const entries = {};
+    for (const folder of folders) {
+      entries[`${folder}/`] = new Uint8Array(0);
+    }
+    for (const [fileName, content] of Object.entries(files)) {
+      entries[fileName] = strToU8(content ?? "");
+    }
+    return Buffer.from(zipSync(entries));
+  }
+
+  const pack = tar.pack();
+  const chunks = [];
+  pack.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pack.on("end", resolve);
+    pack.on("error", reject);
+  });
+
+  for (const folder of folders) {
+    pack.entry({ name: `${folder}/`, type: "directory" });
+  }
+  for (const [fileName, content] of Object.entries(files)) {
+    pack.entry({ name: fileName }, content ?? "");
+  }
+  pack.finalize();
+  await done;
+
+  const archive = Buffer.concat(chunks);
+  return format === "tar.gz" ? zlib.gzipSync(archive) : archive;
+}
+
+// Read raw entries, enforcing the size limits as we go
+async function readEntries(buffer, format) {
+  const entries = [];
+  let totalBytes = 0;
+
+  const addEntry = (name, type, bytes) => {
+    if (entries.length >= archiveLimits.maxFiles) {
+      throw new ArchiveError(`Archive has more than ${archiveLimits.maxFiles} entries`);
+    }
+    totalBytes += bytes ? bytes.length : 0;
+    if (totalBytes > archiveLimits.maxExtractedBytes) {
+      throw new ArchiveError(
+        `Archive expands to more than ${archiveLimits.maxExtractedBytes} bytes`
+      );
+    }
+    entries.push({ name, type, bytes });
+  };
+
+  if (format === "zip") {
+    let unzipped;
+    try {
+      // Check declared sizes before inflating anything
+      unzipped = unzipSync(new Uint8Array(buffer), {
+        filter: (file) => {
+          if (file.originalSize > archiveLimits.maxExtractedBytes) {
+            throw new ArchiveError(`${file.name} is too large`);
+          }
+          return true;
+        },
+      });
+    } catch (error) {
+      if (error instanceof ArchiveError) throw error;
+      throw new ArchiveError(`Could not read zip: ${error.message}`);
+    }
+    for (const [name, bytes] of Object.entries(unzipped)) {
+      addEntry(name, name.endsWith("/") ? "directory" : "file", bytes);
+    }
+    return entries;
+  }
+
+  let tarBuffer = buffer;
+  if (format === "tar.gz") {
+    try {
+      tarBuffer = zlib.gunzipSync(buffer, {
+        maxOutputLength: archiveLimits.maxExtractedBytes + 1024 * 1024,
+      });
+    } catch (error) {
+      throw new ArchiveError(`Could not decompress archive: ${error.message}`);
+    }
+  }
+
+  const extract = tar.extract();
+  const finished = new Promise((resolve, reject) => {
+    extract.on("entry", (header, stream, next) => {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        try {
+          addEntry(header.name, header.type, Buffer.concat(chunks));
+          next();
+        } catch (error) {
+          reject(error);
+          extract.destroy();
+        }
+      });
+      stream.on("error", reject);
+    });
+    extract.on("finish", resolve);
+    extract.on("error", (error) =>
+      reject(error instanceof ArchiveError ? error : new ArchiveError(`Could not read tar: ${error.message}`))
+    );
+  });
+  extract.end(tarBuffer);
+  await finished;
+  return entries;
+}
+
+/**
+ * Read an uploaded archive into files and folders
+ * @param {Buffer} buffer - The archive
+ * @param {string} format - "tar", "tar.gz" or "zip"
+ * @param {Object} [options]
+ * @param {boolean} [options.stripRoot] - Drop a single top-level folder
+ *   shared by every entry, as in "project/main.py"
+ * @returns {Promise<Object>} { files, folders, skipped } where skipped lists
+ *   { path, reason } for entries that were left out
+ */
+async function readArchive(buffer, format, { stripRoot = false } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new ArchiveError(`Unsupported archive format: ${format}`);
+  }
+  if (buffer.length > archiveLimits.maxArchiveBytes) {
+    throw new ArchiveError(`Archive is larger than ${archiveLimits.maxArchiveBytes} bytes`);
+  }
+
+  const entries = await readEntries(buffer, format);
+  const files = {};
+  const folders = new Set();
+  const skipped = [];
+
+  let prefix = "";
+  if (stripRoot) {
+    const roots = new Set(entries.map((entry) => entry.name.split("/")[0]));
+    const [root] = roots;
+    if (roots.size === 1 && entries.some((entry) => entry.name.startsWith(`${root}/`))) {
+      prefix = `${root}/`;
+    }
+  }
+
+  for (const { name, type, bytes } of entries) {
+    const relative = name.startsWith(prefix) ? name.slice(prefix.length) : name;
+    if (relative === "" || relative === "/") continue;
+
+    let entryPath;
+    try {
+      entryPath = normalizePath(relative);
+    } catch (error) {
+      if (!(error instanceof PathError)) throw error;
+      // A single escaping path means the archive can't be trusted at all
+      throw new ArchiveError(`Archive contains an unsafe path: ${name}`);
+    }
+
+    if (type === "directory") {
+      folders.add(entryPath);
+      continue;
+    }
+    if (type !== "file") {
+      skipped.push({ path: entryPath, reason: `unsupported entry type ${type}` });
+      continue;
+    }
+    if (bytes.length > archiveLimits.maxFileBytes) {
+      skipped.push({ path: entryPath, reason: "too large" });
+      continue;
+    }
+
+    const text = decodeText(bytes);
+    if (text === null) {
+      skipped.push({ path: entryPath, reason: "binary file" });
+      continue;
+    }
+
+    files[entryPath] = text;
+    parentFolders(entryPath).forEach((folder) => folders.add(folder));
+  }
+
+  return { files, folders: [...folders], skipped };
+}
+
+export { FORMATS, archiveLimits, ArchiveError, createArchive, readArchive };
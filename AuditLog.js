@@ -0,0 +1,310 @@
+import { Database } from "./DatabaseClasses.ts";
+import { redis } from "./redis.js";
+import { describeUser } from "./Presence.js";
+
+// How often queued entries are written to Postgres, which is also how long
+// edits and input are gathered into one entry
+const AUDIT_FLUSH_INTERVAL_MS = Number(process.env.AUDIT_FLUSH_INTERVAL_MS) || 5000;
+
+// How long entries are kept, in days. 0 keeps them forever.
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS ?? 365);
+
+// How often entries past the retention period are deleted
+const AUDIT_PRUNE_INTERVAL_MS = Number(process.env.AUDIT_PRUNE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// How many entries go to Postgres per query
+const AUDIT_FLUSH_BATCH_SIZE = 500;
+
+// How many line ops or input chunks one gathered entry holds before a new
+// one is started
+const MAX_GATHERED = 500;
+
+// Entries recorded but not yet written to Postgres, as JSON
+const PENDING_KEY = "audit:pending";
+
+// Whether to keep what was typed into programs, rather than only how much.
+// Off by default, since that includes anything typed at a password prompt.
+const AUDIT_INPUT_CONTENT = process.env.AUDIT_INPUT_CONTENT === "true";
+
+/**
+ * Who changed what and when, for academic-integrity disputes.
+ *
+ * Renames, deletes, duplicates, runs and the like are queued in Redis as
+ * they happen. Line edits and terminal input arrive a line or keystroke at a
+ * time, so they are gathered per user, environment and file (or terminal)
+ * and queued once per flush. Any instance can write any queued entry to
+ * Postgres, so entries survive the instance that recorded them. The
+ * audit_log table is created by migrate-schema.js.
+ */
+class AuditLog {
+  constructor(database = null) {
+    this.database = database;
+    this.gathering = new Map();
+    this.timer = null;
+    this.pruneTimer = null;
+    this.flushing = null;
+  }
+
+  getDatabase() {
+    // Created lazily so the socket server can boot without DATABASE_URL set
+    if (!this.database) {
+      this.database = new Database();
+    }
+    return this.database;
+  }
+
+  async query(strings, ...values) {
+    const result = await this.getDatabase().execute(strings, ...values);
+    if (!result.ok) {
+      throw new Error("Audit log query failed");
+    }
+    return result;
+  }
+
+  entry(actor, environmentId, action, details) {
+    const { userId, name } = describeUser(actor.user);
+    return {
+      environmentId,
+      userId,
+      userName: name,
+      sessionId: actor.sessionId || null,
+      action,
+      details,
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Record something done to an environment. Doesn't wait for Redis, and a
+   * failure is only logged, so the action itself never fails over it.
+   * @param {Object} actor - The WebSocket client, or { user } for callers
+   *   without a session, like the HTTP API
+   * @param {string} environmentId - The environment
+   * @param {string} action - What was done: rename, delete, run, ...
+   * @param {Object} [details] - What it was done to
+   */
+  record(actor, environmentId, action, details = {}) {
+    const entry = this.entry(actor, environmentId, action, details);
+    redis.rpush(PENDING_KEY, JSON.stringify(entry)).catch((error) => {
+      console.error(`Error recording ${action} in ${environmentId}:`, error);
+    });
+  }
+
+  // Add to the entry being gathered for this actor and scope, queueing it
+  // once it's full
+  gather(actor, environmentId, action, scope, add) {
+    const key = JSON.stringify([environmentId, actor.sessionId || null, action, scope]);
+    let gathered = this.gathering.get(key);
+    if (!gathered) {
+      gathered = { entry: this.entry(actor, environmentId, action, {}), count: 0 };
+      this.gathering.set(key, gathered);
+    }
+
+    add(gathered.entry.details);
+    gathered.entry.details.lastAt = Date.now();
+    gathered.count++;
+
+    if (gathered.count >= MAX_GATHERED) {
+      this.gathering.delete(key);
+      this.record(actor, environmentId, action, gathered.entry.details);
+    }
+  }
+
+  /**
+   * Record edits to a file, gathered into one entry per flush
+   * @param {Object} actor - As for record()
+   * @param {string} environmentId - The environment
+   * @param {string} fileName - The file edited
+   * @param {Object[]|null} ops - The line ops as applied, or null for a CRDT
+   *   update, which is only counted
+   */
+  recordEdit(actor, environmentId, fileName, ops) {
+    this.gather(actor, environmentId, "edit", fileName, (details) => {
+      details.fileName = fileName;
+      if (ops) {
+        details.ops = [...(details.ops || []), ...ops];
+      } else {
+        details.crdtUpdates = (details.crdtUpdates || 0) + 1;
+      }
+    });
+  }
+
+  /**
+   * Record input sent to the program, gathered into one entry per flush.
+   * Only how much was sent is kept, unless AUDIT_INPUT_CONTENT is set.
+   * @param {Object} actor - As for record()
+   * @param {string} environmentId - The environment
+   * @param {string} input - What was sent
+   */
+  recordInput(actor, environmentId, input) {
+    this.gather(actor, environmentId, "input", null, (details) => {
+      details.bytes = (details.bytes || 0) + Buffer.byteLength(input);
+      if (AUDIT_INPUT_CONTENT) {
+        details.input = (details.input || "") + input;
+      }
+    });
+  }
+
+  // Queue everything gathered so far
+  async queueGathered() {
+    if (this.gathering.size === 0) return;
+
+    const entries = [...this.gathering.values()].map(({ entry }) => JSON.stringify(entry));
+    this.gathering.clear();
+    await redis.rpush(PENDING_KEY, ...entries);
+  }
+
+  /**
+   * Write one batch of queued entries to Postgres
+   * @returns {Promise<number>} How many were written; 0 once none are left
+   */
+  async flush() {
+    const members = (await redis.lpop(PENDING_KEY, AUDIT_FLUSH_BATCH_SIZE)) || [];
+    if (members.length === 0) return 0;
+
+    try {
+      await this.write(members.map((member) => JSON.parse(member)));
+    } catch (error) {
+      // Put them back for the next flush. Entries are ordered by createdAt,
+      // not queue order, so where they go back doesn't matter.
+      await redis.rpush(PENDING_KEY, ...members);
+      throw error;
+    }
+    return members.length;
+  }
+
+  async write(entries) {
+    const column = (field) => entries.map((entry) => entry[field] ?? null);
+    await this.query`
+      INSERT INTO audit_log
+        (environment_id, user_id, user_name, session_id, action, details, created_at)
+      SELECT e, u, n, s, a, d::jsonb, to_timestamp(t / 1000.0)
+      FROM unnest(
+        ${column("environmentId")}::text[],
+        ${column("userId")}::text[],
+        ${column("userName")}::text[],
+        ${column("sessionId")}::text[],
+        ${column("action")}::text[],
+        ${entries.map((entry) => JSON.stringify(entry.details || {}))}::text[],
+        ${column("createdAt")}::float8[]
+      ) AS x(e, u, n, s, a, d, t);
+    `;
+  }
+
+  // Flush until nothing is queued. Overlapping calls share one run.
+  flushAll() {
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        await this.queueGathered();
+        while ((await this.flush()) > 0);
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Delete entries older than the retention period
+   * @returns {Promise<number>} How many were deleted
+   */
+  async prune() {
+    if (!AUDIT_RETENTION_DAYS) return 0;
+
+    const result = await this.query`
+      DELETE FROM audit_log
+      WHERE created_at < now() - make_interval(days => ${AUDIT_RETENTION_DAYS}::int);
+    `;
+    return Number(result.rowCount) || 0;
+  }
+
+  /**
+   * Entries for an environment, a user, or a user in an environment, newest
+   * first
+   * @param {Object} filters
+   * @param {string} [filters.environmentId] - Only this environment
+   * @param {string} [filters.userId] - Only this user
+   * @param {string} [filters.action] - Only this action
+   * @param {number} [filters.since] - Only entries at or after this time (ms)
+   * @param {number} [filters.until] - Only entries before this time (ms)
+   * @param {string} [filters.before] - Only entries listed after the one
+   *   with this id, to page through results
+   * @param {number} [filters.limit] - At most this many entries
+   * @returns {Promise<Object>} { entries, nextBefore }, where nextBefore is
+   *   null on the last page
+   */
+  async list({
+    environmentId = null,
+    userId = null,
+    action = null,
+    since = null,
+    until = null,
+    before = null,
+    limit = 100,
+  } = {}) {
+    if (!environmentId && !userId) {
+      throw new Error("environmentId or userId is required");
+    }
+
+    const result = await this.query`
+      SELECT id, environment_id, user_id, user_name, session_id, action, details, created_at
+      FROM audit_log
+      WHERE (${environmentId}::text IS NULL OR environment_id = ${environmentId})
+        AND (${userId}::text IS NULL OR user_id = ${userId})
+        AND (${action}::text IS NULL OR action = ${action})
+        AND (${since}::float8 IS NULL OR created_at >= to_timestamp(${since}::float8 / 1000.0))
+        AND (${until}::float8 IS NULL OR created_at < to_timestamp(${until}::float8 / 1000.0))
+        AND (
+          ${before}::bigint IS NULL
+          OR (created_at, id) < (SELECT created_at, id FROM audit_log WHERE id = ${before}::bigint)
+        )
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${limit};
+    `;
+
+    const entries = result.rows.map((row) => ({
+      id: String(row.id),
+      environmentId: row.environment_id,
+      userId: row.user_id,
+      userName: row.user_name,
+      sessionId: row.session_id,
+      action: row.action,
+      details: typeof row.details === "string" ? JSON.parse(row.details) : row.details,
+      createdAt: new Date(row.created_at).getTime(),
+    }));
+    return {
+      entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].id : null,
+    };
+  }
+
+  /**
+   * Flush on an interval, and prune entries past the retention period
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flushAll().catch((error) => {
+        console.error("Error flushing the audit log to Postgres:", error);
+      });
+    }, AUDIT_FLUSH_INTERVAL_MS);
+    this.timer.unref();
+
+    this.pruneTimer = setInterval(() => {
+      this.prune().catch((error) => {
+        console.error("Error pruning the audit log:", error);
+      });
+    }, AUDIT_PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.pruneTimer);
+    this.timer = null;
+    this.pruneTimer = null;
+  }
+}
+
+export default AuditLog;
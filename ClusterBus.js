@@ -0,0 +1,264 @@
+import { v4 as uuidv4 } from "uuid";
+import { redis } from "./redis.js";
+
+const {
+  INSTANCE_HEARTBEAT_MS = 10000,
+  INSTANCE_TTL_SECONDS = 30,
+  CLUSTER_REQUEST_TIMEOUT_MS = 5000,
+} = process.env;
+
+// Hand the lease to us, or keep it if it's already ours
+const CLAIM_SCRIPT = `
+local owner = redis.call("get", KEYS[1])
+if owner and owner ~= ARGV[1] then
+  return owner
+end
+redis.call("set", KEYS[1], ARGV[1], "EX", ARGV[2])
+return ARGV[1]
+`;
+
+// Only delete the lease if we still hold it
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Connects socket-layer replicas through Redis.
+ *
+ * - Environment events are published on env:<environmentId> so clients on
+ *   every replica see them.
+ * - Each replica keeps an instance-alive:<id> key fresh while it runs, and a
+ *   session-owner:<environmentId> lease for every container it hosts.
+ * - Session commands (input, stop, ...) are sent to the owning replica over
+ *   instance:<id> and answered the same way.
+ */
+class ClusterBus {
+  constructor() {
+    this.instanceId = uuidv4();
+    this.subscriber = redis.duplicate();
+    this.environments = new Set();
+    this.pending = new Map(); // Maps request id -> { resolve, reject, timer }
+    this.heartbeat = null;
+    this.onEnvironmentMessage = () => {};
+    this.onCommand = async () => {
+      throw new Error("No command handler registered");
+    };
+    this.getOwnedEnvironments = () => [];
+
+    this.subscriber.on("message", (channel, raw) => {
+      this.handleMessage(channel, raw).catch((error) => {
+        console.error(`Error handling cluster message on ${channel}:`, error);
+      });
+    });
+  }
+
+  envChannel(environmentId) {
+    return `env:${environmentId}`;
+  }
+
+  instanceChannel(instanceId) {
+    return `instance:${instanceId}`;
+  }
+
+  aliveKey(instanceId) {
+    return `instance-alive:${instanceId}`;
+  }
+
+  ownerKey(environmentId) {
+    return `session-owner:${environmentId}`;
+  }
+
+  clientsKey(environmentId) {
+    return `env-clients:${environmentId}`;
+  }
+
+  async start() {
+    await this.subscriber.subscribe(this.instanceChannel(this.instanceId));
+    await this.beat();
+
+    this.heartbeat = setInterval(() => {
+      this.beat().catch((error) => console.error("Cluster heartbeat failed:", error));
+    }, Number(INSTANCE_HEARTBEAT_MS));
+    this.heartbeat.unref();
+  }
+
+  async stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    await redis.del(this.aliveKey(this.instanceId));
+    await this.subscriber.quit();
+  }
+
+  // Keep this instance and the sessions it hosts from looking orphaned
+  async beat() {
+    const ttl = Number(INSTANCE_TTL_SECONDS);
+    const pipeline = redis.pipeline().set(this.aliveKey(this.instanceId), Date.now(), "EX", ttl);
+    for (const environmentId of this.getOwnedEnvironments()) {
+      pipeline.eval(CLAIM_SCRIPT, 1, this.ownerKey(environmentId), this.instanceId, ttl);
+    }
+    await pipeline.exec();
+  }
+
+  async isAlive(instanceId) {
+    return (await redis.exists(this.aliveKey(instanceId))) === 1;
+  }
+
+  async subscribeEnvironment(environmentId) {
+    if (this.environments.has(environmentId)) return;
+    this.environments.add(environmentId);
+    await this.subscriber.subscribe(this.envChannel(environmentId));
+  }
+
+  async unsubscribeEnvironment(environmentId) {
+    if (!this.environments.delete(environmentId)) return;
+    await this.subscriber.unsubscribe(this.envChannel(environmentId));
+  }
+
+  /**
+   * Send an environment event to the other replicas
+   * @param {string} environmentId - The environment
+   * @param {string} message - The serialized event
+   * @param {string|null} [excludeSessionId] - A client that shouldn't get it
+   */
+  async publish(environmentId, message, excludeSessionId = null) {
+    await redis.publish(
+      this.envChannel(environmentId),
+      JSON.stringify({ origin: this.instanceId, excludeSessionId, message })
+    );
+  }
+
+  /**
+   * Record how many clients this replica has for an environment
+   */
+  async setClientCount(environmentId, count) {
+    if (count > 0) {
+      await redis.hset(this.clientsKey(environmentId), this.instanceId, count);
+    } else {
+      await redis.hdel(this.clientsKey(environmentId), this.instanceId);
+    }
+  }
+
+  /**
+   * Whether any other live replica still has clients in an environment
+   */
+  async hasRemoteClients(environmentId) {
+    const counts = await redis.hgetall(this.clientsKey(environmentId));
+    for (const [instanceId, count] of Object.entries(counts)) {
+      if (instanceId === this.instanceId || Number(count) <= 0) continue;
+      if (await this.isAlive(instanceId)) return true;
+      // That replica died without cleaning up after itself
+      await redis.hdel(this.clientsKey(environmentId), instanceId);
+    }
+    return false;
+  }
+
+  /**
+   * Find the replica hosting an environment's session. Leases held by dead
+   * replicas are reclaimed on the way.
+   * @returns {Promise<string|null>} The owning instance id, or null
+   */
+  async getSessionOwner(environmentId) {
+    const owner = await redis.get(this.ownerKey(environmentId));
+    if (!owner || owner === this.instanceId) return owner;
+
+    if (!(await this.isAlive(owner))) {
+      await redis.eval(RELEASE_SCRIPT, 1, this.ownerKey(environmentId), owner);
+      return null;
+    }
+    return owner;
+  }
+
+  /**
+   * Take the session lease for an environment
+   * @returns {Promise<string>} The lease holder: this instance on success,
+   *   otherwise the live replica that still holds it
+   */
+  async claimSession(environmentId) {
+    await this.getSessionOwner(environmentId);
+    return redis.eval(
+      CLAIM_SCRIPT,
+      1,
+      this.ownerKey(environmentId),
+      this.instanceId,
+      Number(INSTANCE_TTL_SECONDS)
+    );
+  }
+
+  async releaseSession(environmentId) {
+    await redis.eval(RELEASE_SCRIPT, 1, this.ownerKey(environmentId), this.instanceId);
+  }
+
+  /**
+   * Run a session command on another replica
+   * @param {string} instanceId - The replica to run it on
+   * @param {string} action - The command name
+   * @param {Array} args - The command arguments
+   * @returns {Promise<any>} The command's result
+   */
+  request(instanceId, action, args) {
+    const id = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Instance ${instanceId} did not answer ${action}`));
+      }, Number(CLUSTER_REQUEST_TIMEOUT_MS));
+      this.pending.set(id, { resolve, reject, timer });
+
+      redis
+        .publish(
+          this.instanceChannel(instanceId),
+          JSON.stringify({ type: "request", id, action, args, replyTo: this.instanceId })
+        )
+        .catch((error) => {
+          clearTimeout(timer);
+          this.pending.delete(id);
+          reject(error);
+        });
+    });
+  }
+
+  async handleMessage(channel, raw) {
+    const payload = JSON.parse(raw);
+
+    if (channel.startsWith("env:")) {
+      if (payload.origin === this.instanceId) return;
+      this.onEnvironmentMessage(
+        channel.slice("env:".length),
+        payload.message,
+        payload.excludeSessionId
+      );
+      return;
+    }
+
+    if (payload.type === "request") {
+      let reply;
+      try {
+        const result = await this.onCommand(payload.action, payload.args);
+        reply = { type: "reply", id: payload.id, result };
+      } catch (error) {
+        reply = { type: "reply", id: payload.id, error: error.message };
+      }
+      await redis.publish(this.instanceChannel(payload.replyTo), JSON.stringify(reply));
+      return;
+    }
+
+    if (payload.type === "reply") {
+      const pending = this.pending.get(payload.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(payload.id);
+      if (payload.error) {
+        pending.reject(new Error(payload.error));
+      } else {
+        pending.resolve(payload.result);
+      }
+    }
+  }
+}
+
+export default ClusterBus;
@@ -1,60 +1,425 @@
-import { v4 as uuidv4 } from "uuid";
-import { redis, get, set } from "./redis.js";
-import pty from "node-pty";
+import { redis, get, set, withLock } from "./redis.js";
+import DockerBackend from "./DockerBackend.js";
+import ClusterBus from "./ClusterBus.js";
+import DependencyBuilder from "./DependencyBuilder.js";
+import FileStore from "./FileStore.js";
+import DebugSession, { DebugError } from "./DebugSession.js";
 import fs from "fs";
 import path from "path";
 import os from "os";
 import crypto from "crypto";
+import { getRuntime, detectRuntime, buildCommand } from "./runtimes.js";
+import { limits, OutputThrottle, RunQuotas } from "./ExecutionLimits.js";
+import { runDuration, runExits, containerStartLatency } from "./metrics.js";
+import { sendToClient } from "./FlowControl.js";
+import {
+  normalizePath,
+  resolveInside,
+  parentFolders,
+  isInside,
+  buildTree,
+} from "./paths.js";
+import { RevisionError, transformOps, applyOps } from "./LineOT.js";
+import {
+  createState,
+  mergeUpdate,
+  diffState,
+  replaceContent,
+} from "./CrdtSync.js";
+
+// Most recent output kept per environment for clients that join mid-run
+const SCROLLBACK_BYTES = Number(process.env.SCROLLBACK_BYTES) || 64 * 1024;
+
+// Signals clients may send to a running program
+const ALLOWED_SIGNALS = ["SIGINT", "SIGTERM", "SIGQUIT", "SIGKILL"];
+
+// How long a finished run's status is kept in Redis, in seconds
+const SESSION_STATUS_TTL = 24 * 60 * 60;
+
+// How many applied revisions are kept per file for transforming late ops
+const OP_LOG_LENGTH = 200;
+
+// How long an environment's session outlives its last client, in seconds,
+// so a client that drops for a moment can resume it
+const SESSION_GRACE_SECONDS = Number(process.env.SESSION_GRACE_SECONDS ?? 30);
+
+// How many sequenced events are kept per environment for resuming clients
+const REPLAY_LOG_LENGTH = Number(process.env.REPLAY_LOG_LENGTH ?? 1000);
 
 class ContainerSessionManager {
-  constructor() {
+  constructor(backend = new DockerBackend(), cluster = new ClusterBus()) {
+    this.backend = backend;
+    this.cluster = cluster;
+    this.backend.instanceId = cluster.instanceId;
+    this.quotas = new RunQuotas();
+    this.dependencies = new DependencyBuilder(backend);
+    this.files = new FileStore(this);
     this.sessions = new Map(); // Maps environmentId -> session
     this.clientsMap = new Map(); // Maps environmentId -> Set of WebSocket clients
-    this.baseTmpDir = path.join(os.tmpdir(), "nixpackpy");
+    this.fileLocks = new Map(); // Maps file key -> tail of its pending write chain
+    this.terminalSizes = new Map(); // Maps environmentId -> { cols, rows }
+    this.scrollback = new Map(); // Maps environmentId -> { chunks, size }
+    this.sessionStatus = new Map(); // Maps environmentId -> status of the latest run
+    this.releaseTimers = new Map(); // Maps environmentId -> release pending after the grace period
+    this.graceSeconds = SESSION_GRACE_SECONDS;
+    // Each instance works in its own directory, so whatever one leaves behind
+    // can be told apart from another's
+    this.baseTmpDir = path.join(os.tmpdir(), "nixpackpy", cluster.instanceId);
 
     if (!fs.existsSync(this.baseTmpDir)) {
       fs.mkdirSync(this.baseTmpDir, { recursive: true });
     }
+
+    this.cluster.onEnvironmentMessage = (environmentId, message, excludeSessionId) =>
+      this.deliverToEnvironment(environmentId, message, { excludeSessionId });
+    this.cluster.onCommand = (action, args) => this.runLocalSessionAction(action, args);
+    this.cluster.getOwnedEnvironments = () => [...this.sessions.keys()];
+  }
+
+  async start() {
+    await this.cluster.start();
+    this.files.startFlushing();
+  }
+
+  /**
+   * Stop every session this instance hosts and save pending file writes,
+   * before the process exits
+   */
+  async shutdown() {
+    for (const timer of this.releaseTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.releaseTimers.clear();
+
+    await Promise.all(
+      [...this.sessions.keys()].map((environmentId) =>
+        this.stopLocalSession(environmentId, "shutdown")
+      )
+    );
+
+    this.files.stopFlushing();
+    try {
+      await this.files.flushAll();
+    } catch (error) {
+      // Whatever is left stays queued in Redis for another instance
+      console.error("Error flushing files on shutdown:", error);
+    }
+
+    await this.cluster.stop();
+    fs.rmSync(this.baseTmpDir, { recursive: true, force: true });
   }
 
   registerClient(environmentId, client) {
     if (!this.clientsMap.has(environmentId)) {
       this.clientsMap.set(environmentId, new Set());
     }
-    this.clientsMap.get(environmentId).add(client);
+    const clients = this.clientsMap.get(environmentId);
+    clients.add(client);
+
+    // Back within the grace period, so the session stays
+    clearTimeout(this.releaseTimers.get(environmentId));
+    this.releaseTimers.delete(environmentId);
+
+    this.cluster.subscribeEnvironment(environmentId).catch((error) => {
+      console.error(`Error subscribing to environment ${environmentId}:`, error);
+    });
+    this.cluster.setClientCount(environmentId, clients.size).catch((error) => {
+      console.error(`Error recording clients for environment ${environmentId}:`, error);
+    });
   }
 
   unregisterClient(environmentId, client) {
     if (this.clientsMap.has(environmentId)) {
-      this.clientsMap.get(environmentId).delete(client);
+      const clients = this.clientsMap.get(environmentId);
+      clients.delete(client);
+
+      this.cluster.setClientCount(environmentId, clients.size).catch((error) => {
+        console.error(`Error recording clients for environment ${environmentId}:`, error);
+      });
 
-      // If no clients left, stop the session
-      if (this.clientsMap.get(environmentId).size === 0) {
-        this.stopSession(environmentId);
+      // If no clients left here, stop listening, and stop the session once
+      // the grace period is up and no other instance has clients either
+      if (clients.size === 0) {
         this.clientsMap.delete(environmentId);
+        this.cluster.unsubscribeEnvironment(environmentId).catch((error) => {
+          console.error(`Error unsubscribing from environment ${environmentId}:`, error);
+        });
+
+        clearTimeout(this.releaseTimers.get(environmentId));
+        const timer = setTimeout(() => {
+          this.releaseTimers.delete(environmentId);
+          this.releaseEnvironment(environmentId).catch((error) => {
+            console.error(`Error releasing environment ${environmentId}:`, error);
+          });
+        }, this.graceSeconds * 1000);
+        this.releaseTimers.set(environmentId, timer);
       }
     }
   }
 
-  broadcastToEnvironment(environmentId, message) {
+  async releaseEnvironment(environmentId) {
+    if (await this.cluster.hasRemoteClients(environmentId)) return;
+    // Someone may have rejoined while we were checking
+    if (this.clientsMap.has(environmentId)) return;
+
+    await this.runOnSessionOwner(environmentId, "release", [], false);
+    this.forgetEnvironment(environmentId);
+  }
+
+  forgetEnvironment(environmentId) {
+    this.terminalSizes.delete(environmentId);
+    this.scrollback.delete(environmentId);
+    this.sessionStatus.delete(environmentId);
+  }
+
+  /**
+   * Send a message to every client in an environment, on every instance
+   * @param {string} environmentId - The environment
+   * @param {string} message - The serialized event
+   * @param {Object} [options]
+   * @param {Object} [options.exclude] - A client that shouldn't get it,
+   *   usually the one that caused it
+   */
+  broadcastToEnvironment(environmentId, message, { exclude = null } = {}) {
+    if (!environmentId) return;
+
+    this.deliverToEnvironment(environmentId, message, { exclude });
+    this.cluster
+      .publish(environmentId, message, exclude ? exclude.sessionId : null)
+      .catch((error) => {
+        console.error(`Error publishing to environment ${environmentId}:`, error);
+      });
+  }
+
+  sequenceKey(environmentId) {
+    return `seq:${environmentId}`;
+  }
+
+  replayKey(environmentId) {
+    return `replay:${environmentId}`;
+  }
+
+  /**
+   * Broadcast an event a client can't afford to miss. It is numbered with the
+   * environment's next sequence number and kept, so a client that reconnects
+   * can ask for everything after the last one it saw.
+   * @param {string} environmentId - The environment
+   * @param {string} event - The event name
+   * @param {Object} data - The event data
+   * @param {Object} [options]
+   * @param {Object} [options.exclude] - A client that shouldn't get it
+   * @returns {Promise<number>} The event's sequence number
+   */
+  async broadcastSequenced(environmentId, event, data, { exclude = null } = {}) {
+    const seq = await redis.incr(this.sequenceKey(environmentId));
+    const message = JSON.stringify({ event, data, seq });
+    this.broadcastToEnvironment(environmentId, message, { exclude });
+
+    const key = this.replayKey(environmentId);
+    await redis
+      .multi()
+      .zadd(key, seq, message)
+      .zremrangebyrank(key, 0, -REPLAY_LOG_LENGTH - 1)
+      .expire(key, SESSION_STATUS_TTL)
+      .expire(this.sequenceKey(environmentId), SESSION_STATUS_TTL)
+      .exec();
+    return seq;
+  }
+
+  /**
+   * Sequenced events after the last one a client saw
+   * @param {string} environmentId - The environment
+   * @param {number} afterSeq - The last sequence number the client saw
+   * @returns {Promise<{events: string[], seq: number, complete: boolean}>}
+   *   The serialized events, the environment's latest sequence number, and
+   *   whether the log still reaches back far enough to cover every missed one
+   */
+  async getReplay(environmentId, afterSeq) {
+    const key = this.replayKey(environmentId);
+    const [current, events, oldest] = await Promise.all([
+      redis.get(this.sequenceKey(environmentId)),
+      redis.zrangebyscore(key, `(${afterSeq}`, "+inf"),
+      redis.zrange(key, 0, 0, "WITHSCORES"),
+    ]);
+
+    const seq = Number(current) || 0;
+    const firstKept = oldest.length > 0 ? Number(oldest[1]) : seq + 1;
+    return { events, seq, complete: afterSeq <= seq && firstKept <= afterSeq + 1 };
+  }
+
+  // Send a message to this instance's clients in an environment
+  deliverToEnvironment(environmentId, message, { exclude = null, excludeSessionId = null } = {}) {
     if (this.clientsMap.has(environmentId)) {
       const clients = this.clientsMap.get(environmentId);
       clients.forEach((client) => {
-        if (client.readyState === client.OPEN) {
-          client.send(message);
+        if (
+          client !== exclude &&
+          (!excludeSessionId || client.sessionId !== excludeSessionId) &&
+          client.readyState === client.OPEN
+        ) {
+          sendToClient(client, message);
         }
       });
     }
   }
 
-  async buildFileObject(fileNames, environmentId) {
+  // Session actions that must run on the instance hosting the container
+  async runLocalSessionAction(action, [environmentId, ...args]) {
+    switch (action) {
+      case "stop":
+        return this.stopLocalSession(environmentId, ...args);
+      case "release": {
+        const stopped = await this.stopLocalSession(environmentId);
+        this.forgetEnvironment(environmentId);
+        return stopped;
+      }
+      case "input":
+        return this.sendLocalInput(environmentId, ...args);
+      case "signal":
+        return this.sendLocalSignal(environmentId, ...args);
+      case "resize":
+        return this.resizeLocalTerminal(environmentId, ...args);
+      case "snapshot":
+        return this.getLocalSessionSnapshot(environmentId);
+      case "debug":
+        return this.sendLocalDebugCommand(environmentId, ...args);
+      default:
+        throw new Error(`Unknown session action: ${action}`);
+    }
+  }
+
+  /**
+   * Run a session action wherever the environment's container lives
+   * @param {string} environmentId - The environment
+   * @param {string} action - The session action
+   * @param {Array} args - Arguments after environmentId
+   * @param {any} fallback - Returned if no instance hosts a session
+   */
+  async runOnSessionOwner(environmentId, action, args, fallback) {
+    if (this.sessions.has(environmentId)) {
+      return this.runLocalSessionAction(action, [environmentId, ...args]);
+    }
+
+    const owner = await this.cluster.getSessionOwner(environmentId);
+    if (!owner || owner === this.cluster.instanceId) return fallback;
+    return this.cluster.request(owner, action, [environmentId, ...args]);
+  }
+
+  envMetaKey(environmentId) {
+    return `envmeta:${environmentId}`;
+  }
+
+  async getEnvironmentRuntime(environmentId) {
+    return redis.hget(this.envMetaKey(environmentId), "runtime");
+  }
+
+  async setEnvironmentRuntime(environmentId, runtimeId) {
+    if (!getRuntime(runtimeId)) {
+      throw new Error(`Unknown runtime: ${runtimeId}`);
+    }
+    await redis.hset(this.envMetaKey(environmentId), "runtime", runtimeId);
+    return true;
+  }
+
+  // An explicit runtime wins, then the environment's saved one, then
+  // whatever the file names suggest
+  async resolveRuntime(environmentId, fileNames, runtimeId) {
+    const id = runtimeId || (await this.getEnvironmentRuntime(environmentId));
+    if (id) {
+      const runtime = getRuntime(id);
+      if (!runtime) {
+        throw new Error(`Unknown runtime: ${id}`);
+      }
+      return runtime;
+    }
+    return detectRuntime(fileNames);
+  }
+
+  // Broadcast program output and keep it for late joiners
+  broadcastOutput(environmentId, output) {
+    if (!this.scrollback.has(environmentId)) {
+      this.scrollback.set(environmentId, { chunks: [], size: 0 });
+    }
+    const buffer = this.scrollback.get(environmentId);
+    buffer.chunks.push(output);
+    buffer.size += output.length;
+
+    while (buffer.size > SCROLLBACK_BYTES && buffer.chunks.length > 1) {
+      buffer.size -= buffer.chunks.shift().length;
+    }
+    if (buffer.size > SCROLLBACK_BYTES) {
+      buffer.chunks[0] = buffer.chunks[0].slice(-SCROLLBACK_BYTES);
+      buffer.size = buffer.chunks[0].length;
+    }
+
+    this.broadcastSequenced(environmentId, "output", { output }).catch((error) => {
+      console.error(`Error broadcasting output for ${environmentId}:`, error);
+    });
+  }
+
+  sessionStatusKey(environmentId) {
+    return `session-status:${environmentId}`;
+  }
+
+  // Mirrored to Redis so other instances know where the latest run lives
+  updateSessionStatus(environmentId, status) {
+    const next = {
+      ...this.sessionStatus.get(environmentId),
+      ...status,
+      instanceId: this.cluster.instanceId,
+    };
+    this.sessionStatus.set(environmentId, next);
+    set(this.sessionStatusKey(environmentId), next, SESSION_STATUS_TTL).catch((error) => {
+      console.error(`Error saving session status for ${environmentId}:`, error);
+    });
+  }
+
+  getLocalSessionSnapshot(environmentId) {
+    const buffer = this.scrollback.get(environmentId);
+    return {
+      status: this.sessionStatus.get(environmentId) || null,
+      scrollback: buffer ? buffer.chunks.join("") : "",
+      debug: this.sessions.get(environmentId)?.debug?.state || null,
+    };
+  }
+
+  /**
+   * Everything a client needs to catch up on an environment's terminal
+   * @returns {Promise<{status: Object|null, scrollback: string, debug: Object|null}>}
+   *   The latest run's status (running, mode, exitCode, startedBy, ...), its
+   *   output and, for a debug run, where the debugger is, fetched from
+   *   whichever instance ran it
+   */
+  async getSessionSnapshot(environmentId) {
+    if (this.sessionStatus.has(environmentId)) {
+      return this.getLocalSessionSnapshot(environmentId);
+    }
+
+    const status = await get(this.sessionStatusKey(environmentId));
+    if (!status) {
+      return { status: null, scrollback: "", debug: null };
+    }
+
+    if (status.instanceId !== this.cluster.instanceId && (await this.cluster.isAlive(status.instanceId))) {
+      try {
+        return await this.cluster.request(status.instanceId, "snapshot", [environmentId]);
+      } catch (error) {
+        console.error(`Error fetching session snapshot for ${environmentId}:`, error);
+      }
+    }
+
+    // The instance that ran it is gone, and its output with it
+    return { status: { ...status, running: false }, scrollback: "", debug: null };
+  }
+
+  async buildFileObject(fileNames, environmentId, runtime) {
     const filePromises = fileNames.map(async (fileName) => {
-      const fileKey = `${environmentId}_${fileName}`;
-      let fileContent = await get(fileKey);
+      const fileKey = this.fileKey(environmentId, fileName);
+      // Read raw: get() would turn a file holding JSON into an object
+      let fileContent = await redis.get(fileKey);
 
-      if (!fileContent && fileName === "main.py") {
-        fileContent =
-          'import time\nwhile True:\n print("hello world")\n time.sleep(1)';
+      if (!fileContent && runtime && fileName === runtime.template.fileName) {
+        fileContent = runtime.template.content;
       }
 
 
@@ -78,25 +443,68 @@ class ContainerSessionManager {
     return {files, hash};
   }
 
+  /**
+   * Get the image to run an environment in, installing the packages from its
+   * dependency file (requirements.txt, package.json, ...) if there is one
+   * @param {string} environmentId - The environment
+   * @param {Object} runtime - The runtime being run
+   * @returns {Promise<string>} The image
+   */
+  async resolveRunImage(environmentId, runtime) {
+    if (!runtime.dependencies) {
+      return runtime.image;
+    }
+
+    // Read it raw: get() would turn a package.json into an object
+    const content = await redis.get(this.fileKey(environmentId, runtime.dependencies.file));
+    return this.dependencies.resolveImage(
+      runtime,
+      content,
+      this.imageBuildListeners(environmentId)
+    );
+  }
+
+  // Let the environment watch an image being built for it
+  imageBuildListeners(environmentId) {
+    return {
+      onBuild: (image) => {
+        const message = JSON.stringify({
+          event: "containerState",
+          data: { environmentId, state: "installing", image },
+        });
+        this.broadcastToEnvironment(environmentId, message);
+      },
+      onOutput: (output) => this.broadcastOutput(environmentId, output),
+    };
+  }
+
   async writeFilesToDir(environmentId, files) {
-    const sessionDir = path.join(this.baseTmpDir, environmentId);
+    const sessionDir = resolveInside(this.baseTmpDir, environmentId);
 
     if (!fs.existsSync(sessionDir)) {
       fs.mkdirSync(sessionDir, { recursive: true });
     }
 
     for (const [fileName, fileContent] of Object.entries(files)) {
-      fs.writeFileSync(path.join(sessionDir, fileName), fileContent);
+      const filePath = resolveInside(sessionDir, fileName);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, fileContent);
     }
 
     return sessionDir;
   }
 
-  async startSession(environmentId, fileNames, hash, clientFiles) {
-    // Kill any existing session for this environment first
-    if (this.sessions.has(environmentId)) {
-      await this.stopSession(environmentId);
+  async startSession(
+    environmentId,
+    fileNames,
+    hash,
+    clientFiles,
+    { runtimeId, startedBy = null, mode = "run" } = {}
+  ) {
+    const debugging = mode === "debug";
 
+    // Kill any existing session for this environment first, wherever it runs
+    if (await this.stopSession(environmentId, "restarted")) {
       // Notify clients that the previous session was stopped
       const stopMessage = JSON.stringify({
         event: "stopped",
@@ -105,94 +513,226 @@ class ContainerSessionManager {
       this.broadcastToEnvironment(environmentId, stopMessage);
     }
 
+    // A new run starts with a clean terminal
+    this.scrollback.delete(environmentId);
+    this.sessionStatus.set(environmentId, {
+      running: true,
+      mode,
+      exitCode: null,
+      oomKilled: false,
+      runtime: null,
+      containerId: null,
+      startedBy,
+      startedAt: Date.now(),
+      endedAt: null,
+      reason: null,
+    });
+
+    let quotaHeld = false;
     try {
-      const filesObj = await this.buildFileObject(fileNames, environmentId);
+      fileNames = fileNames.map((fileName) => normalizePath(fileName));
+
+      await this.quotas.acquire(startedBy, environmentId);
+      quotaHeld = true;
+
+      const holder = await this.cluster.claimSession(environmentId);
+      if (holder !== this.cluster.instanceId) {
+        throw new Error("This environment is already running on another instance");
+      }
+
+      const runtime = await this.resolveRuntime(environmentId, fileNames, runtimeId);
+      this.updateSessionStatus(environmentId, { runtime: runtime.id });
+      if (debugging && !runtime.debug) {
+        throw new DebugError(`${runtime.name} programs can't be debugged yet`);
+      }
+      const filesObj = await this.buildFileObject(fileNames, environmentId, runtime);
       let { files, hash: serverHash } = filesObj;
       const sessionDir = await this.writeFilesToDir(environmentId, files);
-      const mainFile = fileNames.includes("main.py") ? "main.py" : fileNames[0];
+      const mainFile = runtime.detectEntry(fileNames);
 
       if (hash !== serverHash) {
         // Hash mismatch, so we need to use client files instead
         files = clientFiles;
       }
 
-      // Build Docker run command
+      let image = await this.resolveRunImage(environmentId, runtime);
+      if (debugging) {
+        image = await this.dependencies.resolveDebugImage(
+          runtime,
+          image,
+          this.imageBuildListeners(environmentId)
+        );
+      }
+
       const containerName = `nixpackpy_${environmentId}`;
-      const dockerArgs = [
-        "run",
-        "--rm",
-        "-it",
-        "--name",
-        containerName,
-        "--network=none",
-        "--memory=256m",
-        "--cpus=0.5",
-        "-v",
-        `${sessionDir}:/workspace`,
-        "-w",
-        "/workspace",
-        "python:3.9-slim",
-        "python3",
-        "-u",
-        mainFile,
-      ];
-
-      // Spawn Docker process in a PTY
-      const ptyProcess = pty.spawn("docker", dockerArgs, {
-        name: "xterm-color",
-        cols: 80,
-        rows: 30,
-        cwd: process.cwd(),
-        env: process.env,
+      const createdAt = Date.now();
+      const run = await this.backend.createRun({
+        name: containerName,
+        image,
+        cmd: buildCommand(runtime, mainFile, fileNames, { mode }),
+        workspace: sessionDir,
+        env: runtime.dependencies ? runtime.dependencies.runEnv : [],
       });
 
-      ptyProcess.on("data", (data) => {
+      run.on("lifecycle", (state, details) => {
         const message = JSON.stringify({
-          event: "output",
-          data: { output: data },
+          event: "containerState",
+          data: { environmentId, state, ...details },
         });
         this.broadcastToEnvironment(environmentId, message);
       });
 
-      ptyProcess.on("exit", (code) => {
+      const throttle = new OutputThrottle();
+      let timeout = null;
+      let startedAt = null;
+
+      run.on("data", (data) => {
+        const { output, limitReached } = throttle.take(data);
+        if (output) {
+          this.broadcastOutput(environmentId, output);
+        }
+        if (limitReached && !run.stopReason) {
+          this.broadcastOutput(
+            environmentId,
+            `\r\n[stopped: the program printed more than ${limits.maxOutputBytes} bytes]\r\n`
+          );
+          this.stopRun(environmentId, run, "output-limit");
+        }
+      });
+
+      run.on("exit", ({ exitCode, oomKilled }) => {
+        clearTimeout(timeout);
+        this.quotas.release(startedBy, environmentId).catch((error) => {
+          console.error(`Error releasing run quota for ${environmentId}:`, error);
+        });
+
+        // Why the run ended: timeout, output-limit, stopped, restarted,
+        // shutdown, oom or exited on its own
+        const reason = run.stopReason || (oomKilled ? "oom" : "exited");
+        if (startedAt) {
+          runDuration.observe({ runtime: runtime.id, reason }, (Date.now() - startedAt) / 1000);
+        }
+        runExits.inc({ exit_code: String(exitCode), reason });
+
+        // Stopped runs are already out of sessions, so match on the container
+        if (this.sessionStatus.get(environmentId)?.containerId === run.id) {
+          this.updateSessionStatus(environmentId, {
+            running: false,
+            exitCode,
+            oomKilled,
+            reason,
+            endedAt: Date.now(),
+          });
+        }
+
         const message = JSON.stringify({
           event: "exit",
-          data: { exitCode: code },
+          data: { exitCode, oomKilled, reason },
         });
         this.broadcastToEnvironment(environmentId, message);
-        this.sessions.delete(environmentId);
+
+        session.debug?.close();
+
+        // A restart may already have replaced this run
+        if (this.sessions.get(environmentId)?.run === run) {
+          this.sessions.delete(environmentId);
+          this.cluster.releaseSession(environmentId).catch((error) => {
+            console.error(`Error releasing session for ${environmentId}:`, error);
+          });
+        }
       });
 
-      this.sessions.set(environmentId, {
-        ptyProcess,
+      this.updateSessionStatus(environmentId, { containerId: run.id });
+      const session = {
+        run,
         sessionDir,
         containerName,
-      });
+        runtime: runtime.id,
+        mode,
+        debug: null,
+      };
+      this.sessions.set(environmentId, session);
+
+      try {
+        await run.start(this.terminalSizes.get(environmentId));
+        startedAt = Date.now();
+        containerStartLatency.observe({ runtime: runtime.id }, (startedAt - createdAt) / 1000);
+      } catch (error) {
+        this.sessions.delete(environmentId);
+        await this.cluster.releaseSession(environmentId);
+        throw error;
+      }
+
+      // The program waits for the debugger before it starts
+      if (debugging) {
+        try {
+          session.debug = await DebugSession.attach(run, runtime.debug, {
+            breakpoints: await this.getBreakpoints(environmentId),
+            onState: (state) => this.broadcastDebugState(environmentId, state),
+          });
+        } catch (error) {
+          await this.stopLocalSession(environmentId, "error");
+          throw new DebugError(`Could not start the debugger: ${error.message}`);
+        }
+      }
+
+      const maxSeconds = debugging ? limits.maxDebugSeconds : limits.maxRunSeconds;
+      if (maxSeconds > 0) {
+        timeout = setTimeout(() => {
+          this.broadcastOutput(
+            environmentId,
+            `\r\n[stopped: the program ran for more than ${maxSeconds} seconds]\r\n`
+          );
+          this.stopRun(environmentId, run, "timeout");
+        }, maxSeconds * 1000);
+      }
       return true;
     } catch (error) {
+      if (quotaHeld) {
+        await this.quotas.release(startedBy, environmentId).catch(() => {});
+      }
+
+      const reason = error.reason || "error";
       const errorMsg = `Error starting session: ${error.message}`;
-      const outputMessage = JSON.stringify({
-        event: "output",
-        data: { output: errorMsg },
+      this.broadcastOutput(environmentId, errorMsg);
+      this.updateSessionStatus(environmentId, {
+        running: false,
+        exitCode: 1,
+        reason,
+        endedAt: Date.now(),
       });
-      this.broadcastToEnvironment(environmentId, outputMessage);
 
       const exitMessage = JSON.stringify({
         event: "exit",
-        data: { exitCode: 1 },
+        data: { exitCode: 1, reason },
       });
       this.broadcastToEnvironment(environmentId, exitMessage);
       return false;
     }
   }
 
-  async sendInput(environmentId, input) {
+  /**
+   * Write to the program's terminal
+   * @param {string} environmentId - The environment
+   * @param {string} input - The text to send
+   * @param {Object} [options]
+   * @param {boolean} [options.raw] - Send the bytes verbatim (keystrokes,
+   *   control characters) instead of as a line
+   * @returns {Promise<boolean>} True if the input was written
+   */
+  async sendInput(environmentId, input, { raw = false } = {}) {
+    return this.runOnSessionOwner(environmentId, "input", [input, { raw }], false);
+  }
+
+  async sendLocalInput(environmentId, input, { raw = false } = {}) {
     const session = this.sessions.get(environmentId);
     if (!session) return false;
 
     try {
-      session.ptyProcess.write(input.endsWith("\n") ? input : input + "\n");
-      return true;
+      if (raw) {
+        return session.run.write(input);
+      }
+      return session.run.write(input.endsWith("\n") ? input : input + "\n");
     } catch (error) {
       console.error(
         `Error sending input to environment ${environmentId}:`,
@@ -202,65 +742,626 @@ class ContainerSessionManager {
     }
   }
 
-  async renameFile(environmentId, oldName, newName) {
-    const oldKey = `${environmentId}_${oldName}`;
-    const newKey = `${environmentId}_${newName}`;
-    const content = await get(oldKey);
+  // Ctrl-D, which the TTY turns into end-of-file for a program reading stdin
+  async sendEof(environmentId) {
+    return this.sendInput(environmentId, "\x04", { raw: true });
+  }
 
-    if (content === null || content === undefined) {
-      throw new Error("File does not exist");
+  async sendSignal(environmentId, signal) {
+    if (!ALLOWED_SIGNALS.includes(signal)) {
+      throw new Error(`Unsupported signal: ${signal}`);
     }
+    return this.runOnSessionOwner(environmentId, "signal", [signal], false);
+  }
 
-    await set(newKey, content);
-    await redis.del(oldKey);
+  async sendLocalSignal(environmentId, signal) {
+    const session = this.sessions.get(environmentId);
+    if (!session) return false;
+
+    await session.run.signal(signal);
     return true;
   }
 
-  async deleteFile(environmentId, fileName) {
-    const fileKey = `${environmentId}_${fileName}`;
-    await redis.del(fileKey);
+  /**
+   * Resize the environment's terminal. The size is remembered so the next
+   * run starts at it too.
+   * @returns {Promise<boolean>} True if a running program was resized
+   */
+  async resizeTerminal(environmentId, cols, rows) {
+    if (
+      !Number.isInteger(cols) ||
+      !Number.isInteger(rows) ||
+      cols < 1 ||
+      rows < 1 ||
+      cols > 1000 ||
+      rows > 1000
+    ) {
+      throw new Error("cols and rows must be integers between 1 and 1000");
+    }
+
+    this.terminalSizes.set(environmentId, { cols, rows });
+    return this.runOnSessionOwner(environmentId, "resize", [cols, rows], false);
+  }
+
+  async resizeLocalTerminal(environmentId, cols, rows) {
+    this.terminalSizes.set(environmentId, { cols, rows });
+
+    const session = this.sessions.get(environmentId);
+    if (!session) return false;
+
+    await session.run.resize(cols, rows);
     return true;
   }
 
+  breakpointsKey(environmentId) {
+    return `breakpoints:${environmentId}`;
+  }
+
+  /**
+   * The environment's breakpoints, which every debug run starts with
+   * @param {string} environmentId - The environment
+   * @returns {Promise<Object>} Maps file name -> line numbers
+   */
+  async getBreakpoints(environmentId) {
+    const stored = await redis.hgetall(this.breakpointsKey(environmentId));
+    return Object.fromEntries(
+      Object.entries(stored).map(([fileName, lines]) => [fileName, JSON.parse(lines)])
+    );
+  }
+
+  /**
+   * Replace the breakpoints in one file, in the running debugger too if
+   * there is one, and tell everyone
+   * @param {string} environmentId - The environment
+   * @param {string} fileName - The file
+   * @param {number[]} lines - Lines to break on; empty clears the file's
+   * @returns {Promise<{lines: number[], verified: Object[]|null}>} The lines
+   *   kept, and how the debugger placed them if one is running
+   */
+  async setBreakpoints(environmentId, fileName, lines) {
+    lines = [...new Set(lines)]
+      .filter((line) => Number.isInteger(line) && line > 0)
+      .sort((a, b) => a - b);
+
+    const key = this.breakpointsKey(environmentId);
+    if (lines.length > 0) {
+      await redis.hset(key, fileName, JSON.stringify(lines));
+    } else {
+      await redis.hdel(key, fileName);
+    }
+
+    const result = await this.runOnSessionOwner(
+      environmentId,
+      "debug",
+      ["setBreakpoints", { fileName, lines }],
+      null
+    );
+
+    const message = JSON.stringify({
+      event: "breakpointsChanged",
+      data: { environmentId, fileName, lines },
+    });
+    this.broadcastToEnvironment(environmentId, message);
+    return { lines, verified: result ? result.breakpoints : null };
+  }
+
+  broadcastDebugState(environmentId, state) {
+    const message = JSON.stringify({
+      event: "debugState",
+      data: { environmentId, ...state },
+    });
+    this.broadcastToEnvironment(environmentId, message);
+  }
+
+  /**
+   * Send a command to the debugger of the environment's debug run, wherever
+   * it runs
+   * @param {string} environmentId - The environment
+   * @param {string} command - See DebugSession.command()
+   * @param {Object} [args] - The command's arguments
+   * @returns {Promise<Object>} What the command found out
+   * @throws {DebugError} If the program isn't being debugged
+   */
+  async debugCommand(environmentId, command, args = {}) {
+    const result = await this.runOnSessionOwner(environmentId, "debug", [command, args], null);
+    if (result === null || result === undefined) {
+      throw new DebugError("The program isn't being debugged");
+    }
+    return result;
+  }
+
+  // Null if there's no debugger here to send it to
+  async sendLocalDebugCommand(environmentId, command, args) {
+    const debug = this.sessions.get(environmentId)?.debug;
+    if (!debug || debug.closed) return null;
+    return debug.command(command, args);
+  }
+
+  // Every key derived from a file name goes through normalizePath, so a
+  // malformed or escaping name never reaches Redis or the disk
+  fileKey(environmentId, fileName) {
+    return `${environmentId}_${normalizePath(fileName)}`;
+  }
+
+  foldersKey(environmentId) {
+    return `folders:${environmentId}`;
+  }
+
+  revisionKey(environmentId, fileName) {
+    return `rev:${environmentId}:${normalizePath(fileName)}`;
+  }
+
+  opLogKey(environmentId, fileName) {
+    return `oplog:${environmentId}:${normalizePath(fileName)}`;
+  }
+
+  crdtKey(environmentId, fileName) {
+    return `crdt:${environmentId}:${normalizePath(fileName)}`;
+  }
+
+  // Run fn once every earlier write to the same file has finished, so
+  // read-modify-write cycles on a file never interleave. Writes are queued
+  // locally first so only one per instance contends for the Redis lock.
+  withFileLock(fileKey, fn) {
+    const previous = this.fileLocks.get(fileKey) || Promise.resolve();
+    const result = previous.then(() => withLock(`lock:${fileKey}`, fn));
+    const tail = result.catch(() => {});
+
+    this.fileLocks.set(fileKey, tail);
+    tail.then(() => {
+      if (this.fileLocks.get(fileKey) === tail) {
+        this.fileLocks.delete(fileKey);
+      }
+    });
+
+    return result;
+  }
+
+  async getRevisions(environmentId, fileNames) {
+    if (fileNames.length === 0) return {};
+
+    const values = await redis.mget(
+      fileNames.map((fileName) => this.revisionKey(environmentId, fileName))
+    );
+    return fileNames.reduce((acc, fileName, i) => {
+      acc[fileName] = Number(values[i]) || 0;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Apply a line op written against baseRevision, transforming it past any
+   * revisions the client hadn't seen yet
+   * @returns {Promise<{revision: number, ops: Object[]}>} The new revision
+   *   and the primitives that were actually applied
+   */
+  async applyLineOperation(environmentId, fileName, op, baseRevision) {
+    const fileKey = this.fileKey(environmentId, fileName);
+    const revKey = this.revisionKey(environmentId, fileName);
+    const logKey = this.opLogKey(environmentId, fileName);
+
+    return this.withFileLock(fileKey, async () => {
+      if (await redis.exists(this.crdtKey(environmentId, fileName))) {
+        throw new Error(`${fileName} is in CRDT sync mode, send crdtUpdate instead`);
+      }
+
+      const revision = Number(await redis.get(revKey)) || 0;
+      const base = typeof baseRevision === "number" ? baseRevision : revision;
+
+      if (!Number.isInteger(base) || base < 0 || base > revision) {
+        throw new RevisionError(
+          `Unknown revision ${baseRevision} for ${fileName}`,
+          "INVALID_REVISION"
+        );
+      }
+
+      let ops = [op];
+      if (base < revision) {
+        const missed = revision - base;
+        const entries = (await redis.lrange(logKey, -missed, -1)).map((e) =>
+          JSON.parse(e)
+        );
+
+        if (entries.length < missed || entries[0].revision !== base + 1) {
+          throw new RevisionError(
+            `Revision ${base} of ${fileName} is too old, refetch the file`,
+            "REVISION_TOO_OLD"
+          );
+        }
+
+        ops = transformOps(
+          ops,
+          entries.flatMap((entry) => entry.ops)
+        );
+      }
+
+      const content = (await redis.get(fileKey)) ?? "";
+      const lines = content.split("\n");
+      const applied = applyOps(lines, ops);
+      const newRevision = revision + 1;
+
+      const pipeline = redis
+        .multi()
+        .set(fileKey, lines.join("\n"))
+        .set(revKey, newRevision)
+        .rpush(logKey, JSON.stringify({ revision: newRevision, ops: applied }))
+        .ltrim(logKey, -OP_LOG_LENGTH, -1);
+      await this.files.recordWrite(pipeline, environmentId, fileName).exec();
+
+      return { revision: newRevision, ops: applied };
+    });
+  }
+
+  async getSyncModes(environmentId, fileNames) {
+    const pipeline = redis.pipeline();
+    fileNames.forEach((fileName) =>
+      pipeline.exists(this.crdtKey(environmentId, fileName))
+    );
+    const results = await pipeline.exec();
+
+    return fileNames.reduce((acc, fileName, i) => {
+      acc[fileName] = results[i][1] === 1 ? "crdt" : "lines";
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Switch a file between diffLine ("lines") and CRDT ("crdt") syncing
+   * @returns {Promise<number>} The file's line revision after the switch
+   */
+  async setSyncMode(environmentId, fileName, mode) {
+    const fileKey = this.fileKey(environmentId, fileName);
+    const crdtKey = this.crdtKey(environmentId, fileName);
+    const revKey = this.revisionKey(environmentId, fileName);
+
+    return this.withFileLock(fileKey, async () => {
+      const isCrdt = await redis.exists(crdtKey);
+
+      if (mode === "crdt" && !isCrdt) {
+        // The server seeds the document so every client starts from the
+        // same CRDT history instead of each inserting the text itself
+        const content = (await redis.get(fileKey)) ?? "";
+        await redis.set(crdtKey, createState(content));
+      } else if (mode === "lines" && isCrdt) {
+        // The text changed outside the op log while in CRDT mode, so bump
+        // the revision and drop the log to force clients to refetch
+        await redis
+          .multi()
+          .del(crdtKey, this.opLogKey(environmentId, fileName))
+          .incr(revKey)
+          .exec();
+      }
+
+      return Number(await redis.get(revKey)) || 0;
+    });
+  }
+
+  async applyCrdtUpdate(environmentId, fileName, update) {
+    const fileKey = this.fileKey(environmentId, fileName);
+    const crdtKey = this.crdtKey(environmentId, fileName);
+
+    return this.withFileLock(fileKey, async () => {
+      const state = await redis.getBuffer(crdtKey);
+      if (!state) {
+        throw new Error(`${fileName} is not in CRDT sync mode`);
+      }
+
+      // Keep the plain text in step so runs and getFiles see the edits
+      const merged = mergeUpdate(state, update);
+      const pipeline = redis
+        .multi()
+        .set(crdtKey, merged.state)
+        .set(fileKey, merged.content);
+      await this.files.recordWrite(pipeline, environmentId, fileName).exec();
+      return true;
+    });
+  }
+
+  async getCrdtState(environmentId, fileName, stateVector) {
+    const state = await redis.getBuffer(this.crdtKey(environmentId, fileName));
+    if (!state) {
+      throw new Error(`${fileName} is not in CRDT sync mode`);
+    }
+    return diffState(state, stateVector);
+  }
+
+  /**
+   * Overwrite a file wholesale, e.g. when restoring it from a snapshot.
+   * Line clients are forced to refetch; CRDT files get a regular update.
+   * @returns {Promise<{revision: number, crdtUpdate: string|null}>} The new
+   *   line revision and, for CRDT files, the update to relay
+   */
+  async replaceFileContent(environmentId, fileName, content) {
+    const fileKey = this.fileKey(environmentId, fileName);
+    const crdtKey = this.crdtKey(environmentId, fileName);
+    const revKey = this.revisionKey(environmentId, fileName);
+
+    return this.withFileLock(fileKey, async () => {
+      const state = await redis.getBuffer(crdtKey);
+      const pipeline = redis
+        .multi()
+        .set(fileKey, content)
+        .incr(revKey)
+        .del(this.opLogKey(environmentId, fileName));
+
+      let crdtUpdate = null;
+      if (state) {
+        const replaced = replaceContent(state, content);
+        pipeline.set(crdtKey, replaced.state);
+        crdtUpdate = replaced.update;
+      }
+
+      const results = await this.files.recordWrite(pipeline, environmentId, fileName).exec();
+      return { revision: results[1][1], crdtUpdate };
+    });
+  }
+
+  async renameFile(environmentId, oldName, newName) {
+    const oldKey = this.fileKey(environmentId, oldName);
+    const newKey = this.fileKey(environmentId, newName);
+    if (oldKey === newKey) return true;
+
+    return this.withFileLock(oldKey, async () => {
+      const content = await redis.get(oldKey);
+
+      if (content === null || content === undefined) {
+        throw new Error("File does not exist");
+      }
+      if (await redis.exists(newKey)) {
+        throw new Error(`${normalizePath(newName)} already exists`);
+      }
+
+      await set(newKey, content);
+      await redis.del(oldKey);
+
+      // Carry the revision history over so in-flight edits still transform
+      const pipeline = redis.multi();
+      this.files.recordWrite(pipeline, environmentId, newName);
+      this.files.recordDelete(pipeline, environmentId, oldName);
+      for (const key of ["revisionKey", "opLogKey", "crdtKey"]) {
+        pipeline.del(this[key](environmentId, newName));
+        if (await redis.exists(this[key](environmentId, oldName))) {
+          pipeline.rename(
+            this[key](environmentId, oldName),
+            this[key](environmentId, newName)
+          );
+        }
+      }
+      await pipeline.exec();
+      return true;
+    });
+  }
+
+  async deleteFile(environmentId, fileName) {
+    const fileKey = this.fileKey(environmentId, fileName);
+
+    return this.withFileLock(fileKey, async () => {
+      const pipeline = redis
+        .multi()
+        .del(
+          fileKey,
+          this.revisionKey(environmentId, fileName),
+          this.opLogKey(environmentId, fileName),
+          this.crdtKey(environmentId, fileName)
+        );
+      await this.files.recordDelete(pipeline, environmentId, fileName).exec();
+      return true;
+    });
+  }
+
   async duplicateFile(environmentId, fileName) {
-    const fileKey = `${environmentId}_${fileName}`;
-    const content = await get(fileKey);
+    const fileKey = this.fileKey(environmentId, fileName);
+    const content = await redis.get(fileKey);
 
     if (content === null || content === undefined) {
       throw new Error("File does not exist");
     }
 
-    // Determine new file name
+    // Determine new file name, keeping it in the same folder
+    fileName = normalizePath(fileName);
+    const slashIndex = fileName.lastIndexOf("/");
     const extIndex = fileName.lastIndexOf(".");
     let newName;
-    if (extIndex > 0) {
+    if (extIndex > slashIndex + 1) {
       newName =
         fileName.slice(0, extIndex) + "_copy" + fileName.slice(extIndex);
     } else {
       newName = fileName + "_copy";
     }
 
-    const newKey = `${environmentId}_${newName}`;
+    const newKey = this.fileKey(environmentId, newName);
     await set(newKey, content);
+    await this.files.recordWrite(redis.multi(), environmentId, newName).exec();
     return newName;
   }
 
-  async stopSession(environmentId) {
+  async getFolders(environmentId) {
+    return redis.smembers(this.foldersKey(environmentId));
+  }
+
+  // Folders only need recording while empty, since files imply their
+  // parents, but they're kept regardless so empty-again folders survive
+  async createFolder(environmentId, folderPath) {
+    const folder = normalizePath(folderPath);
+    const pipeline = redis
+      .multi()
+      .sadd(this.foldersKey(environmentId), ...parentFolders(folder), folder);
+    await this.files.recordFolders(pipeline, environmentId).exec();
+    return folder;
+  }
+
+  // Files and recorded folders at or below a folder
+  async getFolderContents(environmentId, folder) {
+    const files = await this.getAllFilesForEnvironment(environmentId);
+    const folders = await this.getFolders(environmentId);
+    return {
+      fileNames: Object.keys(files).filter((name) => isInside(name, folder)),
+      folders: folders.filter((name) => name === folder || isInside(name, folder)),
+    };
+  }
+
+  /**
+   * Move a file into another folder, keeping its name
+   * @param {string} folderPath - The destination folder, "" for the root
+   * @returns {Promise<string>} The file's new path
+   */
+  async moveFile(environmentId, fileName, folderPath) {
+    const source = normalizePath(fileName);
+    const folder = normalizePath(folderPath, { allowRoot: true });
+    const baseName = source.slice(source.lastIndexOf("/") + 1);
+    const destination = folder ? `${folder}/${baseName}` : baseName;
+
+    if (destination !== source) {
+      await this.renameFile(environmentId, source, destination);
+      if (folder) await this.createFolder(environmentId, folder);
+    }
+    return destination;
+  }
+
+  /**
+   * Rename (or move) a folder along with everything inside it
+   * @returns {Promise<Object[]>} { from, to } for every file moved
+   */
+  async renameFolder(environmentId, oldPath, newPath) {
+    const from = normalizePath(oldPath);
+    const to = normalizePath(newPath);
+    if (from === to) return [];
+    if (isInside(to, from)) {
+      throw new Error("A folder can't be moved inside itself");
+    }
+
+    const { fileNames, folders } = await this.getFolderContents(environmentId, from);
+    if (fileNames.length === 0 && folders.length === 0) {
+      throw new Error("Folder does not exist");
+    }
+
+    const moves = fileNames.map((name) => ({ from: name, to: to + name.slice(from.length) }));
+
+    // Check for clashes first so a conflict can't leave the folder half moved
+    for (const move of moves) {
+      if (await redis.exists(this.fileKey(environmentId, move.to))) {
+        throw new Error(`${move.to} already exists`);
+      }
+    }
+
+    for (const move of moves) {
+      await this.renameFile(environmentId, move.from, move.to);
+    }
+
+    const renamedFolders = folders.map((name) => to + name.slice(from.length));
+    const pipeline = redis.multi();
+    if (folders.length > 0) {
+      pipeline.srem(this.foldersKey(environmentId), ...folders);
+    }
+    pipeline.sadd(this.foldersKey(environmentId), ...parentFolders(to), to, ...renamedFolders);
+    await this.files.recordFolders(pipeline, environmentId).exec();
+
+    return moves;
+  }
+
+  /**
+   * Delete a folder and everything inside it
+   * @returns {Promise<string[]>} The deleted file paths
+   */
+  async deleteFolder(environmentId, folderPath) {
+    const folder = normalizePath(folderPath);
+    const { fileNames, folders } = await this.getFolderContents(environmentId, folder);
+    if (fileNames.length === 0 && folders.length === 0) {
+      throw new Error("Folder does not exist");
+    }
+
+    for (const fileName of fileNames) {
+      await this.deleteFile(environmentId, fileName);
+    }
+    if (folders.length > 0) {
+      const pipeline = redis.multi().srem(this.foldersKey(environmentId), ...folders);
+      await this.files.recordFolders(pipeline, environmentId).exec();
+    }
+    return fileNames;
+  }
+
+  /**
+   * Write a set of files (e.g. from an uploaded archive) into an environment
+   * @param {string} environmentId - The environment
+   * @param {Object} archive - { files, folders } with normalized paths
+   * @param {Object} [options]
+   * @param {string} [options.mode] - "merge" keeps files the archive doesn't
+   *   mention, "replace" deletes them
+   * @param {string} [options.conflict] - When merging onto an existing file:
+   *   "overwrite" it, "skip" the archive's copy, or "error" before writing
+   *   anything
+   * @returns {Promise<Object>} { written, skipped, deleted, crdtUpdates }
+   */
+  async importFiles(environmentId, { files, folders }, { mode = "merge", conflict = "overwrite" } = {}) {
+    if (!["merge", "replace"].includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    if (!["overwrite", "skip", "error"].includes(conflict)) {
+      throw new Error(`Unknown conflict policy: ${conflict}`);
+    }
+
+    const existing = await this.getAllFilesForEnvironment(environmentId);
+    const conflicts = mode === "merge" ? Object.keys(files).filter((name) => name in existing) : [];
+    if (conflict === "error" && conflicts.length > 0) {
+      throw new Error(`These files already exist: ${conflicts.join(", ")}`);
+    }
+
+    const deleted = [];
+    if (mode === "replace") {
+      for (const fileName of Object.keys(existing)) {
+        if (!(fileName in files)) {
+          await this.deleteFile(environmentId, fileName);
+          deleted.push(fileName);
+        }
+      }
+      const pipeline = redis.multi().del(this.foldersKey(environmentId));
+      await this.files.recordFolders(pipeline, environmentId).exec();
+    }
+
+    const skipped = conflict === "skip" ? conflicts : [];
+    const written = [];
+    const crdtUpdates = {};
+    for (const [fileName, content] of Object.entries(files)) {
+      if (skipped.includes(fileName)) continue;
+
+      const { crdtUpdate } = await this.replaceFileContent(environmentId, fileName, content);
+      if (crdtUpdate) crdtUpdates[fileName] = crdtUpdate;
+      written.push(fileName);
+    }
+
+    if (folders.length > 0) {
+      const pipeline = redis.multi().sadd(this.foldersKey(environmentId), ...folders);
+      await this.files.recordFolders(pipeline, environmentId).exec();
+    }
+
+    return { written, skipped, deleted, crdtUpdates };
+  }
+
+  async stopSession(environmentId, reason = "stopped") {
+    return this.runOnSessionOwner(environmentId, "stop", [reason], false);
+  }
+
+  // Stop a particular run because it hit a limit, unless it's already been
+  // replaced or stopped
+  stopRun(environmentId, run, reason) {
+    if (this.sessions.get(environmentId)?.run !== run) return;
+    this.stopLocalSession(environmentId, reason).catch((error) => {
+      console.error(`Error stopping session for environment ${environmentId}:`, error);
+    });
+  }
+
+  async stopLocalSession(environmentId, reason = "stopped") {
     const session = this.sessions.get(environmentId);
     if (!session) return false;
 
+    // The first reason wins, e.g. a timeout racing a manual stop
+    session.run.stopReason = session.run.stopReason || reason;
+
     try {
-      // Try to kill the docker container if still running
-      // This is non-blocking; if the container is already gone, it's fine
-      pty.spawn("docker", ["kill", session.containerName], {
-        name: "xterm-color",
-        cols: 80,
-        rows: 30,
-        cwd: process.cwd(),
-        env: process.env,
-      });
-      session.ptyProcess.kill();
+      // Waits until the container is gone, so a restart can reuse its name
       this.sessions.delete(environmentId);
+      await session.run.stop();
+      await this.cluster.releaseSession(environmentId);
       return true;
     } catch (error) {
       console.error(
@@ -273,11 +1374,28 @@ class ContainerSessionManager {
   }
 
   async saveFile(environmentId, fileName, content) {
-    const fileKey = `${environmentId}_${fileName}`;
+    const fileKey = this.fileKey(environmentId, fileName);
     await set(fileKey, content);
+    await this.files.recordWrite(redis.multi(), environmentId, fileName).exec();
     return true;
   }
 
+  // Everything a client needs to (re)load an environment's files
+  async getFilesPayload(environmentId) {
+    const files = await this.getAllFilesForEnvironment(environmentId);
+    const fileNames = Object.keys(files);
+    const revisions = await this.getRevisions(environmentId, fileNames);
+    const syncModes = await this.getSyncModes(environmentId, fileNames);
+    const folders = await this.getFolders(environmentId);
+    return {
+      files,
+      revisions,
+      syncModes,
+      folders,
+      tree: buildTree(fileNames, folders),
+    };
+  }
+
   async getAllFilesForEnvironment(environmentId) {
     const pattern = `${environmentId}_*`;
     let cursor = "0";
@@ -295,7 +1413,8 @@ class ContainerSessionManager {
 
       for (const key of keys) {
         const fileName = key.substring(environmentId.length + 1);
-        files[fileName] = await get(key);
+        // Read raw: get() would turn a file holding JSON into an object
+        files[fileName] = await redis.get(key);
       }
     } while (cursor !== "0");
 
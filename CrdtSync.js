@@ -0,0 +1,156 @@
+// Character-level CRDT sync for files that opt out of diffLine.
+//
+// Documents are Yjs docs holding a single Y.Text named TEXT_NAME. Updates
+// travel over the socket as base64 strings, and the merged state is stored
+// in Redis as a Yjs update so any instance can rebuild the document.
+
+import * as Y from "yjs";
+
+const TEXT_NAME = "content";
+
+class CrdtUpdateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CrdtUpdateError";
+    this.code = "INVALID_CRDT_UPDATE";
+  }
+}
+
+function decodeBase64(value, field) {
+  if (typeof value !== "string" || value.length === 0) {
+    throw new CrdtUpdateError(`${field} must be a base64 string`);
+  }
+  return new Uint8Array(Buffer.from(value, "base64"));
+}
+
+function encodeBase64(bytes) {
+  return Buffer.from(bytes).toString("base64");
+}
+
+function loadDoc(state) {
+  const doc = new Y.Doc();
+  if (state && state.length > 0) {
+    Y.applyUpdate(doc, new Uint8Array(state));
+  }
+  return doc;
+}
+
+/**
+ * Build the initial document state for a file switching to CRDT mode
+ * @param {string} content - The file's current plain text
+ * @returns {Buffer} The encoded state
+ */
+function createState(content) {
+  const doc = new Y.Doc();
+  doc.getText(TEXT_NAME).insert(0, content);
+  const state = Buffer.from(Y.encodeStateAsUpdate(doc));
+  doc.destroy();
+  return state;
+}
+
+/**
+ * Merge a client update into a stored document state
+ * @param {Buffer|null} state - The stored state
+ * @param {string} update - The client's update, base64 encoded
+ * @returns {{state: Buffer, content: string}} The merged state and the
+ *   document's plain text
+ */
+function mergeUpdate(state, update) {
+  const doc = loadDoc(state);
+  try {
+    Y.applyUpdate(doc, decodeBase64(update, "update"));
+  } catch (error) {
+    doc.destroy();
+    throw new CrdtUpdateError(`Malformed CRDT update: ${error.message}`);
+  }
+
+  const merged = {
+    state: Buffer.from(Y.encodeStateAsUpdate(doc)),
+    content: doc.getText(TEXT_NAME).toString(),
+  };
+  doc.destroy();
+  return merged;
+}
+
+/**
+ * Work out what a client is missing
+ * @param {Buffer|null} state - The stored state
+ * @param {string} [stateVector] - The client's state vector, base64 encoded.
+ *   Omit it to get the full document.
+ * @returns {{update: string, stateVector: string}} The missing update and
+ *   the server's state vector, both base64 encoded
+ */
+function diffState(state, stateVector) {
+  const doc = loadDoc(state);
+  let clientVector;
+  if (stateVector) {
+    try {
+      clientVector = decodeBase64(stateVector, "stateVector");
+      Y.decodeStateVector(clientVector);
+    } catch (error) {
+      doc.destroy();
+      throw new CrdtUpdateError(`Malformed state vector: ${error.message}`);
+    }
+  }
+
+  const result = {
+    update: encodeBase64(Y.encodeStateAsUpdate(doc, clientVector)),
+    stateVector: encodeBase64(Y.encodeStateVector(doc)),
+  };
+  doc.destroy();
+  return result;
+}
+
+/**
+ * Replace a document's text as a regular CRDT edit, touching only the span
+ * that actually differs so collaborators' cursors outside it stay put
+ * @param {Buffer} state - The stored state
+ * @param {string} content - The new plain text
+ * @returns {{state: Buffer, update: string|null}} The new state and the
+ *   base64 update to relay, or null if nothing changed
+ */
+function replaceContent(state, content) {
+  const doc = loadDoc(state);
+  const text = doc.getText(TEXT_NAME);
+  const current = text.toString();
+
+  let prefix = 0;
+  while (
+    prefix < current.length &&
+    prefix < content.length &&
+    current[prefix] === content[prefix]
+  ) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < current.length - prefix &&
+    suffix < content.length - prefix &&
+    current[current.length - 1 - suffix] === content[content.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  let update = null;
+  doc.on("update", (bytes) => {
+    update = encodeBase64(bytes);
+  });
+  doc.transact(() => {
+    text.delete(prefix, current.length - prefix - suffix);
+    text.insert(prefix, content.slice(prefix, content.length - suffix));
+  });
+
+  const result = { state: Buffer.from(Y.encodeStateAsUpdate(doc)), update };
+  doc.destroy();
+  return result;
+}
+
+export {
+  TEXT_NAME,
+  CrdtUpdateError,
+  createState,
+  mergeUpdate,
+  diffState,
+  replaceContent,
+};
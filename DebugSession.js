@@ -0,0 +1,470 @@
+import { EventEmitter } from "events";
+
+// Where the environment's files are mounted in the container
+const WORKSPACE = "/workspace";
+
+// How long the adapter has to answer a request
+const DEBUG_REQUEST_TIMEOUT_MS = Number(process.env.DEBUG_REQUEST_TIMEOUT_MS) || 10000;
+
+// How many stack frames are sent with every pause
+const BROADCAST_FRAMES = 20;
+
+// How many variables are sent per request, unless the client asks for fewer
+const MAX_VARIABLES = 200;
+
+/**
+ * Thrown when a debug command can't be carried out, e.g. nothing is being
+ * debugged or the adapter refused it
+ */
+class DebugError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DebugError";
+    this.code = "DEBUG_ERROR";
+  }
+}
+
+// The file a path in the container belongs to, or null for library code
+function toFileName(containerPath) {
+  if (typeof containerPath !== "string" || !containerPath.startsWith(`${WORKSPACE}/`)) {
+    return null;
+  }
+  return containerPath.slice(WORKSPACE.length + 1);
+}
+
+function toFrame(frame) {
+  return {
+    id: frame.id,
+    name: frame.name,
+    fileName: toFileName(frame.source?.path),
+    line: frame.line,
+    column: frame.column,
+  };
+}
+
+/**
+ * A Debug Adapter Protocol client for one debug run.
+ *
+ * The adapter runs inside the program's container, which has no network, so
+ * DAP is relayed over the stdio of a process exec'd into it (the runtime's
+ * debug.bridge command). The session tracks whether the program is running
+ * or paused, and where, and reports every change to onState so everyone in
+ * the environment can follow along.
+ *
+ * Some adapters, like js-debug, debug the program itself in a child session
+ * they ask for with a startDebugging request. The child gets a bridge of its
+ * own, and from then on commands go to it and its state is reported as the
+ * session's.
+ *
+ * Emits:
+ *  - "event" (name, body) for every DAP event
+ *  - "close" once the adapter is gone
+ */
+class DebugSession extends EventEmitter {
+  constructor({ input, output }, { breakpoints = {}, onState = () => {}, onChild = null } = {}) {
+    super();
+    this.input = input;
+    this.seq = 1;
+    this.pending = new Map(); // Maps request seq -> { resolve, reject, timer }
+    this.buffer = Buffer.alloc(0);
+    this.threadId = null;
+    this.stops = 0;
+    this.configured = false;
+    this.closed = false;
+    this.breakpoints = { ...breakpoints }; // Maps file name -> line numbers
+    this.child = null;
+    this.onState = onState;
+    this.onChild = onChild;
+    this.state = {
+      status: "starting",
+      reason: null,
+      description: null,
+      threadId: null,
+      frames: [],
+    };
+
+    output.on("data", (chunk) => this.receive(chunk));
+    output.on("end", () => this.close());
+    this.on("event", (event, body) => {
+      this.handleEvent(event, body).catch((error) => {
+        console.error(`Error handling debug event ${event}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Connect to the adapter in a run's container and start the program
+   * @param {ContainerRun} run - The started run
+   * @param {Object} debug - The runtime's debug settings
+   * @param {Object} [options]
+   * @param {Object} [options.breakpoints] - Maps file name -> line numbers
+   * @param {Function} [options.onState] - Called with the state whenever it
+   *   changes
+   * @returns {Promise<DebugSession>} The attached session
+   */
+  static async attach(run, debug, { breakpoints = {}, onState } = {}) {
+    const connect = async (options) => {
+      const bridge = await run.exec(debug.bridge(debug.port));
+      return new DebugSession(bridge, options);
+    };
+
+    // Children start the same way, with the breakpoints as they are by then
+    const onChild = async (parent, { request, configuration }) => {
+      const child = await connect({
+        breakpoints: parent.breakpoints,
+        onState: (state) => parent.setState(state),
+        onChild,
+      });
+      await child.start(debug.adapterId, request, configuration);
+      return child;
+    };
+
+    const session = await connect({ breakpoints, onState, onChild });
+    await session.start(debug.adapterId, "attach", debug.attach(debug.port));
+    return session;
+  }
+
+  // Run the DAP startup sequence: initialize, attach or launch, breakpoints
+  // and configurationDone
+  async start(adapterId, request, args) {
+    try {
+      // The adapter may say it's initialized as soon as it has answered
+      // initialize, and only answers attach once configuration is done.
+      // Both are awaited further down.
+      const initialized = this.waitForEvent("initialized");
+      initialized.catch(() => {});
+      await this.request("initialize", {
+        clientID: "np-socket",
+        adapterID: adapterId,
+        pathFormat: "path",
+        linesStartAt1: true,
+        columnsStartAt1: true,
+        supportsStartDebuggingRequest: Boolean(this.onChild),
+      });
+
+      const started = this.request(request, args);
+      started.catch(() => {});
+      await initialized;
+
+      for (const [fileName, lines] of Object.entries(this.breakpoints)) {
+        await this.setBreakpoints(fileName, lines);
+      }
+      await this.request("configurationDone");
+      this.configured = true;
+      await started;
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+
+    // It may already have stopped at a breakpoint
+    if (this.state.status === "starting") {
+      this.setState({ status: "running" });
+    }
+  }
+
+  // Split the stream into Content-Length framed messages
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+
+      const match = /Content-Length: (\d+)/i.exec(this.buffer.subarray(0, headerEnd).toString());
+      if (!match) {
+        // Nothing sensible can follow a broken header
+        this.close();
+        return;
+      }
+      const start = headerEnd + 4;
+      const end = start + Number(match[1]);
+      if (this.buffer.length < end) return;
+
+      const body = this.buffer.subarray(start, end).toString("utf8");
+      this.buffer = this.buffer.subarray(end);
+      try {
+        this.handleMessage(JSON.parse(body));
+      } catch (error) {
+        console.error("Error reading debug adapter message:", error);
+      }
+    }
+  }
+
+  handleMessage(message) {
+    if (message.type === "response") {
+      const pending = this.pending.get(message.request_seq);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pending.delete(message.request_seq);
+      if (message.success) {
+        pending.resolve(message.body || {});
+      } else {
+        pending.reject(new DebugError(message.message || `${message.command} failed`));
+      }
+    } else if (message.type === "event") {
+      this.emit("event", message.event, message.body || {});
+    } else if (message.type === "request") {
+      this.handleReverseRequest(message);
+    }
+  }
+
+  respond(request, success, body = {}, message = undefined) {
+    const json = JSON.stringify({
+      seq: this.seq++,
+      type: "response",
+      request_seq: request.seq,
+      command: request.command,
+      success,
+      body,
+      message,
+    });
+    this.input.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  }
+
+  // Requests from the adapter. Only startDebugging is supported, for
+  // adapters that debug the program in a child session.
+  handleReverseRequest(request) {
+    if (request.command !== "startDebugging" || !this.onChild) {
+      this.respond(request, false, {}, `${request.command} is not supported`);
+      return;
+    }
+
+    this.respond(request, true);
+    this.onChild(this, request.arguments || {})
+      .then((child) => {
+        if (this.closed) {
+          child.close();
+          return;
+        }
+        this.child?.close();
+        this.child = child;
+      })
+      .catch((error) => {
+        console.error("Error starting a child debug session:", error);
+      });
+  }
+
+  /**
+   * Send a DAP request
+   * @param {string} command - The request's command
+   * @param {Object} [args] - Its arguments
+   * @returns {Promise<Object>} The response body
+   * @throws {DebugError} If the adapter refuses, doesn't answer or is gone
+   */
+  request(command, args = {}) {
+    if (this.closed) {
+      return Promise.reject(new DebugError("The debugger has stopped"));
+    }
+
+    const seq = this.seq++;
+    const json = JSON.stringify({ seq, type: "request", command, arguments: args });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(seq);
+        reject(new DebugError(`The debugger did not answer ${command}`));
+      }, DEBUG_REQUEST_TIMEOUT_MS);
+      this.pending.set(seq, { resolve, reject, timer });
+      this.input.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+    });
+  }
+
+  // Resolve with the body of the next event of a kind
+  waitForEvent(name) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        finish();
+        reject(new DebugError(`The debugger did not send ${name}`));
+      }, DEBUG_REQUEST_TIMEOUT_MS);
+      const onEvent = (event, body) => {
+        if (event !== name) return;
+        finish();
+        resolve(body);
+      };
+      const onClose = () => {
+        finish();
+        reject(new DebugError("The debugger has stopped"));
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this.off("event", onEvent);
+        this.off("close", onClose);
+      };
+      this.on("event", onEvent);
+      this.on("close", onClose);
+    });
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.onState(this.state);
+  }
+
+  async handleEvent(event, body) {
+    switch (event) {
+      case "stopped": {
+        this.stops++;
+        this.threadId = body.threadId ?? this.threadId;
+        // Adapters may stop at the entry point before configurationDone,
+        // which then resumes the program
+        if (!this.configured) break;
+        const frames = this.threadId === null ? [] : await this.stackTrace(this.threadId);
+        this.setState({
+          status: "paused",
+          reason: body.reason || null,
+          description: body.description || body.text || null,
+          threadId: this.threadId,
+          frames,
+        });
+        break;
+      }
+      case "continued":
+        this.setState({ status: "running", reason: null, description: null, frames: [] });
+        break;
+      case "terminated":
+      case "exited":
+        this.close();
+        break;
+    }
+  }
+
+  async resolveThread(threadId) {
+    if (threadId !== undefined && threadId !== null) return threadId;
+    if (this.threadId !== null) return this.threadId;
+
+    const { threads = [] } = await this.request("threads");
+    if (threads.length === 0) {
+      throw new DebugError("The program has no threads to control");
+    }
+    return threads[0].id;
+  }
+
+  /**
+   * The call stack of a paused thread, innermost frame first
+   * @param {number} threadId - The thread
+   * @param {Object} [options]
+   * @param {number} [options.startFrame] - Skip this many frames
+   * @param {number} [options.levels] - At most this many frames
+   * @returns {Promise<Object[]>} { id, name, fileName, line, column } for
+   *   each frame, fileName being null outside the environment's files
+   */
+  async stackTrace(threadId, { startFrame = 0, levels = BROADCAST_FRAMES } = {}) {
+    const { stackFrames = [] } = await this.request("stackTrace", {
+      threadId,
+      startFrame,
+      levels,
+    });
+    return stackFrames.map(toFrame);
+  }
+
+  /**
+   * Replace the breakpoints in one file
+   * @param {string} fileName - The file
+   * @param {number[]} lines - Lines to break on
+   * @returns {Promise<Object[]>} { line, verified, message } for each, as the
+   *   adapter placed them
+   */
+  async setBreakpoints(fileName, lines) {
+    const { breakpoints = [] } = await this.request("setBreakpoints", {
+      source: { path: `${WORKSPACE}/${fileName}` },
+      breakpoints: lines.map((line) => ({ line })),
+    });
+    return breakpoints.map((breakpoint, i) => ({
+      line: breakpoint.line ?? lines[i],
+      verified: Boolean(breakpoint.verified),
+      message: breakpoint.message || null,
+    }));
+  }
+
+  /**
+   * Carry out a debug command from a client
+   * @param {string} command - continue, pause, next, stepIn, stepOut,
+   *   stackTrace, scopes, variables or setBreakpoints
+   * @param {Object} [args] - The command's arguments
+   * @returns {Promise<Object>} What the command found out, if anything
+   */
+  async command(command, args = {}) {
+    if (command === "setBreakpoints") {
+      this.breakpoints[args.fileName] = args.lines;
+    }
+    if (this.child && !this.child.closed) {
+      return this.child.command(command, args);
+    }
+
+    switch (command) {
+      case "pause":
+        await this.request(command, { threadId: await this.resolveThread(args.threadId) });
+        return {};
+
+      case "continue":
+      case "next":
+      case "stepIn":
+      case "stepOut": {
+        const stops = this.stops;
+        await this.request(command, { threadId: await this.resolveThread(args.threadId) });
+        // Not every adapter sends continued for a resume it was asked for
+        if (this.stops === stops) {
+          this.setState({ status: "running", reason: null, description: null, frames: [] });
+        }
+        return {};
+      }
+
+      case "stackTrace": {
+        const threadId = await this.resolveThread(args.threadId);
+        return { threadId, frames: await this.stackTrace(threadId, args) };
+      }
+
+      case "scopes": {
+        const { scopes = [] } = await this.request("scopes", { frameId: args.frameId });
+        return {
+          scopes: scopes.map(({ name, variablesReference, expensive }) => ({
+            name,
+            variablesReference,
+            expensive: Boolean(expensive),
+          })),
+        };
+      }
+
+      case "variables": {
+        const { variables = [] } = await this.request("variables", {
+          variablesReference: args.variablesReference,
+          start: args.start || 0,
+          count: Math.min(args.count || MAX_VARIABLES, MAX_VARIABLES),
+        });
+        return {
+          variables: variables.map(({ name, value, type, variablesReference }) => ({
+            name,
+            value,
+            type: type || null,
+            variablesReference,
+          })),
+        };
+      }
+
+      case "setBreakpoints":
+        return { breakpoints: await this.setBreakpoints(args.fileName, args.lines) };
+
+      default:
+        throw new DebugError(`Unknown debug command: ${command}`);
+    }
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.child?.close();
+
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(new DebugError("The debugger has stopped"));
+    }
+    this.pending.clear();
+    this.input.end();
+    this.setState({ status: "ended", reason: null, description: null, frames: [] });
+    this.emit("close");
+  }
+}
+
+export default DebugSession;
+export { DebugError };
@@ -0,0 +1,318 @@
+import crypto from "crypto";
+import { withLock } from "./redis.js";
+
+// Installs run with network access, unlike programs. Point
+// DEPENDENCY_BUILD_NETWORK at a Docker network that can only reach the
+// package mirror to keep installs away from the rest of the internet. Only
+// allowlisted packages are installed, as prebuilt wheels and without npm
+// lifecycle scripts, so no code from the student or a package runs while
+// the network is up.
+const dependencyConfig = {
+  buildNetwork: process.env.DEPENDENCY_BUILD_NETWORK || "bridge",
+  buildTimeoutSeconds: Number(process.env.DEPENDENCY_BUILD_TIMEOUT_SECONDS) || 300,
+  imageRepository: process.env.DEPENDENCY_IMAGE_REPOSITORY || "np-deps",
+};
+
+/**
+ * Thrown when a dependency file can't be installed
+ */
+class DependencyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DependencyError";
+    this.code = "DEPENDENCY_ERROR";
+    this.reason = "dependencies";
+  }
+}
+
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Package names compare equal regardless of case, "-", "_" and "."
+function normalizePipName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+/**
+ * Read the package names out of a requirements.txt
+ * @param {string} content - The file's content
+ * @returns {string[]} Normalized package names
+ * @throws {DependencyError} For options, URLs and other lines that could
+ *   pull packages from somewhere other than the configured index
+ */
+function parseRequirements(content) {
+  const packages = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, "").trim();
+    if (!line) continue;
+
+    if (line.startsWith("-")) {
+      throw new DependencyError(`Options aren't supported in requirements.txt: ${line}`);
+    }
+    if (line.includes("://") || /(^|\s)@/.test(line)) {
+      throw new DependencyError(`Only packages from the package index can be installed: ${line}`);
+    }
+
+    const match = line.match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+    if (!match) {
+      throw new DependencyError(`Could not read requirement: ${line}`);
+    }
+    packages.push(normalizePipName(match[0]));
+  }
+
+  return packages;
+}
+
+/**
+ * Read the package names out of a package.json
+ * @param {string} content - The file's content
+ * @returns {string[]} Package names from "dependencies"
+ * @throws {DependencyError} For invalid JSON, or versions that point at git,
+ *   URLs or local paths instead of the registry
+ */
+function parsePackageJson(content) {
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (error) {
+    throw new DependencyError(`package.json is not valid JSON: ${error.message}`);
+  }
+
+  const dependencies = manifest?.dependencies || {};
+  return Object.entries(dependencies).map(([name, version]) => {
+    if (typeof version !== "string" || /[:/]/.test(version)) {
+      throw new DependencyError(
+        `Only packages from the registry can be installed: ${name}@${version}`
+      );
+    }
+    return name.toLowerCase();
+  });
+}
+
+/**
+ * Write the package.json to install from, holding only the checked
+ * "dependencies". npm also acts on optionalDependencies, peerDependencies,
+ * overrides and more, none of which go through the allowlist.
+ * @param {string} content - The student's package.json, already checked
+ * @returns {string} The package.json to install
+ */
+function toPackageJson(content) {
+  const dependencies = JSON.parse(content)?.dependencies || {};
+  return JSON.stringify({ private: true, dependencies }, null, 2);
+}
+
+// Packages may only be installed from an allowlist, which is empty, and so
+// installs are off, until PIP_PACKAGE_ALLOWLIST or NPM_PACKAGE_ALLOWLIST is
+// set. "*" allows any package from the index.
+const packageManagers = {
+  pip: {
+    parse: parseRequirements,
+    manifest: (content) => content,
+    allowlist: parseList(process.env.PIP_PACKAGE_ALLOWLIST).map(normalizePipName),
+    env: process.env.PIP_INDEX_URL ? [`PIP_INDEX_URL=${process.env.PIP_INDEX_URL}`] : [],
+  },
+  npm: {
+    parse: parsePackageJson,
+    manifest: toPackageJson,
+    allowlist: parseList(process.env.NPM_PACKAGE_ALLOWLIST),
+    env: process.env.NPM_REGISTRY_URL
+      ? [`npm_config_registry=${process.env.NPM_REGISTRY_URL}`]
+      : [],
+  },
+};
+
+/**
+ * Builds images with a runtime's dependencies installed. Images are named
+ * after a hash of the dependency file, so each set of dependencies is only
+ * installed once and later runs start from the cached image, offline. Debug
+ * images, with a runtime's debug adapter added on top, are cached the same
+ * way.
+ */
+class DependencyBuilder {
+  constructor(backend) {
+    this.backend = backend;
+    this.builds = new Map(); // Maps image tag -> pending build
+  }
+
+  imageTag(runtime, content) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(runtime.image)
+      .update("\0")
+      .update(runtime.dependencies.install.join(" "))
+      .update("\0")
+      .update(content)
+      .digest("hex");
+    return `${dependencyConfig.imageRepository}:${runtime.id}-${hash.slice(0, 16)}`;
+  }
+
+  /**
+   * Check a dependency file against the package manager's rules and allowlist
+   * @param {Object} runtime - The runtime
+   * @param {string} content - The dependency file's content
+   * @returns {string[]} The packages it asks for
+   * @throws {DependencyError}
+   */
+  check(runtime, content) {
+    const manager = packageManagers[runtime.dependencies.manager];
+    const packages = manager.parse(content);
+    if (packages.length === 0 || manager.allowlist.includes("*")) {
+      return packages;
+    }
+
+    if (manager.allowlist.length === 0) {
+      throw new DependencyError(
+        `Installing packages from ${runtime.dependencies.file} is turned off on this server`
+      );
+    }
+    const blocked = packages.filter((name) => !manager.allowlist.includes(name));
+    if (blocked.length > 0) {
+      throw new DependencyError(`These packages aren't allowed: ${blocked.join(", ")}`);
+    }
+    return packages;
+  }
+
+  /**
+   * Pick the image to run a program in, installing its dependencies first if
+   * they haven't been installed before
+   * @param {Object} runtime - The runtime
+   * @param {string|null} content - The dependency file's content, if any
+   * @param {Object} [options]
+   * @param {string[]} [options.extraPackages] - Packages the server needs on
+   *   top, as requirements lines. They skip the allowlist.
+   * @param {Function} [options.onBuild] - Called with the image tag when an
+   *   install is about to start
+   * @param {Function} [options.onOutput] - Called with install output
+   * @returns {Promise<string>} The image to run
+   * @throws {DependencyError}
+   */
+  async resolveImage(
+    runtime,
+    content,
+    { extraPackages = [], onBuild = () => {}, onOutput = () => {} } = {}
+  ) {
+    if (!runtime.dependencies) {
+      return runtime.image;
+    }
+    const packages = content && content.trim() ? this.check(runtime, content) : [];
+    if (packages.length === 0 && extraPackages.length === 0) {
+      return runtime.image;
+    }
+
+    // Install from the packages that were checked, and nothing else
+    const manager = packageManagers[runtime.dependencies.manager];
+    const manifest = packages.length > 0 ? manager.manifest(content) : "";
+    content = [manifest, ...extraPackages].join("\n");
+    const tag = this.imageTag(runtime, content);
+    if (await this.backend.hasImage(tag)) {
+      return tag;
+    }
+
+    return this.share(tag, onBuild, () =>
+      this.install(tag, {
+        baseImage: runtime.image,
+        files: { [runtime.dependencies.file]: content },
+        cmd: runtime.dependencies.install,
+        env: manager.env,
+        what: "dependencies",
+        onOutput,
+      })
+    );
+  }
+
+  /**
+   * Pick the image to debug a program in: the image it would run in, with
+   * the runtime's debug adapter installed on top
+   * @param {Object} runtime - The runtime, which must have debug settings
+   * @param {string} baseImage - The image the program would run in
+   * @param {Object} [options] - onBuild and onOutput, as for resolveImage
+   * @returns {Promise<string>} The image to debug in
+   * @throws {DependencyError}
+   */
+  async resolveDebugImage(runtime, baseImage, { onBuild = () => {}, onOutput = () => {} } = {}) {
+    const hash = crypto
+      .createHash("sha256")
+      .update(baseImage)
+      .update("\0")
+      .update(runtime.debug.install.join(" "))
+      .digest("hex");
+    const tag = `${dependencyConfig.imageRepository}:${runtime.id}-debug-${hash.slice(0, 16)}`;
+    if (await this.backend.hasImage(tag)) {
+      return tag;
+    }
+
+    const manager = runtime.dependencies && packageManagers[runtime.dependencies.manager];
+    return this.share(tag, onBuild, () =>
+      this.install(tag, {
+        baseImage,
+        files: {},
+        cmd: runtime.debug.install,
+        env: manager ? manager.env : [],
+        what: "the debugger",
+        onOutput,
+      })
+    );
+  }
+
+  // Runs that need the same image share one build
+  share(tag, onBuild, build) {
+    if (!this.builds.has(tag)) {
+      onBuild(tag);
+      const pending = build().finally(() => {
+        this.builds.delete(tag);
+      });
+      this.builds.set(tag, pending);
+    }
+    return this.builds.get(tag);
+  }
+
+  // Run an install command on top of an image and commit the result as tag
+  async install(tag, { baseImage, files, cmd, env, what, onOutput }) {
+    const { buildNetwork, buildTimeoutSeconds } = dependencyConfig;
+    const lockTtl = (buildTimeoutSeconds + 60) * 1000;
+
+    // Another instance sharing the Docker daemon may be building it already
+    return withLock(
+      `lock:deps:${tag}`,
+      async () => {
+        if (await this.backend.hasImage(tag)) return tag;
+
+        const { exitCode, timedOut } = await this.backend.buildImage({
+          baseImage,
+          tag,
+          files,
+          cmd,
+          env,
+          network: buildNetwork,
+          timeoutSeconds: buildTimeoutSeconds,
+          onOutput,
+        });
+
+        if (timedOut) {
+          throw new DependencyError(
+            `Installing ${what} took longer than ${buildTimeoutSeconds} seconds`
+          );
+        }
+        if (exitCode !== 0) {
+          throw new DependencyError(`Installing ${what} failed with exit code ${exitCode}`);
+        }
+        return tag;
+      },
+      { ttl: lockTtl, timeout: lockTtl }
+    );
+  }
+}
+
+export default DependencyBuilder;
+export {
+  dependencyConfig,
+  DependencyError,
+  parseRequirements,
+  parsePackageJson,
+  toPackageJson,
+};
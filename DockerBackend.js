@@ -0,0 +1,404 @@
+import Docker from "dockerode";
+import tar from "tar-stream";
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+import { StringDecoder } from "string_decoder";
+
+const { DOCKER_SOCKET_PATH } = process.env;
+
+// Status codes the Docker API uses when a container is already gone or
+// already stopped, which is fine while tearing down
+const GONE_STATUS_CODES = [304, 404, 409];
+
+// Every container is labelled with the instance that created it, so ones a
+// dead instance left behind can be found
+const INSTANCE_LABEL = "np-socket.instance";
+
+// Prefix of the names of run and test containers
+const CONTAINER_PREFIX = "nixpackpy_";
+
+/**
+ * One program running in a container.
+ *
+ * Emits:
+ *  - "lifecycle" (state, details) for "created", "started", "oom", "exited"
+ *  - "data" (string) for terminal output
+ *  - "stdout" and "stderr" (string) as well, for runs without a TTY
+ *  - "exit" ({ exitCode, oomKilled }) once the container has stopped
+ */
+class ContainerRun extends EventEmitter {
+  constructor(container, name, { tty = true } = {}) {
+    super();
+    this.container = container;
+    this.id = container.id;
+    this.name = name;
+    this.tty = tty;
+    this.stream = null;
+    this.exited = false;
+    this.exitPromise = null;
+    this.stopReason = null;
+  }
+
+  /**
+   * Attach to the container's TTY and start it. Listeners should be in
+   * place before calling this so no lifecycle events or output are missed.
+   * @param {Object} [options]
+   * @param {number} [options.cols] - Terminal width
+   * @param {number} [options.rows] - Terminal height
+   */
+  async start({ cols = 80, rows = 30 } = {}) {
+    this.emit("lifecycle", "created", { containerId: this.id });
+
+    // Attach before starting so no early output is missed
+    const stream = await this.container.attach({
+      stream: true,
+      stdin: true,
+      stdout: true,
+      stderr: true,
+      hijack: true,
+    });
+    if (this.tty) {
+      this.forward(stream, "data");
+    } else {
+      // Without a TTY, Docker multiplexes stdout and stderr on one stream
+      const stdout = new PassThrough();
+      const stderr = new PassThrough();
+      this.forward(stdout, "stdout");
+      this.forward(stderr, "stderr");
+      this.container.modem.demuxStream(stream, stdout, stderr);
+    }
+    this.stream = stream;
+
+    try {
+      await this.container.start();
+      if (this.tty) {
+        await this.container.resize({ w: cols, h: rows }).catch(() => {});
+      }
+    } catch (error) {
+      stream.destroy();
+      await this.container.remove({ force: true }).catch(() => {});
+      throw error;
+    }
+
+    this.emit("lifecycle", "started", { containerId: this.id });
+    this.exitPromise = this.watchExit();
+  }
+
+  // Re-emit a stream's output as decoded text
+  forward(stream, event) {
+    const decoder = new StringDecoder("utf8");
+    stream.on("data", (chunk) => {
+      const text = decoder.write(chunk);
+      if (!text) return;
+      if (event !== "data") this.emit(event, text);
+      this.emit("data", text);
+    });
+  }
+
+  write(input) {
+    if (!this.stream || this.exited) return false;
+    this.stream.write(input);
+    return true;
+  }
+
+  async resize(cols, rows) {
+    if (this.exited || !this.tty) return;
+    await this.container.resize({ w: cols, h: rows });
+  }
+
+  async signal(signal) {
+    if (this.exited) return;
+    await this.container.kill({ signal });
+  }
+
+  async inspect() {
+    return this.container.inspect();
+  }
+
+  /**
+   * Run another process in the container, alongside the program
+   * @param {string[]} cmd - The command
+   * @returns {Promise<{input: Writable, output: Readable}>} Its stdin, and
+   *   its stdout as raw bytes. Its stderr is logged.
+   */
+  async exec(cmd) {
+    const exec = await this.container.exec({
+      Cmd: cmd,
+      AttachStdin: true,
+      AttachStdout: true,
+      AttachStderr: true,
+      Tty: false,
+    });
+    const stream = await exec.start({ hijack: true, stdin: true });
+
+    const output = new PassThrough();
+    const errors = new PassThrough();
+    this.container.modem.demuxStream(stream, output, errors);
+    errors.on("data", (chunk) => {
+      console.error(`${this.name} ${cmd[0]}: ${chunk.toString().trimEnd()}`);
+    });
+    const finish = () => {
+      if (!output.writableEnded) output.end();
+    };
+    stream.on("end", finish);
+    stream.on("close", finish);
+    return { input: stream, output };
+  }
+
+  /**
+   * Kill the container and wait for its exit to be handled
+   */
+  async stop() {
+    try {
+      await this.container.kill();
+    } catch (error) {
+      if (!GONE_STATUS_CODES.includes(error.statusCode)) throw error;
+    }
+    await this.exitPromise;
+  }
+
+  // Wait for the container to stop, report how it went and clean it up
+  async watchExit() {
+    let exitCode = null;
+    let oomKilled = false;
+
+    try {
+      const result = await this.container.wait();
+      exitCode = result.StatusCode;
+
+      const info = await this.container.inspect();
+      oomKilled = Boolean(info.State.OOMKilled);
+      if (oomKilled) {
+        this.emit("lifecycle", "oom", { containerId: this.id });
+      }
+    } catch (error) {
+      console.error(`Error waiting for container ${this.name}:`, error);
+    }
+
+    this.exited = true;
+    this.emit("lifecycle", "exited", { containerId: this.id, exitCode, oomKilled });
+    this.emit("exit", { exitCode, oomKilled });
+
+    try {
+      await this.container.remove({ force: true });
+    } catch (error) {
+      if (!GONE_STATUS_CODES.includes(error.statusCode)) {
+        console.error(`Error removing container ${this.name}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Runs sandboxed programs through the Docker Engine API
+ */
+class DockerBackend {
+  constructor(docker) {
+    this.docker =
+      docker ||
+      new Docker(DOCKER_SOCKET_PATH ? { socketPath: DOCKER_SOCKET_PATH } : undefined);
+    this.instanceId = null; // Set by the session manager, for INSTANCE_LABEL
+  }
+
+  labels() {
+    return this.instanceId ? { [INSTANCE_LABEL]: this.instanceId } : {};
+  }
+
+  // Check the daemon is reachable
+  async ping() {
+    await this.docker.ping();
+  }
+
+  async hasImage(image) {
+    try {
+      await this.docker.getImage(image).inspect();
+      return true;
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  // Pull an image the daemon doesn't have yet
+  async ensureImage(image) {
+    if (await this.hasImage(image)) return;
+
+    const stream = await this.docker.pull(image);
+    await new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
+  }
+
+  /**
+   * Build an image by running an install command on top of a base image and
+   * committing the result
+   * @param {Object} options
+   * @param {string} options.baseImage - Image to install into
+   * @param {string} options.tag - Name of the image to produce, "repo:tag"
+   * @param {Object} options.files - Maps file name -> content, copied to /deps
+   * @param {string[]} options.cmd - Install command, run in /deps
+   * @param {string[]} [options.env] - Extra environment, e.g. a mirror URL
+   * @param {string} [options.network] - Docker network the install runs on
+   * @param {number} [options.timeoutSeconds] - Give up after this long
+   * @param {Function} [options.onOutput] - Called with install output
+   * @returns {Promise<{exitCode: number|null, timedOut: boolean}>} How the
+   *   install went; the image only exists if exitCode is 0
+   */
+  async buildImage({
+    baseImage,
+    tag,
+    files,
+    cmd,
+    env = [],
+    network = "bridge",
+    timeoutSeconds = 300,
+    onOutput = () => {},
+  }) {
+    await this.ensureImage(baseImage);
+
+    const container = await this.docker.createContainer({
+      Image: baseImage,
+      Cmd: cmd,
+      Labels: this.labels(),
+      WorkingDir: "/deps",
+      Tty: true,
+      Env: env,
+      HostConfig: {
+        NetworkMode: network,
+        Memory: 1024 * 1024 * 1024,
+        NanoCpus: 1e9,
+      },
+    });
+
+    try {
+      const pack = tar.pack();
+      pack.entry({ name: "deps/", type: "directory" });
+      for (const [fileName, content] of Object.entries(files)) {
+        pack.entry({ name: `deps/${fileName}` }, content);
+      }
+      pack.finalize();
+      await container.putArchive(pack, { path: "/" });
+
+      const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+      const decoder = new StringDecoder("utf8");
+      stream.on("data", (chunk) => {
+        const text = decoder.write(chunk);
+        if (text) onOutput(text);
+      });
+
+      await container.start();
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        container.kill().catch(() => {});
+      }, timeoutSeconds * 1000);
+
+      let exitCode;
+      try {
+        ({ StatusCode: exitCode } = await container.wait());
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (exitCode === 0 && !timedOut) {
+        const [repo, version] = tag.split(":");
+        await container.commit({ repo, tag: version });
+      }
+      return { exitCode, timedOut };
+    } finally {
+      await container.remove({ force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Create a container with a TTY, ready to be started
+   * @param {Object} options
+   * @param {string} options.name - Container name
+   * @param {string} options.image - Image to run
+   * @param {string[]} options.cmd - Command to run
+   * @param {string} options.workspace - Host directory mounted at /workspace
+   * @param {string[]} [options.env] - Extra environment variables
+   * @param {boolean} [options.tty] - Run with a terminal; without one,
+   *   stdout and stderr are reported separately
+   * @param {Object} [options.readOnlyMounts] - Maps host directory -> path
+   *   in the container, mounted read-only
+   * @returns {Promise<ContainerRun>} The created container
+   */
+  async createRun({ name, image, cmd, workspace, env = [], tty = true, readOnlyMounts = {} }) {
+    await this.ensureImage(image);
+
+    // Clear out a container left over from an earlier run of this environment
+    try {
+      await this.docker.getContainer(name).remove({ force: true });
+    } catch (error) {
+      if (!GONE_STATUS_CODES.includes(error.statusCode)) throw error;
+    }
+
+    const container = await this.docker.createContainer({
+      name,
+      Image: image,
+      Cmd: cmd,
+      Labels: this.labels(),
+      WorkingDir: "/workspace",
+      Tty: tty,
+      OpenStdin: true,
+      StdinOnce: false,
+      AttachStdin: true,
+      AttachStdout: true,
+      AttachStderr: true,
+      Env: ["TERM=xterm-color", ...env],
+      HostConfig: {
+        Binds: [
+          `${workspace}:/workspace`,
+          ...Object.entries(readOnlyMounts).map(([host, target]) => `${host}:${target}:ro`),
+        ],
+        NetworkMode: "none",
+        Memory: 256 * 1024 * 1024,
+        NanoCpus: 0.5 * 1e9,
+        // Run under an init process so signals reach the program with their
+        // default behavior instead of being ignored by PID 1
+        Init: true,
+      },
+    });
+
+    return new ContainerRun(container, name, { tty });
+  }
+
+  /**
+   * Containers this server may have created: labelled ones, plus unlabelled
+   * ones from older versions going by their name
+   * @returns {Promise<Object[]>} { id, name, instanceId, createdAt } for
+   *   each, instanceId being null for unlabelled containers
+   */
+  async listManagedContainers() {
+    const [named, labelled] = await Promise.all([
+      this.docker.listContainers({ all: true, filters: { name: [CONTAINER_PREFIX] } }),
+      this.docker.listContainers({ all: true, filters: { label: [INSTANCE_LABEL] } }),
+    ]);
+
+    const containers = new Map();
+    for (const info of [...named, ...labelled]) {
+      containers.set(info.Id, {
+        id: info.Id,
+        name: (info.Names?.[0] || "").replace(/^\//, ""),
+        instanceId: info.Labels?.[INSTANCE_LABEL] || null,
+        createdAt: info.Created * 1000,
+      });
+    }
+    return [...containers.values()];
+  }
+
+  async removeContainer(id) {
+    try {
+      await this.docker.getContainer(id).remove({ force: true });
+    } catch (error) {
+      if (!GONE_STATUS_CODES.includes(error.statusCode)) throw error;
+    }
+  }
+}
+
+export default DockerBackend;
+export { ContainerRun, CONTAINER_PREFIX };
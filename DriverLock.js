@@ -0,0 +1,181 @@
+import { redis, get, set, withLock } from "./redis.js";
+import { hasRole } from "./AccessControl.js";
+import { describeUser } from "./Presence.js";
+
+/**
+ * Thrown when someone other than the driver tries to control the program,
+ * or tries to do something only the driver can
+ */
+class DriverLockError extends Error {
+  constructor(message, driver = null) {
+    super(message);
+    this.name = "DriverLockError";
+    this.code = "NOT_DRIVER";
+    this.driver = driver;
+  }
+}
+
+/**
+ * Who is in control of an environment's program, for classroom demos and
+ * pair programming. While someone holds the lock only they can run, stop,
+ * send input or signals, or change the shared input box. Nobody holds it to
+ * begin with, which leaves every editor in control.
+ *
+ * The lock lives at driver:<env> so every instance agrees on it, and lapses
+ * once its holder leaves the environment.
+ */
+class DriverLock {
+  constructor(manager, presence, access) {
+    this.manager = manager;
+    this.presence = presence;
+    this.access = access;
+  }
+
+  driverKey(environmentId) {
+    return `driver:${environmentId}`;
+  }
+
+  describe(ws) {
+    const { userId, name } = describeUser(ws.user);
+    return { sessionId: ws.sessionId, userId, name, since: Date.now() };
+  }
+
+  /**
+   * The current driver
+   * @param {string} environmentId - The environment
+   * @returns {Promise<Object|null>} { sessionId, userId, name, since }, or
+   *   null if nobody is driving
+   */
+  async get(environmentId) {
+    const driver = await get(this.driverKey(environmentId));
+    if (!driver) return null;
+
+    // The driver may have gone without leaving, e.g. with their instance
+    const entries = await this.presence.list(environmentId);
+    return entries.some((entry) => entry.sessionId === driver.sessionId) ? driver : null;
+  }
+
+  /**
+   * Throw a DriverLockError if someone else is driving
+   * @param {string} environmentId - The environment
+   * @param {Object} caller - { sessionId } of a WebSocket client, or
+   *   { userId } for callers without a session, like the HTTP API
+   */
+  async assertDriver(environmentId, { sessionId = null, userId = null }) {
+    const stored = await get(this.driverKey(environmentId));
+    if (!stored) return;
+    if (sessionId ? stored.sessionId === sessionId : stored.userId === userId) return;
+
+    const driver = await this.get(environmentId);
+    if (driver) {
+      throw new DriverLockError(`${driver.name} is in control of the program`, driver);
+    }
+  }
+
+  async setDriver(environmentId, driver) {
+    if (driver) {
+      await set(this.driverKey(environmentId), driver);
+    } else {
+      await redis.del(this.driverKey(environmentId));
+    }
+
+    const message = JSON.stringify({ event: "driverChanged", data: { environmentId, driver } });
+    this.manager.broadcastToEnvironment(environmentId, message);
+  }
+
+  /**
+   * Ask to take control. Granted straight away if nobody is driving or if
+   * forced; otherwise everyone, the driver included, hears about the request.
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The client asking
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Take control from the driver
+   * @returns {Promise<boolean>} Whether the client is now the driver
+   */
+  async request(environmentId, ws, { force = false } = {}) {
+    return withLock(`lock:${this.driverKey(environmentId)}`, async () => {
+      const driver = await this.get(environmentId);
+      if (driver?.sessionId === ws.sessionId) return true;
+
+      if (!driver || force) {
+        await this.setDriver(environmentId, this.describe(ws));
+        return true;
+      }
+
+      const { since, ...user } = this.describe(ws);
+      const message = JSON.stringify({ event: "driverRequested", data: { environmentId, user } });
+      this.manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
+      return false;
+    });
+  }
+
+  /**
+   * Pass control from the driver to someone else in the environment
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The driver
+   * @param {string} sessionId - Who gets control
+   * @returns {Promise<Object>} The new driver
+   */
+  async handOff(environmentId, ws, sessionId) {
+    return withLock(`lock:${this.driverKey(environmentId)}`, async () => {
+      const driver = await this.get(environmentId);
+      if (driver?.sessionId !== ws.sessionId) {
+        throw new DriverLockError("Only the driver can hand off control", driver);
+      }
+
+      const entry = (await this.presence.list(environmentId)).find(
+        (existing) => existing.sessionId === sessionId
+      );
+      if (!entry) {
+        throw new Error(`${sessionId} is not in this environment`);
+      }
+      const role = await this.access.resolveRole({ id: entry.userId }, environmentId);
+      if (!hasRole(role, "editor")) {
+        throw new Error(`${entry.name} can't control the program as a ${role || "non-member"}`);
+      }
+
+      const next = { sessionId, userId: entry.userId, name: entry.name, since: Date.now() };
+      await this.setDriver(environmentId, next);
+      return next;
+    });
+  }
+
+  /**
+   * Give up control
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The client giving it up
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Release someone else's control
+   * @returns {Promise<boolean>} Whether anyone was driving
+   */
+  async release(environmentId, ws, { force = false } = {}) {
+    return withLock(`lock:${this.driverKey(environmentId)}`, async () => {
+      const driver = await this.get(environmentId);
+      if (!driver) return false;
+      if (driver.sessionId !== ws.sessionId && !force) {
+        throw new DriverLockError("Only the driver can release control", driver);
+      }
+
+      await this.setDriver(environmentId, null);
+      return true;
+    });
+  }
+
+  // Free the lock if a client leaving the environment held it
+  async leave(environmentId, ws) {
+    const stored = await get(this.driverKey(environmentId));
+    if (stored?.sessionId !== ws.sessionId) return;
+
+    // Matched on the stored lock, since the client may already be out of
+    // presence
+    await withLock(`lock:${this.driverKey(environmentId)}`, async () => {
+      const driver = await get(this.driverKey(environmentId));
+      if (driver?.sessionId === ws.sessionId) {
+        await this.setDriver(environmentId, null);
+      }
+    });
+  }
+}
+
+export default DriverLock;
+export { DriverLockError };
@@ -0,0 +1,215 @@
+import { redis } from "./redis.js";
+
+// Limits applied to every run. A value of 0 turns that limit off.
+const limits = {
+  maxRunSeconds: Number(process.env.MAX_RUN_SECONDS ?? 300),
+  // Debug runs spend most of their time paused, so they get longer
+  maxDebugSeconds: Number(process.env.MAX_DEBUG_SECONDS ?? 30 * 60),
+  outputBytesPerSecond: Number(process.env.OUTPUT_BYTES_PER_SECOND ?? 32 * 1024),
+  outputBurstBytes: Number(process.env.OUTPUT_BURST_BYTES ?? 64 * 1024),
+  maxOutputBytes: Number(process.env.MAX_OUTPUT_BYTES ?? 1024 * 1024),
+  maxConcurrentRunsPerUser: Number(process.env.MAX_CONCURRENT_RUNS_PER_USER ?? 3),
+  dailyRunsPerUser: Number(process.env.DAILY_RUNS_PER_USER ?? 1000),
+  dailyRunsPerEnvironment: Number(process.env.DAILY_RUNS_PER_ENVIRONMENT ?? 2000),
+};
+
+const THROTTLE_NOTICE = "\r\n[output throttled: the program is printing too fast, some output was skipped]\r\n";
+
+/**
+ * Thrown when a run would go over one of the run quotas
+ */
+class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QuotaExceededError";
+    this.code = "QUOTA_EXCEEDED";
+    this.reason = "quota";
+  }
+}
+
+/**
+ * Token bucket over a run's output, plus a cap on everything it prints
+ */
+class OutputThrottle {
+  constructor({
+    bytesPerSecond = limits.outputBytesPerSecond,
+    burstBytes = limits.outputBurstBytes,
+    maxBytes = limits.maxOutputBytes,
+  } = {}) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.burstBytes = burstBytes;
+    this.maxBytes = maxBytes;
+    this.tokens = burstBytes;
+    this.lastRefill = Date.now();
+    this.totalBytes = 0;
+    this.dropping = false;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burstBytes,
+      this.tokens + ((now - this.lastRefill) / 1000) * this.bytesPerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Decide how much of a chunk of output may be sent on
+   * @param {string} chunk - Output from the program
+   * @returns {{output: string, limitReached: boolean}} What to send (which
+   *   may include a throttling notice), and whether the run has printed more
+   *   than it's allowed in total
+   */
+  take(chunk) {
+    this.totalBytes += chunk.length;
+    const limitReached = this.maxBytes > 0 && this.totalBytes > this.maxBytes;
+
+    if (this.bytesPerSecond <= 0) {
+      return { output: chunk, limitReached };
+    }
+
+    this.refill();
+    const allowed = Math.max(0, Math.floor(Math.min(this.tokens, chunk.length)));
+    this.tokens -= allowed;
+
+    let output = chunk.slice(0, allowed);
+    if (allowed < chunk.length) {
+      // Only announce the start of each stretch of dropped output
+      if (!this.dropping) output += THROTTLE_NOTICE;
+      this.dropping = true;
+    } else {
+      this.dropping = false;
+    }
+
+    return { output, limitReached };
+  }
+}
+
+// How long a day's run counts are kept, in seconds
+const DAILY_KEY_TTL = 2 * 24 * 60 * 60;
+
+// Check every quota, then count the run against all of them. KEYS are the
+// user's active runs, the user's runs today and the environment's runs
+// today; ARGV is user id ("" for none), the run's active entry, now, when
+// that entry expires, then the three limits (0 for none) and DAILY_KEY_TTL.
+// Returns which quota would be exceeded, or false.
+const ACQUIRE_SCRIPT = `
+local userId, member, now = ARGV[1], ARGV[2], tonumber(ARGV[3])
+local maxConcurrent, maxUserRuns, maxEnvironmentRuns =
+  tonumber(ARGV[5]), tonumber(ARGV[6]), tonumber(ARGV[7])
+local trackActive = userId ~= "" and maxConcurrent > 0
+
+if trackActive then
+  redis.call("zremrangebyscore", KEYS[1], 0, now)
+  redis.call("zrem", KEYS[1], member)
+  if redis.call("zcard", KEYS[1]) >= maxConcurrent then
+    return "concurrent"
+  end
+end
+local userRuns = tonumber(redis.call("get", KEYS[2]) or "0")
+if userId ~= "" and maxUserRuns > 0 and userRuns >= maxUserRuns then
+  return "user"
+end
+local environmentRuns = tonumber(redis.call("get", KEYS[3]) or "0")
+if maxEnvironmentRuns > 0 and environmentRuns >= maxEnvironmentRuns then
+  return "environment"
+end
+
+if trackActive then
+  redis.call("zadd", KEYS[1], ARGV[4], member)
+end
+if userId ~= "" and maxUserRuns > 0 then
+  redis.call("incr", KEYS[2])
+  redis.call("expire", KEYS[2], ARGV[8])
+end
+if maxEnvironmentRuns > 0 then
+  redis.call("incr", KEYS[3])
+  redis.call("expire", KEYS[3], ARGV[8])
+end
+return false
+`;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Per-user and per-environment run quotas, tracked in Redis so they hold
+ * across instances
+ */
+class RunQuotas {
+  activeKey(userId) {
+    return `quota:active:${userId}`;
+  }
+
+  dailyUserKey(userId) {
+    return `quota:runs:user:${userId}:${today()}`;
+  }
+
+  dailyEnvironmentKey(environmentId) {
+    return `quota:runs:env:${environmentId}:${today()}`;
+  }
+
+  // An environment holds one active entry per kind of run, so a test run
+  // and a normal run in it count as two
+  activeMember(environmentId, kind) {
+    return kind === "run" ? environmentId : `${environmentId}:${kind}`;
+  }
+
+  /**
+   * Count a run against the quotas, or throw if it would exceed them. Every
+   * quota is checked before any is counted, in one script, so parallel runs
+   * can't all slip under a limit and a refused run uses up nothing.
+   * @param {string|null} userId - The user starting the run
+   * @param {string} environmentId - The environment being run
+   * @param {string} [kind] - "run", or "test" for a test run
+   * @throws {QuotaExceededError}
+   */
+  async acquire(userId, environmentId, kind = "run") {
+    const now = Date.now();
+    const longest =
+      limits.maxRunSeconds > 0 && limits.maxDebugSeconds > 0
+        ? Math.max(limits.maxRunSeconds, limits.maxDebugSeconds)
+        : 24 * 60 * 60;
+
+    const exceeded = await redis.eval(
+      ACQUIRE_SCRIPT,
+      3,
+      this.activeKey(userId || ""),
+      this.dailyUserKey(userId || ""),
+      this.dailyEnvironmentKey(environmentId),
+      userId || "",
+      this.activeMember(environmentId, kind),
+      now,
+      // Entries expire on their own in case an instance dies mid-run
+      now + longest * 1000 + 60000,
+      limits.maxConcurrentRunsPerUser,
+      limits.dailyRunsPerUser,
+      limits.dailyRunsPerEnvironment,
+      DAILY_KEY_TTL
+    );
+
+    switch (exceeded) {
+      case "concurrent":
+        throw new QuotaExceededError(
+          `You can only run ${limits.maxConcurrentRunsPerUser} programs at once`
+        );
+      case "user":
+        throw new QuotaExceededError(
+          `You have used all ${limits.dailyRunsPerUser} of today's runs`
+        );
+      case "environment":
+        throw new QuotaExceededError(
+          `This environment has used all ${limits.dailyRunsPerEnvironment} of today's runs`
+        );
+    }
+  }
+
+  async release(userId, environmentId, kind = "run") {
+    if (!userId) return;
+    await redis.zrem(this.activeKey(userId), this.activeMember(environmentId, kind));
+  }
+}
+
+export { limits, QuotaExceededError, OutputThrottle, RunQuotas };
@@ -0,0 +1,354 @@
+import { v4 as uuidv4 } from "uuid";
+import crypto from "crypto";
+import { redis, get, set } from "./redis.js";
+
+const {
+  SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000,
+  MAX_SNAPSHOTS = 100,
+  MAX_DIFF_LINES = 2000,
+} = process.env;
+
+// Find the middle snake of a[aLo..aHi) and b[bLo..bHi): the stretch of
+// equal lines halfway along a shortest edit script. vf and vb are scratch
+// arrays indexed by diagonal, offset by `offset`.
+function middleSnake(a, aLo, aHi, b, bLo, bHi, vf, vb, offset) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  vf[offset + 1] = 0;
+  vb[offset + 1] = 0;
+
+  for (let d = 0, max = Math.ceil((n + m) / 2); d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1])
+          ? vf[offset + k + 1]
+          : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      vf[offset + k] = x;
+      if (odd && Math.abs(delta - k) <= d - 1 && x + vb[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y };
+      }
+    }
+
+    // Backwards, where x and y count from the ends
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1])
+          ? vb[offset + k + 1]
+          : vb[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      vb[offset + k] = x;
+      if (!odd && Math.abs(delta - k) <= d && x + vf[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+      }
+    }
+  }
+  throw new Error("No middle snake found");
+}
+
+/**
+ * Line diff between two texts, using the linear-space variant of Myers'
+ * O(ND) algorithm. When what's left after the common start and end is more
+ * than MAX_DIFF_LINES lines on either side, it is shown as replaced
+ * wholesale rather than diffed.
+ * @param {string} oldText - The older version
+ * @param {string} newText - The newer version
+ * @returns {Object[]} Hunks of { op: "equal" | "insert" | "delete", lines }
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split("\n");
+  const b = newText.split("\n");
+  const hunks = [];
+  const push = (op, lines) => {
+    if (lines.length === 0) return;
+    const last = hunks[hunks.length - 1];
+    if (last && last.op === op) {
+      last.lines = last.lines.concat(lines);
+    } else {
+      hunks.push({ op, lines });
+    }
+  };
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const aEnd = a.length - suffix;
+  const bEnd = b.length - suffix;
+  const limit = Number(MAX_DIFF_LINES);
+  push("equal", a.slice(0, prefix));
+  if (aEnd - prefix > limit || bEnd - prefix > limit) {
+    push("delete", a.slice(prefix, aEnd));
+    push("insert", b.slice(prefix, bEnd));
+  } else {
+    const max = Math.ceil((aEnd - prefix + bEnd - prefix) / 2) + 1;
+    const vf = new Int32Array(2 * max + 2);
+    const vb = new Int32Array(2 * max + 2);
+
+    const walk = (aLo, aHi, bLo, bHi) => {
+      while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+        push("equal", [a[aLo++]]);
+        bLo++;
+      }
+      let tail = 0;
+      while (aLo < aHi - tail && bLo < bHi - tail && a[aHi - 1 - tail] === b[bHi - 1 - tail]) {
+        tail++;
+      }
+      if (aLo === aHi - tail || bLo === bHi - tail) {
+        push("delete", a.slice(aLo, aHi - tail));
+        push("insert", b.slice(bLo, bHi - tail));
+      } else {
+        // Both sides are non-empty and differ at either end, so the edit
+        // distance is at least 2 and each half is shorter than the whole
+        const { x, y, u, v } = middleSnake(a, aLo, aHi - tail, b, bLo, bHi - tail, vf, vb, max);
+        walk(aLo, aLo + x, bLo, bLo + y);
+        push("equal", a.slice(aLo + x, aLo + u));
+        walk(aLo + u, aHi - tail, bLo + v, bHi - tail);
+      }
+      push("equal", a.slice(aHi - tail, aHi));
+    };
+    walk(prefix, aEnd, prefix, bEnd);
+  }
+  push("equal", a.slice(aEnd));
+  return hunks;
+}
+
+function hashFiles(files) {
+  const sorted = Object.keys(files)
+    .sort()
+    .reduce((acc, fileName) => {
+      acc[fileName] = files[fileName];
+      return acc;
+    }, {});
+  return crypto.createHash("sha256").update(JSON.stringify(sorted)).digest("hex");
+}
+
+/**
+ * Point-in-time snapshots of an environment's files, kept in Redis.
+ *
+ * Each snapshot is stored whole: snapshots:<env> is a sorted set of ids by
+ * time, snapshotmeta:<env> holds per-snapshot metadata and
+ * snapshot:<env>:<id> holds the files themselves.
+ */
+class FileHistory {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+  }
+
+  indexKey(environmentId) {
+    return `snapshots:${environmentId}`;
+  }
+
+  metaKey(environmentId) {
+    return `snapshotmeta:${environmentId}`;
+  }
+
+  filesKey(environmentId, snapshotId) {
+    return `snapshot:${environmentId}:${snapshotId}`;
+  }
+
+  /**
+   * Snapshot every file in an environment, unless nothing has changed since
+   * the latest snapshot
+   * @param {string} environmentId - The environment
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why it was taken (periodic, run, ...)
+   * @param {string|null} [options.createdBy] - The user that triggered it
+   * @returns {Promise<Object|null>} The snapshot metadata, or null if skipped
+   */
+  async snapshot(environmentId, { reason = "manual", createdBy = null } = {}) {
+    const files = await this.manager.getAllFilesForEnvironment(environmentId);
+    if (Object.keys(files).length === 0) return null;
+
+    const hash = hashFiles(files);
+    const [latestId] = await redis.zrevrange(this.indexKey(environmentId), 0, 0);
+    if (latestId) {
+      const latest = await this.getMeta(environmentId, latestId);
+      if (latest && latest.hash === hash) return null;
+    }
+
+    const meta = {
+      id: uuidv4(),
+      createdAt: Date.now(),
+      reason,
+      createdBy,
+      hash,
+      fileNames: Object.keys(files),
+    };
+
+    await set(this.filesKey(environmentId, meta.id), files);
+    await redis
+      .multi()
+      .hset(this.metaKey(environmentId), meta.id, JSON.stringify(meta))
+      .zadd(this.indexKey(environmentId), meta.createdAt, meta.id)
+      .exec();
+
+    await this.prune(environmentId);
+    return meta;
+  }
+
+  // Drop the oldest snapshots beyond MAX_SNAPSHOTS
+  async prune(environmentId) {
+    const limit = Number(MAX_SNAPSHOTS);
+    const stale = await redis.zrange(this.indexKey(environmentId), 0, -(limit + 1));
+    if (stale.length === 0) return;
+
+    await redis
+      .multi()
+      .zrem(this.indexKey(environmentId), ...stale)
+      .hdel(this.metaKey(environmentId), ...stale)
+      .del(...stale.map((id) => this.filesKey(environmentId, id)))
+      .exec();
+  }
+
+  async getMeta(environmentId, snapshotId) {
+    const value = await redis.hget(this.metaKey(environmentId), snapshotId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async getFiles(environmentId, snapshotId) {
+    const files = await get(this.filesKey(environmentId, snapshotId));
+    if (!files || typeof files !== "object") {
+      throw new Error(`Snapshot ${snapshotId} does not exist`);
+    }
+    return files;
+  }
+
+  /**
+   * List snapshots, newest first
+   * @param {string} environmentId - The environment
+   * @param {string} [fileName] - Only list snapshots containing this file
+   * @returns {Promise<Object[]>} Snapshot metadata
+   */
+  async list(environmentId, fileName) {
+    const ids = await redis.zrevrange(this.indexKey(environmentId), 0, -1);
+    if (ids.length === 0) return [];
+
+    const values = await redis.hmget(this.metaKey(environmentId), ...ids);
+    const snapshots = values
+      .filter(Boolean)
+      .map((value) => JSON.parse(value))
+      .map(({ hash, ...meta }) => meta);
+
+    return fileName
+      ? snapshots.filter((meta) => meta.fileNames.includes(fileName))
+      : snapshots;
+  }
+
+  // "current" refers to the live file rather than a snapshot
+  async getVersion(environmentId, fileName, version) {
+    if (version === "current") {
+      const files = await this.manager.getAllFilesForEnvironment(environmentId);
+      return files[fileName] ?? "";
+    }
+    const files = await this.getFiles(environmentId, version);
+    return files[fileName] ?? "";
+  }
+
+  /**
+   * Diff one file between two versions
+   * @param {string} environmentId - The environment
+   * @param {string} fileName - The file to compare
+   * @param {string} from - A snapshot id, or "current"
+   * @param {string} to - A snapshot id, or "current"
+   * @returns {Promise<Object[]>} Hunks from diffLines
+   */
+  async diff(environmentId, fileName, from, to) {
+    const before = await this.getVersion(environmentId, fileName, from);
+    const after = await this.getVersion(environmentId, fileName, to);
+    return diffLines(before, after);
+  }
+
+  /**
+   * Restore one file, or the whole environment, to a snapshot. The current
+   * state is snapshotted first so a restore can itself be undone.
+   * @param {string} environmentId - The environment
+   * @param {string} snapshotId - The snapshot to restore
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Restore only this file
+   * @param {string|null} [options.restoredBy] - The user restoring
+   * @returns {Promise<Object>} { restored, deleted, crdtUpdates } where
+   *   crdtUpdates maps CRDT-mode files to the update clients need
+   */
+  async restore(environmentId, snapshotId, { fileName, restoredBy = null } = {}) {
+    const files = await this.getFiles(environmentId, snapshotId);
+    if (fileName && !(fileName in files)) {
+      throw new Error(`${fileName} is not in snapshot ${snapshotId}`);
+    }
+
+    await this.snapshot(environmentId, { reason: "restore", createdBy: restoredBy });
+
+    const restored = fileName ? [fileName] : Object.keys(files);
+    const deleted = [];
+    const crdtUpdates = {};
+
+    for (const name of restored) {
+      const { crdtUpdate } = await this.manager.replaceFileContent(
+        environmentId,
+        name,
+        files[name] ?? ""
+      );
+      if (crdtUpdate) crdtUpdates[name] = crdtUpdate;
+    }
+
+    if (!fileName) {
+      // Files created after the snapshot don't belong in a full restore
+      const current = await this.manager.getAllFilesForEnvironment(environmentId);
+      for (const name of Object.keys(current)) {
+        if (!(name in files)) {
+          await this.manager.deleteFile(environmentId, name);
+          deleted.push(name);
+        }
+      }
+    }
+
+    return { restored, deleted, crdtUpdates };
+  }
+
+  /**
+   * Snapshot every environment with connected clients on an interval
+   */
+  startPeriodicSnapshots() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      for (const environmentId of this.manager.clientsMap.keys()) {
+        this.snapshot(environmentId, { reason: "periodic" }).catch((error) => {
+          console.error(`Error snapshotting environment ${environmentId}:`, error);
+        });
+      }
+    }, Number(SNAPSHOT_INTERVAL_MS));
+    this.timer.unref();
+  }
+
+  stopPeriodicSnapshots() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+}
+
+export default FileHistory;
+export { diffLines };
@@ -0,0 +1,266 @@
+import { Database } from "./DatabaseClasses.ts";
+import { redis, withLock } from "./redis.js";
+
+// How often pending file writes are flushed to Postgres, which bounds how
+// much a Redis failure can lose
+const FILE_FLUSH_INTERVAL_MS = Number(process.env.FILE_FLUSH_INTERVAL_MS) || 2000;
+
+// How many pending writes go to Postgres per query
+const FILE_FLUSH_BATCH_SIZE = Number(process.env.FILE_FLUSH_BATCH_SIZE) || 500;
+
+// Files and folder sets written to Redis but not yet to Postgres, as JSON
+// [environmentId, fileName] pairs. A null fileName stands for the folders.
+const DIRTY_KEY = "files:dirty";
+
+// Pending writes that are deletions, so a file evicted from Redis isn't
+// mistaken for a deleted one
+const DELETED_KEY = "files:deleted";
+
+/**
+ * Keeps environment files in Postgres, with Redis as the hot copy.
+ *
+ * Every write lands in Redis first, along with a note in files:dirty, and is
+ * flushed to Postgres in batches within FILE_FLUSH_INTERVAL_MS. Any instance
+ * can flush any note, so a write survives the instance that made it.
+ *
+ * An environment is loaded from Postgres into Redis the first time it's
+ * touched after Redis lost it. One Postgres has never seen, e.g. from before
+ * this store existed, is copied the other way instead; migrate-files.js does
+ * the same for every environment up front.
+ *
+ * Redis must not evict file keys (noeviction or a volatile-* policy), since
+ * the loaded marker would outlive them. The tables are created by
+ * migrate-schema.js.
+ */
+class FileStore {
+  constructor(manager, database = null) {
+    this.manager = manager;
+    this.database = database;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  getDatabase() {
+    // Created lazily so the socket server can boot without DATABASE_URL set
+    if (!this.database) {
+      this.database = new Database();
+    }
+    return this.database;
+  }
+
+  loadedKey(environmentId) {
+    return `files-loaded:${environmentId}`;
+  }
+
+  async query(strings, ...values) {
+    const result = await this.getDatabase().execute(strings, ...values);
+    if (!result.ok) {
+      throw new Error("File store query failed");
+    }
+    return result;
+  }
+
+  /**
+   * Note a file write in the same Redis transaction that makes it
+   * @param {Object} pipeline - The ioredis multi or pipeline doing the write
+   * @param {string} environmentId - The environment
+   * @param {string} fileName - The file written
+   * @returns {Object} The pipeline
+   */
+  recordWrite(pipeline, environmentId, fileName) {
+    const member = JSON.stringify([environmentId, fileName]);
+    return pipeline.sadd(DIRTY_KEY, member).srem(DELETED_KEY, member);
+  }
+
+  // Note a file deletion, as recordWrite does for writes
+  recordDelete(pipeline, environmentId, fileName) {
+    const member = JSON.stringify([environmentId, fileName]);
+    return pipeline.sadd(DIRTY_KEY, member).sadd(DELETED_KEY, member);
+  }
+
+  // Note a change to the environment's recorded folders
+  recordFolders(pipeline, environmentId) {
+    return pipeline.sadd(DIRTY_KEY, JSON.stringify([environmentId, null]));
+  }
+
+  /**
+   * Make sure Redis holds the environment's files, loading them from
+   * Postgres if it doesn't
+   * @param {string} environmentId - The environment
+   */
+  async ensureLoaded(environmentId) {
+    const loadedKey = this.loadedKey(environmentId);
+    if (await redis.exists(loadedKey)) return;
+
+    await withLock(`lock:${loadedKey}`, async () => {
+      if (await redis.exists(loadedKey)) return;
+
+      const [files, folders] = await Promise.all([
+        this.query`
+          SELECT path, content FROM environment_files WHERE environment_id = ${environmentId};
+        `,
+        this.query`
+          SELECT path FROM environment_folders WHERE environment_id = ${environmentId};
+        `,
+      ]);
+
+      if (files.rows.length === 0 && folders.rows.length === 0) {
+        // Nothing stored yet, so whatever Redis has is the only copy
+        await this.migrateEnvironment(environmentId);
+      } else {
+        // Keep anything Redis still has, it's at least as new
+        const pipeline = redis.pipeline();
+        for (const row of files.rows) {
+          pipeline.set(this.manager.fileKey(environmentId, row.path), row.content, "NX");
+        }
+        if (folders.rows.length > 0) {
+          pipeline.sadd(
+            this.manager.foldersKey(environmentId),
+            ...folders.rows.map((row) => row.path)
+          );
+        }
+        await pipeline.exec();
+      }
+
+      await redis.set(loadedKey, Date.now());
+    });
+  }
+
+  /**
+   * Queue every file and folder Redis holds for an environment to be
+   * written to Postgres
+   * @param {string} environmentId - The environment
+   * @returns {Promise<number>} How many files were queued
+   */
+  async migrateEnvironment(environmentId) {
+    const fileNames = Object.keys(await this.manager.getAllFilesForEnvironment(environmentId));
+    const pipeline = redis.pipeline();
+    for (const fileName of fileNames) {
+      this.recordWrite(pipeline, environmentId, fileName);
+    }
+    this.recordFolders(pipeline, environmentId);
+    await pipeline.exec();
+    return fileNames.length;
+  }
+
+  /**
+   * Write one batch of pending changes to Postgres
+   * @returns {Promise<number>} How many were written; 0 once none are left
+   */
+  async flush() {
+    const members = (await redis.spop(DIRTY_KEY, FILE_FLUSH_BATCH_SIZE)) || [];
+    if (members.length === 0) return 0;
+
+    try {
+      await this.write(members.map((member) => JSON.parse(member)));
+    } catch (error) {
+      // Put them back for the next flush. Anything written since is already
+      // back in the set, which is harmless.
+      await redis.sadd(DIRTY_KEY, ...members);
+      throw error;
+    }
+    return members.length;
+  }
+
+  async write(entries) {
+    const files = entries.filter(([, fileName]) => fileName !== null);
+    const folderEnvironments = entries
+      .filter(([, fileName]) => fileName === null)
+      .map(([environmentId]) => environmentId);
+
+    if (files.length > 0) {
+      const pipeline = redis.pipeline();
+      for (const [environmentId, fileName] of files) {
+        pipeline.get(this.manager.fileKey(environmentId, fileName));
+        pipeline.sismember(DELETED_KEY, JSON.stringify([environmentId, fileName]));
+      }
+      const results = await pipeline.exec();
+
+      const writes = { environmentIds: [], paths: [], contents: [] };
+      const deletes = { environmentIds: [], paths: [] };
+      files.forEach(([environmentId, fileName], i) => {
+        const content = results[i * 2][1];
+        const deleted = results[i * 2 + 1][1] === 1;
+        if (content !== null) {
+          writes.environmentIds.push(environmentId);
+          writes.paths.push(fileName);
+          writes.contents.push(content);
+        } else if (deleted) {
+          deletes.environmentIds.push(environmentId);
+          deletes.paths.push(fileName);
+        } else {
+          console.warn(`${fileName} in ${environmentId} left Redis before it was saved`);
+        }
+      });
+
+      if (writes.paths.length > 0) {
+        await this.query`
+          INSERT INTO environment_files (environment_id, path, content)
+          SELECT * FROM unnest(${writes.environmentIds}::text[], ${writes.paths}::text[], ${writes.contents}::text[])
+          ON CONFLICT (environment_id, path)
+          DO UPDATE SET content = EXCLUDED.content, updated_at = now();
+        `;
+      }
+      if (deletes.paths.length > 0) {
+        await this.query`
+          DELETE FROM environment_files f
+          USING unnest(${deletes.environmentIds}::text[], ${deletes.paths}::text[]) AS d(environment_id, path)
+          WHERE f.environment_id = d.environment_id AND f.path = d.path;
+        `;
+        await redis.srem(
+          DELETED_KEY,
+          ...deletes.paths.map((fileName, i) =>
+            JSON.stringify([deletes.environmentIds[i], fileName])
+          )
+        );
+      }
+    }
+
+    for (const environmentId of folderEnvironments) {
+      const folders = await redis.smembers(this.manager.foldersKey(environmentId));
+      // One statement, so the set is never half replaced
+      await this.query`
+        WITH removed AS (
+          DELETE FROM environment_folders
+          WHERE environment_id = ${environmentId} AND NOT (path = ANY(${folders}::text[]))
+        )
+        INSERT INTO environment_folders (environment_id, path)
+        SELECT ${environmentId}, unnest(${folders}::text[])
+        ON CONFLICT DO NOTHING;
+      `;
+    }
+  }
+
+  // Flush until nothing is pending. Overlapping calls share one run.
+  flushAll() {
+    if (!this.flushing) {
+      this.flushing = (async () => {
+        while ((await this.flush()) > 0);
+      })().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Flush pending writes on an interval
+   */
+  startFlushing() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flushAll().catch((error) => {
+        console.error("Error flushing files to Postgres:", error);
+      });
+    }, FILE_FLUSH_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stopFlushing() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default FileStore;
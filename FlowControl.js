@@ -0,0 +1,296 @@
+import { archiveLimits } from "./Archives.js";
+import { getUserId } from "./AccessControl.js";
+import { ProtocolError } from "./protocol.js";
+import { rateLimitedMessages, slowClientDisconnects } from "./metrics.js";
+
+// Limits on what clients send and on how far behind they may fall. A value
+// of 0 turns that limit off.
+const flowLimits = {
+  // Largest WebSocket message accepted at all. Big enough for an import of
+  // the largest archive allowed, base64 encoded.
+  maxMessageBytes:
+    Number(process.env.MAX_MESSAGE_BYTES) ||
+    Math.ceil((archiveLimits.maxArchiveBytes * 4) / 3) + 64 * 1024,
+  // Largest message for every event but the bulk ones
+  maxEventBytes: Number(process.env.MAX_EVENT_BYTES ?? 256 * 1024),
+  // Scales every rate limit; 0 turns rate limiting off
+  rateLimitScale: Number(process.env.RATE_LIMIT_SCALE ?? 1),
+  // Once this much is waiting to go out to a client, cursor, presence and
+  // output events for it are held back and coalesced
+  slowClientBytes: Number(process.env.SLOW_CLIENT_BYTES ?? 1024 * 1024),
+  // Once this much is waiting, the client is disconnected. It can resume.
+  maxBufferedBytes: Number(process.env.MAX_BUFFERED_BYTES ?? 8 * 1024 * 1024),
+};
+
+// Events whose messages can go up to maxMessageBytes
+const BULK_EVENTS = new Set(["importEnvironment", "run", "setTests", "crdtUpdate"]);
+
+// Token buckets per event: rate is messages per second, burst the most that
+// can be sent at once. A user's connections also share a bucket
+// USER_RATE_MULTIPLIER times as large.
+const RATE_LIMITS = {
+  diffLine: { rate: 50, burst: 200 },
+  crdtUpdate: { rate: 50, burst: 200 },
+  cursorMove: { rate: 20, burst: 40 },
+  presenceUpdate: { rate: 20, burst: 40 },
+  inputChange: { rate: 10, burst: 30 },
+  input: { rate: 50, burst: 200 },
+  resize: { rate: 5, burst: 20 },
+  run: { rate: 0.5, burst: 5 },
+  test: { rate: 0.2, burst: 3 },
+  importEnvironment: { rate: 0.1, burst: 3 },
+  exportEnvironment: { rate: 0.2, burst: 5 },
+  default: { rate: 10, burst: 50 },
+};
+const USER_RATE_MULTIPLIER = 3;
+
+// Events that are dropped rather than refused when over the limit, since
+// only the latest one matters
+const LOSSY_EVENTS = new Set(["cursorMove", "presenceUpdate", "inputChange"]);
+
+// How often a slow client is checked for having caught up
+const HELD_FLUSH_INTERVAL_MS = 100;
+
+/**
+ * Thrown when a client sends an event faster than its rate limit allows
+ */
+class RateLimitError extends Error {
+  constructor(event, retryAfterMs) {
+    super(`Too many ${event} messages, try again in ${Math.ceil(retryAfterMs)}ms`);
+    this.name = "RateLimitError";
+    this.code = "RATE_LIMITED";
+    this.retryAfterMs = Math.ceil(retryAfterMs);
+  }
+}
+
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  // How long until a token is free, 0 if one is now
+  wait() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.rate) * 1000;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.burst;
+  }
+}
+
+/**
+ * Per-connection and per-user rate limits on each event. User buckets are
+ * kept on this instance only, so a user spread over several instances gets
+ * a bucket on each.
+ */
+class RateLimiter {
+  constructor(scale = flowLimits.rateLimitScale) {
+    this.scale = scale;
+    this.connectionBuckets = new WeakMap();
+    this.userBuckets = new Map();
+    this.timer = null;
+  }
+
+  bucket(buckets, key, multiplier) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      const { rate, burst } = RATE_LIMITS[key.split(":").pop()] || RATE_LIMITS.default;
+      bucket = new TokenBucket(rate * this.scale * multiplier, burst * this.scale * multiplier);
+      buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Count a message against the client's limits
+   * @param {WebSocket} ws - The client, with user attached
+   * @param {string} event - The message's event
+   * @returns {boolean} Whether to handle it; false for a lossy event over
+   *   the limit, which should be dropped without a word
+   * @throws {RateLimitError} For any other event over the limit
+   */
+  take(ws, event) {
+    if (this.scale <= 0) return true;
+
+    if (!this.connectionBuckets.has(ws)) {
+      this.connectionBuckets.set(ws, new Map());
+    }
+    const buckets = [this.bucket(this.connectionBuckets.get(ws), event, 1)];
+    const userId = getUserId(ws.user);
+    if (userId) {
+      buckets.push(this.bucket(this.userBuckets, `${userId}:${event}`, USER_RATE_MULTIPLIER));
+    }
+
+    // Only take from either once both have room
+    const wait = Math.max(...buckets.map((bucket) => bucket.wait()));
+    if (wait > 0) {
+      rateLimitedMessages.inc({ event });
+      if (LOSSY_EVENTS.has(event)) return false;
+      throw new RateLimitError(event, wait);
+    }
+    buckets.forEach((bucket) => bucket.take());
+    return true;
+  }
+
+  /**
+   * Forget user buckets that have refilled, on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      for (const [key, bucket] of this.userBuckets) {
+        if (bucket.isFull()) this.userBuckets.delete(key);
+      }
+    }, 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Throw unless a message is within the size allowed for its event
+ * @param {string} event - The message's event
+ * @param {number} bytes - The message's size
+ * @throws {ProtocolError}
+ */
+function assertMessageSize(event, bytes) {
+  if (flowLimits.maxEventBytes > 0 && bytes > flowLimits.maxEventBytes && !BULK_EVENTS.has(event)) {
+    throw new ProtocolError(`${event} messages can be at most ${flowLimits.maxEventBytes} bytes`, {
+      code: "MESSAGE_TOO_LARGE",
+    });
+  }
+}
+
+// Messages held back from slow clients, by client, then by what they
+// coalesce under
+const heldMessages = new WeakMap();
+
+// What a message can be coalesced under for a slow client, or null if it
+// must be sent as is. Only the latest cursor and presence of each client and
+// the latest input box matter; output is merged.
+function coalesceKey(message) {
+  const event = /^\{"event":"(\w+)"/.exec(message)?.[1];
+  switch (event) {
+    case "movedCursor":
+      return `movedCursor:${JSON.parse(message).data?.id}`;
+    case "presenceUpdated":
+      return `presenceUpdated:${JSON.parse(message).data?.sessionId}`;
+    case "inputChanged":
+    case "output":
+      return event;
+    default:
+      return null;
+  }
+}
+
+function disconnectSlowClient(client) {
+  console.warn(`Disconnecting ${client.sessionId}, which fell too far behind`);
+  slowClientDisconnects.inc();
+  heldMessages.delete(client);
+  client.terminate();
+}
+
+function hold(client, key, message) {
+  let held = heldMessages.get(client);
+  if (!held) {
+    held = { messages: new Map(), outputBytes: 0 };
+    heldMessages.set(client, held);
+
+    const timer = setInterval(() => {
+      if (heldMessages.get(client) !== held || client.readyState !== client.OPEN) {
+        clearInterval(timer);
+      } else if (client.bufferedAmount <= flowLimits.slowClientBytes) {
+        clearInterval(timer);
+        flushHeld(client);
+      }
+    }, HELD_FLUSH_INTERVAL_MS);
+    timer.unref();
+  }
+
+  if (key !== "output") {
+    held.messages.set(key, message);
+    return;
+  }
+
+  // Merge output under the latest seq, which covers everything merged in
+  const next = JSON.parse(message);
+  const previous = held.messages.get(key);
+  if (previous) {
+    const merged = JSON.parse(previous);
+    next.data.output = merged.data.output + next.data.output;
+  }
+  held.outputBytes = next.data.output.length;
+  held.messages.set(key, JSON.stringify(next));
+
+  if (flowLimits.maxBufferedBytes > 0 && held.outputBytes > flowLimits.maxBufferedBytes) {
+    disconnectSlowClient(client);
+  }
+}
+
+function flushHeld(client) {
+  const held = heldMessages.get(client);
+  if (!held) return;
+
+  heldMessages.delete(client);
+  if (client.readyState === client.OPEN) {
+    held.messages.forEach((message) => client.send(message));
+  }
+}
+
+/**
+ * Send a message to a client, minding how far behind it is. While too much
+ * is waiting to go out to it, cursor, presence and output events are held
+ * back and coalesced; anything else is sent after what was held back, so
+ * order is kept. A client that falls further behind is disconnected, and
+ * can resume once it has caught up.
+ * @param {WebSocket} client - The client
+ * @param {string} message - The serialized event
+ */
+function sendToClient(client, message) {
+  if (client.readyState !== client.OPEN) return;
+
+  if (flowLimits.maxBufferedBytes > 0 && client.bufferedAmount > flowLimits.maxBufferedBytes) {
+    disconnectSlowClient(client);
+    return;
+  }
+
+  const slow = flowLimits.slowClientBytes > 0 && client.bufferedAmount > flowLimits.slowClientBytes;
+  if (slow || heldMessages.has(client)) {
+    const key = coalesceKey(message);
+    if (key) {
+      hold(client, key, message);
+      return;
+    }
+    flushHeld(client);
+  }
+  client.send(message);
+}
+
+export {
+  flowLimits,
+  RateLimitError,
+  TokenBucket,
+  RateLimiter,
+  assertMessageSize,
+  sendToClient,
+};
@@ -0,0 +1,340 @@
+import { Hono } from "hono";
+import { getCookie } from "hono/cookie";
+import { HTTPException } from "hono/http-exception";
+import { z } from "zod/v4";
+import { redis } from "./redis.js";
+import { assertRole, getUserId, verifySessionToken } from "./AccessControl.js";
+import { normalizePath } from "./paths.js";
+import { ProtocolError, describeProtocol } from "./protocol.js";
+import { register } from "./metrics.js";
+import { checkReadiness } from "./health.js";
+
+// How long POST /runs?wait=true holds the request open, at most
+const MAX_RUN_WAIT_SECONDS = Number(process.env.MAX_RUN_WAIT_SECONDS) || 120;
+
+// HTTP status for each error code the rest of the server uses
+const STATUS_BY_CODE = {
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  NOT_DRIVER: 409,
+  INVALID_REQUEST: 400,
+  INVALID_PATH: 400,
+  INVALID_ARCHIVE: 400,
+  INVALID_TESTS: 400,
+  INVALID_REVISION: 409,
+  REVISION_TOO_OLD: 409,
+  QUOTA_EXCEEDED: 429,
+};
+
+const writeFileBody = z.object({ content: z.string() });
+const renameFileBody = z.object({ newName: z.string().min(1).max(1024) });
+const runBody = z.object({
+  fileNames: z.array(z.string().min(1).max(1024)).optional(),
+  runtime: z.string().optional(),
+  wait: z.boolean().optional(),
+  timeoutSeconds: z.number().positive().optional(),
+});
+const auditQuery = z.object({
+  userId: z.string().min(1).optional(),
+  action: z.string().min(1).optional(),
+  since: z.coerce.number().int().nonnegative().optional(),
+  until: z.coerce.number().int().nonnegative().optional(),
+  before: z.string().regex(/^\d+$/).optional(),
+  limit: z.coerce.number().int().min(1).max(1000).optional(),
+});
+
+function notFound(message) {
+  return new HTTPException(404, { message });
+}
+
+// Reject the request unless the caller's role is at least the given one
+function requireRole(required) {
+  return async (c, next) => {
+    assertRole(c.get("role"), required, c.req.param("environmentId"));
+    await next();
+  };
+}
+
+function formatIssues(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+  }));
+}
+
+async function readBody(c, schema) {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch (error) {
+    throw new ProtocolError(`Invalid JSON: ${error.message}`);
+  }
+
+  const parsed = schema.safeParse(body);
+  if (!parsed.success) {
+    throw new ProtocolError("Invalid request body", { issues: formatIssues(parsed.error) });
+  }
+  return parsed.data;
+}
+
+function readQuery(c, schema) {
+  const parsed = schema.safeParse(c.req.query());
+  if (!parsed.success) {
+    throw new ProtocolError("Invalid query string", { issues: formatIssues(parsed.error) });
+  }
+  return parsed.data;
+}
+
+// Resolve once the run exits, or after timeoutSeconds, whichever is first
+function waitForExit(run, timeoutSeconds) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutSeconds * 1000);
+    run.once("exit", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * HTTP API over the same state the WebSocket server uses, for backends, CI
+ * jobs and LMS integrations. Requests authenticate with the same session
+ * token, sent as "Authorization: Bearer <token>" or the session_token cookie.
+ * Changes are broadcast to WebSocket clients as if one of them had made them.
+ *
+ * @param {Object} services
+ * @param {ContainerSessionManager} services.manager
+ * @param {AccessControl} services.access
+ * @param {FileHistory} services.history
+ * @param {DriverLock} services.drivers
+ * @param {AuditLog} services.audit
+ * @returns {Hono} The app
+ */
+function createHttpApi({ manager, access, history, drivers, audit }) {
+  const app = new Hono();
+
+  const broadcastFiles = async (environmentId) => {
+    const message = JSON.stringify({
+      event: "files",
+      data: await manager.getFilesPayload(environmentId),
+    });
+    manager.broadcastToEnvironment(environmentId, message);
+  };
+
+  app.onError((error, c) => {
+    const status =
+      error instanceof HTTPException ? error.status : STATUS_BY_CODE[error.code] || 500;
+    if (status === 500) {
+      console.error("Error handling API request:", error);
+    }
+    return c.json(
+      {
+        error: {
+          message: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.issues?.length > 0 && { issues: error.issues }),
+        },
+      },
+      status
+    );
+  });
+
+  app.get("/protocol", (c) => c.json(describeProtocol()));
+
+  // Health and metrics, for the orchestrator and monitoring. Unauthenticated,
+  // like the rest of the routes outside /environments.
+
+  app.get("/healthz", (c) =>
+    c.json({
+      status: "ok",
+      instanceId: manager.cluster.instanceId,
+      uptimeSeconds: Math.round(process.uptime()),
+    })
+  );
+
+  app.get("/readyz", async (c) => {
+    const { ready, checks } = await checkReadiness({
+      backend: manager.backend,
+      getDatabase: () => access.getDatabase(),
+    });
+    return c.json({ status: ready ? "ok" : "unavailable", checks }, ready ? 200 : 503);
+  });
+
+  app.get("/metrics", async (c) => {
+    c.header("Content-Type", register.contentType);
+    return c.body(await register.metrics());
+  });
+
+  app.use("/environments/*", async (c, next) => {
+    const header = c.req.header("Authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : getCookie(c, "session_token");
+    if (!token) {
+      throw new HTTPException(401, { message: "No session token" });
+    }
+
+    try {
+      c.set("user", await verifySessionToken(token));
+    } catch {
+      throw new HTTPException(401, { message: "Invalid session token" });
+    }
+    await next();
+  });
+
+  app.use("/environments/:environmentId/*", async (c, next) => {
+    const environmentId = c.req.param("environmentId");
+    c.set("role", await access.assertAccess(c.get("user"), environmentId));
+    await manager.files.ensureLoaded(environmentId);
+    await next();
+  });
+
+  // Files
+
+  app.get("/environments/:environmentId/files", async (c) => {
+    return c.json(await manager.getFilesPayload(c.req.param("environmentId")));
+  });
+
+  app.get("/environments/:environmentId/files/:path{.+}", async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const fileName = normalizePath(c.req.param("path"));
+
+    const content = await redis.get(manager.fileKey(environmentId, fileName));
+    if (content === null) {
+      throw notFound(`${fileName} does not exist`);
+    }
+    const revisions = await manager.getRevisions(environmentId, [fileName]);
+    return c.json({ fileName, content, revision: revisions[fileName] });
+  });
+
+  app.put("/environments/:environmentId/files/:path{.+}", requireRole("editor"), async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const fileName = normalizePath(c.req.param("path"));
+    const { content } = await readBody(c, writeFileBody);
+
+    const created = !(await redis.exists(manager.fileKey(environmentId, fileName)));
+    const { revision, crdtUpdate } = await manager.replaceFileContent(
+      environmentId,
+      fileName,
+      content
+    );
+    audit.record({ user: c.get("user") }, environmentId, "write", { fileName, created });
+
+    if (crdtUpdate) {
+      manager.broadcastToEnvironment(
+        environmentId,
+        JSON.stringify({ event: "crdtUpdated", data: { fileName, update: crdtUpdate } })
+      );
+    }
+    await broadcastFiles(environmentId);
+    return c.json({ fileName, revision }, created ? 201 : 200);
+  });
+
+  app.patch("/environments/:environmentId/files/:path{.+}", requireRole("editor"), async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const oldName = normalizePath(c.req.param("path"));
+    const body = await readBody(c, renameFileBody);
+    const newName = normalizePath(body.newName);
+
+    if (!(await redis.exists(manager.fileKey(environmentId, oldName)))) {
+      throw notFound(`${oldName} does not exist`);
+    }
+    await history.snapshot(environmentId, { reason: "rename", createdBy: getUserId(c.get("user")) });
+    await manager.renameFile(environmentId, oldName, newName);
+    audit.record({ user: c.get("user") }, environmentId, "rename", { oldName, newName });
+
+    await broadcastFiles(environmentId);
+    return c.json({ oldName, newName });
+  });
+
+  app.delete("/environments/:environmentId/files/:path{.+}", requireRole("editor"), async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const fileName = normalizePath(c.req.param("path"));
+
+    if (!(await redis.exists(manager.fileKey(environmentId, fileName)))) {
+      throw notFound(`${fileName} does not exist`);
+    }
+    await history.snapshot(environmentId, { reason: "delete", createdBy: getUserId(c.get("user")) });
+    await manager.deleteFile(environmentId, fileName);
+    audit.record({ user: c.get("user") }, environmentId, "delete", { fileName });
+
+    await broadcastFiles(environmentId);
+    return c.body(null, 204);
+  });
+
+  // Runs
+
+  app.post("/environments/:environmentId/runs", requireRole("editor"), async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const { fileNames, runtime, wait = false, timeoutSeconds } = await readBody(c, runBody);
+    const startedBy = getUserId(c.get("user"));
+
+    // Respect the driver lock, going by user since there's no session here
+    await drivers.assertDriver(environmentId, { userId: startedBy });
+
+    // Run every file unless told otherwise
+    const names = fileNames
+      ? fileNames.map((fileName) => normalizePath(fileName))
+      : Object.keys(await manager.getAllFilesForEnvironment(environmentId));
+
+    await history
+      .snapshot(environmentId, { reason: "run", createdBy: startedBy })
+      .catch((error) => console.error("Error taking run snapshot:", error));
+
+    const success = await manager.startSession(environmentId, names, null, null, {
+      runtimeId: runtime,
+      startedBy,
+    });
+    const session = manager.sessions.get(environmentId);
+    audit.record({ user: c.get("user") }, environmentId, "run", {
+      fileNames: names,
+      runtime: session ? session.runtime : null,
+      success,
+    });
+    const runId = manager.sessionStatus.get(environmentId)?.containerId || null;
+
+    if (success && wait && session) {
+      const waitSeconds = Math.min(timeoutSeconds || MAX_RUN_WAIT_SECONDS, MAX_RUN_WAIT_SECONDS);
+      await waitForExit(session.run, waitSeconds);
+    }
+
+    const { status, scrollback } = await manager.getSessionSnapshot(environmentId);
+    return c.json(
+      { success, runId, status, output: scrollback },
+      !success ? 422 : status?.running ? 202 : 200
+    );
+  });
+
+  app.get("/environments/:environmentId/runs/:runId", async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const runId = c.req.param("runId");
+
+    // Only the latest run of an environment is kept
+    const { status, scrollback } = await manager.getSessionSnapshot(environmentId);
+    if (!status || status.containerId !== runId) {
+      throw notFound(`Run ${runId} not found`);
+    }
+    return c.json({ runId, status, output: scrollback });
+  });
+
+  app.get("/environments/:environmentId/session", async (c) => {
+    const { status, scrollback } = await manager.getSessionSnapshot(c.req.param("environmentId"));
+    return c.json({
+      running: Boolean(status?.running),
+      runId: status?.containerId || null,
+      status,
+      output: scrollback,
+    });
+  });
+
+  // Audit log
+
+  app.get("/environments/:environmentId/audit", requireRole("owner"), async (c) => {
+    const environmentId = c.req.param("environmentId");
+    const filters = readQuery(c, auditQuery);
+    return c.json(await audit.list({ ...filters, environmentId }));
+  });
+
+  return app;
+}
+
+export default createHttpApi;
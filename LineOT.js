@@ -0,0 +1,222 @@
+// Line-based operational transform for the diffLine protocol.
+//
+// Ops are normalized into three primitives:
+//   { op: "insert",  lineNumber, lines: [...] }
+//   { op: "delete",  lineNumber, count }
+//   { op: "replace", lineNumber, lines: [...] }
+// A single client request may expand into several primitives once it has
+// been transformed or applied, so most functions here work on arrays.
+
+const OPS = ["insert", "delete", "replace"];
+
+/**
+ * Thrown when a diffLine names a base revision the server can't transform
+ * from. The client should refetch the file and retry.
+ */
+class RevisionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "RevisionError";
+    this.code = code;
+  }
+}
+
+/**
+ * Turn a diffLine payload into a primitive op
+ * @param {Object} data - { op, lineNumber, lineContent, count }
+ * @returns {Object} The normalized primitive
+ */
+function normalizeOp({ op, lineNumber, lineContent, count }) {
+  if (!OPS.includes(op)) {
+    throw new Error(`Unknown diffLine op: ${op}`);
+  }
+  if (!Number.isInteger(lineNumber) || lineNumber < 0) {
+    throw new Error("lineNumber must be a non-negative integer");
+  }
+
+  if (op === "delete") {
+    return {
+      op,
+      lineNumber,
+      count: typeof count === "number" && count > 0 ? Math.floor(count) : 1,
+    };
+  }
+
+  const lines = Array.isArray(lineContent) ? lineContent : [lineContent];
+  return { op, lineNumber, lines: lines.map((line) => String(line ?? "")) };
+}
+
+// Where an existing line ends up after `other` is applied, or null if
+// `other` deleted it
+function mapLine(index, other) {
+  if (other.op === "insert") {
+    return index >= other.lineNumber ? index + other.lines.length : index;
+  }
+  if (other.op === "delete") {
+    if (index < other.lineNumber) return index;
+    if (index < other.lineNumber + other.count) return null;
+    return index - other.count;
+  }
+  return index;
+}
+
+// Where a gap between lines (an insert position) ends up after `other` is
+// applied. Ties go after `other`, since it was accepted first.
+function mapPosition(position, other) {
+  if (other.op === "insert") {
+    return position >= other.lineNumber
+      ? position + other.lines.length
+      : position;
+  }
+  if (other.op === "delete") {
+    if (position <= other.lineNumber) return position;
+    if (position <= other.lineNumber + other.count) return other.lineNumber;
+    return position - other.count;
+  }
+  return position;
+}
+
+// Group surviving [newIndex, payloadIndex] pairs into contiguous runs
+function contiguousRuns(mapped) {
+  const runs = [];
+  for (const entry of mapped) {
+    const last = runs[runs.length - 1];
+    if (last && entry[0] === last[last.length - 1][0] + 1) {
+      last.push(entry);
+    } else {
+      runs.push([entry]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Transform a primitive so it can be applied after `other`
+ * @param {Object} op - The primitive to transform
+ * @param {Object} other - A concurrent primitive that has already been applied
+ * @returns {Object[]} Zero or more primitives with the same intent as `op`
+ */
+function transformOp(op, other) {
+  if (op.op === "insert") {
+    return [{ ...op, lineNumber: mapPosition(op.lineNumber, other) }];
+  }
+
+  const size = op.op === "delete" ? op.count : op.lines.length;
+  const mapped = [];
+  for (let i = 0; i < size; i++) {
+    const index = mapLine(op.lineNumber + i, other);
+    if (index !== null) mapped.push([index, i]);
+  }
+
+  const runs = contiguousRuns(mapped);
+
+  if (op.op === "delete") {
+    // Highest range first so earlier deletes don't shift later ones
+    return runs
+      .map((run) => ({ op: "delete", lineNumber: run[0][0], count: run.length }))
+      .reverse();
+  }
+
+  return runs.map((run) => ({
+    op: "replace",
+    lineNumber: run[0][0],
+    lines: run.map(([, i]) => op.lines[i]),
+  }));
+}
+
+/**
+ * Transform a list of primitives against a list of already-applied ones
+ * @param {Object[]} ops - The primitives to transform
+ * @param {Object[]} applied - Primitives applied since the ops' base revision
+ * @returns {Object[]} The transformed primitives
+ */
+function transformOps(ops, applied) {
+  let result = ops;
+  for (const other of applied) {
+    result = result.flatMap((op) => transformOp(op, other));
+  }
+  return result;
+}
+
+/**
+ * Apply primitives to an array of lines in place
+ * @param {string[]} lines - The file's lines
+ * @param {Object[]} ops - The primitives to apply
+ * @returns {Object[]} The primitives as actually applied (deletes clamped to
+ *   the file length, replaces past the end turned into inserts)
+ */
+function applyOps(lines, ops) {
+  const applied = [];
+
+  for (const op of ops) {
+    if (op.op === "insert") {
+      const lineNumber = Math.min(op.lineNumber, lines.length);
+      lines.splice(lineNumber, 0, ...op.lines);
+      applied.push({ ...op, lineNumber });
+    } else if (op.op === "delete") {
+      const removed = lines.splice(op.lineNumber, op.count).length;
+      if (removed > 0) {
+        applied.push({ ...op, count: removed });
+      }
+    } else if (op.op === "replace") {
+      const inRange = Math.max(0, Math.min(op.lines.length, lines.length - op.lineNumber));
+      if (inRange > 0) {
+        const replaced = op.lines.slice(0, inRange);
+        lines.splice(op.lineNumber, inRange, ...replaced);
+        applied.push({ op: "replace", lineNumber: op.lineNumber, lines: replaced });
+      }
+      if (inRange < op.lines.length) {
+        // If out of range, treat as insert
+        const lineNumber = Math.min(op.lineNumber + inRange, lines.length);
+        const inserted = op.lines.slice(inRange);
+        lines.splice(lineNumber, 0, ...inserted);
+        applied.push({ op: "insert", lineNumber, lines: inserted });
+      }
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Expand primitives into the per-line lineUpdated messages clients expect
+ * @param {string} fileName - The file the ops belong to
+ * @param {Object[]} ops - Applied primitives
+ * @returns {Object[]} lineUpdated payloads
+ */
+function toLineUpdates(fileName, ops) {
+  const updates = [];
+
+  for (const op of ops) {
+    if (op.op === "delete") {
+      for (let i = 0; i < op.count; i++) {
+        updates.push({
+          fileName,
+          op: "delete",
+          lineNumber: op.lineNumber, // always the same, as lines shift up
+          lineContent: null,
+        });
+      }
+    } else {
+      op.lines.forEach((line, i) => {
+        updates.push({
+          fileName,
+          op: op.op,
+          lineNumber: op.lineNumber + i,
+          lineContent: line,
+        });
+      });
+    }
+  }
+
+  return updates;
+}
+
+export {
+  RevisionError,
+  normalizeOp,
+  transformOp,
+  transformOps,
+  applyOps,
+  toLineUpdates,
+};
@@ -0,0 +1,232 @@
+import crypto from "crypto";
+import { redis } from "./redis.js";
+import { getUserId } from "./AccessControl.js";
+import { normalizePath } from "./paths.js";
+import { sendToClient } from "./FlowControl.js";
+
+// How long presence survives without any activity, in seconds
+const PRESENCE_TTL = 24 * 60 * 60;
+
+const MAX_SELECTIONS = 20;
+
+const COLORS = [
+  "#e6194b",
+  "#3cb44b",
+  "#4363d8",
+  "#f58231",
+  "#911eb4",
+  "#42d4f4",
+  "#f032e6",
+  "#9a6324",
+  "#469990",
+  "#808000",
+  "#000075",
+  "#e6a700",
+];
+
+/**
+ * Work out how a user should be shown to others
+ * @param {Object} user - The JWT payload attached to the socket
+ * @returns {Object} { userId, name, avatar }
+ */
+function describeUser(user = {}) {
+  const userId = getUserId(user);
+  const name =
+    user.name ||
+    user.displayName ||
+    user.username ||
+    (typeof user.email === "string" ? user.email.split("@")[0] : null) ||
+    "Anonymous";
+  return { userId, name, avatar: user.avatar || user.picture || user.image || null };
+}
+
+function validPosition(position) {
+  return (
+    position &&
+    Number.isInteger(position.line) &&
+    Number.isInteger(position.ch) &&
+    position.line >= 0 &&
+    position.ch >= 0
+  );
+}
+
+function toPosition(position) {
+  return validPosition(position) ? { line: position.line, ch: position.ch } : null;
+}
+
+function toSelections(selections) {
+  if (!Array.isArray(selections)) return [];
+  return selections
+    .slice(0, MAX_SELECTIONS)
+    .filter((range) => range && validPosition(range.anchor) && validPosition(range.head))
+    .map((range) => ({ anchor: toPosition(range.anchor), head: toPosition(range.head) }));
+}
+
+/**
+ * Who is in each environment and what they're looking at.
+ *
+ * Entries live in the presence:<env> hash, keyed by client session id, so
+ * every instance sees the same list. Entries left behind by an instance that
+ * died are dropped the next time the list is read.
+ */
+class Presence {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  presenceKey(environmentId) {
+    return `presence:${environmentId}`;
+  }
+
+  /**
+   * Everyone currently in an environment
+   * @param {string} environmentId - The environment
+   * @returns {Promise<Object[]>} Presence entries, oldest first
+   */
+  async list(environmentId) {
+    const raw = await redis.hgetall(this.presenceKey(environmentId));
+    const entries = [];
+    const alive = new Map();
+
+    for (const [sessionId, value] of Object.entries(raw)) {
+      const entry = JSON.parse(value);
+      if (!alive.has(entry.instanceId)) {
+        alive.set(
+          entry.instanceId,
+          entry.instanceId === this.manager.cluster.instanceId ||
+            (await this.manager.cluster.isAlive(entry.instanceId))
+        );
+      }
+
+      if (alive.get(entry.instanceId)) {
+        entries.push(entry);
+      } else {
+        await redis.hdel(this.presenceKey(environmentId), sessionId);
+      }
+    }
+
+    return entries.sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  // Keep a user's color across tabs, otherwise prefer one nobody else has
+  pickColor(userId, entries) {
+    const own = entries.find((entry) => entry.userId === userId);
+    if (own) return own.color;
+
+    const hash = crypto.createHash("sha1").update(String(userId)).digest();
+    const start = hash.readUInt32BE(0) % COLORS.length;
+    const taken = new Set(entries.map((entry) => entry.color));
+    for (let i = 0; i < COLORS.length; i++) {
+      const color = COLORS[(start + i) % COLORS.length];
+      if (!taken.has(color)) return color;
+    }
+    return COLORS[start];
+  }
+
+  async write(environmentId, entry) {
+    await redis
+      .multi()
+      .hset(this.presenceKey(environmentId), entry.sessionId, JSON.stringify(entry))
+      .expire(this.presenceKey(environmentId), PRESENCE_TTL)
+      .exec();
+  }
+
+  /**
+   * Add a client to an environment's presence, tell everyone else and send
+   * the client the full list
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The client, with user and sessionId attached
+   */
+  async join(environmentId, ws) {
+    const entries = await this.list(environmentId);
+    let entry = entries.find((existing) => existing.sessionId === ws.sessionId);
+
+    if (!entry) {
+      const identity = describeUser(ws.user);
+      entry = {
+        sessionId: ws.sessionId,
+        ...identity,
+        color: this.pickColor(identity.userId, entries),
+        instanceId: this.manager.cluster.instanceId,
+        file: null,
+        cursor: null,
+        selections: [],
+        joinedAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      await this.write(environmentId, entry);
+      entries.push(entry);
+
+      const message = JSON.stringify({ event: "userJoined", data: { environmentId, user: entry } });
+      this.manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
+    }
+
+    sendToClient(
+      ws,
+      JSON.stringify({
+        event: "presence",
+        data: { environmentId, self: ws.sessionId, users: entries },
+      })
+    );
+  }
+
+  /**
+   * Record what a client is looking at and pass it on
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The client
+   * @param {Object} state - Any of { file, cursor, selections }
+   * @returns {Promise<Object|null>} The updated entry, or null if the client
+   *   hasn't joined
+   */
+  async update(environmentId, ws, state) {
+    const raw = await redis.hget(this.presenceKey(environmentId), ws.sessionId);
+    if (!raw) return null;
+
+    const entry = JSON.parse(raw);
+    if (state.file !== undefined) {
+      entry.file = state.file === null ? null : normalizePath(state.file);
+    }
+    if (state.cursor !== undefined) {
+      entry.cursor = toPosition(state.cursor);
+    }
+    if (state.selections !== undefined) {
+      entry.selections = toSelections(state.selections);
+    }
+    entry.updatedAt = Date.now();
+    await this.write(environmentId, entry);
+
+    const message = JSON.stringify({
+      event: "presenceUpdated",
+      data: {
+        environmentId,
+        sessionId: entry.sessionId,
+        file: entry.file,
+        cursor: entry.cursor,
+        selections: entry.selections,
+      },
+    });
+    this.manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
+    return entry;
+  }
+
+  /**
+   * Remove a client from an environment's presence and tell everyone else
+   * @param {string} environmentId - The environment
+   * @param {WebSocket} ws - The client
+   */
+  async leave(environmentId, ws) {
+    const raw = await redis.hget(this.presenceKey(environmentId), ws.sessionId);
+    if (!raw) return;
+
+    await redis.hdel(this.presenceKey(environmentId), ws.sessionId);
+    const { userId } = JSON.parse(raw);
+    const message = JSON.stringify({
+      event: "userLeft",
+      data: { environmentId, sessionId: ws.sessionId, userId },
+    });
+    this.manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
+  }
+}
+
+export default Presence;
+export { describeUser };
@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import { CONTAINER_PREFIX } from "./DockerBackend.js";
+
+// How often to look for leftovers
+const REAPER_INTERVAL_MS = Number(process.env.REAPER_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Anything younger than this is left alone, since its instance may still be
+// starting up and not have sent its first heartbeat
+const REAPER_MIN_AGE_SECONDS = Number(process.env.REAPER_MIN_AGE_SECONDS) || 60;
+
+/**
+ * Removes containers and temp directories left behind by instances that
+ * crashed or were killed before they could clean up.
+ *
+ * Containers are labelled with the instance that created them, and each
+ * instance keeps its files in its own directory under os.tmpdir()/nixpackpy,
+ * so anything belonging to an instance that is no longer alive goes.
+ * Unlabelled containers from older versions go by their name instead, and
+ * are removed unless another live instance hosts their environment.
+ */
+class Reaper {
+  constructor(manager) {
+    this.manager = manager;
+    this.timer = null;
+  }
+
+  async isOrphaned(instanceId) {
+    const { cluster } = this.manager;
+    return instanceId !== cluster.instanceId && !(await cluster.isAlive(instanceId));
+  }
+
+  /**
+   * Remove containers no live instance owns
+   * @returns {Promise<string[]>} Names of the containers removed
+   */
+  async reapContainers() {
+    const { backend, cluster } = this.manager;
+    const cutoff = Date.now() - REAPER_MIN_AGE_SECONDS * 1000;
+    const removed = [];
+
+    for (const container of await backend.listManagedContainers()) {
+      if (container.createdAt > cutoff) continue;
+
+      let orphaned;
+      if (container.instanceId) {
+        orphaned = await this.isOrphaned(container.instanceId);
+      } else {
+        const environmentId = container.name.slice(CONTAINER_PREFIX.length);
+        const owner = await cluster.getSessionOwner(environmentId);
+        orphaned = !owner || owner === cluster.instanceId;
+      }
+
+      if (orphaned) {
+        await backend.removeContainer(container.id);
+        removed.push(container.name || container.id);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove temp directories of instances that are no longer alive, along
+   * with anything older versions left directly in os.tmpdir()/nixpackpy
+   * @returns {Promise<string[]>} Names of the directories removed
+   */
+  async reapDirectories() {
+    const root = path.dirname(this.manager.baseTmpDir);
+    const cutoff = Date.now() - REAPER_MIN_AGE_SECONDS * 1000;
+    const removed = [];
+
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      const dir = path.join(root, entry.name);
+      if (dir === this.manager.baseTmpDir || fs.statSync(dir).mtimeMs > cutoff) continue;
+
+      if (await this.isOrphaned(entry.name)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        removed.push(entry.name);
+      }
+    }
+    return removed;
+  }
+
+  async reap() {
+    const containers = await this.reapContainers();
+    const directories = await this.reapDirectories();
+    if (containers.length > 0 || directories.length > 0) {
+      console.log(
+        `Reaped ${containers.length} orphaned containers and ${directories.length} temp directories`
+      );
+    }
+    return { containers, directories };
+  }
+
+  /**
+   * Reap now, then on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    const run = () =>
+      this.reap().catch((error) => {
+        console.error("Error reaping orphaned containers:", error);
+      });
+    run();
+    this.timer = setInterval(run, REAPER_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default Reaper;
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import { redis, get, set } from "./redis.js";
+import { getUserId } from "./AccessControl.js";
+
+// How long the token of an open connection is kept, in seconds. It is saved
+// again when the connection closes, so this only bounds stale entries.
+const OPEN_TOKEN_TTL = 24 * 60 * 60;
+
+/**
+ * Thrown when a resume token has expired or isn't the caller's
+ */
+class ResumeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ResumeError";
+    this.code = "INVALID_RESUME_TOKEN";
+  }
+}
+
+/**
+ * Lets a client that lost its connection pick up where it left off.
+ *
+ * Every connection is handed a resume token, kept in Redis with the client's
+ * session id and environment. Once the connection closes the token lasts as
+ * long as the manager's grace period. A client that reconnects in time sends
+ * "resume" with the token, gets its old session id back and rejoins its
+ * environment.
+ */
+class SessionResume {
+  constructor(manager) {
+    this.manager = manager;
+  }
+
+  resumeKey(token) {
+    return `resume:${token}`;
+  }
+
+  /**
+   * Give a new connection its resume token
+   * @param {WebSocket} ws - The client, with user and sessionId attached
+   * @returns {Promise<string>} The token
+   */
+  async issue(ws) {
+    ws.resumeToken = crypto.randomBytes(24).toString("base64url");
+    await this.save(ws);
+    return ws.resumeToken;
+  }
+
+  // Record where the client is, so a reconnect can put it back there
+  async save(ws, expiresIn = OPEN_TOKEN_TTL) {
+    const entry = {
+      sessionId: ws.sessionId,
+      userId: getUserId(ws.user),
+      environmentId: ws.environmentId || null,
+    };
+    await set(this.resumeKey(ws.resumeToken), entry, expiresIn);
+  }
+
+  // The connection closed, so the token only lasts the grace period
+  async expire(ws) {
+    await this.save(ws, Math.max(this.manager.graceSeconds, 1));
+  }
+
+  /**
+   * Find the session a resume token belongs to
+   * @param {WebSocket} ws - The new connection, with user attached
+   * @param {string} token - The token the old connection was given
+   * @returns {Promise<Object>} { sessionId, userId, environmentId }
+   * @throws {ResumeError} If the token expired or belongs to someone else
+   */
+  async lookup(ws, token) {
+    const entry = await get(this.resumeKey(token));
+    if (!entry || typeof entry !== "object" || entry.userId !== getUserId(ws.user)) {
+      throw new ResumeError("Resume token is invalid or has expired");
+    }
+    return entry;
+  }
+
+  /**
+   * Move a session over to a new connection
+   * @param {WebSocket} ws - The new connection
+   * @param {string} token - The session's resume token
+   * @param {Object} entry - What lookup() returned for the token
+   */
+  async takeOver(ws, token, entry) {
+    // The old connection may not have noticed it's gone yet. Its close
+    // handler leaves presence alone once it has been replaced.
+    const clients = this.manager.clientsMap.get(entry.environmentId) || [];
+    for (const client of clients) {
+      if (client !== ws && client.sessionId === entry.sessionId) {
+        client.replaced = true;
+        client.terminate();
+      }
+    }
+
+    // The token this connection was issued on connect is no longer needed
+    await redis.del(this.resumeKey(ws.resumeToken));
+    ws.sessionId = entry.sessionId;
+    ws.resumeToken = token;
+  }
+}
+
+export default SessionResume;
+export { ResumeError };
@@ -0,0 +1,508 @@
+import { v4 as uuidv4 } from "uuid";
+import fs from "fs";
+import path from "path";
+import { redis, get, set, del } from "./redis.js";
+import { buildCommand, shellQuote } from "./runtimes.js";
+import { normalizePath, resolveInside } from "./paths.js";
+import { diffLines } from "./FileHistory.js";
+
+const {
+  MAX_TEST_RUNS = 50,
+  MAX_TESTS = 100,
+  DEFAULT_TEST_TIMEOUT_SECONDS = 10,
+  MAX_TEST_TIMEOUT_SECONDS = 60,
+  TEST_OUTPUT_BYTES = 64 * 1024,
+} = process.env;
+
+// Where a test's stdin is written inside the workspace
+const STDIN_FILE = ".np-test-stdin";
+
+// Where pytest files are mounted, outside the workspace
+const PYTEST_DIR = "/tests";
+
+/**
+ * Thrown for a test suite that can't be saved or run
+ */
+class TestSuiteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TestSuiteError";
+    this.code = "INVALID_TESTS";
+  }
+}
+
+// Compare outputs the way people read them: ignore \r, trailing spaces and
+// trailing blank lines
+function normalizeOutput(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n+$/, "");
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function xmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Read the test cases out of a pytest JUnit XML report
+ * @param {string} xml - The report
+ * @returns {Object[]} { name, status, message, durationMs } per test case
+ */
+function parseJunitReport(xml) {
+  const cases = [];
+  const pattern = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+
+  for (const [, attributeText, body = ""] of xml.matchAll(pattern)) {
+    const attributes = xmlAttributes(attributeText);
+    const outcome = body.match(/<(failure|error|skipped)\b([^>]*?)\/?>/);
+
+    let status = "pass";
+    let message = null;
+    if (outcome) {
+      status = { failure: "fail", error: "error", skipped: "skipped" }[outcome[1]];
+      message = xmlAttributes(outcome[2]).message || null;
+    }
+
+    cases.push({
+      name: attributes.classname ? `${attributes.classname}::${attributes.name}` : attributes.name,
+      status,
+      message,
+      durationMs: Math.round(Number(attributes.time || 0) * 1000),
+    });
+  }
+  return cases;
+}
+
+/**
+ * Check and clean up a test suite sent by a teacher
+ * @param {Object[]} tests - Test cases, each either
+ *   { name, type: "io", stdin, expectedOutput, timeoutSeconds, hidden } or
+ *   { name, type: "pytest", fileName, content, timeoutSeconds, hidden }
+ * @returns {Object[]} The cleaned test cases
+ * @throws {TestSuiteError}
+ */
+function normalizeTests(tests) {
+  if (!Array.isArray(tests)) {
+    throw new TestSuiteError("tests must be an array");
+  }
+  if (tests.length > Number(MAX_TESTS)) {
+    throw new TestSuiteError(`A suite can have at most ${MAX_TESTS} tests`);
+  }
+
+  return tests.map((test, index) => {
+    if (!test || typeof test !== "object") {
+      throw new TestSuiteError(`Test ${index + 1} must be an object`);
+    }
+
+    const name = typeof test.name === "string" && test.name.trim() ? test.name.trim() : `Test ${index + 1}`;
+    const timeoutSeconds = Math.min(
+      Number(test.timeoutSeconds) || Number(DEFAULT_TEST_TIMEOUT_SECONDS),
+      Number(MAX_TEST_TIMEOUT_SECONDS)
+    );
+    const common = { id: test.id || uuidv4(), name, timeoutSeconds, hidden: Boolean(test.hidden) };
+
+    if (test.type === "io") {
+      if (typeof test.expectedOutput !== "string") {
+        throw new TestSuiteError(`${name}: expectedOutput must be a string`);
+      }
+      return {
+        ...common,
+        type: "io",
+        stdin: typeof test.stdin === "string" ? test.stdin : "",
+        expectedOutput: test.expectedOutput,
+      };
+    }
+
+    if (test.type === "pytest") {
+      if (typeof test.content !== "string") {
+        throw new TestSuiteError(`${name}: content must be a string`);
+      }
+      const fileName = normalizePath(test.fileName || `test_${index + 1}.py`);
+      if (!/(^|\/)test_[^/]*\.py$|_test\.py$/.test(fileName)) {
+        throw new TestSuiteError(`${name}: pytest files must be named test_*.py or *_test.py`);
+      }
+      return { ...common, type: "pytest", fileName, content: test.content };
+    }
+
+    throw new TestSuiteError(`${name}: type must be "io" or "pytest"`);
+  });
+}
+
+/**
+ * Runs an environment's hidden test cases against its files and keeps the
+ * results.
+ *
+ * The suite lives at tests:<env>. Every test run is stored whole at
+ * testrun:<env>:<id>, indexed by time in the sorted set testruns:<env>.
+ */
+class TestRunner {
+  constructor(manager) {
+    this.manager = manager;
+    this.running = new Set(); // Environments with a test run in progress
+  }
+
+  suiteKey(environmentId) {
+    return `tests:${environmentId}`;
+  }
+
+  indexKey(environmentId) {
+    return `testruns:${environmentId}`;
+  }
+
+  runKey(environmentId, runId) {
+    return `testrun:${environmentId}:${runId}`;
+  }
+
+  async getTests(environmentId) {
+    const suite = await get(this.suiteKey(environmentId));
+    return suite ? suite.tests : [];
+  }
+
+  /**
+   * Replace an environment's test suite
+   * @param {string} environmentId - The environment
+   * @param {Object[]} tests - The test cases, see normalizeTests
+   * @param {Object} [options]
+   * @param {string|null} [options.updatedBy] - The user saving the suite
+   * @returns {Promise<Object[]>} The saved test cases
+   */
+  async setTests(environmentId, tests, { updatedBy = null } = {}) {
+    const normalized = normalizeTests(tests);
+    if (normalized.length === 0) {
+      await del(this.suiteKey(environmentId));
+      return normalized;
+    }
+
+    await set(this.suiteKey(environmentId), { tests: normalized, updatedAt: Date.now(), updatedBy });
+    return normalized;
+  }
+
+  /**
+   * Run every test case against the environment's current files, one after
+   * another, in the sandbox sessions run in
+   * @param {string} environmentId - The environment
+   * @param {Object} [options]
+   * @param {string} [options.runtimeId] - Runtime to use instead of the
+   *   environment's own
+   * @param {string|null} [options.startedBy] - The user running the tests
+   * @param {Function} [options.onResult] - Called with (result, index, total)
+   *   as each test finishes
+   * @returns {Promise<Object>} The stored test run
+   */
+  async run(environmentId, { runtimeId, startedBy = null, onResult = () => {} } = {}) {
+    const tests = await this.getTests(environmentId);
+    if (tests.length === 0) {
+      throw new TestSuiteError("This environment has no tests");
+    }
+    if (this.running.has(environmentId)) {
+      throw new TestSuiteError("Tests are already running for this environment");
+    }
+
+    this.running.add(environmentId);
+    const id = uuidv4();
+    const testDir = resolveInside(this.manager.baseTmpDir, `tests/${id}`);
+
+    try {
+      await this.manager.quotas.acquire(startedBy, environmentId, "test");
+      try {
+        const files = await this.manager.getAllFilesForEnvironment(environmentId);
+        const fileNames = Object.keys(files);
+        const runtime = await this.manager.resolveRuntime(environmentId, fileNames, runtimeId);
+        if (
+          tests.some((test) => test.type === "pytest") &&
+          runtime.dependencies?.manager !== "pip"
+        ) {
+          throw new TestSuiteError(`pytest tests can't run on ${runtime.name}`);
+        }
+
+        const run = {
+          id,
+          environmentId,
+          runtime: runtime.id,
+          startedBy,
+          startedAt: Date.now(),
+          finishedAt: null,
+          results: [],
+        };
+
+        for (const [index, test] of tests.entries()) {
+          // Every test starts from the student's files and nothing else
+          fs.rmSync(testDir, { recursive: true, force: true });
+          await this.manager.writeFilesToDir(`tests/${id}`, files);
+
+          const result =
+            test.type === "io"
+              ? await this.runIoTest(test, { runtime, fileNames, testDir, environmentId })
+              : await this.runPytest(test, { runtime, testDir, environmentId });
+
+          for (const entry of result) {
+            run.results.push(entry);
+            onResult(entry, index, tests.length);
+          }
+        }
+
+        run.finishedAt = Date.now();
+        run.passed = run.results.filter((result) => result.status === "pass").length;
+        run.total = run.results.length;
+        await this.save(run);
+        return run;
+      } finally {
+        await this.manager.quotas.release(startedBy, environmentId, "test").catch(() => {});
+      }
+    } finally {
+      this.running.delete(environmentId);
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  }
+
+  // Image with the student's dependencies (plus any extras) installed
+  async resolveImage(environmentId, runtime, extraPackages = []) {
+    if (!runtime.dependencies) {
+      return runtime.image;
+    }
+    // Read it raw: get() would turn a package.json into an object
+    const content = await redis.get(
+      this.manager.fileKey(environmentId, runtime.dependencies.file)
+    );
+    return this.manager.dependencies.resolveImage(runtime, content, { extraPackages });
+  }
+
+  /**
+   * Run one container to completion, collecting its output
+   * @returns {Promise<Object>} { stdout, stderr, exitCode, timedOut,
+   *   outputLimited, durationMs }
+   */
+  async execute({ image, cmd, testDir, env, timeoutSeconds, readOnlyMounts }) {
+    const run = await this.manager.backend.createRun({
+      name: `nixpackpy_test_${path.basename(testDir)}`,
+      image,
+      cmd,
+      workspace: testDir,
+      env,
+      tty: false,
+      readOnlyMounts,
+    });
+
+    const output = { stdout: "", stderr: "" };
+    let outputLimited = false;
+    let timedOut = false;
+    const collect = (stream) => (text) => {
+      output[stream] += text;
+      if (output.stdout.length + output.stderr.length > Number(TEST_OUTPUT_BYTES) && !outputLimited) {
+        outputLimited = true;
+        run.stop().catch(() => {});
+      }
+    };
+    run.on("stdout", collect("stdout"));
+    run.on("stderr", collect("stderr"));
+    const exited = new Promise((resolve) => run.once("exit", resolve));
+
+    const startedAt = Date.now();
+    await run.start();
+    const timer = setTimeout(() => {
+      timedOut = true;
+      run.stop().catch(() => {});
+    }, timeoutSeconds * 1000);
+
+    const { exitCode } = await exited;
+    clearTimeout(timer);
+
+    return {
+      stdout: output.stdout.slice(0, Number(TEST_OUTPUT_BYTES)),
+      stderr: output.stderr.slice(0, Number(TEST_OUTPUT_BYTES)),
+      exitCode,
+      timedOut,
+      outputLimited,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+
+  async runIoTest(test, { runtime, fileNames, testDir, environmentId }) {
+    const base = { testId: test.id, name: test.name, type: "io", hidden: test.hidden };
+
+    try {
+      fs.writeFileSync(path.join(testDir, STDIN_FILE), test.stdin);
+      const image = await this.resolveImage(environmentId, runtime);
+      const command = buildCommand(runtime, runtime.detectEntry(fileNames), fileNames);
+      const outcome = await this.execute({
+        image,
+        cmd: ["sh", "-c", `exec ${command.map(shellQuote).join(" ")} < ${STDIN_FILE}`],
+        testDir,
+        env: runtime.dependencies ? runtime.dependencies.runEnv : [],
+        timeoutSeconds: test.timeoutSeconds,
+      });
+
+      const expected = normalizeOutput(test.expectedOutput);
+      const actual = normalizeOutput(outcome.stdout);
+      let status = actual === expected && outcome.exitCode === 0 ? "pass" : "fail";
+      let message = null;
+      if (outcome.timedOut) {
+        status = "timeout";
+        message = `Took longer than ${test.timeoutSeconds} seconds`;
+      } else if (outcome.outputLimited) {
+        message = `Printed more than ${TEST_OUTPUT_BYTES} bytes`;
+      } else if (outcome.exitCode !== 0) {
+        message = `Exited with code ${outcome.exitCode}`;
+      }
+
+      return [
+        {
+          ...base,
+          status,
+          message,
+          exitCode: outcome.exitCode,
+          durationMs: outcome.durationMs,
+          stdin: test.stdin,
+          expected,
+          actual,
+          stderr: outcome.stderr,
+          diff: status === "pass" ? [] : diffLines(expected, actual),
+        },
+      ];
+    } catch (error) {
+      console.error(`Error running test ${test.name} for ${environmentId}:`, error);
+      return [{ ...base, status: "error", message: error.message }];
+    }
+  }
+
+  async runPytest(test, { runtime, testDir, environmentId }) {
+    const base = { testId: test.id, name: test.name, type: "pytest", hidden: test.hidden };
+    const report = `.np-report-${test.id}.xml`;
+    const suiteDir = `${testDir}-suite`;
+
+    try {
+      // The test file is mounted read-only outside the workspace, so the
+      // student's files can't overwrite it and a program run from them
+      // never sees it. Hidden results only carry a status, so anything
+      // the student's code prints about it during the run goes nowhere.
+      const testPath = resolveInside(suiteDir, test.fileName);
+      fs.mkdirSync(path.dirname(testPath), { recursive: true });
+      fs.writeFileSync(testPath, test.content);
+
+      const image = await this.resolveImage(environmentId, runtime, ["pytest"]);
+      const outcome = await this.execute({
+        image,
+        cmd: [
+          "python3",
+          "-m",
+          "pytest",
+          "-q",
+          "-p",
+          "no:cacheprovider",
+          `--junitxml=${report}`,
+          `${PYTEST_DIR}/${test.fileName}`,
+        ],
+        testDir,
+        env: runtime.dependencies.runEnv,
+        timeoutSeconds: test.timeoutSeconds,
+        readOnlyMounts: { [suiteDir]: PYTEST_DIR },
+      });
+
+      if (outcome.timedOut) {
+        return [
+          {
+            ...base,
+            status: "timeout",
+            message: `Took longer than ${test.timeoutSeconds} seconds`,
+            durationMs: outcome.durationMs,
+          },
+        ];
+      }
+
+      const reportPath = path.join(testDir, report);
+      const cases = fs.existsSync(reportPath)
+        ? parseJunitReport(fs.readFileSync(reportPath, "utf8"))
+        : [];
+      if (cases.length === 0) {
+        return [
+          {
+            ...base,
+            status: "error",
+            message: `pytest exited with code ${outcome.exitCode} without running any tests`,
+            durationMs: outcome.durationMs,
+            output: outcome.stdout + outcome.stderr,
+          },
+        ];
+      }
+
+      return cases.map((testCase) => ({
+        ...base,
+        name: `${test.name} › ${testCase.name}`,
+        status: testCase.status,
+        message: testCase.message,
+        durationMs: testCase.durationMs,
+      }));
+    } catch (error) {
+      console.error(`Error running test ${test.name} for ${environmentId}:`, error);
+      return [{ ...base, status: "error", message: error.message }];
+    } finally {
+      fs.rmSync(suiteDir, { recursive: true, force: true });
+    }
+  }
+
+  async save(run) {
+    const { environmentId, id } = run;
+    await set(this.runKey(environmentId, id), run);
+    await redis.zadd(this.indexKey(environmentId), run.startedAt, id);
+
+    // Drop the oldest runs past the limit
+    const excess = await redis.zrange(this.indexKey(environmentId), 0, -Number(MAX_TEST_RUNS) - 1);
+    if (excess.length > 0) {
+      await redis.zrem(this.indexKey(environmentId), ...excess);
+      await redis.del(...excess.map((runId) => this.runKey(environmentId, runId)));
+    }
+  }
+
+  async getRun(environmentId, runId) {
+    return (await get(this.runKey(environmentId, runId))) || null;
+  }
+
+  /**
+   * List an environment's test runs, newest first, without per-test detail
+   * @param {string} environmentId - The environment
+   * @param {Object} [options]
+   * @param {string} [options.startedBy] - Only runs started by this user
+   * @returns {Promise<Object[]>} Run summaries
+   */
+  async listRuns(environmentId, { startedBy } = {}) {
+    const ids = await redis.zrevrange(this.indexKey(environmentId), 0, -1);
+    const runs = await Promise.all(ids.map((runId) => this.getRun(environmentId, runId)));
+
+    return runs
+      .filter((run) => run && (!startedBy || run.startedBy === startedBy))
+      .map(({ results, ...summary }) => summary);
+  }
+}
+
+/**
+ * Strip what a student shouldn't see from a result: hidden tests only
+ * report how they went, not their input or expected output
+ * @param {Object} result - A test result
+ * @returns {Object} The result as a student may see it
+ */
+function studentView(result) {
+  if (!result.hidden) return result;
+  const { testId, name, type, hidden, status, durationMs } = result;
+  return { testId, name, type, hidden, status, durationMs };
+}
+
+export default TestRunner;
+export { TestSuiteError, normalizeTests, parseJunitReport, studentView };
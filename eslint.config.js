@@ -0,0 +1,21 @@
+// eslint.config.js
+import js from "@eslint/js";
+import globals from "globals";
+
+export default [
+  {
+    ignores: ["node_modules/", "**/*.ts"],
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: "module",
+      globals: globals.node,
+    },
+    rules: {
+      // Leaving fields out with a rest pattern is how the code drops them
+      "no-unused-vars": ["error", { ignoreRestSiblings: true }],
+    },
+  },
+];
@@ -0,0 +1,51 @@
+// health.js
+// Readiness checks for the services the socket server can't work without.
+import { pingRedis } from "./metrics.js";
+
+const READINESS_TIMEOUT_MS = Number(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+function withTimeout(promise, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), READINESS_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Run one check, timing it and turning failures into a result
+async function runCheck(name, check) {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check(), `${name} did not answer within ${READINESS_TIMEOUT_MS}ms`);
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+/**
+ * Check Redis, Postgres and the Docker daemon
+ * @param {Object} services
+ * @param {DockerBackend} services.backend - Runs the containers
+ * @param {Function} services.getDatabase - Returns the Database
+ * @returns {Promise<{ready: boolean, checks: Object}>} Whether every check
+ *   passed, and { ok, latencyMs, error } for each of redis, postgres, docker
+ */
+async function checkReadiness({ backend, getDatabase }) {
+  const [redisCheck, postgres, docker] = await Promise.all([
+    runCheck("Redis", () => pingRedis(READINESS_TIMEOUT_MS)),
+    runCheck("Postgres", async () => {
+      if (!(await getDatabase().isQueryable())) {
+        throw new Error("Postgres is not queryable");
+      }
+    }),
+    runCheck("Docker", () => backend.ping()),
+  ]);
+
+  const checks = { redis: redisCheck, postgres, docker };
+  return { ready: Object.values(checks).every((check) => check.ok), checks };
+}
+
+export { checkReadiness };
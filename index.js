@@ -1,18 +1,77 @@
 import { v4 as uuidv4 } from "uuid";
 import { WebSocketServer } from "ws";
-import { redis, get, set } from "./redis.js";
-import { spawn } from "child_process";
-import fs from "fs";
-import path from "path";
-import os from "os";
+import { serve } from "@hono/node-server";
 import ContainerSessionManager from "./ContainerSessionManager.js";
-import { jwtVerify } from "jose";
-import crypto from "crypto";
+import AccessControl, { getUserId, verifySessionToken } from "./AccessControl.js";
+import { normalizeOp, toLineUpdates } from "./LineOT.js";
+import FileHistory from "./FileHistory.js";
+import createHttpApi from "./HttpApi.js";
+import TestRunner, { studentView } from "./TestRunner.js";
+import Presence from "./Presence.js";
+import SessionResume from "./SessionResume.js";
+import DriverLock from "./DriverLock.js";
+import Reaper from "./Reaper.js";
+import AuditLog from "./AuditLog.js";
+import { flowLimits, RateLimiter, assertMessageSize, sendToClient } from "./FlowControl.js";
+import { listRuntimes } from "./runtimes.js";
+import { normalizePath } from "./paths.js";
+import { archiveLimits, createArchive, readArchive } from "./Archives.js";
+import {
+  SUPPORTED_VERSIONS,
+  parseMessage,
+  negotiateVersion,
+  requestedVersions,
+  subprotocolName,
+  describeProtocol,
+} from "./protocol.js";
+import { messagesReceived, messageErrors, observeManager } from "./metrics.js";
 
 const manager = new ContainerSessionManager();
-const wss = new WebSocketServer({ port: 4987 });
+const access = new AccessControl();
+const history = new FileHistory(manager);
+const tests = new TestRunner(manager);
+const presence = new Presence(manager);
+const resumes = new SessionResume(manager);
+const drivers = new DriverLock(manager, presence, access);
+const reaper = new Reaper(manager);
+const audit = new AuditLog();
+const rateLimiter = new RateLimiter();
+history.startPeriodicSnapshots();
+audit.start();
+rateLimiter.start();
+observeManager(manager);
+await manager.start();
+reaper.start();
+const wss = new WebSocketServer({
+  port: 4987,
+  maxPayload: flowLimits.maxMessageBytes,
+  // Answer with the subprotocol for the version we'll speak, if the client
+  // offered any
+  handleProtocols: (protocols) => {
+    const version = negotiateVersion(requestedVersions(protocols));
+    return protocols.size > 0 && version !== null ? subprotocolName(version) : false;
+  },
+});
+
+// The HTTP API shares the manager, so its changes reach WebSocket clients too
+const HTTP_PORT = Number(process.env.HTTP_PORT) || 4988;
+const httpServer = serve({
+  fetch: createHttpApi({ manager, access, history, drivers, audit }).fetch,
+  port: HTTP_PORT,
+});
 
 wss.on("connection", async (ws, req) => {
+  const offered = (req.headers["sec-websocket-protocol"] || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const protocolVersion = negotiateVersion(requestedVersions(offered, req.url));
+  if (protocolVersion === null) {
+    ws.close(4003, `Unsupported protocol version, supported: ${SUPPORTED_VERSIONS.join(", ")}`);
+    return;
+  }
+  ws.protocolVersion = protocolVersion;
+
   const cookieHeader = req.headers.cookie || "";
   const cookies = Object.fromEntries(
     cookieHeader.split(";").map((c) => {
@@ -29,12 +88,8 @@ wss.on("connection", async (ws, req) => {
   }
 
   try {
-      const { payload } = await jwtVerify(
-          token,
-          new TextEncoder().encode(process.env.JWT_SECRET)
-      );
       // Attach user info to ws for later use
-      ws.user = payload;
+      ws.user = await verifySessionToken(token);
   } catch (err) {
       console.error(err);
       ws.close(4002, "Invalid session token");
@@ -43,7 +98,21 @@ wss.on("connection", async (ws, req) => {
 
   const sessionId = uuidv4();
   ws.sessionId = sessionId;
-  ws.send(JSON.stringify({ event: "connected", data: { sessionId } }));
+
+  // Lets the client resume this session if the connection drops
+  let resumeToken = null;
+  try {
+    resumeToken = await resumes.issue(ws);
+  } catch (error) {
+    console.error("Error issuing resume token:", error);
+  }
+
+  ws.send(
+    JSON.stringify({
+      event: "connected",
+      data: { sessionId, resumeToken, protocolVersion, supportedVersions: SUPPORTED_VERSIONS },
+    })
+  );
 
   ws.on("message", async (message) => {
     let data;
@@ -70,210 +139,506 @@ wss.on("connection", async (ws, req) => {
     }
 
     try {
-      await handleWebSocketMessage(ws, data);
+      await handleWebSocketMessage(ws, data, message.length);
     } catch (error) {
+      messageErrors.inc({ code: error.code || "ERROR" });
+      const requestId = data?.requestId;
       ws.send(
         JSON.stringify({
           event: "error",
-          data: { message: "Error processing request", details: error.message },
+          data: {
+            message: "Error processing request",
+            details: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.issues?.length > 0 && { issues: error.issues }),
+            ...(error.retryAfterMs && { retryAfterMs: error.retryAfterMs }),
+          },
+          ...((typeof requestId === "string" || typeof requestId === "number") && { requestId }),
         })
       );
     }
   });
 
   ws.on("close", () => {
+    // A resumed connection has taken over this client's session, presence
+    // and resume token included
+    if (ws.replaced) {
+      if (ws.environmentId) {
+        manager.unregisterClient(ws.environmentId, ws);
+      }
+      return;
+    }
+
     if (ws.environmentId) {
-      // Unregister client from its environment
-      manager.unregisterClient(ws.environmentId, ws);
-      
-      // Notify other clients about cursor removal
-      const message = JSON.stringify({
-        event: "deleteCursor",
-        data: { sessionId: ws.sessionId },
-      });
-  
-      wss.clients.forEach((client) => {
-        if (
-          client !== ws &&
-          client.readyState === client.OPEN &&
-          client.environmentId === ws.environmentId
-        ) {
-          client.send(message);
-        }
+      leaveEnvironment(ws);
+    }
+    if (ws.resumeToken) {
+      resumes.expire(ws).catch((error) => {
+        console.error("Error expiring resume token:", error);
       });
     }
   });
 });
 
-async function handleWebSocketMessage(ws, data) {
+// Register a client with an environment and announce it, leaving whichever
+// environment it was in before
+async function joinEnvironment(ws, environmentId) {
+  if (ws.environmentId && ws.environmentId !== environmentId) {
+    leaveEnvironment(ws);
+  }
+  
+  ws.environmentId = environmentId;
+  manager.registerClient(environmentId, ws);
+  await presence.join(environmentId, ws);
+  
+  if (ws.resumeToken) {
+    await resumes.save(ws);
+  }
+}
+
+function leaveEnvironment(ws) {
+  const environmentId = ws.environmentId;
+  
+  // Unregister client from its environment
+  manager.unregisterClient(environmentId, ws);
+  presence.leave(environmentId, ws).catch((error) => {
+    console.error(`Error removing presence in ${environmentId}:`, error);
+  });
+  drivers.leave(environmentId, ws).catch((error) => {
+    console.error(`Error releasing driver lock in ${environmentId}:`, error);
+  });
+  
+  // Notify other clients about cursor removal
+  const message = JSON.stringify({
+    event: "deleteCursor",
+    data: { sessionId: ws.sessionId },
+  });
+  
+  manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
+}
+
+// The least role each event needs; every other event needs an editor.
+// Viewers can follow along, but not change files or touch the program. Test
+// cases are hidden from students, so only the owner manages them.
+const EVENT_ROLES = {
+  getProtocol: "viewer",
+  resume: "viewer",
+  getFiles: "viewer",
+  getSessionStatus: "viewer",
+  crdtSync: "viewer",
+  listRuntimes: "viewer",
+  exportEnvironment: "viewer",
+  listHistory: "viewer",
+  diffVersions: "viewer",
+  getTests: "viewer",
+  listTestRuns: "viewer",
+  getTestRun: "viewer",
+  cursorMove: "viewer",
+  presenceUpdate: "viewer",
+  getPresence: "viewer",
+  getDriver: "viewer",
+  getBreakpoints: "viewer",
+  getStackTrace: "viewer",
+  getScopes: "viewer",
+  getVariables: "viewer",
+  setTests: "owner",
+  getAuditLog: "owner",
+};
+
+// Events that control the shared program, which only the driver may send
+// while someone holds the driver lock
+const DRIVER_EVENTS = new Set([
+  "run",
+  "stop",
+  "input",
+  "eof",
+  "signal",
+  "inputChange",
+  "setBreakpoints",
+  "debugContinue",
+  "debugPause",
+  "debugStepOver",
+  "debugStepIn",
+  "debugStepOut",
+]);
+
+// The debugger command behind each stepping event
+const DEBUG_STEPS = {
+  debugContinue: "continue",
+  debugPause: "pause",
+  debugStepOver: "next",
+  debugStepIn: "stepIn",
+  debugStepOut: "stepOut",
+};
+
+// Payload fields holding paths inside an environment. Folder fields may
+// name the workspace root as "".
+const PATH_FIELDS = ["fileName", "oldName", "newName", "path", "oldPath", "newPath"];
+const FOLDER_FIELDS = ["folder"];
+
+// Normalize every path in a payload up front, so handlers (and whatever they
+// echo back to clients) only ever see clean paths
+function normalizePathFields(payload) {
+  if (!payload || typeof payload !== "object") return;
+
+  for (const field of PATH_FIELDS) {
+    if (payload[field] !== undefined && payload[field] !== null) {
+      payload[field] = normalizePath(payload[field]);
+    }
+  }
+  for (const field of FOLDER_FIELDS) {
+    if (payload[field] !== undefined && payload[field] !== null) {
+      payload[field] = normalizePath(payload[field], { allowRoot: true });
+    }
+  }
+  if (Array.isArray(payload.fileNames)) {
+    payload.fileNames = payload.fileNames.map((fileName) => normalizePath(fileName));
+  }
+}
+
+async function handleWebSocketMessage(ws, message, size) {
   const sessionId = ws.sessionId;
+  
+  // Only fields the event's schema declares make it past this point
+  const data = parseMessage(message);
+  const { requestId } = data;
+  messagesReceived.inc({ event: data.event });
+  assertMessageSize(data.event, size);
+  
+  // Cursor and presence updates over the limit are dropped, anything else
+  // is refused
+  if (!rateLimiter.take(ws, data.event)) return;
+  
+  // Direct replies echo the request's id so clients can match them up
+  let replied = false;
+  const reply = (response) => {
+    replied = true;
+    const body = requestId === undefined ? response : { ...response, requestId };
+    sendToClient(ws, JSON.stringify(body));
+  };
+
+  // Every event acts on either the environment it names or the one this
+  // client already joined, so check access before doing anything with it
+  const targetEnvironmentId = data.data?.environmentId || ws.environmentId;
+  let role = null;
+  if (targetEnvironmentId) {
+    role = await access.assertAccess(
+      ws.user,
+      targetEnvironmentId,
+      EVENT_ROLES[data.event] || "editor"
+    );
+    if (DRIVER_EVENTS.has(data.event)) {
+      await drivers.assertDriver(targetEnvironmentId, { sessionId: ws.sessionId });
+    }
+    // Bring the files back from Postgres if Redis lost them
+    await manager.files.ensureLoaded(targetEnvironmentId);
+  }
+
+  normalizePathFields(data.data);
 
   switch (data.event) {
+    case "getProtocol": {
+      reply({ event: "protocol", data: describeProtocol() });
+      break;
+    }
+    
     case "getFiles": {
       const { environmentId } = data.data || {};
+      
+      // Register this client with the environment
+      await joinEnvironment(ws, environmentId);
+      
+      const payload = await manager.getFilesPayload(environmentId);
+      reply({
+        event: "files",
+        data: payload,
+      });
+      
+      // Catch the client up on whatever the shared terminal is doing
+      reply({
+        event: "sessionSnapshot",
+        data: { environmentId, ...(await manager.getSessionSnapshot(environmentId)) },
+      });
+      reply({
+        event: "driver",
+        data: { environmentId, driver: await drivers.get(environmentId) },
+      });
+      break;
+    }
+    
+    case "resume": {
+      const { resumeToken, lastSeq } = data.data || {};
+      
+      const entry = await resumes.lookup(ws, resumeToken);
+      if (entry.environmentId) {
+        await access.assertAccess(ws.user, entry.environmentId);
+        await manager.files.ensureLoaded(entry.environmentId);
+      }
+      await resumes.takeOver(ws, resumeToken, entry);
+      
+      if (!entry.environmentId) {
+        reply({ event: "resumed", data: { sessionId: ws.sessionId, environmentId: null } });
+        break;
+      }
+      
+      const environmentId = entry.environmentId;
+      await joinEnvironment(ws, environmentId);
+      
+      // Replay what the client missed, or start it over if the log no
+      // longer goes back that far. Live events may overlap the replay, so
+      // clients skip any seq they have already seen.
+      const { events, seq, complete } = await manager.getReplay(environmentId, lastSeq);
+      reply({
+        event: "resumed",
+        data: { sessionId: ws.sessionId, environmentId, seq, replayed: complete },
+      });
+      
+      if (complete) {
+        events.forEach((event) => sendToClient(ws, event));
+      } else {
+        reply({ event: "files", data: await manager.getFilesPayload(environmentId) });
+        reply({
+          event: "sessionSnapshot",
+          data: { environmentId, ...(await manager.getSessionSnapshot(environmentId)) },
+        });
+      }
+      break;
+    }
+    
+    case "getSessionStatus": {
+      const environmentId = data.data?.environmentId || ws.environmentId;
       if (!environmentId) {
         throw new Error("environmentId is required");
       }
       
-      ws.environmentId = environmentId;
-      // Register this client with the environment
-      manager.registerClient(environmentId, ws);
-      
-      const files = await manager.getAllFilesForEnvironment(environmentId);
-      console.log(files);
-      ws.send(
-        JSON.stringify({
-          event: "files",
-          data: { files },
-        })
-      );
+      reply({
+        event: "sessionSnapshot",
+        data: { environmentId, ...(await manager.getSessionSnapshot(environmentId)) },
+      });
       break;
     }
     
     case "diffLine": {
-      const { environmentId, fileName, op, lineNumber, lineContent, count } = data.data || {};
-    
-      if (
-        !environmentId ||
-        !fileName ||
-        typeof lineNumber !== "number" ||
-        !["insert", "delete", "replace"].includes(op)
-      ) {
-        throw new Error("environmentId, fileName, op, and lineNumber are required");
-      }
+      const { environmentId, fileName, op, lineNumber, lineContent, count, revision } = data.data || {};
     
-      const fileKey = `${environmentId}_${fileName}`;
-      let fileContent = await get(fileKey) || "";
-      let lines = fileContent.split("\n");
-      let updates = [];
-    
-      if (op === "insert") {
-        // lineContent should be an array of lines to insert
-        const linesToInsert = Array.isArray(lineContent) ? lineContent : [lineContent];
-        lines.splice(lineNumber, 0, ...linesToInsert);
-        
-        // Prepare updates for broadcast
-        for (let i = 0; i < linesToInsert.length; i++) {
-          updates.push({
-            fileName,
-            op: "insert",
-            lineNumber: lineNumber + i,
-            lineContent: linesToInsert[i],
-          });
-        }
-      } else if (op === "delete") {
-        // count: number of lines to delete (default 1)
-        const deleteCount = typeof count === "number" && count > 0 ? count : 1;
-        lines.splice(lineNumber, deleteCount);
-        
-        for (let i = 0; i < deleteCount; i++) {
-          updates.push({
-            fileName,
-            op: "delete",
-            lineNumber: lineNumber, // always the same, as lines shift up
-            lineContent: null,
-          });
-        }
-      } else if (op === "replace") {
-        // lineContent should be an array of lines to replace
-        const linesToReplace = Array.isArray(lineContent) ? lineContent : [lineContent];
-        
-        for (let i = 0; i < linesToReplace.length; i++) {
-          if (lineNumber + i < lines.length) {
-            lines[lineNumber + i] = linesToReplace[i];
-            updates.push({
-              fileName,
-              op: "replace",
-              lineNumber: lineNumber + i,
-              lineContent: linesToReplace[i],
-            });
-          } else {
-            // If out of range, treat as insert
-            lines.splice(lineNumber + i, 0, linesToReplace[i]);
-            updates.push({
-              fileName,
-              op: "insert",
-              lineNumber: lineNumber + i,
-              lineContent: linesToReplace[i],
-            });
-          }
-        }
+      // revision is the file revision the client based this op on. Older
+      // clients omit it, in which case the op applies to the latest revision.
+      const result = await manager.applyLineOperation(
+        environmentId,
+        fileName,
+        normalizeOp({ op, lineNumber, lineContent, count }),
+        revision
+      );
+      audit.recordEdit(ws, environmentId, fileName, result.ops);
+    
+      // Let the sender know where its op landed so it can rebase pending edits
+      reply({
+        event: "diffLineAck",
+        data: {
+          fileName,
+          baseRevision: typeof revision === "number" ? revision : result.revision - 1,
+          revision: result.revision,
+          ops: result.ops,
+        },
+      });
+    
+      // Broadcast all updates to other clients in the same environment,
+      // numbered so clients that reconnect can catch up on them
+      for (const update of toLineUpdates(fileName, result.ops)) {
+        await manager.broadcastSequenced(
+          environmentId,
+          "lineUpdated",
+          { ...update, revision: result.revision },
+          { exclude: ws }
+        );
       }
+      break;
+    }
     
-      const newContent = lines.join("\n");
-      await set(fileKey, newContent);
+    case "setSyncMode": {
+      const { environmentId, fileName, mode } = data.data || {};
+      
+      const revision = await manager.setSyncMode(environmentId, fileName, mode);
+      
+      // Everyone editing the file has to switch protocols together
+      const message = JSON.stringify({
+        event: "syncModeChanged",
+        data: { fileName, mode, revision },
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
     
-      // Broadcast all updates to other clients in the same environment
-      updates.forEach((update) => {
-        const message = JSON.stringify({
-          event: "lineUpdated",
-          data: update,
-        });
-        
-        wss.clients.forEach((client) => {
-          if (
-            client !== ws &&
-            client.readyState === client.OPEN &&
-            client.environmentId === environmentId
-          ) {
-            client.send(message);
-          }
-        });
+    case "crdtSync": {
+      const { environmentId, fileName, stateVector } = data.data || {};
+      
+      // Reply with whatever the client's state vector says it is missing
+      const { update, stateVector: serverStateVector } = await manager.getCrdtState(
+        environmentId,
+        fileName,
+        stateVector
+      );
+      reply({
+        event: "crdtState",
+        data: { fileName, update, stateVector: serverStateVector },
+      });
+      break;
+    }
+    
+    case "crdtUpdate": {
+      const { environmentId, fileName, update } = data.data || {};
+      
+      await manager.applyCrdtUpdate(environmentId, fileName, update);
+      audit.recordEdit(ws, environmentId, fileName, null);
+      
+      // Yjs updates commute, so the original update can be relayed as-is
+      const message = JSON.stringify({
+        event: "crdtUpdated",
+        data: { fileName, update },
       });
+      
+      manager.broadcastToEnvironment(environmentId, message, { exclude: ws });
       break;
     }
     
     case "run": {
-      const { fileNames, environmentId, hash, files: clientFiles } = data.data || {};
-      if (!Array.isArray(fileNames) || !environmentId) {
-        throw new Error("fileNames (array) and environmentId are required");
-      }
+      const {
+        fileNames,
+        environmentId,
+        hash,
+        files: clientFiles,
+        runtime,
+        mode = "run",
+      } = data.data || {};
       
       const envId = ws.environmentId;
       const message = JSON.stringify({
         event: "runRan"
       });
       
-      wss.clients.forEach((client) => {
-        if (
-          client !== ws &&
-          client.readyState === client.OPEN &&
-          client.environmentId === envId
-        ) {
-          client.send(message);
-        }
-      });
+      manager.broadcastToEnvironment(envId, message, { exclude: ws });
       
       // Make sure client is registered with this environment
       if (ws.environmentId !== environmentId) {
-        ws.environmentId = environmentId;
-        manager.registerClient(environmentId, ws);
+        await joinEnvironment(ws, environmentId);
       }
       
+      await history
+        .snapshot(environmentId, { reason: "run", createdBy: getUserId(ws.user) })
+        .catch((error) => console.error("Error taking run snapshot:", error));
+      
       // Start a shared session for this environment (will kill any existing session)
-      const success = await manager.startSession(environmentId, fileNames, hash, clientFiles);
+      const success = await manager.startSession(environmentId, fileNames, hash, clientFiles, {
+        runtimeId: runtime,
+        startedBy: getUserId(ws.user),
+        mode,
+      });
+      const session = manager.sessions.get(environmentId);
+      audit.record(ws, environmentId, "run", {
+        fileNames: fileNames || null,
+        runtime: session ? session.runtime : null,
+        mode,
+        success,
+      });
       
-      ws.send(
-        JSON.stringify({ event: "runStatus", data: { success } })
-      );
+      reply({
+        event: "runStatus",
+        data: { success, mode, runtime: session ? session.runtime : null },
+      });
       break;
     }
     
-    case "input": {
-      if (!data.data || typeof data.data.input !== "string") {
-        throw new Error("Input data is required");
-      }
+    case "listRuntimes": {
+      const { environmentId } = data.data || {};
       
+      const envId = environmentId || ws.environmentId;
+      
+      reply({
+        event: "runtimes",
+        data: {
+          runtimes: listRuntimes(),
+          current: envId ? await manager.getEnvironmentRuntime(envId) : null,
+        },
+      });
+      break;
+    }
+    
+    case "setRuntime": {
+      const { environmentId, runtime } = data.data || {};
+      
+      await manager.setEnvironmentRuntime(environmentId, runtime);
+      
+      const message = JSON.stringify({
+        event: "runtimeChanged",
+        data: { environmentId, runtime },
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "input": {
       // Send input to the environment's session, not the client's session
       const environmentId = ws.environmentId;
       if (!environmentId) {
         throw new Error("No active environment");
       }
       
-      const ok = await manager.sendInput(environmentId, data.data.input);
+      // raw input is forwarded byte for byte, for keystrokes and control keys
+      const ok = await manager.sendInput(environmentId, data.data.input, {
+        raw: data.data.raw === true,
+      });
       if (!ok) {
         throw new Error("Failed to send input");
       }
+      audit.recordInput(ws, environmentId, data.data.input);
+      break;
+    }
+    
+    case "eof": {
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      const ok = await manager.sendEof(environmentId);
+      if (!ok) {
+        throw new Error("Failed to send EOF");
+      }
+      audit.record(ws, environmentId, "eof");
+      break;
+    }
+    
+    case "signal": {
+      const { signal } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      const ok = await manager.sendSignal(environmentId, signal);
+      if (!ok) {
+        throw new Error("No running program to signal");
+      }
+      audit.record(ws, environmentId, "signal", { signal });
+      break;
+    }
+    
+    case "resize": {
+      const { cols, rows } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      await manager.resizeTerminal(environmentId, cols, rows);
+      
+      // The terminal is shared, so everyone should render at the same size
+      const message = JSON.stringify({
+        event: "terminalResized",
+        data: { cols, rows },
+      });
+      manager.broadcastToEnvironment(environmentId, message);
       break;
     }
     
@@ -284,6 +649,7 @@ async function handleWebSocketMessage(ws, data) {
       }
       
       const success = await manager.stopSession(environmentId);
+      audit.record(ws, environmentId, "stop", { success });
       
       // Broadcast stop status to all clients in the environment
       const message = JSON.stringify({
@@ -296,24 +662,19 @@ async function handleWebSocketMessage(ws, data) {
     
     case "renameFile": {
       const { environmentId, oldName, newName } = data.data || {};
-      if (!environmentId || !oldName || !newName) {
-        throw new Error("environmentId, oldName, and newName are required");
-      }
       
+      await history.snapshot(environmentId, { reason: "rename", createdBy: getUserId(ws.user) });
       await manager.renameFile(environmentId, oldName, newName);
-      ws.send(
-        JSON.stringify({
-          event: "renameFileStatus",
-          data: { success: true, oldName, newName },
-        })
-      );
-      
-      const files = await manager.getAllFilesForEnvironment(environmentId);
+      audit.record(ws, environmentId, "rename", { oldName, newName });
+      reply({
+        event: "renameFileStatus",
+        data: { success: true, oldName, newName },
+      });
       
       // Broadcast updated files to all clients in the environment
       const message = JSON.stringify({
         event: "files",
-        data: { files },
+        data: await manager.getFilesPayload(environmentId),
       });
       manager.broadcastToEnvironment(environmentId, message);
       break;
@@ -321,24 +682,19 @@ async function handleWebSocketMessage(ws, data) {
     
     case "deleteFile": {
       const { environmentId, fileName } = data.data || {};
-      if (!environmentId || !fileName) {
-        throw new Error("environmentId and fileName are required");
-      }
       
+      await history.snapshot(environmentId, { reason: "delete", createdBy: getUserId(ws.user) });
       await manager.deleteFile(environmentId, fileName);
-      ws.send(
-        JSON.stringify({
-          event: "deleteFileStatus",
-          data: { success: true, fileName },
-        })
-      );
-      
-      const files = await manager.getAllFilesForEnvironment(environmentId);
+      audit.record(ws, environmentId, "delete", { fileName });
+      reply({
+        event: "deleteFileStatus",
+        data: { success: true, fileName },
+      });
       
       // Broadcast updated files to all clients in the environment
       const message = JSON.stringify({
         event: "files",
-        data: { files },
+        data: await manager.getFilesPayload(environmentId),
       });
       manager.broadcastToEnvironment(environmentId, message);
       break;
@@ -346,31 +702,333 @@ async function handleWebSocketMessage(ws, data) {
 
     case "duplicateFile": {
       const { environmentId, fileName } = data.data || {};
-      if (!environmentId || !fileName) {
-        throw new Error("environmentId and fileName are required");
-      }
       
       const newName = await manager.duplicateFile(environmentId, fileName);
-      ws.send(
-        JSON.stringify({
-          event: "duplicateFileStatus",
-          data: { success: true, oldName: fileName, newName },
-        })
-      );
+      audit.record(ws, environmentId, "duplicate", { fileName, newName });
+      reply({
+        event: "duplicateFileStatus",
+        data: { success: true, oldName: fileName, newName },
+      });
+      
+      // Broadcast updated files to all clients in the environment
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "createFolder": {
+      const { environmentId, path: folderPath } = data.data || {};
+      
+      await manager.createFolder(environmentId, folderPath);
+      reply({
+        event: "createFolderStatus",
+        data: { success: true, path: folderPath },
+      });
+      
+      // Broadcast updated files to all clients in the environment
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "moveFile": {
+      const { environmentId, fileName, folder } = data.data || {};
+      
+      const newName = await manager.moveFile(environmentId, fileName, folder);
+      audit.record(ws, environmentId, "rename", { oldName: fileName, newName });
+      reply({
+        event: "moveFileStatus",
+        data: { success: true, oldName: fileName, newName },
+      });
+      
+      // Broadcast updated files to all clients in the environment
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "renameFolder": {
+      const { environmentId, oldPath, newPath } = data.data || {};
+      
+      await history.snapshot(environmentId, { reason: "rename", createdBy: getUserId(ws.user) });
+      const moves = await manager.renameFolder(environmentId, oldPath, newPath);
+      audit.record(ws, environmentId, "renameFolder", { oldPath, newPath, moves });
+      reply({
+        event: "renameFolderStatus",
+        data: { success: true, oldPath, newPath, moves },
+      });
+      
+      // Broadcast updated files to all clients in the environment
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "deleteFolder": {
+      const { environmentId, path: folderPath } = data.data || {};
+      
+      await history.snapshot(environmentId, { reason: "delete", createdBy: getUserId(ws.user) });
+      const deleted = await manager.deleteFolder(environmentId, folderPath);
+      audit.record(ws, environmentId, "deleteFolder", { path: folderPath, deleted });
+      reply({
+        event: "deleteFolderStatus",
+        data: { success: true, path: folderPath, deleted },
+      });
+      
+      // Broadcast updated files to all clients in the environment
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "exportEnvironment": {
+      const { environmentId, format = "zip" } = data.data || {};
       
       const files = await manager.getAllFilesForEnvironment(environmentId);
+      const folders = await manager.getFolders(environmentId);
+      const archive = await createArchive(files, folders, format);
+      reply({
+        event: "environmentArchive",
+        data: {
+          environmentId,
+          format,
+          fileName: `${environmentId}.${format}`,
+          data: archive.toString("base64"),
+        },
+      });
+      break;
+    }
+    
+    case "importEnvironment": {
+      const {
+        environmentId,
+        format,
+        data: encoded,
+        mode = "merge",
+        conflict = "overwrite",
+        stripRoot = false,
+      } = data.data || {};
+      
+      // Reject oversized uploads before decoding them
+      if (Math.floor((encoded.length * 3) / 4) > archiveLimits.maxArchiveBytes) {
+        throw new Error(`Archive is larger than ${archiveLimits.maxArchiveBytes} bytes`);
+      }
+      
+      const archive = await readArchive(Buffer.from(encoded, "base64"), format, { stripRoot });
+      
+      await history.snapshot(environmentId, { reason: "import", createdBy: getUserId(ws.user) });
+      const result = await manager.importFiles(environmentId, archive, { mode, conflict });
+      audit.record(ws, environmentId, "import", {
+        mode,
+        written: result.written,
+        deleted: result.deleted,
+      });
+      reply({
+        event: "importStatus",
+        data: {
+          success: true,
+          written: result.written,
+          deleted: result.deleted,
+          skipped: [
+            ...archive.skipped,
+            ...result.skipped.map((path) => ({ path, reason: "already exists" })),
+          ],
+        },
+      });
+      
+      // CRDT clients merge the import like any other edit
+      for (const [name, update] of Object.entries(result.crdtUpdates)) {
+        manager.broadcastToEnvironment(
+          environmentId,
+          JSON.stringify({ event: "crdtUpdated", data: { fileName: name, update } })
+        );
+      }
       
       // Broadcast updated files to all clients in the environment
       const message = JSON.stringify({
         event: "files",
-        data: { files },
+        data: await manager.getFilesPayload(environmentId),
+      });
+      manager.broadcastToEnvironment(environmentId, message);
+      break;
+    }
+    
+    case "listHistory": {
+      const { environmentId, fileName } = data.data || {};
+      
+      const snapshots = await history.list(environmentId, fileName);
+      reply({
+        event: "history",
+        data: { environmentId, fileName: fileName || null, snapshots },
+      });
+      break;
+    }
+    
+    case "diffVersions": {
+      const { environmentId, fileName, from, to = "current" } = data.data || {};
+      
+      const hunks = await history.diff(environmentId, fileName, from, to);
+      reply({
+        event: "versionDiff",
+        data: { fileName, from, to, hunks },
+      });
+      break;
+    }
+    
+    case "restoreSnapshot": {
+      const { environmentId, snapshotId, fileName } = data.data || {};
+      
+      const { restored, deleted, crdtUpdates } = await history.restore(
+        environmentId,
+        snapshotId,
+        { fileName, restoredBy: getUserId(ws.user) }
+      );
+      audit.record(ws, environmentId, "restore", { snapshotId, restored, deleted });
+      reply({
+        event: "restoreStatus",
+        data: { success: true, snapshotId, restored, deleted },
+      });
+      
+      // CRDT clients merge the restore like any other edit
+      for (const [name, update] of Object.entries(crdtUpdates)) {
+        manager.broadcastToEnvironment(
+          environmentId,
+          JSON.stringify({ event: "crdtUpdated", data: { fileName: name, update } })
+        );
+      }
+      
+      // Line clients reload, since every restored file got a new revision
+      const message = JSON.stringify({
+        event: "files",
+        data: await manager.getFilesPayload(environmentId),
       });
       manager.broadcastToEnvironment(environmentId, message);
       break;
     }
     
+    case "setTests": {
+      const { environmentId, tests: suite } = data.data || {};
+      
+      const saved = await tests.setTests(environmentId, suite, { updatedBy: getUserId(ws.user) });
+      reply({
+        event: "testsStatus",
+        data: { success: true, environmentId, count: saved.length },
+      });
+      break;
+    }
+    
+    case "getTests": {
+      const { environmentId } = data.data || {};
+      
+      const suite = await tests.getTests(environmentId);
+      reply({
+        event: "tests",
+        data: {
+          environmentId,
+          // Students only learn which tests exist
+          tests:
+            role === "owner"
+              ? suite
+              : suite.map(({ id, name, type, hidden }) => ({ id, name, type, hidden })),
+        },
+      });
+      break;
+    }
+    
+    case "test": {
+      const { environmentId, runtime } = data.data || {};
+      
+      const view = role === "owner" ? (result) => result : studentView;
+      const run = await tests.run(environmentId, {
+        runtimeId: runtime,
+        startedBy: getUserId(ws.user),
+        onResult: (result, index, total) => {
+          reply({
+            event: "testResult",
+            data: { environmentId, index, total, result: view(result) },
+          });
+        },
+      });
+      
+      reply({
+        event: "testRunComplete",
+        data: {
+          environmentId,
+          runId: run.id,
+          runtime: run.runtime,
+          passed: run.passed,
+          total: run.total,
+          durationMs: run.finishedAt - run.startedAt,
+        },
+      });
+      break;
+    }
+    
+    case "listTestRuns": {
+      const { environmentId } = data.data || {};
+      
+      // Teachers see every run, students only their own
+      const runs = await tests.listRuns(environmentId, {
+        startedBy: role === "owner" ? undefined : getUserId(ws.user),
+      });
+      reply({
+        event: "testRuns",
+        data: { environmentId, runs },
+      });
+      break;
+    }
+    
+    case "getTestRun": {
+      const { environmentId, runId } = data.data || {};
+      
+      const run = await tests.getRun(environmentId, runId);
+      if (!run || (role !== "owner" && run.startedBy !== getUserId(ws.user))) {
+        throw new Error(`Test run ${runId} not found`);
+      }
+      reply({
+        event: "testRun",
+        data: role === "owner" ? run : { ...run, results: run.results.map(studentView) },
+      });
+      break;
+    }
+    
+    case "getAuditLog": {
+      const { environmentId, userId, action, since, until, before, limit } = data.data || {};
+      
+      const { entries, nextBefore } = await audit.list({
+        environmentId,
+        userId,
+        action,
+        since,
+        until,
+        before,
+        limit,
+      });
+      reply({
+        event: "auditLog",
+        data: { environmentId, entries, nextBefore },
+      });
+      break;
+    }
+    
     case "cursorMove": {
       const { line, ch, file: currentFile, environmentId } = data.data || {};
+      
       const envId = environmentId || ws.environmentId;
       if (!envId) {
         throw new Error("environmentId is required for cursorMove");
@@ -387,41 +1045,269 @@ async function handleWebSocketMessage(ws, data) {
         },
       });
     
-      wss.clients.forEach((client) => {
-        if (
-          client !== ws &&
-          client.readyState === client.OPEN &&
-          client.environmentId === envId
-        ) {
-          client.send(message);
-        }
+      manager.broadcastToEnvironment(envId, message, { exclude: ws });
+      
+      await presence.update(envId, ws, { file: currentFile ?? null, cursor: { line, ch } });
+      break;
+    }
+    
+    case "presenceUpdate": {
+      const { environmentId, file, cursor, selections } = data.data || {};
+      
+      const envId = environmentId || ws.environmentId;
+      if (!envId) {
+        throw new Error("environmentId is required");
+      }
+      
+      await presence.update(envId, ws, { file, cursor, selections });
+      break;
+    }
+    
+    case "getPresence": {
+      const envId = data.data?.environmentId || ws.environmentId;
+      if (!envId) {
+        throw new Error("environmentId is required");
+      }
+      
+      reply({
+        event: "presence",
+        data: { environmentId: envId, self: ws.sessionId, users: await presence.list(envId) },
       });
       break;
     }
 
+    case "getDriver": {
+      const environmentId = data.data?.environmentId || ws.environmentId;
+      if (!environmentId) {
+        throw new Error("environmentId is required");
+      }
+      
+      reply({
+        event: "driver",
+        data: { environmentId, driver: await drivers.get(environmentId) },
+      });
+      break;
+    }
+    
+    case "requestDriver": {
+      const { force = false } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      // Only an owner can take control without being handed it
+      if (force && role !== "owner") {
+        throw new Error("Only the owner can take control without asking");
+      }
+      
+      const granted = await drivers.request(environmentId, ws, { force });
+      reply({
+        event: "driverStatus",
+        data: { environmentId, granted },
+      });
+      break;
+    }
+    
+    case "handOffDriver": {
+      const { sessionId: to } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      await drivers.handOff(environmentId, ws, to);
+      break;
+    }
+    
+    case "releaseDriver": {
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      // Owners can also take control back from a driver who wandered off
+      await drivers.release(environmentId, ws, { force: role === "owner" });
+      break;
+    }
+    
+    case "setBreakpoints": {
+      const { environmentId, fileName, lines } = data.data || {};
+      
+      const { lines: kept, verified } = await manager.setBreakpoints(
+        environmentId,
+        fileName,
+        lines
+      );
+      reply({
+        event: "breakpointsStatus",
+        data: { environmentId, fileName, lines: kept, verified },
+      });
+      break;
+    }
+    
+    case "getBreakpoints": {
+      const { environmentId } = data.data || {};
+      
+      reply({
+        event: "breakpoints",
+        data: { environmentId, breakpoints: await manager.getBreakpoints(environmentId) },
+      });
+      break;
+    }
+    
+    case "debugContinue":
+    case "debugPause":
+    case "debugStepOver":
+    case "debugStepIn":
+    case "debugStepOut": {
+      const { threadId } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      // Everyone hears where the program got to through debugState
+      await manager.debugCommand(environmentId, DEBUG_STEPS[data.event], { threadId });
+      break;
+    }
+    
+    case "getStackTrace": {
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      const { threadId, frames } = await manager.debugCommand(
+        environmentId,
+        "stackTrace",
+        data.data || {}
+      );
+      reply({
+        event: "stackTrace",
+        data: { environmentId, threadId, frames },
+      });
+      break;
+    }
+    
+    case "getScopes": {
+      const { frameId } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      const { scopes } = await manager.debugCommand(environmentId, "scopes", { frameId });
+      reply({
+        event: "scopes",
+        data: { environmentId, frameId, scopes },
+      });
+      break;
+    }
+    
+    case "getVariables": {
+      const { variablesReference, start, count } = data.data || {};
+      
+      const environmentId = ws.environmentId;
+      if (!environmentId) {
+        throw new Error("No active environment");
+      }
+      
+      const { variables } = await manager.debugCommand(environmentId, "variables", {
+        variablesReference,
+        start,
+        count,
+      });
+      reply({
+        event: "variables",
+        data: { environmentId, variablesReference, variables },
+      });
+      break;
+    }
+    
     case "inputChange": {
       const { input } = data.data || {};
+      
       const envId = ws.environmentId;
       const message = JSON.stringify({
         event: "inputChanged",
         data: { input }
       });
 
-      wss.clients.forEach((client) => {
-        if (
-          client !== ws &&
-          client.readyState === client.OPEN &&
-          client.environmentId === envId
-        ) {
-          client.send(message);
-        }
-      });
+      manager.broadcastToEnvironment(envId, message, { exclude: ws });
       break;
     }
     
     default:
       throw new Error(`Unknown event: ${data.event}`);
   }
+  
+  // Let the client know a request that has nothing to say back went through
+  if (requestId !== undefined && !replied) {
+    reply({ event: "ack", data: { event: data.event } });
+  }
 }
 
+// How long shutdown may take before the process exits regardless
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+
+let shuttingDown = false;
+
+// Stop taking connections, tell clients why, stop every session hosted here
+// and save pending file writes. Clients can reconnect to another instance
+// and resume there.
+async function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`Shutting down: ${reason}`);
+  setTimeout(() => process.exit(exitCode || 1), SHUTDOWN_TIMEOUT_MS).unref();
+
+  wss.close();
+  httpServer.close();
+
+  const message = JSON.stringify({ event: "serverShutdown", data: { reason } });
+  wss.clients.forEach((client) => {
+    if (client.readyState === client.OPEN) {
+      client.send(message);
+    }
+  });
+
+  try {
+    reaper.stop();
+    history.stopPeriodicSnapshots();
+    audit.stop();
+    rateLimiter.stop();
+    await manager.shutdown();
+    await audit.flushAll();
+  } catch (error) {
+    console.error("Error shutting down:", error);
+    exitCode = 1;
+  }
+
+  // Give clients a moment to see the close frame
+  await Promise.race([
+    Promise.all(
+      [...wss.clients].map(
+        (client) =>
+          new Promise((resolve) => {
+            client.once("close", resolve);
+            client.close(1012, "Server shutting down");
+          })
+      )
+    ),
+    new Promise((resolve) => setTimeout(resolve, 2000)),
+  ]);
+  process.exit(exitCode);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("uncaughtException", (error) => {
+  console.error("Uncaught exception:", error);
+  shutdown("crash", 1);
+});
+
 console.log("WebSocket PTY server running on port 4987");
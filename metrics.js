@@ -0,0 +1,150 @@
+// metrics.js
+// Prometheus metrics for the socket server, served from /metrics on the HTTP
+// API. Counters and histograms are updated where things happen; gauges are
+// read off the session manager whenever they are scraped.
+import client from "prom-client";
+import { redis } from "./redis.js";
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const messagesReceived = new client.Counter({
+  name: "np_ws_messages_received_total",
+  help: "WebSocket messages received, by event",
+  labelNames: ["event"],
+  registers: [register],
+});
+
+const messageErrors = new client.Counter({
+  name: "np_ws_message_errors_total",
+  help: "WebSocket messages that failed, by error code",
+  labelNames: ["code"],
+  registers: [register],
+});
+
+const rateLimitedMessages = new client.Counter({
+  name: "np_ws_rate_limited_total",
+  help: "WebSocket messages refused or dropped for going over a rate limit, by event",
+  labelNames: ["event"],
+  registers: [register],
+});
+
+const slowClientDisconnects = new client.Counter({
+  name: "np_ws_slow_client_disconnects_total",
+  help: "WebSocket clients disconnected for falling too far behind",
+  registers: [register],
+});
+
+const runDuration = new client.Histogram({
+  name: "np_run_duration_seconds",
+  help: "How long runs lasted, by runtime and why they ended",
+  labelNames: ["runtime", "reason"],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600],
+  registers: [register],
+});
+
+const runExits = new client.Counter({
+  name: "np_run_exits_total",
+  help: "Finished runs, by exit code and why they ended",
+  labelNames: ["exit_code", "reason"],
+  registers: [register],
+});
+
+const containerStartLatency = new client.Histogram({
+  name: "np_container_start_seconds",
+  help: "Time from creating a run's container to it running, by runtime",
+  labelNames: ["runtime"],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const redisLatency = new client.Histogram({
+  name: "np_redis_ping_seconds",
+  help: "Round trip time of a Redis PING, measured on every scrape",
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.5, 1],
+  registers: [register],
+});
+
+/**
+ * Time a Redis PING
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<number>} The round trip in seconds
+ */
+async function pingRedis(timeoutMs = 2000) {
+  const startedAt = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      redis.ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Redis did not answer PING")), timeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return Number(process.hrtime.bigint() - startedAt) / 1e9;
+}
+
+/**
+ * Report the session manager's clients, environments and sessions
+ * @param {ContainerSessionManager} manager - The manager to read from
+ */
+function observeManager(manager) {
+  new client.Gauge({
+    name: "np_connected_clients",
+    help: "WebSocket clients connected to this instance",
+    registers: [register],
+    collect() {
+      let count = 0;
+      for (const clients of manager.clientsMap.values()) count += clients.size;
+      this.set(count);
+    },
+  });
+
+  new client.Gauge({
+    name: "np_environments",
+    help: "Environments with clients on this instance",
+    registers: [register],
+    collect() {
+      this.set(manager.clientsMap.size);
+    },
+  });
+
+  new client.Gauge({
+    name: "np_active_sessions",
+    help: "Running sessions hosted by this instance",
+    registers: [register],
+    collect() {
+      this.set(manager.sessions.size);
+    },
+  });
+
+  new client.Gauge({
+    name: "np_redis_up",
+    help: "Whether Redis answered a PING during this scrape",
+    registers: [register],
+    async collect() {
+      try {
+        redisLatency.observe(await pingRedis());
+        this.set(1);
+      } catch {
+        this.set(0);
+      }
+    },
+  });
+}
+
+export {
+  register,
+  messagesReceived,
+  messageErrors,
+  rateLimitedMessages,
+  slowClientDisconnects,
+  runDuration,
+  runExits,
+  containerStartLatency,
+  redisLatency,
+  pingRedis,
+  observeManager,
+};
@@ -0,0 +1,23 @@
+// migrate-files.js
+// Copies every environment's files from Redis into Postgres. Environments
+// are also migrated one at a time the first time they're touched, so this
+// only saves waiting for that. Safe to run more than once.
+//
+//   npm run migrate-files
+import ContainerSessionManager from "./ContainerSessionManager.js";
+import { redis } from "./redis.js";
+
+const manager = new ContainerSessionManager();
+const store = manager.files;
+
+const environments = await store.query`SELECT id FROM environments;`;
+let fileCount = 0;
+for (const { id } of environments.rows) {
+  const environmentId = String(id);
+  fileCount += await store.migrateEnvironment(environmentId);
+  await redis.set(store.loadedKey(environmentId), Date.now());
+}
+
+await store.flushAll();
+console.log(`Migrated ${fileCount} files from ${environments.rows.length} environments`);
+process.exit(0);
@@ -0,0 +1,83 @@
+// migrate-schema.js
+// Creates the tables this service keeps in Postgres and makes the changes
+// it needs to tables it shares with the main app. The service itself never
+// changes the schema, so it can run as a role without CREATE or ALTER
+// rights; run this once per deploy as one that has them. Safe to run more
+// than once.
+//
+//   npm run migrate-schema
+import { Database } from "./DatabaseClasses.ts";
+
+const database = new Database();
+
+const migrations = [
+  {
+    // Existing members keep editing
+    name: "environment_members.role",
+    run: () => database.execute`
+      ALTER TABLE environment_members
+      ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'editor'
+      CHECK (role IN ('viewer', 'editor'));
+    `,
+  },
+  {
+    name: "environment_files",
+    run: () => database.execute`
+      CREATE TABLE IF NOT EXISTS environment_files (
+        environment_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        content TEXT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (environment_id, path)
+      );
+    `,
+  },
+  {
+    name: "environment_folders",
+    run: () => database.execute`
+      CREATE TABLE IF NOT EXISTS environment_folders (
+        environment_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        PRIMARY KEY (environment_id, path)
+      );
+    `,
+  },
+  {
+    name: "audit_log",
+    run: () => database.execute`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        environment_id TEXT NOT NULL,
+        user_id TEXT,
+        user_name TEXT,
+        session_id TEXT,
+        action TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `,
+  },
+  {
+    name: "audit_log_environment_idx",
+    run: () => database.execute`
+      CREATE INDEX IF NOT EXISTS audit_log_environment_idx
+      ON audit_log (environment_id, created_at);
+    `,
+  },
+  {
+    name: "audit_log_user_idx",
+    run: () => database.execute`
+      CREATE INDEX IF NOT EXISTS audit_log_user_idx ON audit_log (user_id, created_at);
+    `,
+  },
+];
+
+for (const { name, run } of migrations) {
+  const result = await run();
+  if (!result.ok) {
+    console.error(`Migration ${name} failed`);
+    process.exit(1);
+  }
+  console.log(`Applied ${name}`);
+}
+process.exit(0);
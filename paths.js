@@ -0,0 +1,147 @@
+// paths.js
+// Normalization and validation for file and folder paths inside an
+// environment. Paths are always relative, "/" separated and can never point
+// outside the environment's workspace.
+import path from "path";
+
+const MAX_PATH_LENGTH = 1024;
+const MAX_SEGMENT_LENGTH = 255;
+const MAX_DEPTH = 20;
+
+/**
+ * Thrown for a path that is malformed or would escape the workspace
+ */
+class PathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PathError";
+    this.code = "INVALID_PATH";
+  }
+}
+
+/**
+ * Normalize a path inside an environment
+ * @param {string} value - The path as sent by a client, e.g. "src//util.py"
+ * @param {Object} [options]
+ * @param {boolean} [options.allowRoot] - Accept "" for the workspace root
+ * @returns {string} The normalized path, e.g. "src/util.py"
+ * @throws {PathError}
+ */
+function normalizePath(value, { allowRoot = false } = {}) {
+  if (typeof value !== "string") {
+    throw new PathError("Path must be a string");
+  }
+  if (value.length > MAX_PATH_LENGTH) {
+    throw new PathError(`Path is longer than ${MAX_PATH_LENGTH} characters`);
+  }
+  if (/[\p{Cc}\\]/u.test(value)) {
+    throw new PathError(`Path contains invalid characters: ${JSON.stringify(value)}`);
+  }
+
+  const segments = value.split("/").filter((segment) => segment !== "" && segment !== ".");
+
+  for (const segment of segments) {
+    if (/^\.+$/.test(segment)) {
+      throw new PathError(`Path may not contain "${segment}": ${value}`);
+    }
+    if (segment.length > MAX_SEGMENT_LENGTH) {
+      throw new PathError(`Path segment is longer than ${MAX_SEGMENT_LENGTH} characters`);
+    }
+    if (segment !== segment.trim()) {
+      throw new PathError(`Path segment may not start or end with spaces: ${value}`);
+    }
+  }
+
+  if (segments.length > MAX_DEPTH) {
+    throw new PathError(`Path is nested deeper than ${MAX_DEPTH} folders`);
+  }
+  if (segments.length === 0 && !allowRoot) {
+    throw new PathError("Path is empty");
+  }
+
+  return segments.join("/");
+}
+
+/**
+ * Resolve a normalized path against a directory on disk, refusing anything
+ * that would land outside it
+ * @param {string} baseDir - The directory the path is relative to
+ * @param {string} relativePath - The path inside it
+ * @returns {string} The absolute path
+ * @throws {PathError}
+ */
+function resolveInside(baseDir, relativePath) {
+  const base = path.resolve(baseDir);
+  const target = path.resolve(base, normalizePath(relativePath));
+  if (!target.startsWith(base + path.sep)) {
+    throw new PathError(`Path escapes the workspace: ${relativePath}`);
+  }
+  return target;
+}
+
+/**
+ * Every folder containing a path, outermost first
+ * @param {string} filePath - A normalized path, e.g. "a/b/c.py"
+ * @returns {string[]} e.g. ["a", "a/b"]
+ */
+function parentFolders(filePath) {
+  const segments = filePath.split("/").slice(0, -1);
+  return segments.map((_, i) => segments.slice(0, i + 1).join("/"));
+}
+
+/**
+ * Whether a path is inside a folder (at any depth)
+ * @param {string} filePath - A normalized path
+ * @param {string} folder - A normalized folder path, "" for the root
+ * @returns {boolean}
+ */
+function isInside(filePath, folder) {
+  return folder === "" || filePath.startsWith(folder + "/");
+}
+
+/**
+ * Build a folder tree out of flat file paths and folder paths
+ * @param {string[]} filePaths - Normalized file paths
+ * @param {string[]} folderPaths - Normalized folder paths, including empty ones
+ * @returns {Object[]} Nodes of { type: "folder", name, path, children } or
+ *   { type: "file", name, path }, folders first, sorted by name
+ */
+function buildTree(filePaths, folderPaths) {
+  const root = { children: new Map() };
+
+  const folderNode = (folderPath) => {
+    let node = root;
+    for (const current of [...parentFolders(folderPath), folderPath]) {
+      const name = current.slice(current.lastIndexOf("/") + 1);
+      // Keyed by type too, so a file and a folder may share a name
+      const key = `folder:${name}`;
+      if (!node.children.has(key)) {
+        node.children.set(key, { type: "folder", name, path: current, children: new Map() });
+      }
+      node = node.children.get(key);
+    }
+    return node;
+  };
+
+  folderPaths.forEach((folderPath) => folderNode(folderPath));
+
+  for (const filePath of filePaths) {
+    const folders = parentFolders(filePath);
+    const parent = folders.length > 0 ? folderNode(folders[folders.length - 1]) : root;
+    const name = filePath.slice(filePath.lastIndexOf("/") + 1);
+    parent.children.set(`file:${name}`, { type: "file", name, path: filePath });
+  }
+
+  const toArray = (node) =>
+    [...node.children.values()]
+      .sort((a, b) =>
+        a.type === b.type ? a.name.localeCompare(b.name) : a.type === "folder" ? -1 : 1
+      )
+      .map((child) =>
+        child.type === "folder" ? { ...child, children: toArray(child) } : child
+      );
+
+  return toArray(root);
+}
+
+export { PathError, normalizePath, resolveInside, parentFolders, isInside, buildTree };
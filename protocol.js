@@ -0,0 +1,505 @@
+// protocol.js
+// The WebSocket protocol: the envelope every message travels in, a schema for
+// every event a client can send, and the version negotiation done on
+// connect. describeProtocol() publishes all of it as JSON Schema.
+import { z } from "zod/v4";
+import { FORMATS } from "./Archives.js";
+
+const PROTOCOL_NAME = "np-socket";
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * Thrown for a message that doesn't match the protocol
+ */
+class ProtocolError extends Error {
+  constructor(message, { code = "INVALID_REQUEST", issues = [] } = {}) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.issues = issues;
+  }
+}
+
+const requestId = z
+  .union([z.string().max(128), z.number().int()])
+  .describe("Echoed on the response to this message");
+
+const envelope = z.object({
+  event: z.string().min(1).max(64),
+  data: z.record(z.string(), z.unknown()).nullable().optional(),
+  requestId: requestId.optional(),
+});
+
+const environmentId = z.string().min(1).max(200);
+const filePath = z.string().min(1).max(1024);
+const position = z.object({
+  line: z.number().int().nonnegative(),
+  ch: z.number().int().nonnegative(),
+});
+
+const testCase = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("io"),
+    id: z.string().optional(),
+    name: z.string().max(200).optional(),
+    stdin: z.string().optional(),
+    expectedOutput: z.string(),
+    timeoutSeconds: z.number().positive().optional(),
+    hidden: z.boolean().optional(),
+  }),
+  z.object({
+    type: z.literal("pytest"),
+    id: z.string().optional(),
+    name: z.string().max(200).optional(),
+    fileName: filePath.optional(),
+    content: z.string(),
+    timeoutSeconds: z.number().positive().optional(),
+    hidden: z.boolean().optional(),
+  }),
+]);
+
+// Every event a client may send, with what it does and the shape of its data
+const clientEvents = {
+  getProtocol: {
+    description: "Get this spec",
+    schema: z.object({}),
+  },
+  getFiles: {
+    description: "Join an environment and get its files and terminal state",
+    schema: z.object({ environmentId }),
+  },
+  resume: {
+    description: "Take back a dropped connection's session and replay what it missed",
+    schema: z.object({
+      resumeToken: z.string().min(1).max(64).regex(/^[\w-]+$/),
+      lastSeq: z.number().int().nonnegative(),
+    }),
+  },
+  getSessionStatus: {
+    description: "Get the state of the environment's shared terminal",
+    schema: z.object({ environmentId: environmentId.optional() }),
+  },
+  diffLine: {
+    description: "Apply a line edit, based on the given file revision",
+    schema: z.object({
+      environmentId,
+      fileName: filePath,
+      op: z.enum(["insert", "delete", "replace"]),
+      lineNumber: z.number().int().nonnegative(),
+      lineContent: z.union([z.string(), z.array(z.string())]).optional(),
+      count: z.number().int().positive().optional(),
+      revision: z.number().int().nonnegative().optional(),
+    }),
+  },
+  setSyncMode: {
+    description: "Switch a file between line edits and CRDT sync",
+    schema: z.object({ environmentId, fileName: filePath, mode: z.enum(["lines", "crdt"]) }),
+  },
+  crdtSync: {
+    description: "Get the CRDT updates missing from a state vector",
+    schema: z.object({ environmentId, fileName: filePath, stateVector: z.string().optional() }),
+  },
+  crdtUpdate: {
+    description: "Apply a CRDT update (base64)",
+    schema: z.object({ environmentId, fileName: filePath, update: z.string() }),
+  },
+  run: {
+    description: "Run the given files in the environment's shared terminal",
+    schema: z.object({
+      environmentId,
+      fileNames: z.array(filePath),
+      hash: z.string().optional(),
+      files: z.record(z.string(), z.string()).optional(),
+      runtime: z.string().optional(),
+      mode: z.enum(["run", "debug"]).optional().describe("debug starts it under the debugger"),
+    }),
+  },
+  listRuntimes: {
+    description: "List the runtimes programs can run in",
+    schema: z.object({ environmentId: environmentId.optional() }),
+  },
+  setRuntime: {
+    description: "Set the environment's runtime",
+    schema: z.object({ environmentId, runtime: z.string().min(1) }),
+  },
+  input: {
+    description: "Send input to the running program",
+    schema: z.object({ input: z.string(), raw: z.boolean().optional() }),
+  },
+  eof: {
+    description: "Send end-of-file to the running program",
+    schema: z.object({}),
+  },
+  signal: {
+    description: "Send a signal to the running program",
+    schema: z.object({ signal: z.string() }),
+  },
+  resize: {
+    description: "Resize the shared terminal",
+    schema: z.object({
+      cols: z.number().int().positive(),
+      rows: z.number().int().positive(),
+    }),
+  },
+  stop: {
+    description: "Stop the running program",
+    schema: z.object({}),
+  },
+  renameFile: {
+    description: "Rename a file",
+    schema: z.object({ environmentId, oldName: filePath, newName: filePath }),
+  },
+  deleteFile: {
+    description: "Delete a file",
+    schema: z.object({ environmentId, fileName: filePath }),
+  },
+  duplicateFile: {
+    description: "Copy a file next to itself",
+    schema: z.object({ environmentId, fileName: filePath }),
+  },
+  createFolder: {
+    description: "Create a folder",
+    schema: z.object({ environmentId, path: filePath }),
+  },
+  moveFile: {
+    description: 'Move a file into a folder ("" for the root)',
+    schema: z.object({ environmentId, fileName: filePath, folder: z.string().max(1024) }),
+  },
+  renameFolder: {
+    description: "Rename a folder and everything in it",
+    schema: z.object({ environmentId, oldPath: filePath, newPath: filePath }),
+  },
+  deleteFolder: {
+    description: "Delete a folder and everything in it",
+    schema: z.object({ environmentId, path: filePath }),
+  },
+  exportEnvironment: {
+    description: "Download the environment as an archive",
+    schema: z.object({ environmentId, format: z.enum(FORMATS).optional() }),
+  },
+  importEnvironment: {
+    description: "Upload an archive (base64) into the environment",
+    schema: z.object({
+      environmentId,
+      format: z.enum(FORMATS),
+      data: z.string(),
+      mode: z.enum(["merge", "replace"]).optional(),
+      conflict: z.enum(["overwrite", "skip", "error"]).optional(),
+      stripRoot: z.boolean().optional(),
+    }),
+  },
+  listHistory: {
+    description: "List snapshots, optionally only those containing a file",
+    schema: z.object({ environmentId, fileName: filePath.optional() }),
+  },
+  diffVersions: {
+    description: 'Diff a file between two snapshots ("current" for now)',
+    schema: z.object({
+      environmentId,
+      fileName: filePath,
+      from: z.string().min(1),
+      to: z.string().min(1).optional(),
+    }),
+  },
+  restoreSnapshot: {
+    description: "Restore a snapshot, or one file from it",
+    schema: z.object({ environmentId, snapshotId: z.string().min(1), fileName: filePath.optional() }),
+  },
+  setTests: {
+    description: "Replace the environment's hidden test suite (owner only)",
+    schema: z.object({ environmentId, tests: z.array(testCase) }),
+  },
+  getTests: {
+    description: "Get the test suite; students only see names",
+    schema: z.object({ environmentId }),
+  },
+  test: {
+    description: "Run the test suite against the environment's files",
+    schema: z.object({ environmentId, runtime: z.string().optional() }),
+  },
+  listTestRuns: {
+    description: "List past test runs",
+    schema: z.object({ environmentId }),
+  },
+  getTestRun: {
+    description: "Get one test run with its results",
+    schema: z.object({ environmentId, runId: z.string().min(1) }),
+  },
+  getAuditLog: {
+    description: "List who changed what in the environment, newest first (owner only)",
+    schema: z.object({
+      environmentId,
+      userId: z.string().min(1).optional(),
+      action: z.string().min(1).max(64).optional(),
+      since: z.number().int().nonnegative().optional(),
+      until: z.number().int().nonnegative().optional(),
+      before: z.string().regex(/^\d+$/).optional(),
+      limit: z.number().int().min(1).max(1000).optional(),
+    }),
+  },
+  cursorMove: {
+    description: "Move this client's cursor",
+    schema: z.object({
+      environmentId: environmentId.optional(),
+      line: z.number().int().nonnegative(),
+      ch: z.number().int().nonnegative(),
+      file: filePath.optional(),
+    }),
+  },
+  presenceUpdate: {
+    description: "Update this client's active file, cursor and selections",
+    schema: z.object({
+      environmentId: environmentId.optional(),
+      file: filePath.nullable().optional(),
+      cursor: position.nullable().optional(),
+      selections: z.array(z.object({ anchor: position, head: position })).optional(),
+    }),
+  },
+  getPresence: {
+    description: "List who is in the environment",
+    schema: z.object({ environmentId: environmentId.optional() }),
+  },
+  getDriver: {
+    description: "Find out who is in control of the program",
+    schema: z.object({ environmentId: environmentId.optional() }),
+  },
+  requestDriver: {
+    description: "Ask for control of the program; owners can force it",
+    schema: z.object({ force: z.boolean().optional() }),
+  },
+  handOffDriver: {
+    description: "Pass control of the program to someone else in the environment",
+    schema: z.object({ sessionId: z.string().min(1).max(64) }),
+  },
+  releaseDriver: {
+    description: "Give up control of the program; owners can release anyone's",
+    schema: z.object({}),
+  },
+  setBreakpoints: {
+    description: "Replace the breakpoints in a file, for every debug run",
+    schema: z.object({
+      environmentId,
+      fileName: filePath,
+      lines: z.array(z.number().int().positive()).max(1000),
+    }),
+  },
+  getBreakpoints: {
+    description: "List the environment's breakpoints",
+    schema: z.object({ environmentId }),
+  },
+  debugContinue: {
+    description: "Resume the paused program",
+    schema: z.object({ threadId: z.number().int().optional() }),
+  },
+  debugPause: {
+    description: "Pause the running program",
+    schema: z.object({ threadId: z.number().int().optional() }),
+  },
+  debugStepOver: {
+    description: "Run to the next line",
+    schema: z.object({ threadId: z.number().int().optional() }),
+  },
+  debugStepIn: {
+    description: "Step into the function called on this line",
+    schema: z.object({ threadId: z.number().int().optional() }),
+  },
+  debugStepOut: {
+    description: "Run until the current function returns",
+    schema: z.object({ threadId: z.number().int().optional() }),
+  },
+  getStackTrace: {
+    description: "Get the call stack of the paused program",
+    schema: z.object({
+      threadId: z.number().int().optional(),
+      startFrame: z.number().int().nonnegative().optional(),
+      levels: z.number().int().min(1).max(200).optional(),
+    }),
+  },
+  getScopes: {
+    description: "Get the scopes of a stack frame",
+    schema: z.object({ frameId: z.number().int() }),
+  },
+  getVariables: {
+    description: "Get the variables in a scope, or the members of a variable",
+    schema: z.object({
+      variablesReference: z.number().int().positive(),
+      start: z.number().int().nonnegative().optional(),
+      count: z.number().int().min(1).max(200).optional(),
+    }),
+  },
+  inputChange: {
+    description: "Share the contents of this client's input box",
+    schema: z.object({ input: z.string() }),
+  },
+};
+
+// Events the server sends
+const serverEvents = {
+  connected: "Sent once on connect with the session id, resume token and protocol version",
+  resumed: "Reply to resume; events after lastSeq follow, or files and sessionSnapshot if they're gone",
+  ack: "Answers a request that has no other reply",
+  error: "A request failed; carries message, details, code and issues",
+  protocol: "Reply to getProtocol",
+  files: "Files, revisions, sync modes, folders and tree of the environment",
+  sessionSnapshot: "State and scrollback of the shared terminal, and the debugger's state",
+  diffLineAck: "Where the sender's diffLine landed",
+  lineUpdated: "A line edit made by someone else, numbered with seq",
+  syncModeChanged: "A file switched sync mode",
+  crdtState: "Reply to crdtSync",
+  crdtUpdated: "A CRDT update made by someone else",
+  runRan: "Someone else started a run",
+  runStatus: "Whether the sender's run started",
+  containerState: "The run's container changed state",
+  output: "Terminal output, numbered with seq",
+  exit: "The program exited",
+  stopped: "The program was stopped",
+  runtimes: "Reply to listRuntimes",
+  runtimeChanged: "The environment's runtime changed",
+  terminalResized: "The shared terminal was resized",
+  renameFileStatus: "Reply to renameFile",
+  deleteFileStatus: "Reply to deleteFile",
+  duplicateFileStatus: "Reply to duplicateFile",
+  createFolderStatus: "Reply to createFolder",
+  moveFileStatus: "Reply to moveFile",
+  renameFolderStatus: "Reply to renameFolder",
+  deleteFolderStatus: "Reply to deleteFolder",
+  environmentArchive: "Reply to exportEnvironment",
+  importStatus: "Reply to importEnvironment",
+  history: "Reply to listHistory",
+  versionDiff: "Reply to diffVersions",
+  restoreStatus: "Reply to restoreSnapshot",
+  testsStatus: "Reply to setTests",
+  tests: "Reply to getTests",
+  testResult: "One test finished",
+  testRunComplete: "Every test finished",
+  testRuns: "Reply to listTestRuns",
+  testRun: "Reply to getTestRun",
+  auditLog: "Reply to getAuditLog; pass nextBefore as before for the next page",
+  presence: "Everyone in the environment",
+  userJoined: "Someone joined the environment",
+  userLeft: "Someone left the environment",
+  presenceUpdated: "Someone moved their cursor, selection or active file",
+  movedCursor: "Someone moved their cursor (older clients)",
+  deleteCursor: "Someone left (older clients)",
+  driver: "Who is in control of the program; reply to getDriver, also sent on getFiles",
+  driverStatus: "Reply to requestDriver, saying whether control was granted",
+  driverChanged: "Control of the program changed hands or was released",
+  driverRequested: "Someone asked for control of the program",
+  inputChanged: "Someone changed their input box",
+  breakpointsStatus: "Reply to setBreakpoints, with where a running debugger placed them",
+  breakpoints: "Reply to getBreakpoints",
+  breakpointsChanged: "Someone changed the breakpoints in a file",
+  debugState: "The debugged program started, paused (with where), resumed or ended",
+  stackTrace: "Reply to getStackTrace",
+  scopes: "Reply to getScopes",
+  variables: "Reply to getVariables",
+  serverShutdown: "This instance is shutting down; reconnect and resume",
+};
+
+function formatIssues(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join("."),
+    message: issue.message,
+  }));
+}
+
+/**
+ * Check an inbound message against the protocol
+ * @param {any} message - The parsed JSON message
+ * @returns {Object} { event, data, requestId } with data stripped down to the
+ *   fields the event declares
+ * @throws {ProtocolError}
+ */
+function parseMessage(message) {
+  const parsedEnvelope = envelope.safeParse(message);
+  if (!parsedEnvelope.success) {
+    const issues = formatIssues(parsedEnvelope.error);
+    throw new ProtocolError("Invalid message", { issues });
+  }
+
+  const { event, data, requestId: id } = parsedEnvelope.data;
+  const definition = clientEvents[event];
+  if (!definition) {
+    throw new ProtocolError(`Unknown event: ${event}`, { code: "UNKNOWN_EVENT" });
+  }
+
+  const parsedData = definition.schema.safeParse(data ?? {});
+  if (!parsedData.success) {
+    const issues = formatIssues(parsedData.error);
+    const summary = issues.map((issue) => `${issue.path || "data"}: ${issue.message}`).join("; ");
+    throw new ProtocolError(`Invalid ${event}: ${summary}`, { issues });
+  }
+
+  return { event, data: parsedData.data, requestId: id };
+}
+
+/**
+ * Pick the protocol version for a new connection
+ * @param {number[]} requested - Versions the client offered, empty if none
+ * @returns {number|null} The highest version both sides support, the
+ *   current version if the client didn't say, or null if there is none
+ */
+function negotiateVersion(requested) {
+  if (requested.length === 0) return PROTOCOL_VERSION;
+  const common = requested.filter((version) => SUPPORTED_VERSIONS.includes(version));
+  return common.length > 0 ? Math.max(...common) : null;
+}
+
+/**
+ * Read the versions a client offered, as WebSocket subprotocols
+ * ("np-socket.v1") or a ?protocol=1,2 query parameter
+ * @param {Set<string>|string[]} subprotocols - Offered subprotocols
+ * @param {string} [url] - The request URL
+ * @returns {number[]} The offered versions
+ */
+function requestedVersions(subprotocols, url = "/") {
+  const versions = [];
+  for (const name of subprotocols) {
+    const match = name.match(new RegExp(`^${PROTOCOL_NAME}\\.v(\\d+)$`));
+    if (match) versions.push(Number(match[1]));
+  }
+
+  const query = new URL(url, "http://localhost").searchParams.get("protocol");
+  if (query) {
+    versions.push(...query.split(",").map(Number).filter(Number.isInteger));
+  }
+  return versions;
+}
+
+function subprotocolName(version) {
+  return `${PROTOCOL_NAME}.v${version}`;
+}
+
+/**
+ * The protocol as a machine-readable spec
+ * @returns {Object} { name, version, supportedVersions, envelope,
+ *   clientEvents, serverEvents } with schemas as JSON Schema
+ */
+function describeProtocol() {
+  return {
+    name: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_VERSIONS,
+    envelope: z.toJSONSchema(envelope),
+    clientEvents: Object.fromEntries(
+      Object.entries(clientEvents).map(([event, { description, schema }]) => [
+        event,
+        { description, schema: z.toJSONSchema(schema) },
+      ])
+    ),
+    serverEvents,
+  };
+}
+
+export {
+  PROTOCOL_NAME,
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ProtocolError,
+  parseMessage,
+  negotiateVersion,
+  requestedVersions,
+  subprotocolName,
+  describeProtocol,
+};
@@ -1,6 +1,7 @@
 // redis.js
 import Redis from "ioredis";
 import dotenv from "dotenv";
+import crypto from "crypto";
 dotenv.config();
 
 const { REDIS_URL = "redis://localhost:6379" } = process.env;
@@ -188,6 +189,45 @@ async function zrange(key, start, stop) {
   return redis.zrange(key, start, stop);
 }
 
+// Only delete the lock if it still holds our token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Run a function while holding a lock shared by every process using Redis
+ * @param {string} key - The lock key
+ * @param {Function} fn - The function to run
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Lock expiry in milliseconds, in case the
+ *   holder dies before releasing it
+ * @param {number} [options.timeout] - How long to wait for the lock in
+ *   milliseconds before giving up
+ * @returns {Promise<any>} Whatever fn returns
+ */
+async function withLock(key, fn, { ttl = 10000, timeout = 10000 } = {}) {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeout;
+  let delay = 10;
+
+  while ((await redis.set(key, token, "PX", ttl, "NX")) !== "OK") {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${key}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    delay = Math.min(delay * 2, 200);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+  }
+}
+
 export {
   redis, // Export raw client for advanced usage
   get,
@@ -203,4 +243,5 @@ export {
   hgetall,
   zadd,
   zrange,
+  withLock,
 };
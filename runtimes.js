@@ -0,0 +1,408 @@
+// runtimes.js
+// Registry of the languages a session can run. Each runtime describes the
+// image to run in, how to compile and start the program, how to pick the
+// entry file, what a brand new entry file should contain and, where the
+// language has one, which dependency file to install packages from and how
+// to run the program under a debug adapter.
+
+const DEFAULT_RUNTIME = process.env.DEFAULT_RUNTIME || "python3.9";
+
+/**
+ * Quote a value for use inside `sh -c`
+ * @param {string} value - The value to quote
+ * @returns {string} The single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Relays DAP between its stdin/stdout and a debug adapter listening on a port
+// inside the container, which has no network to reach it from outside
+const PYTHON_DAP_BRIDGE = [
+  "import os, socket, sys, threading, time",
+  "for attempt in range(100):",
+  "    try:",
+  "        sock = socket.create_connection(('127.0.0.1', int(sys.argv[1])))",
+  "        break",
+  "    except OSError:",
+  "        time.sleep(0.1)",
+  "else:",
+  "    sys.exit('The debug adapter did not start')",
+  "def relay():",
+  "    while True:",
+  "        data = sock.recv(65536)",
+  "        if not data:",
+  "            os._exit(0)",
+  "        sys.stdout.buffer.write(data)",
+  "        sys.stdout.buffer.flush()",
+  "threading.Thread(target=relay, daemon=True).start()",
+  "while True:",
+  "    data = sys.stdin.buffer.read1(65536)",
+  "    if not data:",
+  "        os._exit(0)",
+  "    sock.sendall(data)",
+].join("\n");
+
+// The same relay for images without Python
+const NODE_DAP_BRIDGE = `
+const net = require("net");
+let attempts = 0;
+(function connect() {
+  const socket = net.connect(Number(process.argv[1]), "127.0.0.1");
+  socket.once("error", () => {
+    if (++attempts >= 100) {
+      console.error("The debug adapter did not start");
+      process.exit(1);
+    }
+    setTimeout(connect, 100);
+  });
+  socket.once("connect", () => {
+    socket.removeAllListeners("error");
+    socket.on("error", () => process.exit(0));
+    socket.on("close", () => process.exit(0));
+    process.stdin.on("end", () => process.exit(0));
+    process.stdin.pipe(socket);
+    socket.pipe(process.stdout);
+  });
+})();
+`;
+
+// js-debug, VS Code's JavaScript debug adapter, is only published as a
+// release download, not to npm, so the debug image fetches it with the
+// image's own node and checks it against JS_DEBUG_SHA256 before unpacking.
+// Node programs can only be debugged once that is set. JS_DEBUG_URL points
+// at a mirror when DEPENDENCY_BUILD_NETWORK can't reach GitHub.
+const JS_DEBUG_VERSION = "1.90.0";
+const JS_DEBUG_URL =
+  process.env.JS_DEBUG_URL ||
+  "https://github.com/microsoft/vscode-js-debug/releases/download/" +
+    `v${JS_DEBUG_VERSION}/js-debug-dap-v${JS_DEBUG_VERSION}.tar.gz`;
+const JS_DEBUG_SHA256 = (process.env.JS_DEBUG_SHA256 || "").trim().toLowerCase();
+const DOWNLOAD_SCRIPT = [
+  'const crypto = require("crypto");',
+  "const [url, sha256] = process.argv.slice(1);",
+  "fetch(url)",
+  "  .then(async (response) => {",
+  "    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);",
+  "    const data = Buffer.from(await response.arrayBuffer());",
+  '    const hash = crypto.createHash("sha256").update(data).digest("hex");',
+  "    if (hash !== sha256) throw new Error(`Expected sha256 ${sha256}, got ${hash}`);",
+  "    process.stdout.write(data);",
+  "  })",
+  "  .catch((error) => {",
+  "    console.error(error.message);",
+  "    process.exit(1);",
+  "  });",
+].join("\n");
+
+// Where a Node program's inspector listens for js-debug
+const INSPECTOR_PORT = 9229;
+
+// The program waits on the inspector while js-debug, started alongside it,
+// attaches. js-debug debugs it in a child session.
+const nodeDebug = JS_DEBUG_SHA256
+  ? {
+      adapterId: "pwa-node",
+      port: 8123,
+      // Nothing is unpacked unless the whole download matched
+      install: [
+        "sh",
+        "-c",
+        `mkdir -p /opt && node -e ${shellQuote(DOWNLOAD_SCRIPT)} ` +
+          `${shellQuote(JS_DEBUG_URL)} ${shellQuote(JS_DEBUG_SHA256)} > /tmp/js-debug.tar.gz` +
+          " && tar -xzf /tmp/js-debug.tar.gz -C /opt && rm /tmp/js-debug.tar.gz",
+      ],
+      run: (entry, port) => [
+        "sh",
+        "-c",
+        `node /opt/js-debug/src/dapDebugServer.js ${port} 127.0.0.1 > /dev/null 2>&1 & ` +
+          `exec node --inspect-brk=127.0.0.1:${INSPECTOR_PORT} ` +
+          `--inspect-publish-uid=http ${shellQuote(entry)}`,
+      ],
+      attach: () => ({
+        type: "pwa-node",
+        address: "127.0.0.1",
+        port: INSPECTOR_PORT,
+        continueOnAttach: true,
+        skipFiles: ["<node_internals>/**"],
+      }),
+      bridge: (port) => ["node", "-e", NODE_DAP_BRIDGE, String(port)],
+    }
+  : null;
+
+// C and C++ programs run under gdbserver, in the terminal like any other
+// run, and lldb-vscode speaks DAP over the stdio of the exec and drives it.
+// GDB's own DAP mode needs a newer GDB than the gcc image's Debian has.
+const nativeDebug = {
+  adapterId: "lldb-vscode",
+  port: 1234,
+  install: [
+    "sh",
+    "-c",
+    "apt-get update && " +
+      "apt-get install -y --no-install-recommends gdbserver lldb-14 && " +
+      "rm -rf /var/lib/apt/lists/*",
+  ],
+  run: (entry, port) => [
+    "gdbserver",
+    "--no-disable-randomization",
+    `127.0.0.1:${port}`,
+    "/tmp/program",
+  ],
+  attach: (port) => ({
+    program: "/tmp/program",
+    attachCommands: [`gdb-remote 127.0.0.1:${port}`],
+  }),
+  bridge: () => ["lldb-vscode-14"],
+};
+
+// Prefer a conventional entry file name, then any file with a known extension
+function entryDetector(preferred, extensions) {
+  return (fileNames) =>
+    preferred.find((name) => fileNames.includes(name)) ||
+    fileNames.find((name) => extensions.some((ext) => name.endsWith(ext))) ||
+    fileNames[0];
+}
+
+function python(version) {
+  return {
+    id: `python${version}`,
+    name: `Python ${version}`,
+    image: `python:${version}-slim`,
+    extensions: [".py"],
+    detectEntry: entryDetector(["main.py"], [".py"]),
+    compile: null,
+    run: (entry) => ["python3", "-u", entry],
+    template: {
+      fileName: "main.py",
+      content: 'import time\nwhile True:\n print("hello world")\n time.sleep(1)',
+    },
+    dependencies: {
+      manager: "pip",
+      file: "requirements.txt",
+      install: [
+        "pip",
+        "install",
+        "--no-cache-dir",
+        "--disable-pip-version-check",
+        // Wheels only: building an sdist would run its setup.py
+        "--only-binary=:all:",
+        "-r",
+        "requirements.txt",
+      ],
+      runEnv: [],
+    },
+    // debugpy is installed into a debug image on first use
+    debug: {
+      adapterId: "debugpy",
+      port: 5678,
+      install: [
+        "pip",
+        "install",
+        "--no-cache-dir",
+        "--disable-pip-version-check",
+        "--only-binary=:all:",
+        "debugpy",
+      ],
+      run: (entry, port) => [
+        "python3",
+        "-m",
+        "debugpy",
+        "--listen",
+        `127.0.0.1:${port}`,
+        "--wait-for-client",
+        entry,
+      ],
+      attach: (port) => ({
+        connect: { host: "127.0.0.1", port },
+        justMyCode: true,
+        redirectOutput: false,
+      }),
+      bridge: (port) => ["python3", "-c", PYTHON_DAP_BRIDGE, String(port)],
+    },
+  };
+}
+
+function node(version) {
+  return {
+    id: `node${version}`,
+    name: `Node.js ${version}`,
+    image: `node:${version}-slim`,
+    extensions: [".js", ".mjs", ".cjs"],
+    detectEntry: entryDetector(["index.js", "main.js"], [".js", ".mjs", ".cjs"]),
+    compile: null,
+    run: (entry) => ["node", entry],
+    template: {
+      fileName: "index.js",
+      content: 'console.log("hello world");\n',
+    },
+    dependencies: {
+      manager: "npm",
+      file: "package.json",
+      // Installed packages live in the image, outside the mounted workspace.
+      // Linked in at /node_modules, above /workspace, both import and
+      // require find them; import ignores NODE_PATH.
+      install: [
+        "sh",
+        "-c",
+        "npm install --omit=dev --ignore-scripts --no-audit --no-fund && " +
+          "ln -s /deps/node_modules /node_modules",
+      ],
+      runEnv: [],
+    },
+    debug: nodeDebug,
+  };
+}
+
+const runtimes = [
+  python("3.9"),
+  python("3.11"),
+  python("3.12"),
+  node("20"),
+  node("22"),
+  {
+    id: "c",
+    name: "C (gcc)",
+    image: "gcc:13",
+    extensions: [".c", ".h"],
+    detectEntry: entryDetector(["main.c"], [".c"]),
+    // Every .c file is compiled together, the entry only decides the order
+    compile: (entry, fileNames, { mode = "run" } = {}) => [
+      "gcc",
+      ...(mode === "debug" ? ["-g", "-O0"] : ["-O2"]),
+      "-o",
+      "/tmp/program",
+      ...fileNames.filter((name) => name.endsWith(".c")),
+      "-lm",
+    ],
+    run: () => ["/tmp/program"],
+    template: {
+      fileName: "main.c",
+      content: '#include <stdio.h>\n\nint main(void) {\n    printf("hello world\\n");\n    return 0;\n}\n',
+    },
+    dependencies: null,
+    debug: nativeDebug,
+  },
+  {
+    id: "cpp",
+    name: "C++ (g++)",
+    image: "gcc:13",
+    extensions: [".cpp", ".cc", ".hpp", ".h"],
+    detectEntry: entryDetector(["main.cpp"], [".cpp", ".cc"]),
+    compile: (entry, fileNames, { mode = "run" } = {}) => [
+      "g++",
+      ...(mode === "debug" ? ["-g", "-O0"] : ["-O2"]),
+      "-std=c++17",
+      "-o",
+      "/tmp/program",
+      ...fileNames.filter((name) => name.endsWith(".cpp") || name.endsWith(".cc")),
+    ],
+    run: () => ["/tmp/program"],
+    template: {
+      fileName: "main.cpp",
+      content: '#include <iostream>\n\nint main() {\n    std::cout << "hello world" << std::endl;\n    return 0;\n}\n',
+    },
+    dependencies: null,
+    debug: nativeDebug,
+  },
+  {
+    id: "bash",
+    name: "Bash",
+    image: "bash:5",
+    extensions: [".sh"],
+    detectEntry: entryDetector(["main.sh"], [".sh"]),
+    compile: null,
+    run: (entry) => ["bash", entry],
+    template: {
+      fileName: "main.sh",
+      content: 'echo "hello world"\n',
+    },
+    dependencies: null,
+    debug: null,
+  },
+];
+
+const registry = new Map(runtimes.map((runtime) => [runtime.id, runtime]));
+
+/**
+ * Look up a runtime by id
+ * @param {string} id - The runtime id, e.g. "python3.12"
+ * @returns {Object|undefined} The runtime
+ */
+function getRuntime(id) {
+  return registry.get(id);
+}
+
+/**
+ * List the available runtimes in a client-friendly shape
+ * @returns {Object[]} { id, name, extensions, template, dependencyFile,
+ *   debuggable } for each runtime
+ */
+function listRuntimes() {
+  return runtimes.map(({ id, name, extensions, template, dependencies, debug }) => ({
+    id,
+    name,
+    extensions,
+    template: template.fileName,
+    dependencyFile: dependencies ? dependencies.file : null,
+    debuggable: Boolean(debug),
+  }));
+}
+
+/**
+ * Guess a runtime from the files being run
+ * @param {string[]} fileNames - The files being run
+ * @returns {Object} The best matching runtime, or the default one
+ */
+function detectRuntime(fileNames) {
+  for (const runtime of runtimes) {
+    if (fileNames.includes(runtime.template.fileName)) {
+      return runtime;
+    }
+  }
+  // .h is shared by C and C++, so it can't decide on its own
+  for (const runtime of runtimes) {
+    const extensions = runtime.extensions.filter((ext) => ext !== ".h");
+    if (fileNames.some((name) => extensions.some((ext) => name.endsWith(ext)))) {
+      return runtime;
+    }
+  }
+  return registry.get(DEFAULT_RUNTIME) || runtimes[0];
+}
+
+/**
+ * Build the container command for a run: the compile step (if any)
+ * followed by the program itself
+ * @param {Object} runtime - The runtime
+ * @param {string} entry - The entry file
+ * @param {string[]} fileNames - Every file being run
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "debug" to start the program under the
+ *   runtime's debug adapter
+ * @returns {string[]} The command to run inside the container
+ */
+function buildCommand(runtime, entry, fileNames, { mode = "run" } = {}) {
+  const run =
+    mode === "debug"
+      ? runtime.debug.run(entry, runtime.debug.port)
+      : runtime.run(entry, fileNames);
+  if (!runtime.compile) {
+    return run;
+  }
+
+  const compile = runtime.compile(entry, fileNames, { mode });
+  return [
+    "sh",
+    "-c",
+    `${compile.map(shellQuote).join(" ")} && exec ${run.map(shellQuote).join(" ")}`,
+  ];
+}
+
+export {
+  DEFAULT_RUNTIME,
+  getRuntime,
+  listRuntimes,
+  detectRuntime,
+  buildCommand,
+  shellQuote,
+};
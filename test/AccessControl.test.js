@@ -0,0 +1,72 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import AccessControl, { AccessDeniedError, getUserId } from "../AccessControl.js";
+import { resetRedis, fakeDatabase } from "./helpers.js";
+
+// environments has one row, owned by user 1, with user 2 as a member
+function environmentsDatabase() {
+  return fakeDatabase((sql, [userId, environmentId]) => {
+    if (environmentId !== "env-1") return { ok: true, rows: [] };
+    const member = userId === "2";
+    return {
+      ok: true,
+      rows: [{ owner_id: 1, member_id: member ? 2 : null, member_role: member ? "editor" : null }],
+    };
+  });
+}
+
+beforeEach(resetRedis);
+
+test("the owner and members get access, everyone else is denied", async () => {
+  const access = new AccessControl(environmentsDatabase());
+
+  assert.equal(await access.resolveRole({ id: 1 }, "env-1"), "owner");
+  assert.equal(await access.resolveRole({ sub: "2" }, "env-1"), "editor");
+  assert.equal(await access.resolveRole({ id: 3 }, "env-1"), null);
+  assert.equal(await access.resolveRole({ id: 1 }, "env-2"), null);
+
+  await assert.rejects(access.assertAccess({ id: 3 }, "env-1"), (error) => {
+    assert.ok(error instanceof AccessDeniedError);
+    assert.equal(error.code, "FORBIDDEN");
+    assert.equal(error.environmentId, "env-1");
+    return true;
+  });
+});
+
+test("a user without an id is denied without a query", async () => {
+  const database = environmentsDatabase();
+  const access = new AccessControl(database);
+
+  assert.equal(getUserId({}), null);
+  assert.equal(await access.resolveRole({}, "env-1"), null);
+  assert.equal(await access.resolveRole(null, "env-1"), null);
+  assert.equal(database.queries.length, 0);
+});
+
+test("decisions are cached, denials included, until invalidated", async () => {
+  const database = environmentsDatabase();
+  const access = new AccessControl(database);
+
+  await access.resolveRole({ id: 1 }, "env-1");
+  await access.resolveRole({ id: 1 }, "env-1");
+  await access.resolveRole({ id: 3 }, "env-1");
+  await access.resolveRole({ id: 3 }, "env-1");
+  assert.equal(database.queries.length, 2);
+
+  await access.invalidate("env-1", "1");
+  await access.resolveRole({ id: 1 }, "env-1");
+  assert.equal(database.queries.length, 3);
+});
+
+test("a failed lookup denies access and isn't cached", async () => {
+  let ok = false;
+  const database = fakeDatabase(() =>
+    ok ? { ok: true, rows: [{ owner_id: 1, member_id: null }] } : { ok: false }
+  );
+  const access = new AccessControl(database);
+
+  await assert.rejects(access.assertAccess({ id: 1 }, "env-1"), /Unable to check/);
+
+  ok = true;
+  assert.equal(await access.assertAccess({ id: 1 }, "env-1"), "owner");
+});
@@ -0,0 +1,156 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { zipSync, strToU8 } from "fflate";
+import {
+  FORMATS,
+  archiveLimits,
+  ArchiveError,
+  createArchive,
+  readArchive,
+} from "../Archives.js";
+import { resetRedis, createManager, closeManager } from "./helpers.js";
+
+const files = {
+  "main.py": "print('héllo')\n",
+  "package.json": '{"name": "app"}',
+  "count.txt": "42",
+  "src/util.py": "",
+};
+
+// Change archive limits for one test
+function withLimits(t, changes) {
+  const saved = { ...archiveLimits };
+  Object.assign(archiveLimits, changes);
+  t.after(() => Object.assign(archiveLimits, saved));
+}
+
+for (const format of FORMATS) {
+  test(`files and empty folders survive a ${format} round trip as stored`, async () => {
+    const archive = await createArchive(files, ["src", "empty"], format);
+    const read = await readArchive(archive, format);
+
+    assert.deepEqual(read.files, files);
+    assert.deepEqual(read.folders.sort(), ["empty", "src"]);
+    assert.deepEqual(read.skipped, []);
+  });
+}
+
+test("unknown formats are refused", async () => {
+  await assert.rejects(createArchive(files, [], "rar"), ArchiveError);
+  await assert.rejects(readArchive(Buffer.alloc(0), "7z"), { code: "INVALID_ARCHIVE" });
+});
+
+test("a single top-level folder can be stripped", async () => {
+  const archive = await createArchive({ "project/main.py": "x", "project/lib/a.py": "y" }, [], "zip");
+
+  const { files: stripped } = await readArchive(archive, "zip", { stripRoot: true });
+  assert.deepEqual(stripped, { "main.py": "x", "lib/a.py": "y" });
+  const { files: kept } = await readArchive(archive, "zip");
+  assert.deepEqual(Object.keys(kept).sort(), ["project/lib/a.py", "project/main.py"]);
+});
+
+test("archives with paths outside the workspace are refused whole", async () => {
+  const zip = Buffer.from(zipSync({ "ok.py": strToU8("x"), "../../evil.py": strToU8("x") }));
+  await assert.rejects(readArchive(zip, "zip"), /unsafe path/);
+
+  const tar = await createArchive({ "../evil.py": "x" }, [], "tar");
+  await assert.rejects(readArchive(tar, "tar"), /unsafe path/);
+});
+
+test("binary and oversized files are skipped", async (t) => {
+  withLimits(t, { maxFileBytes: 10 });
+  const zip = Buffer.from(
+    zipSync({
+      "image.png": new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0xff, 0xfe]),
+      "big.txt": strToU8("x".repeat(11)),
+      "small.txt": strToU8("ok"),
+    })
+  );
+
+  const read = await readArchive(zip, "zip");
+  assert.deepEqual(read.files, { "small.txt": "ok" });
+  assert.deepEqual(
+    read.skipped.sort((a, b) => a.path.localeCompare(b.path)),
+    [
+      { path: "big.txt", reason: "too large" },
+      { path: "image.png", reason: "binary file" },
+    ]
+  );
+});
+
+test("archives over the size, entry or expansion limits are refused", async (t) => {
+  const archive = await createArchive({ "a.txt": "a".repeat(100), "b.txt": "b" }, [], "tar.gz");
+
+  withLimits(t, { maxArchiveBytes: 10 });
+  await assert.rejects(readArchive(archive, "tar.gz"), /larger than 10 bytes/);
+
+  Object.assign(archiveLimits, { maxArchiveBytes: 1024 * 1024, maxFiles: 1 });
+  await assert.rejects(readArchive(archive, "tar.gz"), /more than 1 entries/);
+
+  Object.assign(archiveLimits, { maxFiles: 10, maxExtractedBytes: 50 });
+  await assert.rejects(readArchive(archive, "tar.gz"), /expands to more than 50 bytes/);
+
+  await assert.rejects(readArchive(Buffer.from("not a zip"), "zip"), ArchiveError);
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("imports merge into the environment by default", async () => {
+  await manager.saveFile("env-1", "main.py", "old");
+  await manager.saveFile("env-1", "keep.py", "kept");
+
+  const result = await manager.importFiles("env-1", {
+    files: { "main.py": "new", "package.json": "{}" },
+    folders: ["docs"],
+  });
+  assert.deepEqual(result.written.sort(), ["main.py", "package.json"]);
+  assert.deepEqual(result.deleted, []);
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {
+    "main.py": "new",
+    "keep.py": "kept",
+    "package.json": "{}",
+  });
+  assert.deepEqual(await manager.getFolders("env-1"), ["docs"]);
+});
+
+test("imports can skip or refuse files that exist, or replace everything", async () => {
+  await manager.saveFile("env-1", "main.py", "old");
+  await manager.saveFile("env-1", "other.py", "other");
+  await manager.createFolder("env-1", "stale");
+  const archive = { files: { "main.py": "new", "extra.py": "extra" }, folders: [] };
+
+  await assert.rejects(
+    manager.importFiles("env-1", archive, { conflict: "error" }),
+    /These files already exist: main.py/
+  );
+  assert.equal((await manager.getAllFilesForEnvironment("env-1"))["extra.py"], undefined);
+
+  const skipped = await manager.importFiles("env-1", archive, { conflict: "skip" });
+  assert.deepEqual(skipped.skipped, ["main.py"]);
+  assert.equal((await manager.getAllFilesForEnvironment("env-1"))["main.py"], "old");
+
+  const replaced = await manager.importFiles("env-1", archive, { mode: "replace" });
+  assert.deepEqual(replaced.deleted, ["other.py"]);
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {
+    "main.py": "new",
+    "extra.py": "extra",
+  });
+  assert.deepEqual(await manager.getFolders("env-1"), []);
+
+  await assert.rejects(manager.importFiles("env-1", archive, { mode: "sync" }), /Unknown import mode/);
+});
+
+test("an exported environment imports back unchanged", async () => {
+  for (const [fileName, content] of Object.entries(files)) {
+    await manager.saveFile("env-1", fileName, content);
+  }
+
+  const archive = await createArchive(await manager.getAllFilesForEnvironment("env-1"), [], "zip");
+  await manager.importFiles("env-2", await readArchive(archive, "zip"));
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-2"), files);
+});
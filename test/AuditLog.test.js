@@ -0,0 +1,161 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import AuditLog from "../AuditLog.js";
+import { resetRedis, fakeClient, fakeDatabase } from "./helpers.js";
+
+const alex = fakeClient({ user: { id: "alex", name: "Alex" }, sessionId: "tab-1" });
+
+// Entries queued for Postgres so far
+async function pending() {
+  return (await redis.lrange("audit:pending", 0, -1)).map((entry) => JSON.parse(entry));
+}
+
+// The rows an INSERT wrote, one object per entry
+function inserted(database) {
+  return database.queries
+    .filter(({ sql }) => sql.startsWith("INSERT INTO audit_log"))
+    .flatMap(({ values: [environmentIds, userIds, userNames, sessionIds, actions, details] }) =>
+      environmentIds.map((environmentId, i) => ({
+        environmentId,
+        userId: userIds[i],
+        userName: userNames[i],
+        sessionId: sessionIds[i],
+        action: actions[i],
+        details: JSON.parse(details[i]),
+      }))
+    );
+}
+
+beforeEach(resetRedis);
+
+test("actions are queued with who did them", async () => {
+  const audit = new AuditLog(fakeDatabase());
+  audit.record(alex, "env-1", "rename", { oldName: "a.py", newName: "b.py" });
+  audit.record({ user: { id: "sam" } }, "env-1", "eof");
+  await redis.ping();
+
+  const [rename, eof] = await pending();
+  assert.deepEqual(
+    { ...rename, createdAt: undefined },
+    {
+      environmentId: "env-1",
+      userId: "alex",
+      userName: "Alex",
+      sessionId: "tab-1",
+      action: "rename",
+      details: { oldName: "a.py", newName: "b.py" },
+      createdAt: undefined,
+    }
+  );
+  assert.ok(rename.createdAt <= Date.now());
+  assert.deepEqual([eof.userId, eof.sessionId, eof.details], ["sam", null, {}]);
+});
+
+test("input is recorded by how much was sent, not what", async () => {
+  const database = fakeDatabase();
+  const audit = new AuditLog(database);
+  audit.recordInput(alex, "env-1", "hunter2\n");
+  audit.recordInput(alex, "env-1", "héllo\n");
+  assert.deepEqual(await pending(), []);
+
+  await audit.flushAll();
+  const [entry] = inserted(database);
+  assert.equal(entry.action, "input");
+  assert.equal(entry.details.bytes, 15);
+  assert.equal(entry.details.input, undefined);
+  assert.ok(!JSON.stringify(database.queries).includes("hunter2"));
+});
+
+test("edits are gathered per user and file until the next flush", async () => {
+  const database = fakeDatabase();
+  const audit = new AuditLog(database);
+  const sam = fakeClient({ user: { id: "sam" }, sessionId: "tab-2" });
+  audit.recordEdit(alex, "env-1", "a.py", [{ op: "insert", lineNumber: 0 }]);
+  audit.recordEdit(alex, "env-1", "a.py", [{ op: "delete", lineNumber: 1 }]);
+  audit.recordEdit(alex, "env-1", "b.py", null);
+  audit.recordEdit(alex, "env-1", "b.py", null);
+  audit.recordEdit(sam, "env-1", "a.py", [{ op: "replace", lineNumber: 2 }]);
+
+  await audit.flushAll();
+  const entries = inserted(database).map(({ userId, details: { fileName, ops, crdtUpdates } }) => ({
+    userId,
+    fileName,
+    ops: ops?.map(({ op }) => op),
+    crdtUpdates,
+  }));
+  assert.deepEqual(entries, [
+    { userId: "alex", fileName: "a.py", ops: ["insert", "delete"], crdtUpdates: undefined },
+    { userId: "alex", fileName: "b.py", ops: undefined, crdtUpdates: 2 },
+    { userId: "sam", fileName: "a.py", ops: ["replace"], crdtUpdates: undefined },
+  ]);
+  assert.deepEqual(await pending(), []);
+});
+
+test("a full gathered entry is queued straight away", async () => {
+  const audit = new AuditLog(fakeDatabase());
+  for (let i = 0; i < 501; i++) audit.recordInput(alex, "env-1", "x");
+  await redis.ping();
+
+  const queued = await pending();
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].details.bytes, 500);
+  assert.equal(audit.gathering.size, 1);
+});
+
+test("entries stay queued while Postgres is down", async () => {
+  let down = true;
+  const database = fakeDatabase(() => (down ? { ok: false } : undefined));
+  const audit = new AuditLog(database);
+  audit.record(alex, "env-1", "delete", { fileName: "a.py" });
+  await redis.ping();
+
+  await assert.rejects(audit.flushAll(), /Audit log query failed/);
+  assert.equal((await pending()).length, 1);
+
+  down = false;
+  database.queries = [];
+  await audit.flushAll();
+  assert.deepEqual(await pending(), []);
+  assert.deepEqual(inserted(database).map(({ action }) => action), ["delete"]);
+});
+
+test("entries are listed newest first, a page at a time", async () => {
+  const row = (id) => ({
+    id,
+    environment_id: "env-1",
+    user_id: "alex",
+    user_name: "Alex",
+    session_id: "tab-1",
+    action: "run",
+    details: { success: true },
+    created_at: new Date(1_700_000_000_000 + id),
+  });
+  const database = fakeDatabase(() => ({ ok: true, rows: [row(3), row(2)] }));
+  const audit = new AuditLog(database);
+
+  const page = await audit.list({ environmentId: "env-1", action: "run", limit: 2 });
+  assert.deepEqual(
+    page.entries.map(({ id, createdAt }) => [id, createdAt]),
+    [
+      ["3", 1_700_000_000_003],
+      ["2", 1_700_000_000_002],
+    ]
+  );
+  assert.deepEqual(page.entries[0].details, { success: true });
+  assert.equal(page.nextBefore, "2");
+  assert.equal((await audit.list({ userId: "alex" })).nextBefore, null);
+
+  const { values } = database.queries[0];
+  assert.ok(values.includes("env-1") && values.includes("run") && values.includes(2));
+  await assert.rejects(audit.list({}), /environmentId or userId is required/);
+});
+
+test("entries past the retention period are pruned", async () => {
+  const database = fakeDatabase(() => ({ ok: true, rows: [], rowCount: 4 }));
+  const audit = new AuditLog(database);
+
+  assert.equal(await audit.prune(), 4);
+  assert.match(database.queries[0].sql, /^DELETE FROM audit_log/);
+  assert.deepEqual(database.queries[0].values, [365]);
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import ClusterBus from "../ClusterBus.js";
+import { resetRedis, createManager, closeManager, fakeClient, tick } from "./helpers.js";
+
+let first;
+let second;
+beforeEach(async () => {
+  await resetRedis();
+  first = new ClusterBus();
+  second = new ClusterBus();
+  await first.start();
+  await second.start();
+});
+afterEach(async () => {
+  await first.stop();
+  await second.stop();
+});
+
+test("environment events reach the other instances, not the sender", async () => {
+  const received = [];
+  first.onEnvironmentMessage = () => received.push("first");
+  second.onEnvironmentMessage = (...args) => received.push(args);
+  await first.subscribeEnvironment("env-1");
+  await second.subscribeEnvironment("env-1");
+
+  await first.publish("env-1", '{"event":"output"}', "session-1");
+  await tick(10);
+  assert.deepEqual(received, [["env-1", '{"event":"output"}', "session-1"]]);
+
+  await second.unsubscribeEnvironment("env-1");
+  await first.publish("env-1", '{"event":"output"}');
+  await tick(10);
+  assert.equal(received.length, 1);
+});
+
+test("commands run on the instance they are sent to", async () => {
+  second.onCommand = async (action, args) => {
+    if (action === "fail") throw new Error("no session");
+    return { action, args };
+  };
+
+  assert.deepEqual(await first.request(second.instanceId, "input", ["env-1", "hi"]), {
+    action: "input",
+    args: ["env-1", "hi"],
+  });
+  await assert.rejects(first.request(second.instanceId, "fail", []), /no session/);
+});
+
+test("one instance at a time holds an environment's session", async () => {
+  assert.equal(await first.claimSession("env-1"), first.instanceId);
+  assert.equal(await second.claimSession("env-1"), first.instanceId);
+  assert.equal(await second.getSessionOwner("env-1"), first.instanceId);
+
+  // Only the holder can release it
+  await second.releaseSession("env-1");
+  assert.equal(await second.getSessionOwner("env-1"), first.instanceId);
+  await first.releaseSession("env-1");
+  assert.equal(await second.claimSession("env-1"), second.instanceId);
+});
+
+test("leases and clients of instances that died are taken back", async () => {
+  await first.claimSession("env-1");
+  await first.setClientCount("env-1", 2);
+  assert.equal(await second.hasRemoteClients("env-1"), true);
+  assert.equal(await first.hasRemoteClients("env-1"), false);
+
+  await redis.del(first.aliveKey(first.instanceId));
+  assert.equal(await second.hasRemoteClients("env-1"), false);
+  assert.equal(await second.getSessionOwner("env-1"), null);
+  assert.equal(await second.claimSession("env-1"), second.instanceId);
+});
+
+test("clients on one instance control and watch a run on another", async () => {
+  const host = createManager();
+  const remote = createManager();
+  try {
+    await host.start();
+    await remote.start();
+    const watcher = fakeClient({ sessionId: "remote-session" });
+    remote.registerClient("env-1", watcher);
+    await tick(10);
+
+    await redis.set("env-1_main.py", "input()");
+    assert.equal(await host.startSession("env-1", ["main.py"], null, {}), true);
+    const run = host.backend.lastRun;
+
+    assert.equal(await remote.sendInput("env-1", "hello"), true);
+    assert.deepEqual(run.written, ["hello\n"]);
+
+    run.output("hi there\r\n");
+    await tick(20);
+    assert.deepEqual(
+      watcher.events("output").map(({ output }) => output),
+      ["hi there\r\n"]
+    );
+    assert.equal((await remote.getSessionSnapshot("env-1")).scrollback, "hi there\r\n");
+
+    assert.equal(await remote.stopSession("env-1"), true);
+    assert.equal(host.sessions.has("env-1"), false);
+    remote.unregisterClient("env-1", watcher);
+  } finally {
+    await closeManager(host);
+    await closeManager(remote);
+  }
+});
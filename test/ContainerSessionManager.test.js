@@ -0,0 +1,128 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import { limits } from "../ExecutionLimits.js";
+import { resetRedis, createManager, closeManager, tick } from "./helpers.js";
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+afterEach(async () => {
+  await manager.stopSession("env-1");
+  manager.forgetEnvironment("env-1");
+});
+
+async function startRun() {
+  await redis.set("env-1_main.py", "input()");
+  assert.equal(await manager.startSession("env-1", ["main.py"], null, {}), true);
+  return manager.backend.lastRun;
+}
+
+test("input is sent as a line unless it is raw", async () => {
+  const run = await startRun();
+
+  assert.equal(await manager.sendInput("env-1", "alex"), true);
+  assert.equal(await manager.sendInput("env-1", "sam\n"), true);
+  assert.equal(await manager.sendInput("env-1", "\x1b[A", { raw: true }), true);
+  assert.equal(await manager.sendEof("env-1"), true);
+  assert.deepEqual(run.written, ["alex\n", "sam\n", "\x1b[A", "\x04"]);
+});
+
+test("only the allowed signals reach the program", async () => {
+  const run = await startRun();
+
+  assert.equal(await manager.sendSignal("env-1", "SIGINT"), true);
+  await assert.rejects(manager.sendSignal("env-1", "SIGSTOP"), /Unsupported signal/);
+  assert.deepEqual(run.signals, ["SIGINT"]);
+});
+
+test("the terminal size is checked, applied and kept for the next run", async () => {
+  await assert.rejects(manager.resizeTerminal("env-1", 0, 24), /between 1 and 1000/);
+  await assert.rejects(manager.resizeTerminal("env-1", 80.5, 24), /between 1 and 1000/);
+
+  // Nothing is running yet, but the size is remembered
+  assert.equal(await manager.resizeTerminal("env-1", 100, 40), false);
+  const run = await startRun();
+  assert.deepEqual(run.size, { cols: 100, rows: 40 });
+
+  assert.equal(await manager.resizeTerminal("env-1", 120, 50), true);
+  assert.deepEqual(run.size, { cols: 120, rows: 50 });
+});
+
+test("nothing is sent once the program has stopped", async () => {
+  const run = await startRun();
+  run.exit(0);
+  await tick();
+
+  assert.equal(await manager.sendInput("env-1", "late"), false);
+  assert.equal(await manager.sendSignal("env-1", "SIGINT"), false);
+  assert.deepEqual(run.written, []);
+});
+
+test("late joiners get the run's status and recent output", async () => {
+  const run = await startRun();
+  run.output("What's your name? ");
+  run.output("alex\r\n");
+
+  const snapshot = await manager.getSessionSnapshot("env-1");
+  assert.equal(snapshot.scrollback, "What's your name? alex\r\n");
+  assert.equal(snapshot.status.running, true);
+  assert.equal(snapshot.status.runtime, "python3.9");
+  assert.equal(snapshot.debug, null);
+
+  run.exit(0);
+  await tick();
+  const { status, scrollback } = await manager.getSessionSnapshot("env-1");
+  assert.equal(status.running, false);
+  assert.equal(status.exitCode, 0);
+  assert.equal(status.reason, "exited");
+  assert.equal(scrollback, "What's your name? alex\r\n");
+});
+
+test("scrollback keeps only the most recent output", async (t) => {
+  // Printing this much this fast would otherwise be throttled
+  const { outputBytesPerSecond } = limits;
+  limits.outputBytesPerSecond = 0;
+  t.after(() => {
+    limits.outputBytesPerSecond = outputBytesPerSecond;
+  });
+
+  const run = await startRun();
+  const chunk = "x".repeat(1000);
+  for (let i = 0; i < 100; i++) run.output(chunk);
+  run.output("the end");
+
+  const { scrollback } = await manager.getSessionSnapshot("env-1");
+  // Whole chunks are dropped from the start
+  assert.ok(scrollback.length <= 64 * 1024);
+  assert.ok(scrollback.length > 63 * 1024);
+  assert.ok(scrollback.endsWith("the end"));
+
+  // A new run starts with a clean terminal
+  await startRun();
+  assert.equal((await manager.getSessionSnapshot("env-1")).scrollback, "");
+});
+
+test("another instance sees a finished run's status once this one is gone", async () => {
+  const run = await startRun();
+  run.exit(2);
+  await tick(10);
+
+  const other = createManager();
+  try {
+    const { status, scrollback } = await other.getSessionSnapshot("env-1");
+    assert.equal(status.exitCode, 2);
+    assert.equal(status.running, false);
+    assert.equal(scrollback, "");
+    assert.deepEqual(await other.getSessionSnapshot("env-2"), {
+      status: null,
+      scrollback: "",
+      debug: null,
+    });
+  } finally {
+    await closeManager(other);
+  }
+});
@@ -0,0 +1,117 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import * as Y from "yjs";
+import { redis } from "../redis.js";
+import {
+  TEXT_NAME,
+  CrdtUpdateError,
+  createState,
+  mergeUpdate,
+  diffState,
+  replaceContent,
+} from "../CrdtSync.js";
+import { resetRedis, createManager, closeManager } from "./helpers.js";
+
+// A client's copy of a document, loaded from what the server sent
+function clientDoc(update) {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, Buffer.from(update, "base64"));
+  return doc;
+}
+
+// Make an edit on a client and return the update it would send
+function edit(doc, fn) {
+  let update;
+  doc.once("update", (bytes) => {
+    update = Buffer.from(bytes).toString("base64");
+  });
+  fn(doc.getText(TEXT_NAME));
+  return update;
+}
+
+test("concurrent edits from two clients merge into the same text", () => {
+  let state = createState("hello world");
+  const { update: full } = diffState(state);
+  const alice = clientDoc(full);
+  const bob = clientDoc(full);
+
+  const fromAlice = edit(alice, (text) => text.insert(0, "> "));
+  const fromBob = edit(bob, (text) => text.insert(11, "!"));
+
+  state = mergeUpdate(state, fromAlice).state;
+  const merged = mergeUpdate(state, fromBob);
+  assert.equal(merged.content, "> hello world!");
+
+  // Each client catches up on what it is missing
+  Y.applyUpdate(alice, Buffer.from(diffState(merged.state, diffState(state).stateVector).update, "base64"));
+  assert.equal(alice.getText(TEXT_NAME).toString(), "> hello world!");
+});
+
+test("a client with the latest state gets an empty update", () => {
+  const state = createState("abc");
+  const { stateVector } = diffState(state);
+  const doc = clientDoc(diffState(state).update);
+
+  Y.applyUpdate(doc, Buffer.from(diffState(state, stateVector).update, "base64"));
+  assert.equal(doc.getText(TEXT_NAME).toString(), "abc");
+  assert.deepEqual(
+    Y.encodeStateVector(doc),
+    new Uint8Array(Buffer.from(stateVector, "base64"))
+  );
+});
+
+test("malformed updates and state vectors are refused", () => {
+  const state = createState("abc");
+
+  assert.throws(() => mergeUpdate(state, ""), CrdtUpdateError);
+  assert.throws(() => mergeUpdate(state, Buffer.from([255, 255, 255]).toString("base64")), {
+    code: "INVALID_CRDT_UPDATE",
+  });
+  assert.throws(() => diffState(state, Buffer.from([255]).toString("base64")), CrdtUpdateError);
+});
+
+test("replacing the text only touches the span that changed", () => {
+  const state = createState("one\ntwo\nthree");
+  const client = clientDoc(diffState(state).update);
+  // A concurrent edit in a part of the file the replacement doesn't change
+  const fromClient = edit(client, (text) => text.insert(0, "zero\n"));
+
+  const replaced = replaceContent(state, "one\nTWO\nthree");
+  assert.ok(replaced.update);
+  assert.equal(mergeUpdate(replaced.state, fromClient).content, "zero\none\nTWO\nthree");
+
+  assert.equal(replaceContent(state, "one\ntwo\nthree").update, null);
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("files opt in to CRDT mode and keep their plain text in step", async () => {
+  await redis.set("env-1_notes.md", "draft");
+  assert.deepEqual(await manager.getSyncModes("env-1", ["notes.md"]), { "notes.md": "lines" });
+  await assert.rejects(manager.applyCrdtUpdate("env-1", "notes.md", "AA=="), /not in CRDT sync mode/);
+
+  await manager.setSyncMode("env-1", "notes.md", "crdt");
+  assert.deepEqual(await manager.getSyncModes("env-1", ["notes.md"]), { "notes.md": "crdt" });
+
+  const { update } = await manager.getCrdtState("env-1", "notes.md");
+  const client = clientDoc(update);
+  assert.equal(client.getText(TEXT_NAME).toString(), "draft");
+
+  await manager.applyCrdtUpdate("env-1", "notes.md", edit(client, (text) => text.insert(5, " 2")));
+  assert.equal(await redis.get("env-1_notes.md"), "draft 2");
+});
+
+test("switching back to lines bumps the revision so clients refetch", async () => {
+  await redis.set("env-1_notes.md", "draft");
+  await manager.setSyncMode("env-1", "notes.md", "crdt");
+
+  assert.equal(await manager.setSyncMode("env-1", "notes.md", "lines"), 1);
+  assert.deepEqual(await manager.getSyncModes("env-1", ["notes.md"]), { "notes.md": "lines" });
+  // Switching to the mode a file is already in changes nothing
+  assert.equal(await manager.setSyncMode("env-1", "notes.md", "lines"), 1);
+});
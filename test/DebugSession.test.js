@@ -0,0 +1,344 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+
+// Adapters that never answer give up quickly
+process.env.DEBUG_REQUEST_TIMEOUT_MS = "50";
+
+const { default: DebugSession, DebugError } = await import("../DebugSession.js");
+const { tick } = await import("./helpers.js");
+
+const frame = (message) => {
+  const json = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`;
+};
+
+/**
+ * A debug adapter on the far side of a pair of streams. answer is called
+ * with each request and returns the response body, null to never answer, or
+ * throws to refuse it.
+ */
+function adapter(answer = () => ({})) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const fake = { input, output, requests: [], responses: [] };
+  fake.send = (message) => output.write(frame(message));
+  fake.event = (event, body = {}) => fake.send({ seq: 0, type: "event", event, body });
+
+  let buffer = Buffer.alloc(0);
+  input.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n");
+      if (headerEnd === -1) return;
+      const length = Number(/Content-Length: (\d+)/.exec(buffer.toString("utf8", 0, headerEnd))[1]);
+      if (buffer.length < headerEnd + 4 + length) return;
+      const message = JSON.parse(buffer.toString("utf8", headerEnd + 4, headerEnd + 4 + length));
+      buffer = buffer.subarray(headerEnd + 4 + length);
+
+      if (message.type === "response") {
+        fake.responses.push(message);
+        continue;
+      }
+      fake.requests.push(message);
+      const reply = (success, body, error) =>
+        fake.send({
+          seq: 0,
+          type: "response",
+          request_seq: message.seq,
+          command: message.command,
+          success,
+          body,
+          message: error,
+        });
+      try {
+        const body = answer(message, fake);
+        if (body !== null) reply(true, body);
+      } catch (error) {
+        reply(false, {}, error.message);
+      }
+    }
+  });
+  return fake;
+}
+
+// Answers the startup sequence the way debugpy does
+function startup(answer = () => ({})) {
+  return (request, fake) => {
+    if (request.command === "initialize") {
+      setImmediate(() => fake.event("initialized"));
+    }
+    return answer(request, fake);
+  };
+}
+
+const commands = (fake) => fake.requests.map(({ command }) => command);
+
+test("messages are read whole however the stream splits them", async () => {
+  const fake = adapter();
+  const session = new DebugSession(fake);
+  const events = [];
+  session.on("event", (event, body) => events.push([event, body]));
+
+  const first = frame({ seq: 1, type: "event", event: "output", body: { output: "héllo" } });
+  const second = frame({ seq: 2, type: "event", event: "thread", body: { threadId: 1 } });
+  const bytes = Buffer.from(first + second);
+  // Split inside the header, and inside the two-byte é
+  const cut = Buffer.from(first).indexOf("é") + 1;
+  fake.output.write(bytes.subarray(0, 5));
+  fake.output.write(bytes.subarray(5, cut));
+  await tick();
+  assert.deepEqual(events, []);
+  fake.output.write(bytes.subarray(cut));
+  await tick();
+
+  assert.deepEqual(events, [
+    ["output", { output: "héllo" }],
+    ["thread", { threadId: 1 }],
+  ]);
+  session.close();
+});
+
+test("a broken header ends the session", async () => {
+  const fake = adapter();
+  const states = [];
+  const session = new DebugSession(fake, { onState: (state) => states.push(state.status) });
+
+  fake.output.write("Content-Type: nonsense\r\n\r\n{}");
+  await tick();
+  assert.equal(session.closed, true);
+  assert.deepEqual(states, ["ended"]);
+});
+
+test("responses are matched to their requests", async () => {
+  const fake = adapter((request) => {
+    if (request.command === "threads") return null;
+    if (request.command === "evaluate") throw new Error("Not in this frame");
+    if (request.command === "source") throw new Error("");
+    return { command: request.command };
+  });
+  const session = new DebugSession(fake);
+
+  const threads = session.request("threads");
+  assert.deepEqual(await session.request("scopes", { frameId: 1 }), { command: "scopes" });
+  await assert.rejects(session.request("evaluate"), (error) => {
+    assert.ok(error instanceof DebugError);
+    assert.equal(error.code, "DEBUG_ERROR");
+    assert.equal(error.message, "Not in this frame");
+    return true;
+  });
+  await assert.rejects(session.request("source"), /^DebugError: source failed$/);
+  assert.deepEqual(fake.requests[1], {
+    seq: 2,
+    type: "request",
+    command: "scopes",
+    arguments: { frameId: 1 },
+  });
+
+  // The adapter never answered threads
+  await assert.rejects(threads, /The debugger did not answer threads/);
+  assert.equal(session.pending.size, 0);
+  session.close();
+});
+
+test("breakpoints are set after attaching and before configuration is done", async () => {
+  let configured;
+  const fake = adapter(
+    startup((request) => {
+      // debugpy only answers attach once configuration is done
+      if (request.command === "attach") {
+        configured = request;
+        return null;
+      }
+      if (request.command === "configurationDone") {
+        const done = { seq: 0, type: "response", request_seq: configured.seq, success: true };
+        setImmediate(() => fake.send(done));
+      }
+      if (request.command === "setBreakpoints") {
+        const { breakpoints } = request.arguments;
+        return { breakpoints: breakpoints.map(({ line }) => ({ line, verified: true })) };
+      }
+      return {};
+    })
+  );
+  const states = [];
+  const session = new DebugSession(fake, {
+    breakpoints: { "main.py": [3, 7], "lib/util.py": [1] },
+    onState: (state) => states.push(state.status),
+  });
+
+  await session.start("debugpy", "attach", { connect: { port: 5678 } });
+  assert.deepEqual(commands(fake), [
+    "initialize",
+    "attach",
+    "setBreakpoints",
+    "setBreakpoints",
+    "configurationDone",
+  ]);
+  assert.equal(fake.requests[0].arguments.adapterID, "debugpy");
+  assert.equal(fake.requests[0].arguments.supportsStartDebuggingRequest, false);
+  assert.deepEqual(fake.requests[2].arguments, {
+    source: { path: "/workspace/main.py" },
+    breakpoints: [{ line: 3 }, { line: 7 }],
+  });
+  assert.deepEqual(states, ["running"]);
+  session.close();
+});
+
+test("a failed start closes the session", async () => {
+  const fake = adapter(
+    startup((request) => {
+      if (request.command === "attach") throw new Error("Could not connect");
+      return {};
+    })
+  );
+  const session = new DebugSession(fake);
+
+  await assert.rejects(session.start("debugpy", "attach", {}), /Could not connect/);
+  assert.equal(session.closed, true);
+  await assert.rejects(session.request("threads"), /The debugger has stopped/);
+});
+
+test("pauses report where the program stopped", async () => {
+  const fake = adapter(
+    startup((request) => {
+      if (request.command === "stackTrace") {
+        return {
+          stackFrames: [
+            { id: 1, name: "add", source: { path: "/workspace/lib/util.py" }, line: 2, column: 5 },
+            { id: 2, name: "<module>", source: { path: "/usr/lib/python3.12/runpy.py" }, line: 9 },
+          ],
+        };
+      }
+      if (request.command === "scopes") {
+        return { scopes: [{ name: "Locals", variablesReference: 5, presentationHint: "locals" }] };
+      }
+      if (request.command === "variables") {
+        return { variables: [{ name: "x", value: "1", type: "int", variablesReference: 0 }] };
+      }
+      return {};
+    })
+  );
+  const states = [];
+  const session = new DebugSession(fake, { onState: (state) => states.push(state) });
+  await session.start("debugpy", "attach", {});
+
+  fake.event("stopped", { reason: "breakpoint", threadId: 4 });
+  await tick(10);
+  assert.deepEqual(states.at(-1), {
+    status: "paused",
+    reason: "breakpoint",
+    description: null,
+    threadId: 4,
+    frames: [
+      { id: 1, name: "add", fileName: "lib/util.py", line: 2, column: 5 },
+      { id: 2, name: "<module>", fileName: null, line: 9, column: undefined },
+    ],
+  });
+
+  assert.deepEqual(await session.command("scopes", { frameId: 1 }), {
+    scopes: [{ name: "Locals", variablesReference: 5, expensive: false }],
+  });
+  assert.deepEqual(await session.command("variables", { variablesReference: 5, count: 1000 }), {
+    variables: [{ name: "x", value: "1", type: "int", variablesReference: 0 }],
+  });
+  assert.equal(fake.requests.at(-1).arguments.count, 200);
+
+  // Stepping resumes the last thread that stopped, continued or not
+  await session.command("next");
+  assert.deepEqual(fake.requests.at(-1).arguments, { threadId: 4 });
+  assert.equal(states.at(-1).status, "running");
+  await assert.rejects(session.command("restartFrame"), /Unknown debug command: restartFrame/);
+
+  fake.event("terminated");
+  await tick();
+  assert.equal(states.at(-1).status, "ended");
+});
+
+test("only startDebugging is accepted from the adapter", async () => {
+  const fake = adapter();
+  const session = new DebugSession(fake);
+
+  fake.send({ seq: 9, type: "request", command: "runInTerminal", arguments: {} });
+  await tick();
+  const [refused] = fake.responses;
+  assert.deepEqual(
+    [refused.request_seq, refused.success, refused.message],
+    [9, false, "runInTerminal is not supported"]
+  );
+  // Without a way to start children, startDebugging is refused too
+  fake.send({ seq: 10, type: "request", command: "startDebugging", arguments: {} });
+  await tick();
+  assert.equal(fake.responses[1].success, false);
+  session.close();
+});
+
+test("a child session the adapter asks for takes over, with the breakpoints", async () => {
+  const bridges = [];
+  const parent = adapter(
+    startup((request, fake) => {
+      if (request.command === "attach") {
+        setImmediate(() =>
+          fake.send({
+            seq: 1,
+            type: "request",
+            command: "startDebugging",
+            arguments: { request: "launch", configuration: { __pendingTargetId: "t1" } },
+          })
+        );
+      }
+      return {};
+    })
+  );
+  const child = adapter(
+    startup((request) => {
+      if (request.command === "stackTrace") {
+        const source = { path: "/workspace/main.js" };
+        return { stackFrames: [{ id: 7, name: "main", source, line: 1 }] };
+      }
+      return {};
+    })
+  );
+  const run = {
+    async exec(command) {
+      bridges.push(command);
+      return [parent, child][bridges.length - 1];
+    },
+  };
+  const debug = {
+    adapterId: "pwa-node",
+    port: 8123,
+    attach: () => ({ type: "pwa-node", port: 9229 }),
+    bridge: (port) => ["node", "-e", "bridge", String(port)],
+  };
+  const states = [];
+
+  const session = await DebugSession.attach(run, debug, {
+    breakpoints: { "main.js": [1] },
+    onState: (state) => states.push(state.status),
+  });
+  assert.equal(parent.requests[0].arguments.supportsStartDebuggingRequest, true);
+  await session.command("setBreakpoints", { fileName: "lib.js", lines: [4] });
+  await tick(10);
+
+  assert.deepEqual(bridges, [debug.bridge(8123), debug.bridge(8123)]);
+  assert.equal(parent.responses[0].success, true);
+  assert.deepEqual(commands(child).slice(0, 2), ["initialize", "launch"]);
+  assert.deepEqual(child.requests[1].arguments, { __pendingTargetId: "t1" });
+  const placed = child.requests.filter(({ command }) => command === "setBreakpoints");
+  assert.deepEqual(
+    placed.map(({ arguments: args }) => args.source.path),
+    ["/workspace/main.js", "/workspace/lib.js"]
+  );
+
+  // Commands go to the child, and its state is the session's
+  child.event("stopped", { reason: "breakpoint", threadId: 1 });
+  await tick(10);
+  assert.equal(states.at(-1), "paused");
+  const { frames } = await session.command("stackTrace");
+  assert.equal(frames[0].fileName, "main.js");
+  assert.equal(commands(parent).includes("stackTrace"), false);
+
+  session.close();
+  assert.equal(session.child.closed, true);
+});
@@ -0,0 +1,220 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// The allowlists are read when the module loads, so set them before importing
+process.env.PIP_PACKAGE_ALLOWLIST = "NumPy, python_dateutil";
+delete process.env.NPM_PACKAGE_ALLOWLIST;
+
+const { redis } = await import("../redis.js");
+const { getRuntime } = await import("../runtimes.js");
+const {
+  default: DependencyBuilder,
+  DependencyError,
+  parseRequirements,
+  parsePackageJson,
+  toPackageJson,
+} = await import("../DependencyBuilder.js");
+const { resetRedis, FakeBackend, createManager, closeManager, fakeClient } = await import(
+  "./helpers.js"
+);
+
+const python = getRuntime("python3.9");
+const node = getRuntime("node20");
+
+beforeEach(resetRedis);
+
+test("requirements are read as normalized package names", () => {
+  const content = [
+    "# pinned for the course",
+    "NumPy==1.26.4",
+    "python_dateutil>=2.8  # dates",
+    "",
+    "requests[socks] ; python_version > '3'",
+  ].join("\r\n");
+  assert.deepEqual(parseRequirements(content), ["numpy", "python-dateutil", "requests"]);
+});
+
+test("requirements that could install from elsewhere are refused", () => {
+  const refused = [
+    "-e .",
+    "--index-url https://evil.example/simple",
+    "-r other.txt",
+    "https://evil.example/pkg.whl",
+    "pkg @ git+https://evil.example/pkg",
+    "!!!",
+  ];
+  for (const line of refused) {
+    assert.throws(() => parseRequirements(line), (error) => {
+      assert.ok(error instanceof DependencyError, line);
+      assert.equal(error.code, "DEPENDENCY_ERROR");
+      assert.equal(error.reason, "dependencies");
+      return true;
+    });
+  }
+});
+
+test("package.json dependencies must come from the registry", () => {
+  assert.deepEqual(parsePackageJson('{"dependencies": {"Lodash": "^4", "chalk": "5.3.0"}}'), [
+    "lodash",
+    "chalk",
+  ]);
+  assert.deepEqual(parsePackageJson('{"name": "app"}'), []);
+
+  assert.throws(() => parsePackageJson("{"), /not valid JSON/);
+  for (const version of ['"github:user/repo"', '"file:../lib"', '"https://x.test/a.tgz"', "4"]) {
+    assert.throws(
+      () => parsePackageJson(`{"dependencies": {"pkg": ${version}}}`),
+      /Only packages from the registry/
+    );
+  }
+});
+
+// Fields npm acts on that don't go through the allowlist
+const unchecked = {
+  optionalDependencies: { pkg: "git+https://evil.example/pkg.git" },
+  peerDependencies: { pkg: "https://evil.example/pkg.tgz" },
+  overrides: { lodash: "github:evil/lodash" },
+};
+
+for (const [field, value] of Object.entries(unchecked)) {
+  test(`${field} in package.json are never installed`, async () => {
+    const content = JSON.stringify({ name: "app", dependencies: { lodash: "^4" }, [field]: value });
+    assert.deepEqual(parsePackageJson(content), ["lodash"]);
+    assert.deepEqual(JSON.parse(toPackageJson(content)), {
+      private: true,
+      dependencies: { lodash: "^4" },
+    });
+
+    // Without dependencies there is nothing to install
+    const backend = new FakeBackend();
+    const builder = new DependencyBuilder(backend);
+    assert.equal(await builder.resolveImage(node, JSON.stringify({ [field]: value })), node.image);
+    assert.equal(backend.builds.length, 0);
+  });
+}
+
+test("only allowlisted packages can be installed", () => {
+  const builder = new DependencyBuilder(new FakeBackend());
+
+  assert.deepEqual(builder.check(python, "numpy\npython-dateutil"), ["numpy", "python-dateutil"]);
+  assert.throws(
+    () => builder.check(python, "numpy\nrequests\nflask"),
+    /These packages aren't allowed: requests, flask/
+  );
+
+  // No allowlist means installs are off, though an empty file is still fine
+  assert.deepEqual(builder.check(node, '{"dependencies": {}}'), []);
+  assert.throws(
+    () => builder.check(node, '{"dependencies": {"lodash": "^4"}}'),
+    /Installing packages from package.json is turned off on this server/
+  );
+});
+
+test("dependencies are installed once into an image named after them", async () => {
+  const backend = new FakeBackend();
+  const builder = new DependencyBuilder(backend);
+  const built = [];
+
+  assert.equal(await builder.resolveImage(python, null), python.image);
+  assert.equal(await builder.resolveImage(python, "  \n"), python.image);
+  assert.equal(await builder.resolveImage(getRuntime("bash"), "numpy"), "bash:5");
+
+  const [first, second] = await Promise.all([
+    builder.resolveImage(python, "numpy", { onBuild: (tag) => built.push(tag) }),
+    builder.resolveImage(python, "numpy", { onBuild: (tag) => built.push(tag) }),
+  ]);
+  assert.equal(first, second);
+  assert.match(first, /^np-deps:python3\.9-[0-9a-f]{16}$/);
+  assert.deepEqual(built, [first]);
+  assert.equal(backend.builds.length, 1);
+
+  const [build] = backend.builds;
+  assert.equal(build.baseImage, python.image);
+  assert.deepEqual(build.files, { "requirements.txt": "numpy" });
+  assert.ok(build.cmd.includes("--only-binary=:all:"));
+
+  // Later runs use the cached image; other dependencies get their own
+  assert.equal(await builder.resolveImage(python, "numpy"), first);
+  assert.notEqual(await builder.resolveImage(python, "numpy\npython-dateutil"), first);
+  assert.equal(backend.builds.length, 2);
+  assert.equal(await redis.keys("lock:deps:*").then((keys) => keys.length), 0);
+});
+
+test("extra packages are installed without going through the allowlist", async () => {
+  const backend = new FakeBackend();
+  const builder = new DependencyBuilder(backend);
+
+  const image = await builder.resolveImage(python, null, { extraPackages: ["pytest==8.2.0"] });
+  assert.notEqual(image, python.image);
+  assert.deepEqual(backend.builds[0].files, { "requirements.txt": "\npytest==8.2.0" });
+});
+
+test("failed and timed out installs are reported and not cached", async () => {
+  const backend = new FakeBackend();
+  const builder = new DependencyBuilder(backend);
+  const outcomes = [
+    { exitCode: 1, timedOut: false },
+    { exitCode: 137, timedOut: true },
+  ];
+  backend.buildImage = async ({ onOutput }) => {
+    onOutput("ERROR: No matching distribution found for numpy\r\n");
+    return outcomes.shift() || { exitCode: 0, timedOut: false };
+  };
+
+  const output = [];
+  await assert.rejects(
+    builder.resolveImage(python, "numpy", { onOutput: (text) => output.push(text) }),
+    /Installing dependencies failed with exit code 1/
+  );
+  assert.match(output.join(""), /No matching distribution/);
+  await assert.rejects(builder.resolveImage(python, "numpy"), /took longer than 300 seconds/);
+  assert.equal(builder.builds.size, 0);
+});
+
+test("debug images add the debugger on top of the run image", async () => {
+  const backend = new FakeBackend();
+  const builder = new DependencyBuilder(backend);
+
+  const image = await builder.resolveDebugImage(python, "np-deps:python3.9-abc");
+  assert.match(image, /^np-deps:python3\.9-debug-[0-9a-f]{16}$/);
+  assert.equal(backend.builds[0].baseImage, "np-deps:python3.9-abc");
+  assert.deepEqual(backend.builds[0].cmd, python.debug.install);
+
+  assert.equal(await builder.resolveDebugImage(python, "np-deps:python3.9-abc"), image);
+  assert.notEqual(await builder.resolveDebugImage(python, python.image), image);
+  assert.equal(backend.builds.length, 2);
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+
+test("runs install the environment's dependencies and start in that image", async (t) => {
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  t.after(() => manager.unregisterClient("env-1", client));
+  await redis.set("env-1_main.py", "import numpy");
+  await redis.set("env-1_requirements.txt", "numpy");
+
+  assert.equal(await manager.startSession("env-1", ["main.py"], null, {}), true);
+  const run = manager.backend.lastRun;
+  const [build] = manager.backend.builds;
+  assert.equal(run.options.image, build.tag);
+  const states = client.events("containerState");
+  assert.ok(states.some(({ state, image }) => state === "installing" && image === build.tag));
+  run.exit(0);
+});
+
+test("runs with packages that aren't allowed don't start", async (t) => {
+  const client = fakeClient();
+  manager.registerClient("env-2", client);
+  t.after(() => manager.unregisterClient("env-2", client));
+  await redis.set("env-2_main.py", "import requests");
+  await redis.set("env-2_requirements.txt", "requests");
+
+  assert.equal(await manager.startSession("env-2", ["main.py"], null, {}), false);
+  assert.deepEqual(client.events("exit"), [{ exitCode: 1, reason: "dependencies" }]);
+  assert.match(manager.getLocalSessionSnapshot("env-2").scrollback, /aren't allowed: requests/);
+});
@@ -0,0 +1,238 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import DockerBackend from "../DockerBackend.js";
+import { redis } from "../redis.js";
+import { createManager, closeManager, fakeClient, tick } from "./helpers.js";
+
+// Enough of a dockerode container to run a program in
+class FakeContainer {
+  constructor(options) {
+    this.id = `id-${options.name || "build"}`;
+    this.options = options;
+    this.input = [];
+    this.calls = [];
+    this.oomKilled = false;
+    this.exited = new Promise((resolve) => {
+      this.finish = (exitCode) => resolve({ StatusCode: exitCode });
+    });
+  }
+
+  async attach() {
+    // Whatever is pushed is the program's output, whatever is written its
+    // input
+    const stream = new PassThrough();
+    stream.write = (chunk) => {
+      this.input.push(chunk.toString());
+      return true;
+    };
+    this.output = stream;
+    return stream;
+  }
+
+  async start() {
+    this.calls.push("start");
+  }
+
+  async resize(size) {
+    this.calls.push(["resize", size]);
+  }
+
+  async kill({ signal = "SIGKILL" } = {}) {
+    this.calls.push(["kill", signal]);
+    if (signal === "SIGKILL") this.finish(137);
+  }
+
+  wait() {
+    return this.exited;
+  }
+
+  async inspect() {
+    return { State: { OOMKilled: this.oomKilled } };
+  }
+
+  async remove(options) {
+    this.calls.push(["remove", options]);
+  }
+}
+
+function fakeDocker({ images = [] } = {}) {
+  const gone = Object.assign(new Error("no such container"), { statusCode: 404 });
+  return {
+    images: new Set(images),
+    pulled: [],
+    containers: [],
+    removed: [],
+    getImage(image) {
+      return {
+        inspect: async () => {
+          if (!this.images.has(image)) throw Object.assign(new Error("no such image"), { statusCode: 404 });
+          return {};
+        },
+      };
+    },
+    async pull(image) {
+      this.pulled.push(image);
+      this.images.add(image);
+      return new PassThrough();
+    },
+    modem: {
+      followProgress: (stream, done) => done(null),
+    },
+    getContainer(name) {
+      return {
+        remove: async () => {
+          this.removed.push(name);
+          throw gone;
+        },
+      };
+    },
+    async createContainer(options) {
+      const container = new FakeContainer(options);
+      this.containers.push(container);
+      return container;
+    },
+  };
+}
+
+async function createRun(docker, options = {}) {
+  const backend = new DockerBackend(docker);
+  backend.instanceId = "instance-1";
+  return backend.createRun({
+    name: "nixpackpy_env-1",
+    image: "python:3.12-slim",
+    cmd: ["python3", "-u", "main.py"],
+    workspace: "/tmp/env-1",
+    ...options,
+  });
+}
+
+test("runs get a sandboxed container with the workspace mounted", async () => {
+  const docker = fakeDocker();
+  await createRun(docker, { env: ["A=1"], readOnlyMounts: { "/tmp/suite": "/tests" } });
+
+  assert.deepEqual(docker.pulled, ["python:3.12-slim"]);
+  assert.deepEqual(docker.removed, ["nixpackpy_env-1"]);
+
+  const { options } = docker.containers[0];
+  assert.equal(options.name, "nixpackpy_env-1");
+  assert.deepEqual(options.Cmd, ["python3", "-u", "main.py"]);
+  assert.equal(options.WorkingDir, "/workspace");
+  assert.equal(options.Tty, true);
+  assert.deepEqual(options.Env, ["TERM=xterm-color", "A=1"]);
+  assert.deepEqual(options.Labels, { "np-socket.instance": "instance-1" });
+  assert.deepEqual(options.HostConfig.Binds, ["/tmp/env-1:/workspace", "/tmp/suite:/tests:ro"]);
+  assert.equal(options.HostConfig.NetworkMode, "none");
+  assert.ok(options.HostConfig.Memory > 0);
+  assert.ok(options.HostConfig.NanoCpus > 0);
+});
+
+test("images that are already there aren't pulled again", async () => {
+  const docker = fakeDocker({ images: ["python:3.12-slim"] });
+  await createRun(docker);
+  assert.deepEqual(docker.pulled, []);
+});
+
+test("a run reports its lifecycle and output, and takes input", async () => {
+  const docker = fakeDocker();
+  const run = await createRun(docker);
+  const container = docker.containers[0];
+  const lifecycle = [];
+  const output = [];
+  run.on("lifecycle", (state) => lifecycle.push(state));
+  run.on("data", (text) => output.push(text));
+
+  await run.start({ cols: 100, rows: 40 });
+  assert.deepEqual(lifecycle, ["created", "started"]);
+  assert.deepEqual(container.calls, ["start", ["resize", { w: 100, h: 40 }]]);
+
+  // A character split across chunks comes out whole
+  const euro = Buffer.from("€");
+  container.output.push(Buffer.concat([Buffer.from("price: "), euro.subarray(0, 1)]));
+  container.output.push(euro.subarray(1));
+  await tick();
+  assert.equal(output.join(""), "price: €");
+
+  assert.equal(run.write("42\n"), true);
+  assert.deepEqual(container.input, ["42\n"]);
+
+  await run.resize(120, 50);
+  await run.signal("SIGINT");
+  assert.deepEqual(container.calls.slice(2), [
+    ["resize", { w: 120, h: 50 }],
+    ["kill", "SIGINT"],
+  ]);
+});
+
+test("a run reports how it exited and cleans up its container", async () => {
+  const docker = fakeDocker();
+  const run = await createRun(docker);
+  const container = docker.containers[0];
+  const lifecycle = [];
+  run.on("lifecycle", (state) => lifecycle.push(state));
+  const exited = new Promise((resolve) => run.once("exit", resolve));
+
+  await run.start();
+  container.oomKilled = true;
+  container.finish(137);
+
+  assert.deepEqual(await exited, { exitCode: 137, oomKilled: true });
+  await tick();
+  assert.deepEqual(lifecycle, ["created", "started", "oom", "exited"]);
+  assert.deepEqual(container.calls.at(-1), ["remove", { force: true }]);
+  assert.equal(run.write("late"), false);
+});
+
+test("stopping kills the container and waits for the exit", async () => {
+  const docker = fakeDocker();
+  const run = await createRun(docker);
+  let exit = null;
+  run.on("exit", (details) => {
+    exit = details;
+  });
+
+  await run.start();
+  await run.stop();
+  assert.deepEqual(exit, { exitCode: 137, oomKilled: false });
+
+  // Already gone is fine
+  docker.containers[0].kill = async () => {
+    throw Object.assign(new Error("not running"), { statusCode: 409 });
+  };
+  await run.stop();
+});
+
+test("a container that fails to start is removed", async () => {
+  const docker = fakeDocker();
+  const run = await createRun(docker);
+  const container = docker.containers[0];
+  container.start = async () => {
+    throw new Error("no such image");
+  };
+
+  await assert.rejects(run.start(), /no such image/);
+  assert.deepEqual(container.calls, [["remove", { force: true }]]);
+});
+
+const manager = createManager();
+after(() => closeManager(manager));
+
+test("sessions run through the backend and report it to the environment", async () => {
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  await redis.set("env-1_main.py", "print(1)");
+
+  await manager.startSession("env-1", ["main.py"], null, {});
+  const run = manager.backend.lastRun;
+  assert.equal(run.options.name, "nixpackpy_env-1");
+  assert.deepEqual(
+    client.events("containerState").map(({ state }) => state),
+    ["created", "started"]
+  );
+
+  run.exit(3);
+  await tick();
+  assert.deepEqual(client.events("exit"), [{ exitCode: 3, oomKilled: false, reason: "exited" }]);
+  assert.equal(manager.sessions.has("env-1"), false);
+  manager.unregisterClient("env-1", client);
+});
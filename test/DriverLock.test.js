@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import AccessControl, { hasRole, assertRole, AccessDeniedError } from "../AccessControl.js";
+import DriverLock, { DriverLockError } from "../DriverLock.js";
+import Presence from "../Presence.js";
+import { resetRedis, createManager, closeManager, fakeClient, fakeDatabase } from "./helpers.js";
+
+// Alex owns env-1, Sam edits it and Kim views it
+const members = { sam: "editor", kim: "viewer" };
+const database = fakeDatabase((sql, [userId]) => ({
+  ok: true,
+  rows: [
+    {
+      owner_id: "alex",
+      member_id: members[userId] ? userId : null,
+      member_role: members[userId] || null,
+    },
+  ],
+}));
+
+test("roles allow what the roles below them do", () => {
+  assert.equal(hasRole("owner", "editor"), true);
+  assert.equal(hasRole("editor", "editor"), true);
+  assert.equal(hasRole("viewer", "editor"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+  assert.equal(hasRole("admin", "viewer"), false);
+
+  assert.throws(() => assertRole("viewer", "editor", "env-1"), (error) => {
+    assert.ok(error instanceof AccessDeniedError);
+    assert.equal(error.message, "The editor role is needed for this in environment env-1");
+    return true;
+  });
+  assert.throws(() => assertRole(null, "viewer", "env-1"), /Not authorized for environment env-1/);
+});
+
+let manager;
+let access;
+let drivers;
+let clients;
+before(() => {
+  manager = createManager();
+  access = new AccessControl(database);
+  drivers = new DriverLock(manager, new Presence(manager), access);
+});
+after(() => closeManager(manager));
+beforeEach(async () => {
+  await resetRedis();
+  clients = [];
+});
+afterEach(() => {
+  for (const client of clients) manager.unregisterClient("env-1", client);
+});
+
+test("members get their role, and viewers can't edit", async () => {
+  assert.equal(await access.resolveRole({ id: "alex" }, "env-1"), "owner");
+  assert.equal(await access.resolveRole({ id: "sam" }, "env-1"), "editor");
+  assert.equal(await access.resolveRole({ id: "kim" }, "env-1"), "viewer");
+  assert.equal(await access.assertAccess({ id: "kim" }, "env-1"), "viewer");
+  await assert.rejects(access.assertAccess({ id: "kim" }, "env-1", "editor"), AccessDeniedError);
+});
+
+// Someone in env-1, both connected and in its presence
+async function join(userId, sessionId) {
+  const client = fakeClient({ user: { id: userId, name: userId }, sessionId });
+  manager.registerClient("env-1", client);
+  clients.push(client);
+  await drivers.presence.join("env-1", client);
+  return client;
+}
+
+test("nobody drives to begin with, so everyone is in control", async () => {
+  assert.equal(await drivers.get("env-1"), null);
+  await drivers.assertDriver("env-1", { sessionId: "anyone" });
+  await drivers.assertDriver("env-1", { userId: "anyone" });
+});
+
+test("the first to ask gets control and the others have to ask for it", async () => {
+  const alex = await join("alex", "tab-1");
+  const sam = await join("sam", "tab-2");
+
+  assert.equal(await drivers.request("env-1", alex), true);
+  const driver = await drivers.get("env-1");
+  assert.equal(driver.sessionId, "tab-1");
+  assert.equal(sam.events("driverChanged")[0].driver.name, "alex");
+
+  await drivers.assertDriver("env-1", { sessionId: "tab-1" });
+  // The HTTP API goes by user instead
+  await drivers.assertDriver("env-1", { userId: "alex" });
+  await assert.rejects(drivers.assertDriver("env-1", { sessionId: "tab-2" }), (error) => {
+    assert.ok(error instanceof DriverLockError);
+    assert.equal(error.code, "NOT_DRIVER");
+    assert.equal(error.message, "alex is in control of the program");
+    assert.equal(error.driver.sessionId, "tab-1");
+    return true;
+  });
+
+  assert.equal(await drivers.request("env-1", sam), false);
+  assert.deepEqual(
+    alex.events("driverRequested").map(({ user }) => user.sessionId),
+    ["tab-2"]
+  );
+  assert.equal((await drivers.get("env-1")).sessionId, "tab-1");
+
+  // Forcing takes it anyway
+  assert.equal(await drivers.request("env-1", sam, { force: true }), true);
+  assert.equal((await drivers.get("env-1")).sessionId, "tab-2");
+});
+
+test("the driver can hand control to an editor who is there", async () => {
+  const alex = await join("alex", "tab-1");
+  const sam = await join("sam", "tab-2");
+  await join("kim", "tab-3");
+  await drivers.request("env-1", alex);
+
+  await assert.rejects(drivers.handOff("env-1", sam, "tab-2"), /Only the driver can hand off/);
+  await assert.rejects(drivers.handOff("env-1", alex, "tab-9"), /tab-9 is not in this environment/);
+  await assert.rejects(
+    drivers.handOff("env-1", alex, "tab-3"),
+    /kim can't control the program as a viewer/
+  );
+
+  const next = await drivers.handOff("env-1", alex, "tab-2");
+  assert.equal(next.sessionId, "tab-2");
+  assert.equal(next.userId, "sam");
+  assert.equal((await drivers.get("env-1")).sessionId, "tab-2");
+});
+
+test("control is given up, taken away or lapses when the driver leaves", async () => {
+  const alex = await join("alex", "tab-1");
+  const sam = await join("sam", "tab-2");
+  assert.equal(await drivers.release("env-1", alex), false);
+
+  await drivers.request("env-1", alex);
+  await assert.rejects(drivers.release("env-1", sam), /Only the driver can release/);
+  assert.equal(await drivers.release("env-1", sam, { force: true }), true);
+  assert.equal(await drivers.get("env-1"), null);
+  assert.equal(sam.events("driverChanged").at(-1).driver, null);
+
+  await drivers.request("env-1", alex);
+  await drivers.leave("env-1", sam);
+  assert.equal((await drivers.get("env-1")).sessionId, "tab-1");
+  await drivers.leave("env-1", alex);
+  assert.equal(await drivers.get("env-1"), null);
+});
+
+test("a driver who vanished without leaving doesn't hold the lock", async () => {
+  const alex = await join("alex", "tab-1");
+  await drivers.request("env-1", alex);
+  await drivers.presence.leave("env-1", alex);
+
+  assert.equal(await drivers.get("env-1"), null);
+  await drivers.assertDriver("env-1", { sessionId: "tab-2" });
+  const sam = await join("sam", "tab-2");
+  assert.equal(await drivers.request("env-1", sam), true);
+});
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import { limits, QuotaExceededError, OutputThrottle, RunQuotas } from "../ExecutionLimits.js";
+import { resetRedis, createManager, closeManager, fakeClient, tick } from "./helpers.js";
+
+// Change limits for one test
+function withLimits(t, changes) {
+  const saved = { ...limits };
+  Object.assign(limits, changes);
+  t.after(() => Object.assign(limits, saved));
+}
+
+test("output beyond the burst is dropped with one notice per stretch", () => {
+  const throttle = new OutputThrottle({ bytesPerSecond: 100, burstBytes: 10, maxBytes: 0 });
+
+  assert.deepEqual(throttle.take("12345"), { output: "12345", limitReached: false });
+  const { output } = throttle.take("6789012345");
+  assert.ok(output.startsWith("67890\r\n[output throttled"));
+  assert.equal(throttle.take("more").output, "");
+
+  // A tenth of a second later there is room for 10 more bytes
+  throttle.lastRefill -= 100;
+  assert.equal(throttle.take("abcdefghij").output, "abcdefghij");
+  assert.ok(throttle.take("k").output.includes("[output throttled"));
+});
+
+test("printing more than the total allowed is reported", () => {
+  const throttle = new OutputThrottle({ bytesPerSecond: 0, maxBytes: 10 });
+
+  assert.equal(throttle.take("0123456789").limitReached, false);
+  assert.deepEqual(throttle.take("!"), { output: "!", limitReached: true });
+});
+
+beforeEach(resetRedis);
+
+test("a user can only run so many programs at once", async (t) => {
+  withLimits(t, { maxConcurrentRunsPerUser: 2 });
+  const quotas = new RunQuotas();
+
+  const results = await Promise.allSettled(
+    ["env-1", "env-2", "env-3", "env-4"].map((environmentId) => quotas.acquire("user-1", environmentId))
+  );
+  assert.equal(results.filter((result) => result.status === "fulfilled").length, 2);
+  const refused = results.find((result) => result.status === "rejected").reason;
+  assert.ok(refused instanceof QuotaExceededError);
+  assert.equal(refused.code, "QUOTA_EXCEEDED");
+  assert.equal(refused.reason, "quota");
+
+  // Rerunning an environment replaces its run rather than adding one
+  const running = ["env-1", "env-2", "env-3", "env-4"].filter(
+    (_, i) => results[i].status === "fulfilled"
+  );
+  await quotas.acquire("user-1", running[0]);
+
+  await quotas.release("user-1", running[0]);
+  await quotas.acquire("user-1", "env-5");
+});
+
+test("a test run and a normal run in one environment are counted apart", async (t) => {
+  withLimits(t, { maxConcurrentRunsPerUser: 2 });
+  const quotas = new RunQuotas();
+
+  await quotas.acquire("user-3", "env-1");
+  await quotas.acquire("user-3", "env-1", "test");
+  await assert.rejects(quotas.acquire("user-3", "env-2"), QuotaExceededError);
+
+  // Whichever ends first leaves the other's entry alone
+  await quotas.release("user-3", "env-1", "test");
+  assert.deepEqual(await redis.zrange(quotas.activeKey("user-3"), 0, -1), ["env-1"]);
+  await quotas.release("user-3", "env-1");
+  assert.equal(await redis.zcard(quotas.activeKey("user-3")), 0);
+});
+
+test("runs are counted per user and environment each day", async (t) => {
+  withLimits(t, { maxConcurrentRunsPerUser: 0, dailyRunsPerUser: 3, dailyRunsPerEnvironment: 2 });
+  const quotas = new RunQuotas();
+
+  await quotas.acquire("user-1", "env-1");
+  await quotas.acquire("user-1", "env-1");
+  await assert.rejects(quotas.acquire("user-2", "env-1"), /This environment has used all 2/);
+
+  await quotas.acquire("user-1", "env-2");
+  await assert.rejects(quotas.acquire("user-1", "env-3"), /You have used all 3/);
+
+  // Refused runs used nothing up
+  assert.equal(await redis.get(quotas.dailyEnvironmentKey("env-3")), null);
+  assert.equal(await redis.get(quotas.dailyUserKey("user-2")), null);
+  assert.ok((await redis.ttl(quotas.dailyUserKey("user-1"))) > 0);
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+
+test("a run that goes on too long is stopped", async (t) => {
+  withLimits(t, { maxRunSeconds: 0.05 });
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  t.after(() => manager.unregisterClient("env-1", client));
+  await redis.set("env-1_main.py", "while True: pass");
+
+  await manager.startSession("env-1", ["main.py"], null, {}, { startedBy: "user-1" });
+  await tick(100);
+
+  assert.deepEqual(client.events("exit"), [{ exitCode: 137, oomKilled: false, reason: "timeout" }]);
+  assert.ok(manager.getLocalSessionSnapshot("env-1").scrollback.includes("more than 0.05 seconds"));
+  // The run no longer counts as running
+  assert.equal(await redis.zcard(manager.quotas.activeKey("user-1")), 0);
+});
+
+test("a run that prints too much is stopped", async (t) => {
+  withLimits(t, { maxOutputBytes: 100, outputBytesPerSecond: 0 });
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  t.after(() => manager.unregisterClient("env-1", client));
+  await redis.set("env-1_main.py", "print('x' * 1000)");
+
+  await manager.startSession("env-1", ["main.py"], null, {});
+  manager.backend.lastRun.output("x".repeat(101));
+  await tick(10);
+
+  assert.equal(client.events("exit")[0].reason, "output-limit");
+});
+
+test("a run over quota doesn't start", async (t) => {
+  withLimits(t, { dailyRunsPerEnvironment: 1 });
+  const client = fakeClient();
+  manager.registerClient("env-2", client);
+  t.after(() => manager.unregisterClient("env-2", client));
+  await redis.set("env-2_main.py", "print(1)");
+
+  assert.equal(await manager.startSession("env-2", ["main.py"], null, {}), true);
+  manager.backend.lastRun.exit(0);
+  assert.equal(await manager.startSession("env-2", ["main.py"], null, {}), false);
+
+  assert.equal(client.events("exit").at(-1).reason, "quota");
+  assert.match(manager.getLocalSessionSnapshot("env-2").scrollback, /used all 1 of today's runs/);
+});
@@ -0,0 +1,188 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import FileHistory, { diffLines } from "../FileHistory.js";
+import { resetRedis, createManager, closeManager } from "./helpers.js";
+
+// Both sides of a diff, rebuilt from its hunks
+function sides(hunks) {
+  const before = [];
+  const after = [];
+  for (const { op, lines } of hunks) {
+    if (op !== "insert") before.push(...lines);
+    if (op !== "delete") after.push(...lines);
+  }
+  return [before.join("\n"), after.join("\n")];
+}
+
+// Length of the longest common subsequence, the slow way
+function lcsLength(a, b) {
+  let row = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [0];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = a[i - 1] === b[j - 1] ? row[j - 1] + 1 : Math.max(row[j], next[j - 1]);
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+// A seeded random number generator, so failures can be reproduced
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+test("diffs keep unchanged lines and show what was added and removed", () => {
+  assert.deepEqual(diffLines("a\nb\nc\nd", "a\nc\nd\ne"), [
+    { op: "equal", lines: ["a"] },
+    { op: "delete", lines: ["b"] },
+    { op: "equal", lines: ["c", "d"] },
+    { op: "insert", lines: ["e"] },
+  ]);
+  assert.deepEqual(diffLines("same", "same"), [{ op: "equal", lines: ["same"] }]);
+  assert.deepEqual(diffLines("", "x"), [
+    { op: "delete", lines: [""] },
+    { op: "insert", lines: ["x"] },
+  ]);
+});
+
+test("diffs are minimal and rebuild both versions", () => {
+  const next = random(42);
+  for (let i = 0; i < 300; i++) {
+    const lines = () =>
+      Array.from({ length: Math.floor(next() * 12) }, () => "abcd"[Math.floor(next() * 4)]);
+    const a = lines();
+    const b = lines();
+    const hunks = diffLines(a.join("\n"), b.join("\n"));
+
+    assert.deepEqual(sides(hunks), [a.join("\n"), b.join("\n")]);
+    const equal = hunks.filter((hunk) => hunk.op === "equal").flatMap((hunk) => hunk.lines);
+    const aLines = a.join("\n").split("\n");
+    const bLines = b.join("\n").split("\n");
+    assert.equal(equal.length, lcsLength(aLines, bLines), `${a} -> ${b}`);
+  }
+});
+
+test("large files are diffed quickly, and ones past the limit replaced wholesale", () => {
+  const numbered = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+  const started = Date.now();
+  const hunks = diffLines(numbered(2000, "a").join("\n"), numbered(2000, "b").join("\n"));
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(
+    hunks.map((hunk) => [hunk.op, hunk.lines.length]),
+    [
+      ["delete", 2000],
+      ["insert", 2000],
+    ]
+  );
+
+  // The common start and end don't count towards the limit
+  const shared = numbered(5000, "s");
+  const before = [...shared, "old", ...shared].join("\n");
+  const after = [...shared, "new", ...shared].join("\n");
+  assert.deepEqual(
+    diffLines(before, after).map((hunk) => [hunk.op, hunk.lines.length]),
+    [
+      ["equal", 5000],
+      ["delete", 1],
+      ["insert", 1],
+      ["equal", 5000],
+    ]
+  );
+
+  const overLimit = diffLines(numbered(2001, "a").join("\n"), ["a0", ...numbered(2001, "c")].join("\n"));
+  assert.deepEqual(
+    overLimit.map((hunk) => [hunk.op, hunk.lines.length]),
+    [
+      ["equal", 1],
+      ["delete", 2000],
+      ["insert", 2001],
+    ]
+  );
+});
+
+let manager;
+let history;
+before(() => {
+  manager = createManager();
+  history = new FileHistory(manager);
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("snapshots are only taken when something changed", async () => {
+  assert.equal(await history.snapshot("env-1"), null);
+
+  await manager.saveFile("env-1", "main.py", "print(1)");
+  const first = await history.snapshot("env-1", { reason: "run", createdBy: "user-1" });
+  assert.equal(first.reason, "run");
+  assert.deepEqual(first.fileNames, ["main.py"]);
+  assert.equal(await history.snapshot("env-1"), null);
+
+  await manager.saveFile("env-1", "main.py", "print(2)");
+  const second = await history.snapshot("env-1");
+  const listed = await history.list("env-1");
+  assert.deepEqual(
+    listed.map((meta) => meta.id),
+    [second.id, first.id]
+  );
+  assert.equal(listed[0].hash, undefined);
+});
+
+test("files are diffed between snapshots and the current version", async () => {
+  await manager.saveFile("env-1", "main.py", "a\nb");
+  const snapshot = await history.snapshot("env-1");
+  await manager.saveFile("env-1", "main.py", "a\nc");
+
+  assert.deepEqual(await history.diff("env-1", "main.py", snapshot.id, "current"), [
+    { op: "equal", lines: ["a"] },
+    { op: "delete", lines: ["b"] },
+    { op: "insert", lines: ["c"] },
+  ]);
+  await assert.rejects(history.diff("env-1", "main.py", "missing", "current"), /does not exist/);
+});
+
+test("restoring puts back files exactly, JSON included, and can be undone", async () => {
+  const json = '{"name": "app", "version": 1}';
+  await manager.saveFile("env-1", "package.json", json);
+  await manager.saveFile("env-1", "count.txt", "42");
+  const snapshot = await history.snapshot("env-1");
+
+  await manager.saveFile("env-1", "package.json", "{}");
+  await manager.saveFile("env-1", "new.js", "added later");
+
+  const result = await history.restore("env-1", snapshot.id, { restoredBy: "user-1" });
+  assert.deepEqual(result.restored.sort(), ["count.txt", "package.json"]);
+  assert.deepEqual(result.deleted, ["new.js"]);
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {
+    "package.json": json,
+    "count.txt": "42",
+  });
+  assert.equal(await redis.get("env-1_package.json"), json);
+
+  // The state before the restore was kept
+  const [undo] = await history.list("env-1");
+  assert.equal(undo.reason, "restore");
+  assert.equal(undo.createdBy, "user-1");
+  assert.deepEqual(undo.fileNames.sort(), ["count.txt", "new.js", "package.json"]);
+});
+
+test("restoring one file leaves the others alone", async () => {
+  await manager.saveFile("env-1", "a.txt", "old a");
+  await manager.saveFile("env-1", "b.txt", "old b");
+  const snapshot = await history.snapshot("env-1");
+  await manager.saveFile("env-1", "a.txt", "new a");
+  await manager.saveFile("env-1", "b.txt", "new b");
+
+  await history.restore("env-1", snapshot.id, { fileName: "a.txt" });
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {
+    "a.txt": "old a",
+    "b.txt": "new b",
+  });
+  await assert.rejects(history.restore("env-1", snapshot.id, { fileName: "c.txt" }), /not in snapshot/);
+});
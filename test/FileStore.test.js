@@ -0,0 +1,136 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import { resetRedis, createManager, closeManager, fakeDatabase } from "./helpers.js";
+
+// Postgres's environment_files and environment_folders, kept in memory
+function postgres() {
+  const files = new Map(); // "env\0path" -> content
+  const folders = new Map(); // env -> Set of paths
+  const database = fakeDatabase((sql, values) => {
+    if (database.down) return { ok: false };
+    if (sql.startsWith("SELECT path, content FROM environment_files")) {
+      const [environmentId] = values;
+      const rows = [...files]
+        .filter(([key]) => key.startsWith(`${environmentId}\0`))
+        .map(([key, content]) => ({ path: key.split("\0")[1], content }));
+      return { ok: true, rows };
+    }
+    if (sql.startsWith("SELECT path FROM environment_folders")) {
+      const rows = [...(folders.get(values[0]) || [])].map((path) => ({ path }));
+      return { ok: true, rows };
+    }
+    if (sql.startsWith("INSERT INTO environment_files")) {
+      const [environmentIds, paths, contents] = values;
+      paths.forEach((path, i) => files.set(`${environmentIds[i]}\0${path}`, contents[i]));
+    } else if (sql.startsWith("DELETE FROM environment_files")) {
+      const [environmentIds, paths] = values;
+      paths.forEach((path, i) => files.delete(`${environmentIds[i]}\0${path}`));
+    } else if (sql.startsWith("WITH removed")) {
+      folders.set(values[0], new Set(values[1]));
+    }
+  });
+  database.down = false;
+  database.files = files;
+  database.folders = folders;
+  // The files stored for an environment
+  database.stored = (environmentId) =>
+    Object.fromEntries(
+      [...files]
+        .filter(([key]) => key.startsWith(`${environmentId}\0`))
+        .map(([key, content]) => [key.split("\0")[1], content])
+    );
+  return database;
+}
+
+let manager;
+let database;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(async () => {
+  await resetRedis();
+  database = postgres();
+  manager.files.database = database;
+});
+
+test("writes reach Postgres on the next flush, exactly as stored", async () => {
+  const json = '{"name": "app"}';
+  await manager.saveFile("env-1", "package.json", json);
+  await manager.saveFile("env-1", "src/main.py", "print(1)");
+  await manager.createFolder("env-1", "docs");
+  assert.deepEqual(database.stored("env-1"), {});
+
+  await manager.files.flushAll();
+  assert.deepEqual(database.stored("env-1"), { "package.json": json, "src/main.py": "print(1)" });
+  assert.deepEqual([...database.folders.get("env-1")], ["docs"]);
+  assert.equal(await redis.scard("files:dirty"), 0);
+  // The tables come from migrate-schema.js, not the service
+  assert.ok(!database.queries.some(({ sql }) => /^(CREATE|ALTER)/.test(sql)));
+});
+
+test("renames and deletes are written as deletions", async () => {
+  await manager.saveFile("env-1", "a.py", "a");
+  await manager.saveFile("env-1", "b.py", "b");
+  await manager.files.flushAll();
+
+  await manager.renameFile("env-1", "a.py", "c.py");
+  await manager.deleteFile("env-1", "b.py");
+  await manager.files.flushAll();
+  assert.deepEqual(database.stored("env-1"), { "c.py": "a" });
+  assert.equal(await redis.scard("files:deleted"), 0);
+});
+
+test("a file that left Redis unsaved isn't taken for a deleted one", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  await manager.saveFile("env-1", "a.py", "a");
+  await manager.files.flushAll();
+  await manager.saveFile("env-1", "a.py", "changed");
+  await redis.del("env-1_a.py");
+
+  await manager.files.flushAll();
+  assert.deepEqual(database.stored("env-1"), { "a.py": "a" });
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test("writes stay pending while Postgres is down", async () => {
+  await manager.saveFile("env-1", "a.py", "a");
+  database.down = true;
+
+  await assert.rejects(manager.files.flushAll(), /query failed/);
+  assert.equal(await redis.scard("files:dirty"), 1);
+
+  database.down = false;
+  await manager.files.flushAll();
+  assert.deepEqual(database.stored("env-1"), { "a.py": "a" });
+});
+
+test("an environment Redis lost is loaded back from Postgres once", async () => {
+  database.files.set("env-1\0main.py", "from postgres");
+  database.files.set("env-1\0notes.txt", "42");
+  database.folders.set("env-1", new Set(["empty"]));
+  // Redis still has a newer copy of one file
+  await redis.set("env-1_main.py", "from redis");
+
+  await Promise.all([manager.files.ensureLoaded("env-1"), manager.files.ensureLoaded("env-1")]);
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {
+    "main.py": "from redis",
+    "notes.txt": "42",
+  });
+  assert.deepEqual(await manager.getFolders("env-1"), ["empty"]);
+
+  const selects = () => database.queries.filter(({ sql }) => sql.startsWith("SELECT")).length;
+  assert.equal(selects(), 2);
+  await manager.files.ensureLoaded("env-1");
+  assert.equal(selects(), 2);
+});
+
+test("an environment Postgres has never seen is copied there", async () => {
+  await redis.set("env-1_main.py", "only in redis");
+
+  await manager.files.ensureLoaded("env-1");
+  assert.equal(await redis.scard("files:dirty"), 2);
+  await manager.files.flushAll();
+  assert.deepEqual(database.stored("env-1"), { "main.py": "only in redis" });
+});
@@ -0,0 +1,172 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  flowLimits,
+  RateLimitError,
+  TokenBucket,
+  RateLimiter,
+  assertMessageSize,
+  sendToClient,
+} from "../FlowControl.js";
+import { fakeClient, tick } from "./helpers.js";
+
+// Change flow limits for one test
+function withLimits(t, changes) {
+  const saved = { ...flowLimits };
+  Object.assign(flowLimits, changes);
+  t.after(() => Object.assign(flowLimits, saved));
+}
+
+const event = (name, data) => JSON.stringify({ event: name, data });
+
+test("a token bucket allows a burst, then refills at its rate", () => {
+  const bucket = new TokenBucket(10, 3);
+  for (let i = 0; i < 3; i++) {
+    assert.equal(bucket.wait(), 0);
+    bucket.take();
+  }
+  assert.ok(bucket.wait() > 99 && bucket.wait() <= 100);
+  assert.equal(bucket.isFull(), false);
+
+  // A tenth of a second refills one token, and never past the burst
+  bucket.lastRefill -= 100;
+  assert.equal(bucket.wait(), 0);
+  bucket.lastRefill -= 10_000;
+  assert.equal(bucket.isFull(), true);
+  assert.equal(bucket.tokens, 3);
+});
+
+test("events over their limit are refused with when to retry", () => {
+  const limiter = new RateLimiter();
+  const ws = fakeClient();
+
+  for (let i = 0; i < 5; i++) assert.equal(limiter.take(ws, "run"), true);
+  assert.throws(() => limiter.take(ws, "run"), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.code, "RATE_LIMITED");
+    assert.ok(error.retryAfterMs > 1900 && error.retryAfterMs <= 2000);
+    return true;
+  });
+  // Each event has its own limit
+  assert.equal(limiter.take(ws, "input"), true);
+});
+
+test("cursor, presence and input box updates over the limit are dropped quietly", () => {
+  const limiter = new RateLimiter();
+  const ws = fakeClient();
+
+  for (let i = 0; i < 40; i++) assert.equal(limiter.take(ws, "cursorMove"), true);
+  assert.equal(limiter.take(ws, "cursorMove"), false);
+  for (let i = 0; i < 30; i++) limiter.take(ws, "inputChange");
+  assert.equal(limiter.take(ws, "inputChange"), false);
+});
+
+test("a user's connections share a larger limit", () => {
+  const limiter = new RateLimiter();
+  const tabs = [1, 2, 3, 4].map((n) => fakeClient({ sessionId: `tab-${n}` }));
+
+  for (const tab of tabs.slice(0, 3)) {
+    for (let i = 0; i < 5; i++) limiter.take(tab, "run");
+  }
+  assert.throws(() => limiter.take(tabs[3], "run"), RateLimitError);
+  // Someone else isn't affected
+  assert.equal(limiter.take(fakeClient({ user: { id: "user-2" } }), "run"), true);
+
+  // Full buckets are forgotten
+  for (const bucket of limiter.userBuckets.values()) bucket.lastRefill -= 60_000;
+  limiter.start();
+  limiter.stop();
+});
+
+test("rate limits scale, and 0 turns them off", () => {
+  const ws = fakeClient();
+  const doubled = new RateLimiter(2);
+  for (let i = 0; i < 10; i++) doubled.take(ws, "run");
+  assert.throws(() => doubled.take(ws, "run"), RateLimitError);
+
+  const off = new RateLimiter(0);
+  for (let i = 0; i < 100; i++) assert.equal(off.take(ws, "run"), true);
+});
+
+test("only bulk events may send large messages", (t) => {
+  withLimits(t, { maxEventBytes: 1000 });
+
+  assertMessageSize("diffLine", 1000);
+  assert.throws(() => assertMessageSize("diffLine", 1001), {
+    code: "MESSAGE_TOO_LARGE",
+    message: "diffLine messages can be at most 1000 bytes",
+  });
+  assertMessageSize("importEnvironment", 10_000);
+  assertMessageSize("run", 10_000);
+
+  flowLimits.maxEventBytes = 0;
+  assertMessageSize("diffLine", 10_000);
+});
+
+test("messages go straight out to clients that keep up", () => {
+  const client = fakeClient();
+  sendToClient(client, event("output", { output: "a" }));
+  assert.deepEqual(client.events("output"), [{ output: "a" }]);
+
+  client.readyState = client.CLOSED;
+  sendToClient(client, event("output", { output: "b" }));
+  assert.equal(client.sent.length, 1);
+});
+
+test("a slow client gets only the latest cursor, presence and merged output", async (t) => {
+  withLimits(t, { slowClientBytes: 100, maxBufferedBytes: 1000 });
+  const client = fakeClient();
+  client.bufferedAmount = 500;
+
+  sendToClient(client, event("movedCursor", { id: "tab-1", line: 1 }));
+  sendToClient(client, event("movedCursor", { id: "tab-2", line: 1 }));
+  sendToClient(client, event("movedCursor", { id: "tab-1", line: 2 }));
+  sendToClient(client, event("presenceUpdated", { sessionId: "tab-1", file: "a.py" }));
+  sendToClient(client, event("presenceUpdated", { sessionId: "tab-1", file: "b.py" }));
+  sendToClient(client, JSON.stringify({ event: "output", data: { output: "hel" }, seq: 1 }));
+  sendToClient(client, JSON.stringify({ event: "output", data: { output: "lo" }, seq: 2 }));
+  assert.deepEqual(client.sent, []);
+
+  // Anything else goes out after what was held back
+  sendToClient(client, event("exit", { exitCode: 0 }));
+  assert.deepEqual(
+    client.sent.map((message) => JSON.parse(message)),
+    [
+      { event: "movedCursor", data: { id: "tab-1", line: 2 } },
+      { event: "movedCursor", data: { id: "tab-2", line: 1 } },
+      { event: "presenceUpdated", data: { sessionId: "tab-1", file: "b.py" } },
+      { event: "output", data: { output: "hello" }, seq: 2 },
+      { event: "exit", data: { exitCode: 0 } },
+    ]
+  );
+
+  // Held messages also go out once the client catches up
+  client.sent = [];
+  sendToClient(client, event("inputChanged", { input: "a" }));
+  sendToClient(client, event("inputChanged", { input: "ab" }));
+  await tick(150);
+  assert.deepEqual(client.sent, []);
+  client.bufferedAmount = 0;
+  await tick(150);
+  assert.deepEqual(client.events("inputChanged"), [{ input: "ab" }]);
+});
+
+test("clients that fall too far behind are disconnected", (t) => {
+  withLimits(t, { slowClientBytes: 100, maxBufferedBytes: 1000 });
+  const warn = t.mock.method(console, "warn", () => {});
+
+  const behind = fakeClient();
+  behind.bufferedAmount = 1001;
+  sendToClient(behind, event("exit", {}));
+  assert.equal(behind.readyState, behind.CLOSED);
+  assert.deepEqual(behind.sent, []);
+
+  // Held output counts too
+  const flooded = fakeClient();
+  flooded.bufferedAmount = 500;
+  sendToClient(flooded, event("output", { output: "x".repeat(600) }));
+  assert.equal(flooded.readyState, flooded.OPEN);
+  sendToClient(flooded, event("output", { output: "x".repeat(600) }));
+  assert.equal(flooded.readyState, flooded.CLOSED);
+  assert.equal(warn.mock.callCount(), 2);
+});
@@ -0,0 +1,208 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { SignJWT } from "jose";
+import { redis } from "../redis.js";
+import createHttpApi from "../HttpApi.js";
+import AccessControl from "../AccessControl.js";
+import AuditLog from "../AuditLog.js";
+import DriverLock from "../DriverLock.js";
+import FileHistory from "../FileHistory.js";
+import Presence from "../Presence.js";
+import { resetRedis, createManager, closeManager, fakeDatabase, fakeClient } from "./helpers.js";
+
+process.env.JWT_SECRET = "test-secret";
+
+// User 1 owns env-1, user 2 can view it and user 3 can edit it
+const roles = { 1: "owner", 2: "viewer", 3: "editor" };
+const database = fakeDatabase((sql, values) => {
+  if (sql.includes("FROM environments")) {
+    const [userId, environmentId] = values;
+    const role = environmentId === "env-1" ? roles[userId] : null;
+    if (!role) return { ok: true, rows: [] };
+    return {
+      ok: true,
+      rows: [
+        {
+          owner_id: 1,
+          member_id: role === "owner" ? null : Number(userId),
+          member_role: role === "owner" ? null : role,
+        },
+      ],
+    };
+  }
+  if (sql.includes("FROM audit_log")) {
+    return {
+      ok: true,
+      rows: [
+        {
+          id: 9,
+          environment_id: "env-1",
+          user_id: "3",
+          user_name: "Sam",
+          session_id: null,
+          action: "delete",
+          details: '{"fileName":"old.py"}',
+          created_at: "2026-01-01T00:00:00Z",
+        },
+      ],
+    };
+  }
+});
+
+async function token(id, secret = process.env.JWT_SECRET) {
+  return new SignJWT({ id, name: `User ${id}` })
+    .setProtectedHeader({ alg: "HS256" })
+    .sign(new TextEncoder().encode(secret));
+}
+
+let manager;
+let app;
+before(() => {
+  manager = createManager();
+  manager.files.database = database;
+  const access = new AccessControl(database);
+  app = createHttpApi({
+    manager,
+    access,
+    audit: new AuditLog(database),
+    history: new FileHistory(manager),
+    drivers: new DriverLock(manager, new Presence(manager), access),
+  });
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+// Make a request as a user, with a JSON body if given
+async function request(userId, method, path, body) {
+  const headers = { Authorization: `Bearer ${await token(userId)}` };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const response = await app.request(path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+test("requests need a valid session token and access to the environment", async () => {
+  assert.equal((await app.request("/environments/env-1/files")).status, 401);
+
+  const forged = await app.request("/environments/env-1/files", {
+    headers: { Authorization: `Bearer ${await token(1, "wrong-secret")}` },
+  });
+  assert.equal(forged.status, 401);
+  assert.deepEqual(await forged.json(), { error: { message: "Invalid session token" } });
+
+  const cookie = await app.request("/environments/env-1/files", {
+    headers: { Cookie: `session_token=${await token(1)}` },
+  });
+  assert.equal(cookie.status, 200);
+
+  const stranger = await request(4, "GET", "/environments/env-1/files");
+  assert.equal(stranger.status, 403);
+  assert.equal(stranger.body.error.code, "FORBIDDEN");
+});
+
+test("files are read, written, renamed and deleted", async () => {
+  const watcher = fakeClient();
+  manager.registerClient("env-1", watcher);
+  try {
+    const json = '{"debug": true}';
+    const path = "/environments/env-1/files/config/app.json";
+    const created = await request(3, "PUT", path, { content: json });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.fileName, "config/app.json");
+    assert.equal((await request(3, "PUT", path, { content: json })).status, 200);
+
+    const read = await request(2, "GET", path);
+    assert.equal(read.body.content, json);
+    assert.equal(read.body.revision, created.body.revision + 1);
+    assert.deepEqual((await request(2, "GET", "/environments/env-1/files")).body.files, {
+      "config/app.json": json,
+    });
+    // WebSocket clients see the change
+    assert.ok(watcher.events("files").length > 0);
+
+    const renamed = await request(3, "PATCH", path, { newName: "app.json" });
+    assert.deepEqual(renamed.body, { oldName: "config/app.json", newName: "app.json" });
+    assert.equal((await request(3, "DELETE", "/environments/env-1/files/app.json")).status, 204);
+    assert.equal((await request(3, "GET", "/environments/env-1/files/app.json")).status, 404);
+
+    const pending = await redis.lrange("audit:pending", 0, -1);
+    const actions = pending.map((entry) => JSON.parse(entry).action);
+    assert.deepEqual(actions, ["write", "write", "rename", "delete"]);
+  } finally {
+    manager.unregisterClient("env-1", watcher);
+  }
+});
+
+test("bad requests are answered with what is wrong", async () => {
+  const viewer = await request(2, "PUT", "/environments/env-1/files/main.py", { content: "" });
+  assert.equal(viewer.status, 403);
+
+  const invalid = await request(3, "PUT", "/environments/env-1/files/main.py", { content: 42 });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error.issues[0].path, "content");
+
+  const escape = await request(3, "PUT", "/environments/env-1/files/a/..%2F..%2Fx", { content: "" });
+  assert.equal(escape.status, 400);
+  assert.equal(escape.body.error.code, "INVALID_PATH");
+
+  const notJson = await app.request("/environments/env-1/files/main.py", {
+    method: "PUT",
+    headers: { Authorization: `Bearer ${await token(3)}` },
+    body: "{",
+  });
+  assert.equal(notJson.status, 400);
+  assert.match((await notJson.json()).error.message, /^Invalid JSON/);
+});
+
+test("runs can be started, waited for and looked up", async () => {
+  await redis.set("env-1_main.py", "print('hi')");
+  const started = request(3, "POST", "/environments/env-1/runs", { wait: true });
+  // Let the run start, then finish it
+  while (!manager.backend.lastRun) await new Promise((resolve) => setImmediate(resolve));
+  const run = manager.backend.lastRun;
+  run.output("hi\r\n");
+  run.exit(0);
+
+  const { status, body } = await started;
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.output, "hi\r\n");
+  assert.equal(body.status.exitCode, 0);
+  assert.equal(run.options.cmd.at(-1), "main.py");
+
+  const lookedUp = await request(2, "GET", `/environments/env-1/runs/${body.runId}`);
+  assert.equal(lookedUp.body.status.exitCode, 0);
+  assert.equal((await request(2, "GET", "/environments/env-1/runs/other")).status, 404);
+  assert.equal((await request(2, "GET", "/environments/env-1/session")).body.running, false);
+  assert.equal((await request(2, "POST", "/environments/env-1/runs", {})).status, 403);
+});
+
+test("runs respect whoever is in control of the program", async () => {
+  await redis.set("env-1_main.py", "");
+  await redis.set("driver:env-1", JSON.stringify({ sessionId: "tab-9", userId: "1", name: "Alex" }));
+  const { instanceId } = manager.cluster;
+  const presence = { sessionId: "tab-9", userId: "1", name: "Alex", instanceId };
+  await redis.hset("presence:env-1", "tab-9", JSON.stringify(presence));
+
+  const refused = await request(3, "POST", "/environments/env-1/runs", {});
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.error.code, "NOT_DRIVER");
+});
+
+test("only owners can read the audit log", async () => {
+  assert.equal((await request(3, "GET", "/environments/env-1/audit")).status, 403);
+  assert.equal((await request(1, "GET", "/environments/env-1/audit?limit=0")).status, 400);
+
+  const { status, body } = await request(1, "GET", "/environments/env-1/audit?action=delete");
+  assert.equal(status, 200);
+  assert.deepEqual(body.entries.map(({ id, action, details }) => [id, action, details]), [
+    ["9", "delete", { fileName: "old.py" }],
+  ]);
+  assert.equal(body.nextBefore, null);
+  const { values } = database.queries.at(-1);
+  assert.ok(values.includes("env-1") && values.includes("delete"));
+});
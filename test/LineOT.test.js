@@ -0,0 +1,201 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import {
+  RevisionError,
+  normalizeOp,
+  transformOp,
+  transformOps,
+  applyOps,
+  toLineUpdates,
+} from "../LineOT.js";
+import { resetRedis, createManager, closeManager } from "./helpers.js";
+
+test("diffLine payloads are normalized into primitives", () => {
+  assert.deepEqual(normalizeOp({ op: "insert", lineNumber: 2, lineContent: "x" }), {
+    op: "insert",
+    lineNumber: 2,
+    lines: ["x"],
+  });
+  assert.deepEqual(normalizeOp({ op: "replace", lineNumber: 0, lineContent: ["a", null] }), {
+    op: "replace",
+    lineNumber: 0,
+    lines: ["a", ""],
+  });
+  assert.deepEqual(normalizeOp({ op: "delete", lineNumber: 1 }), {
+    op: "delete",
+    lineNumber: 1,
+    count: 1,
+  });
+
+  assert.throws(() => normalizeOp({ op: "move", lineNumber: 0 }), /Unknown diffLine op/);
+  assert.throws(() => normalizeOp({ op: "insert", lineNumber: -1 }), /non-negative/);
+  assert.throws(() => normalizeOp({ op: "insert", lineNumber: 1.5 }), /non-negative/);
+});
+
+test("inserts move past earlier inserts and deletes", () => {
+  const insert = { op: "insert", lineNumber: 3, lines: ["x"] };
+
+  assert.deepEqual(transformOp(insert, { op: "insert", lineNumber: 1, lines: ["a", "b"] }), [
+    { ...insert, lineNumber: 5 },
+  ]);
+  // Ties go after the op that was accepted first
+  assert.deepEqual(transformOp(insert, { op: "insert", lineNumber: 3, lines: ["a"] }), [
+    { ...insert, lineNumber: 4 },
+  ]);
+  assert.deepEqual(transformOp(insert, { op: "insert", lineNumber: 4, lines: ["a"] }), [insert]);
+  // Inside a deleted range, it lands where the range was
+  assert.deepEqual(transformOp(insert, { op: "delete", lineNumber: 2, count: 3 }), [
+    { ...insert, lineNumber: 2 },
+  ]);
+});
+
+test("deletes and replaces drop the lines someone else deleted", () => {
+  const deleted = { op: "delete", lineNumber: 2, count: 2 };
+
+  assert.deepEqual(transformOp({ op: "delete", lineNumber: 1, count: 4 }, deleted), [
+    { op: "delete", lineNumber: 1, count: 2 },
+  ]);
+  assert.deepEqual(transformOp({ op: "delete", lineNumber: 2, count: 2 }, deleted), []);
+  assert.deepEqual(transformOp({ op: "replace", lineNumber: 1, lines: ["a", "b", "c", "d"] }, deleted), [
+    { op: "replace", lineNumber: 1, lines: ["a", "d"] },
+  ]);
+
+  // A line inserted in the middle splits the range in two, highest first
+  assert.deepEqual(
+    transformOp({ op: "delete", lineNumber: 0, count: 3 }, { op: "insert", lineNumber: 1, lines: ["x"] }),
+    [
+      { op: "delete", lineNumber: 2, count: 2 },
+      { op: "delete", lineNumber: 0, count: 1 },
+    ]
+  );
+});
+
+test("a transformed op has the same effect on the file it is applied to", () => {
+  const base = ["a", "b", "c", "d", "e"];
+  const first = [{ op: "insert", lineNumber: 1, lines: ["new"] }];
+  const second = [{ op: "replace", lineNumber: 3, lines: ["D"] }];
+
+  const lines = [...base];
+  const applied = applyOps(lines, first);
+  applyOps(lines, transformOps(second, applied));
+
+  assert.deepEqual(lines, ["a", "new", "b", "c", "D", "e"]);
+});
+
+test("ops are clamped to the file when applied", () => {
+  const lines = ["a", "b"];
+  const applied = applyOps(lines, [
+    { op: "delete", lineNumber: 1, count: 5 },
+    { op: "replace", lineNumber: 0, lines: ["A", "B", "C"] },
+    { op: "insert", lineNumber: 10, lines: ["z"] },
+  ]);
+
+  assert.deepEqual(lines, ["A", "B", "C", "z"]);
+  assert.deepEqual(applied, [
+    { op: "delete", lineNumber: 1, count: 1 },
+    { op: "replace", lineNumber: 0, lines: ["A"] },
+    { op: "insert", lineNumber: 1, lines: ["B", "C"] },
+    { op: "insert", lineNumber: 3, lines: ["z"] },
+  ]);
+});
+
+test("applied ops expand into one lineUpdated per line", () => {
+  assert.deepEqual(
+    toLineUpdates("main.py", [
+      { op: "delete", lineNumber: 4, count: 2 },
+      { op: "insert", lineNumber: 1, lines: ["x", "y"] },
+    ]),
+    [
+      { fileName: "main.py", op: "delete", lineNumber: 4, lineContent: null },
+      { fileName: "main.py", op: "delete", lineNumber: 4, lineContent: null },
+      { fileName: "main.py", op: "insert", lineNumber: 1, lineContent: "x" },
+      { fileName: "main.py", op: "insert", lineNumber: 2, lineContent: "y" },
+    ]
+  );
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("edits against an old revision are transformed past the ones since", async () => {
+  await redis.set("env-1_main.py", "a\nb\nc");
+
+  const first = await manager.applyLineOperation(
+    "env-1",
+    "main.py",
+    { op: "insert", lineNumber: 0, lines: ["top"] },
+    0
+  );
+  assert.equal(first.revision, 1);
+
+  // Written against revision 0, so it still thinks "c" is line 2
+  const second = await manager.applyLineOperation(
+    "env-1",
+    "main.py",
+    { op: "replace", lineNumber: 2, lines: ["C"] },
+    0
+  );
+  assert.equal(second.revision, 2);
+  assert.deepEqual(second.ops, [{ op: "replace", lineNumber: 3, lines: ["C"] }]);
+  assert.equal(await redis.get("env-1_main.py"), "top\na\nb\nC");
+  assert.deepEqual(await manager.getRevisions("env-1", ["main.py", "other.py"]), {
+    "main.py": 2,
+    "other.py": 0,
+  });
+});
+
+test("concurrent edits to a file are applied one at a time", async () => {
+  await redis.set("env-1_main.py", "");
+
+  await Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      manager.applyLineOperation("env-1", "main.py", { op: "insert", lineNumber: 0, lines: [`${i}`] }, 0)
+    )
+  );
+
+  const lines = (await redis.get("env-1_main.py")).split("\n");
+  assert.equal(lines.length, 21);
+  assert.equal(new Set(lines).size, 21);
+  assert.deepEqual(await manager.getRevisions("env-1", ["main.py"]), { "main.py": 20 });
+});
+
+test("unknown revisions, and ones older than the op log, are refused", async () => {
+  await redis.set("env-1_main.py", "a");
+  const op = { op: "insert", lineNumber: 0, lines: ["x"] };
+
+  await assert.rejects(manager.applyLineOperation("env-1", "main.py", op, 5), (error) => {
+    assert.ok(error instanceof RevisionError);
+    assert.equal(error.code, "INVALID_REVISION");
+    return true;
+  });
+
+  await manager.applyLineOperation("env-1", "main.py", op, 0);
+  await redis.del(manager.opLogKey("env-1", "main.py"));
+  await assert.rejects(manager.applyLineOperation("env-1", "main.py", op, 0), {
+    code: "REVISION_TOO_OLD",
+  });
+});
+
+test("renaming a file keeps its revision, deleting it drops it", async () => {
+  await redis.set("env-1_main.py", "a");
+  await manager.applyLineOperation("env-1", "main.py", { op: "insert", lineNumber: 0, lines: ["x"] }, 0);
+
+  await manager.renameFile("env-1", "main.py", "app.py");
+  assert.deepEqual(await manager.getRevisions("env-1", ["app.py"]), { "app.py": 1 });
+
+  const late = await manager.applyLineOperation(
+    "env-1",
+    "app.py",
+    { op: "replace", lineNumber: 0, lines: ["A"] },
+    0
+  );
+  assert.deepEqual(late.ops, [{ op: "replace", lineNumber: 1, lines: ["A"] }]);
+
+  await manager.deleteFile("env-1", "app.py");
+  assert.deepEqual(await manager.getRevisions("env-1", ["app.py"]), { "app.py": 0 });
+});
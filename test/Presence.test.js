@@ -0,0 +1,154 @@
+import { test, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { redis } from "../redis.js";
+import Presence, { describeUser } from "../Presence.js";
+import { resetRedis, createManager, closeManager, fakeClient } from "./helpers.js";
+
+test("users are shown by name, falling back to their email", () => {
+  assert.deepEqual(describeUser({ id: "u1", name: "Alex", picture: "a.png" }), {
+    userId: "u1",
+    name: "Alex",
+    avatar: "a.png",
+  });
+  assert.equal(describeUser({ id: "u2", email: "sam@example.com" }).name, "sam");
+  assert.equal(describeUser({}).name, "Anonymous");
+});
+
+let manager;
+let presence;
+let clients;
+before(() => {
+  manager = createManager();
+  presence = new Presence(manager);
+});
+after(() => closeManager(manager));
+beforeEach(async () => {
+  await resetRedis();
+  clients = [];
+});
+afterEach(() => {
+  for (const client of clients) manager.unregisterClient("env-1", client);
+});
+
+// A client connected to env-1
+function connect(userId, sessionId) {
+  const client = fakeClient({ user: { id: userId, name: userId }, sessionId });
+  manager.registerClient("env-1", client);
+  clients.push(client);
+  return client;
+}
+
+test("joining sends the newcomer everyone and tells the others", async () => {
+  const alex = connect("alex", "tab-1");
+  const sam = connect("sam", "tab-2");
+
+  await presence.join("env-1", alex);
+  await presence.join("env-1", sam);
+
+  const [snapshot] = sam.events("presence");
+  assert.equal(snapshot.self, "tab-2");
+  assert.deepEqual(
+    snapshot.users.map(({ sessionId, name }) => [sessionId, name]),
+    [
+      ["tab-1", "alex"],
+      ["tab-2", "sam"],
+    ]
+  );
+  assert.deepEqual(
+    alex.events("userJoined").map(({ user }) => user.sessionId),
+    ["tab-2"]
+  );
+  // Nobody hears about themselves joining
+  assert.deepEqual(
+    sam.events("userJoined").map(({ user }) => user.sessionId),
+    ["tab-1"]
+  );
+
+  // Joining again only resends the list
+  await presence.join("env-1", sam);
+  assert.equal(alex.events("userJoined").length, 1);
+  assert.equal(sam.events("presence").length, 2);
+});
+
+test("a user keeps one color across tabs and others get a different one", async () => {
+  await presence.join("env-1", connect("alex", "tab-1"));
+  await presence.join("env-1", connect("alex", "tab-2"));
+  await presence.join("env-1", connect("sam", "tab-3"));
+
+  const [first, second, third] = (await presence.list("env-1")).map(({ color }) => color);
+  assert.equal(first, second);
+  assert.notEqual(first, third);
+  assert.match(third, /^#[0-9a-f]{6}$/);
+});
+
+test("cursors and selections are checked and passed on to the others", async () => {
+  const alex = connect("alex", "tab-1");
+  const sam = connect("sam", "tab-2");
+  assert.equal(await presence.update("env-1", alex, { cursor: { line: 1, ch: 1 } }), null);
+  await presence.join("env-1", alex);
+  await presence.join("env-1", sam);
+
+  const entry = await presence.update("env-1", alex, {
+    file: "/src//main.py",
+    cursor: { line: 3, ch: 4, extra: true },
+    selections: [
+      { anchor: { line: 0, ch: 0 }, head: { line: 2, ch: 1 } },
+      { anchor: { line: -1, ch: 0 }, head: { line: 0, ch: 0 } },
+      "junk",
+    ],
+  });
+  assert.equal(entry.file, "src/main.py");
+  assert.deepEqual(entry.cursor, { line: 3, ch: 4 });
+  assert.deepEqual(entry.selections, [{ anchor: { line: 0, ch: 0 }, head: { line: 2, ch: 1 } }]);
+
+  assert.deepEqual(sam.events("presenceUpdated"), [
+    {
+      environmentId: "env-1",
+      sessionId: "tab-1",
+      file: "src/main.py",
+      cursor: { line: 3, ch: 4 },
+      selections: entry.selections,
+    },
+  ]);
+  assert.deepEqual(alex.events("presenceUpdated"), []);
+
+  // Fields left out are kept; a bad cursor clears it
+  const moved = await presence.update("env-1", alex, { cursor: { line: 1.5, ch: 0 } });
+  assert.equal(moved.file, "src/main.py");
+  assert.equal(moved.cursor, null);
+  await assert.rejects(presence.update("env-1", alex, { file: "../etc/passwd" }), /may not contain/);
+});
+
+test("leaving tells the others", async () => {
+  const alex = connect("alex", "tab-1");
+  const sam = connect("sam", "tab-2");
+  await presence.join("env-1", alex);
+  await presence.join("env-1", sam);
+
+  await presence.leave("env-1", alex);
+  await presence.leave("env-1", alex);
+  assert.deepEqual(sam.events("userLeft"), [
+    { environmentId: "env-1", sessionId: "tab-1", userId: "alex" },
+  ]);
+  assert.deepEqual(
+    (await presence.list("env-1")).map(({ sessionId }) => sessionId),
+    ["tab-2"]
+  );
+});
+
+test("people on instances that died are dropped from the list", async () => {
+  const entry = { sessionId: "ghost", userId: "old", instanceId: "dead", joinedAt: 1 };
+  await redis.hset(presence.presenceKey("env-1"), "ghost", JSON.stringify(entry));
+  await redis.hset(
+    presence.presenceKey("env-1"),
+    "live",
+    JSON.stringify({ ...entry, sessionId: "live", instanceId: "other" })
+  );
+  await redis.set(manager.cluster.aliveKey("other"), Date.now());
+
+  assert.deepEqual(
+    (await presence.list("env-1")).map(({ sessionId }) => sessionId),
+    ["live"]
+  );
+  assert.equal(await redis.hexists(presence.presenceKey("env-1"), "ghost"), 0);
+});
@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { redis } from "../redis.js";
+import Reaper from "../Reaper.js";
+import { CONTAINER_PREFIX } from "../DockerBackend.js";
+import { resetRedis, createManager, closeManager, fakeClient, fakeDatabase, tick } from "./helpers.js";
+
+const hourAgo = Date.now() - 60 * 60 * 1000;
+
+let manager;
+let reaper;
+before(() => {
+  manager = createManager();
+  reaper = new Reaper(manager);
+});
+after(() => closeManager(manager));
+beforeEach(async () => {
+  await resetRedis();
+  manager.backend.containers = [];
+  manager.backend.removed = [];
+});
+
+// A container as listManagedContainers reports it
+function container(id, { instanceId = null, environmentId = id, createdAt = hourAgo } = {}) {
+  return { id, name: `${CONTAINER_PREFIX}${environmentId}`, instanceId, createdAt };
+}
+
+test("containers of instances that are gone are removed", async () => {
+  await redis.set(manager.cluster.aliveKey("alive"), Date.now());
+  manager.backend.containers = [
+    container("dead", { instanceId: "crashed" }),
+    container("other", { instanceId: "alive" }),
+    container("mine", { instanceId: manager.cluster.instanceId }),
+    container("new", { instanceId: "crashed", createdAt: Date.now() }),
+  ];
+
+  assert.deepEqual(await reaper.reapContainers(), [`${CONTAINER_PREFIX}dead`]);
+  assert.deepEqual(manager.backend.removed, ["dead"]);
+});
+
+test("unlabelled containers go unless another instance hosts their environment", async () => {
+  await redis.set(manager.cluster.aliveKey("alive"), Date.now());
+  await redis.set(manager.cluster.ownerKey("env-hosted"), "alive");
+  await redis.set(manager.cluster.ownerKey("env-mine"), manager.cluster.instanceId);
+  manager.backend.containers = [
+    container("a", { environmentId: "env-hosted" }),
+    container("b", { environmentId: "env-mine" }),
+    container("c", { environmentId: "env-nobody" }),
+  ];
+
+  await reaper.reapContainers();
+  assert.deepEqual(manager.backend.removed.sort(), ["b", "c"]);
+});
+
+test("temp directories of instances that are gone are removed", async (t) => {
+  const root = path.dirname(manager.baseTmpDir);
+  const make = (name, mtime = hourAgo / 1000) => {
+    const dir = path.join(root, name);
+    fs.mkdirSync(path.join(dir, "env-1"), { recursive: true });
+    fs.utimesSync(dir, mtime, mtime);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+  };
+  const dead = make(`test-dead-${crypto.randomUUID()}`);
+  const alive = make(`test-alive-${crypto.randomUUID()}`);
+  const fresh = make(`test-fresh-${crypto.randomUUID()}`, Date.now() / 1000);
+  await redis.set(manager.cluster.aliveKey(path.basename(alive)), Date.now());
+  fs.utimesSync(manager.baseTmpDir, hourAgo / 1000, hourAgo / 1000);
+
+  const { directories } = await reaper.reap();
+  assert.ok(directories.includes(path.basename(dead)));
+  assert.equal(fs.existsSync(dead), false);
+  assert.equal(fs.existsSync(alive), true);
+  assert.equal(fs.existsSync(fresh), true);
+  assert.equal(fs.existsSync(manager.baseTmpDir), true);
+});
+
+test("shutting down stops every run and saves pending files", async () => {
+  const other = createManager();
+  const database = fakeDatabase();
+  other.files.database = database;
+  await other.start();
+  const client = fakeClient();
+  other.registerClient("env-1", client);
+
+  await other.saveFile("env-1", "main.py", "input()");
+  await other.startSession("env-1", ["main.py"], null, {});
+  const run = other.backend.lastRun;
+  // The last client left, so a release is pending
+  other.unregisterClient("env-1", client);
+
+  await other.shutdown();
+  await tick();
+  assert.equal(run.exited, true);
+  assert.equal(other.sessionStatus.get("env-1").reason, "shutdown");
+  assert.ok(database.queries.some(({ sql }) => sql.startsWith("INSERT INTO environment_files")));
+  assert.equal(await redis.scard("files:dirty"), 0);
+  assert.equal(await other.cluster.isAlive(other.cluster.instanceId), false);
+  assert.equal(other.releaseTimers.size, 0);
+  assert.equal(fs.existsSync(other.baseTmpDir), false);
+});
@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// A short replay log, so running past it takes a handful of events
+process.env.REPLAY_LOG_LENGTH = "5";
+
+const { redis } = await import("../redis.js");
+const { default: SessionResume, ResumeError } = await import("../SessionResume.js");
+const { resetRedis, createManager, closeManager, fakeClient, tick } = await import("./helpers.js");
+
+let manager;
+let resume;
+before(() => {
+  manager = createManager();
+  resume = new SessionResume(manager);
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("a resume token leads back to its session, for its user only", async () => {
+  const ws = fakeClient({ user: { id: "alex" }, sessionId: "tab-1" });
+  ws.environmentId = "env-1";
+  const token = await resume.issue(ws);
+  assert.equal(ws.resumeToken, token);
+  assert.match(token, /^[\w-]{32}$/);
+
+  const next = fakeClient({ user: { id: "alex" }, sessionId: "tab-2" });
+  assert.deepEqual(await resume.lookup(next, token), {
+    sessionId: "tab-1",
+    userId: "alex",
+    environmentId: "env-1",
+  });
+
+  const other = fakeClient({ user: { id: "sam" } });
+  await assert.rejects(resume.lookup(other, token), (error) => {
+    assert.ok(error instanceof ResumeError);
+    assert.equal(error.code, "INVALID_RESUME_TOKEN");
+    return true;
+  });
+  await assert.rejects(resume.lookup(next, "made-up"), ResumeError);
+});
+
+test("a closed connection's token only lasts the grace period", async () => {
+  const ws = fakeClient({ user: { id: "alex" } });
+  await resume.issue(ws);
+  assert.ok((await redis.ttl(resume.resumeKey(ws.resumeToken))) > 60);
+
+  await resume.expire(ws);
+  const ttl = await redis.ttl(resume.resumeKey(ws.resumeToken));
+  assert.ok(ttl > 0 && ttl <= manager.graceSeconds);
+});
+
+test("taking over a session moves it to the new connection", async () => {
+  const old = fakeClient({ user: { id: "alex" }, sessionId: "tab-1" });
+  old.environmentId = "env-1";
+  manager.registerClient("env-1", old);
+  const token = await resume.issue(old);
+
+  const next = fakeClient({ user: { id: "alex" }, sessionId: "tab-2" });
+  const issued = await resume.issue(next);
+  await resume.takeOver(next, token, await resume.lookup(next, token));
+
+  assert.equal(next.sessionId, "tab-1");
+  assert.equal(next.resumeToken, token);
+  // The old connection is dropped without it counting as leaving
+  assert.equal(old.replaced, true);
+  assert.equal(old.readyState, old.CLOSED);
+  assert.equal(await redis.exists(resume.resumeKey(issued)), 0);
+  manager.unregisterClient("env-1", old);
+});
+
+test("missed events are replayed from where the client left off", async () => {
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  try {
+    for (const output of ["a", "b", "c"]) {
+      await manager.broadcastSequenced("env-1", "output", { output });
+    }
+    assert.deepEqual(
+      client.events("output").map(({ output }) => output),
+      ["a", "b", "c"]
+    );
+    assert.deepEqual(
+      client.sent.map((message) => JSON.parse(message).seq),
+      [1, 2, 3]
+    );
+
+    const { events, seq, complete } = await manager.getReplay("env-1", 1);
+    assert.equal(seq, 3);
+    assert.equal(complete, true);
+    assert.deepEqual(events, client.sent.slice(1));
+    assert.deepEqual(await manager.getReplay("env-1", 3), { events: [], seq: 3, complete: true });
+  } finally {
+    manager.unregisterClient("env-1", client);
+  }
+});
+
+test("a replay is incomplete once the log no longer reaches back far enough", async () => {
+  for (let i = 1; i <= 8; i++) {
+    await manager.broadcastSequenced("env-1", "output", { output: String(i) });
+  }
+
+  // Events 4 to 8 are kept
+  const kept = await manager.getReplay("env-1", 3);
+  assert.equal(kept.complete, true);
+  assert.equal(kept.events.length, 5);
+  assert.equal((await manager.getReplay("env-1", 2)).complete, false);
+
+  // A client ahead of the server saw events that are gone
+  assert.equal((await manager.getReplay("env-1", 9)).complete, false);
+  assert.deepEqual(await manager.getReplay("env-2", 0), { events: [], seq: 0, complete: true });
+});
+
+test("a run outlives a dropped connection only for the grace period", async (t) => {
+  const { graceSeconds } = manager;
+  manager.graceSeconds = 0.05;
+  t.after(() => {
+    manager.graceSeconds = graceSeconds;
+  });
+  await redis.set("env-1_main.py", "input()");
+  const client = fakeClient();
+  manager.registerClient("env-1", client);
+  await manager.startSession("env-1", ["main.py"], null, {});
+  const run = manager.backend.lastRun;
+
+  // Back in time, so it keeps running
+  manager.unregisterClient("env-1", client);
+  await tick(10);
+  manager.registerClient("env-1", client);
+  await tick(80);
+  assert.equal(run.exited, false);
+  assert.equal(manager.sessions.has("env-1"), true);
+
+  manager.unregisterClient("env-1", client);
+  await tick(80);
+  assert.equal(run.exited, true);
+  assert.equal(manager.sessions.has("env-1"), false);
+});
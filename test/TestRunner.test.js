@@ -0,0 +1,260 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { redis } from "../redis.js";
+import TestRunner, { normalizeTests, parseJunitReport, studentView } from "../TestRunner.js";
+import { resetRedis, FakeBackend, createManager, closeManager } from "./helpers.js";
+
+// A backend whose programs do whatever the test says once they start
+class ScriptedBackend extends FakeBackend {
+  constructor() {
+    super();
+    this.script = (run) => run.exit(0);
+  }
+
+  async createRun(options) {
+    const run = await super.createRun(options);
+    const start = run.start.bind(run);
+    run.start = async () => {
+      await start();
+      setImmediate(() => this.script(run));
+    };
+    return run;
+  }
+}
+
+// Answer an io test the way a program that echoes its input in capitals would
+function shout(run) {
+  const stdin = fs.readFileSync(path.join(run.options.workspace, ".np-test-stdin"), "utf8");
+  run.emit("stdout", stdin.toUpperCase() + "  \r\n\r\n");
+  run.exit(0);
+}
+
+const junitReport = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites><testsuite name="pytest" tests="3">
+<testcase classname="test_add" name="test_small" time="0.012" />
+<testcase classname="test_add" name="test_big" time="0.5"><failure message="assert 3 == 4">trace</failure></testcase>
+<testcase classname="test_add" name="test_later" time="0"><skipped message="not yet &amp; maybe never" /></testcase>
+</testsuite></testsuites>`;
+
+test("test suites are checked and filled in", () => {
+  const [io, pytest] = normalizeTests([
+    { type: "io", expectedOutput: "HI", timeoutSeconds: 500 },
+    { name: " adds ", type: "pytest", fileName: "/checks/test_add.py", content: "", hidden: 1 },
+  ]);
+  assert.equal(io.name, "Test 1");
+  assert.equal(io.stdin, "");
+  assert.equal(io.timeoutSeconds, 60);
+  assert.equal(io.hidden, false);
+  assert.ok(io.id);
+  assert.equal(pytest.name, "adds");
+  assert.equal(pytest.fileName, "checks/test_add.py");
+  assert.equal(pytest.timeoutSeconds, 10);
+  assert.equal(pytest.hidden, true);
+
+  const refused = [
+    [{}, /must be an array/],
+    [[null], /Test 1 must be an object/],
+    [[{ type: "io" }], /expectedOutput must be a string/],
+    [[{ type: "pytest", content: "", fileName: "add.py" }], /must be named test_\*\.py/],
+    [[{ type: "pytest", content: "", fileName: "../test_x.py" }], /may not contain/],
+    [[{ type: "shell" }], /type must be "io" or "pytest"/],
+    [Array(101).fill({ type: "io", expectedOutput: "" }), /at most 100 tests/],
+  ];
+  for (const [tests, message] of refused) {
+    assert.throws(() => normalizeTests(tests), message);
+  }
+});
+
+test("pytest reports are read into one result per test case", () => {
+  assert.deepEqual(parseJunitReport(junitReport), [
+    { name: "test_add::test_small", status: "pass", message: null, durationMs: 12 },
+    { name: "test_add::test_big", status: "fail", message: "assert 3 == 4", durationMs: 500 },
+    {
+      name: "test_add::test_later",
+      status: "skipped",
+      message: "not yet & maybe never",
+      durationMs: 0,
+    },
+  ]);
+  assert.deepEqual(parseJunitReport(""), []);
+});
+
+test("students only see how hidden tests went", () => {
+  const result = {
+    testId: "t1",
+    name: "secret",
+    type: "io",
+    hidden: true,
+    status: "fail",
+    durationMs: 5,
+    stdin: "42",
+    expected: "43",
+    actual: "41",
+  };
+  assert.deepEqual(studentView(result), {
+    testId: "t1",
+    name: "secret",
+    type: "io",
+    hidden: true,
+    status: "fail",
+    durationMs: 5,
+  });
+  assert.equal(studentView({ ...result, hidden: false }).expected, "43");
+});
+
+let manager;
+let backend;
+let runner;
+before(() => {
+  backend = new ScriptedBackend();
+  manager = createManager(backend);
+  runner = new TestRunner(manager);
+});
+after(() => closeManager(manager));
+beforeEach(async () => {
+  await resetRedis();
+  backend.runs = [];
+  backend.script = shout;
+  await redis.set("env-1_main.py", "print(input().upper())");
+});
+
+test("io tests feed stdin to the program and compare what it prints", async () => {
+  await runner.setTests("env-1", [
+    { name: "greets", type: "io", stdin: "hello", expectedOutput: "HELLO\n" },
+    { name: "counts", type: "io", stdin: "one\ntwo", expectedOutput: "ONE\n2" },
+  ]);
+
+  const seen = [];
+  const run = await runner.run("env-1", {
+    onResult: (result, index, total) => seen.push([result.name, index, total]),
+  });
+  assert.deepEqual(seen, [
+    ["greets", 0, 2],
+    ["counts", 1, 2],
+  ]);
+  assert.equal(run.runtime, "python3.9");
+  assert.equal(run.passed, 1);
+  assert.equal(run.total, 2);
+
+  const [greets, counts] = run.results;
+  assert.equal(greets.status, "pass");
+  assert.deepEqual(greets.diff, []);
+  assert.equal(counts.status, "fail");
+  assert.equal(counts.actual, "ONE\nTWO");
+  assert.ok(counts.diff.length > 0);
+
+  // Each test ran on its own copy of the files, removed afterwards
+  assert.equal(backend.runs.length, 2);
+  assert.equal(backend.runs[0].options.tty, false);
+  assert.equal(fs.existsSync(backend.runs[0].options.workspace), false);
+});
+
+test("test runs hold a run quota entry of their own", async () => {
+  await runner.setTests("env-1", [{ name: "greets", type: "io", stdin: "hi", expectedOutput: "HI" }]);
+  const activeKey = manager.quotas.activeKey("alex");
+  await manager.quotas.acquire("alex", "env-1");
+
+  let during;
+  backend.script = async (run) => {
+    during = await redis.zrange(activeKey, 0, -1);
+    shout(run);
+  };
+  await runner.run("env-1", { startedBy: "alex" });
+  assert.deepEqual(during.sort(), ["env-1", "env-1:test"]);
+  // The program's run is still counted
+  assert.deepEqual(await redis.zrange(activeKey, 0, -1), ["env-1"]);
+});
+
+test("programs that crash or run too long fail their test", async () => {
+  await runner.setTests("env-1", [
+    { name: "crashes", type: "io", expectedOutput: "" },
+    { name: "hangs", type: "io", expectedOutput: "", timeoutSeconds: 0.05 },
+  ]);
+  const scripts = [(run) => run.exit(1), () => {}];
+  backend.script = (run) => scripts.shift()(run);
+
+  const { results } = await runner.run("env-1");
+  assert.equal(results[0].status, "fail");
+  assert.equal(results[0].message, "Exited with code 1");
+  assert.equal(results[1].status, "timeout");
+  assert.equal(results[1].message, "Took longer than 0.05 seconds");
+});
+
+test("pytest files are mounted read-only outside the workspace", async () => {
+  const content = "def test(): pass";
+  await runner.setTests("env-1", [
+    { name: "adds", type: "pytest", fileName: "test_add.py", content, hidden: true },
+  ]);
+  let mounted;
+  backend.script = (run) => {
+    const [[suiteDir, target]] = Object.entries(run.options.readOnlyMounts);
+    mounted = { target, content: fs.readFileSync(path.join(suiteDir, "test_add.py"), "utf8") };
+    assert.equal(fs.existsSync(path.join(run.options.workspace, "test_add.py")), false);
+    assert.equal(run.options.cmd.at(-1), "/tests/test_add.py");
+
+    const report = run.options.cmd.find((arg) => arg.startsWith("--junitxml=")).split("=")[1];
+    fs.writeFileSync(path.join(run.options.workspace, report), junitReport);
+    run.exit(1);
+  };
+
+  const run = await runner.run("env-1");
+  assert.deepEqual(mounted, { target: "/tests", content });
+  assert.deepEqual(
+    run.results.map(({ name, status, hidden }) => [name, status, hidden]),
+    [
+      ["adds › test_add::test_small", "pass", true],
+      ["adds › test_add::test_big", "fail", true],
+      ["adds › test_add::test_later", "skipped", true],
+    ]
+  );
+  // pytest was installed on top of the runtime
+  assert.equal(backend.runs[0].options.image, backend.builds.at(-1).tag);
+  assert.deepEqual(backend.builds.at(-1).files, { "requirements.txt": "\npytest" });
+});
+
+test("pytest runs that report nothing are errors", async () => {
+  await runner.setTests("env-1", [{ type: "pytest", content: "syntax error(" }]);
+  backend.script = (run) => {
+    run.emit("stderr", "SyntaxError\n");
+    run.exit(2);
+  };
+
+  const [result] = (await runner.run("env-1")).results;
+  assert.equal(result.status, "error");
+  assert.equal(result.message, "pytest exited with code 2 without running any tests");
+  assert.equal(result.output, "SyntaxError\n");
+});
+
+test("pytest tests only run on Python", async () => {
+  await redis.del("env-1_main.py");
+  await redis.set("env-1_index.js", "");
+  await runner.setTests("env-1", [{ type: "pytest", content: "" }]);
+
+  await assert.rejects(runner.run("env-1"), /pytest tests can't run on Node.js/);
+});
+
+test("test runs are kept and listed newest first", async () => {
+  await assert.rejects(runner.run("env-1"), /has no tests/);
+  await runner.setTests("env-1", [{ type: "io", stdin: "a", expectedOutput: "A" }]);
+
+  const first = await runner.run("env-1", { startedBy: "user-1" });
+  const [second, refused] = await Promise.allSettled([runner.run("env-1"), runner.run("env-1")]);
+  assert.equal(second.status, "fulfilled");
+  assert.match(refused.reason.message, /already running/);
+
+  const runs = await runner.listRuns("env-1");
+  assert.equal(runs.length, 2);
+  assert.equal(runs.at(-1).id, first.id);
+  assert.equal(runs[0].results, undefined);
+  assert.deepEqual(
+    (await runner.listRuns("env-1", { startedBy: "user-1" })).map(({ id }) => id),
+    [first.id]
+  );
+  assert.deepEqual((await runner.getRun("env-1", first.id)).results, first.results);
+
+  // Saving an empty suite removes it
+  assert.deepEqual(await runner.setTests("env-1", []), []);
+  assert.deepEqual(await runner.getTests("env-1"), []);
+});
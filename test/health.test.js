@@ -0,0 +1,124 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  register,
+  runExits,
+  runDuration,
+  containerStartLatency,
+  observeManager,
+} from "../metrics.js";
+import { resetRedis, createManager, closeManager, fakeClient, tick } from "./helpers.js";
+
+// Give up on a check quickly rather than after the default two seconds
+process.env.READINESS_TIMEOUT_MS = "50";
+const { checkReadiness } = await import("../health.js");
+const { default: createHttpApi } = await import("../HttpApi.js");
+
+const healthy = {
+  backend: { ping: async () => {} },
+  getDatabase: () => ({ isQueryable: async () => true }),
+};
+
+// A counter's value, or a histogram's count, for the given labels; 0 if none yet
+async function valueOf(metric, labels = {}) {
+  const { values } = await metric.get();
+  const matches = values.filter(
+    (value) =>
+      !value.metricName?.endsWith("_bucket") &&
+      !value.metricName?.endsWith("_sum") &&
+      Object.entries(labels).every(([name, label]) => value.labels[name] === label)
+  );
+  return matches.length > 0 ? matches[0].value : 0;
+}
+
+test("the server is ready when Redis, Postgres and Docker all answer", async () => {
+  const { ready, checks } = await checkReadiness(healthy);
+  assert.equal(ready, true);
+  assert.deepEqual(Object.keys(checks), ["redis", "postgres", "docker"]);
+  for (const check of Object.values(checks)) {
+    assert.equal(check.ok, true);
+    assert.equal(typeof check.latencyMs, "number");
+  }
+});
+
+test("each failing or hanging service is reported on its own", async () => {
+  const { ready, checks } = await checkReadiness({
+    backend: { ping: () => new Promise(() => {}) },
+    getDatabase: () => ({ isQueryable: async () => false }),
+  });
+  assert.equal(ready, false);
+  assert.equal(checks.redis.ok, true);
+  assert.deepEqual(
+    [checks.postgres.error, checks.docker.error],
+    ["Postgres is not queryable", "Docker did not answer within 50ms"]
+  );
+
+  const broken = await checkReadiness({
+    ...healthy,
+    getDatabase: () => {
+      throw new Error("DATABASE_URL is not set");
+    },
+  });
+  assert.equal(broken.checks.postgres.error, "DATABASE_URL is not set");
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+  observeManager(manager);
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("health, readiness and metrics are served over HTTP", async () => {
+  let queryable = true;
+  const app = createHttpApi({
+    manager,
+    access: { getDatabase: () => ({ isQueryable: async () => queryable }) },
+  });
+
+  const health = await app.request("/healthz");
+  assert.equal(health.status, 200);
+  assert.equal((await health.json()).instanceId, manager.cluster.instanceId);
+
+  assert.equal((await app.request("/readyz")).status, 200);
+  queryable = false;
+  const unready = await app.request("/readyz");
+  assert.equal(unready.status, 503);
+  assert.equal((await unready.json()).status, "unavailable");
+
+  const metrics = await app.request("/metrics");
+  assert.match(metrics.headers.get("Content-Type"), /^text\/plain/);
+  const text = await metrics.text();
+  assert.match(text, /^np_redis_up 1$/m);
+  assert.match(text, /^process_cpu_seconds_total /m);
+});
+
+test("clients, environments and sessions are counted when scraped", async () => {
+  const clients = [fakeClient(), fakeClient({ sessionId: "session-2" })];
+  manager.registerClient("env-1", clients[0]);
+  manager.registerClient("env-2", clients[1]);
+  try {
+    const text = await register.metrics();
+    assert.match(text, /^np_connected_clients 2$/m);
+    assert.match(text, /^np_environments 2$/m);
+    assert.match(text, /^np_active_sessions 0$/m);
+  } finally {
+    manager.unregisterClient("env-1", clients[0]);
+    manager.unregisterClient("env-2", clients[1]);
+  }
+});
+
+test("finished runs are counted and timed by how they ended", async () => {
+  const exits = await valueOf(runExits, { exit_code: "3", reason: "exited" });
+  const starts = await valueOf(containerStartLatency, { runtime: "python3.9" });
+
+  await manager.saveFile("env-1", "main.py", "exit(3)");
+  await manager.startSession("env-1", ["main.py"], null, {});
+  manager.backend.lastRun.exit(3);
+  await tick();
+
+  assert.equal(await valueOf(runExits, { exit_code: "3", reason: "exited" }), exits + 1);
+  assert.equal(await valueOf(containerStartLatency, { runtime: "python3.9" }), starts + 1);
+  assert.ok((await valueOf(runDuration, { runtime: "python3.9", reason: "exited" })) >= 1);
+});
@@ -0,0 +1,206 @@
+// helpers.js
+// Stand-ins for the things the tests can't have: WebSocket clients,
+// Postgres and Docker
+import { EventEmitter } from "events";
+import { PassThrough } from "stream";
+import fs from "fs";
+import { redis } from "../redis.js";
+import ClusterBus from "../ClusterBus.js";
+import ContainerSessionManager from "../ContainerSessionManager.js";
+
+// Redis is shared by every test in a file, so each starts from nothing
+async function resetRedis() {
+  await redis.flushall();
+}
+
+/**
+ * A WebSocket client that keeps what is sent to it
+ * @param {Object} [options]
+ * @param {Object} [options.user] - The JWT payload attached to the socket
+ * @param {string} [options.sessionId] - The socket's session id
+ */
+function fakeClient({ user = { id: "user-1" }, sessionId = "session-1" } = {}) {
+  return {
+    OPEN: 1,
+    CLOSED: 3,
+    readyState: 1,
+    bufferedAmount: 0,
+    user,
+    sessionId,
+    sent: [],
+    send(message) {
+      this.sent.push(message);
+    },
+    terminate() {
+      this.readyState = this.CLOSED;
+    },
+    close() {
+      this.readyState = this.CLOSED;
+    },
+    // The data of every event of a kind sent so far
+    events(name) {
+      return this.sent
+        .map((message) => JSON.parse(message))
+        .filter((message) => message.event === name)
+        .map((message) => message.data);
+    },
+  };
+}
+
+/**
+ * A Database whose queries are answered by a function
+ * @param {Function} [respond] - Called with (sql, values); returns the
+ *   result, { ok: true, rows: [] } if it returns nothing
+ */
+function fakeDatabase(respond = () => {}) {
+  return {
+    queries: [],
+    async execute(strings, ...values) {
+      const sql = strings.join("?").replace(/\s+/g, " ").trim();
+      this.queries.push({ sql, values });
+      return (await respond(sql, values)) ?? { ok: true, rows: [] };
+    },
+    async isQueryable() {
+      return true;
+    },
+  };
+}
+
+/**
+ * A ContainerRun that never touches Docker. Tests drive it by calling
+ * output() and exit().
+ */
+class FakeRun extends EventEmitter {
+  constructor(options) {
+    super();
+    this.id = `container-${options.name}`;
+    this.name = options.name;
+    this.options = options;
+    this.written = [];
+    this.signals = [];
+    this.size = null;
+    this.exited = false;
+    this.stopReason = null;
+    this.execs = [];
+  }
+
+  async start(size = { cols: 80, rows: 30 }) {
+    this.size = size;
+    this.emit("lifecycle", "created", { containerId: this.id });
+    this.emit("lifecycle", "started", { containerId: this.id });
+  }
+
+  output(text) {
+    this.emit("data", text);
+  }
+
+  exit(exitCode = 0, oomKilled = false) {
+    if (this.exited) return;
+    this.exited = true;
+    this.emit("lifecycle", "exited", { containerId: this.id, exitCode, oomKilled });
+    this.emit("exit", { exitCode, oomKilled });
+  }
+
+  write(input) {
+    if (this.exited) return false;
+    this.written.push(input);
+    return true;
+  }
+
+  async resize(cols, rows) {
+    this.size = { cols, rows };
+  }
+
+  async signal(signal) {
+    this.signals.push(signal);
+  }
+
+  async exec(cmd) {
+    this.execs.push(cmd);
+    return { input: new PassThrough(), output: new PassThrough() };
+  }
+
+  async stop() {
+    this.exit(137);
+  }
+}
+
+/**
+ * A container backend that hands out FakeRuns and records what it was asked
+ */
+class FakeBackend {
+  constructor() {
+    this.instanceId = null;
+    this.runs = [];
+    this.builds = [];
+    this.images = new Set();
+    this.containers = [];
+    this.removed = [];
+  }
+
+  async ping() {}
+
+  async hasImage(image) {
+    return this.images.has(image);
+  }
+
+  async ensureImage(image) {
+    this.images.add(image);
+  }
+
+  async buildImage(options) {
+    this.builds.push(options);
+    this.images.add(options.tag);
+    return { exitCode: 0, timedOut: false };
+  }
+
+  async createRun(options) {
+    const run = new FakeRun(options);
+    this.runs.push(run);
+    return run;
+  }
+
+  async listManagedContainers() {
+    return this.containers;
+  }
+
+  async removeContainer(id) {
+    this.removed.push(id);
+  }
+
+  get lastRun() {
+    return this.runs[this.runs.length - 1];
+  }
+}
+
+/**
+ * A session manager on a FakeBackend. Close it with closeManager.
+ */
+function createManager(backend = new FakeBackend()) {
+  return new ContainerSessionManager(backend, new ClusterBus());
+}
+
+async function closeManager(manager) {
+  for (const timer of manager.releaseTimers.values()) {
+    clearTimeout(timer);
+  }
+  manager.files.stopFlushing();
+  await manager.cluster.stop();
+  fs.rmSync(manager.baseTmpDir, { recursive: true, force: true });
+}
+
+// Let pending promise callbacks and timers run
+function tick(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export {
+  resetRedis,
+  fakeClient,
+  fakeDatabase,
+  FakeRun,
+  FakeBackend,
+  createManager,
+  closeManager,
+  tick,
+};
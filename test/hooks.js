@@ -0,0 +1,25 @@
+// hooks.js
+// Module hooks for the tests. There is no Redis server to talk to, so ioredis
+// is swapped for ioredis-mock, and DatabaseClasses.ts is transpiled so the
+// tests also run on Node versions that can't load TypeScript by themselves.
+import { readFile } from "fs/promises";
+import ts from "typescript";
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "ioredis") {
+    return nextResolve("ioredis-mock", context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith(".ts")) {
+    return nextLoad(url, context);
+  }
+
+  const source = await readFile(new URL(url), "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022 },
+  });
+  return { format: "module", source: outputText, shortCircuit: true };
+}
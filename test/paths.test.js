@@ -0,0 +1,168 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { redis } from "../redis.js";
+import {
+  PathError,
+  normalizePath,
+  resolveInside,
+  parentFolders,
+  isInside,
+  buildTree,
+} from "../paths.js";
+import { resetRedis, createManager, closeManager } from "./helpers.js";
+
+test("paths are normalized to relative, slash separated form", () => {
+  assert.equal(normalizePath("src//util.py"), "src/util.py");
+  assert.equal(normalizePath("/src/./util.py/"), "src/util.py");
+  assert.equal(normalizePath("my file.py"), "my file.py");
+  assert.equal(normalizePath("", { allowRoot: true }), "");
+  assert.equal(normalizePath("/", { allowRoot: true }), "");
+});
+
+test("paths that are malformed or leave the workspace are refused", () => {
+  const refused = [
+    "",
+    "..",
+    "../secret",
+    "src/../../etc/passwd",
+    "...",
+    "src\\util.py",
+    "new\nline.py",
+    "nul\x00.py",
+    " padded.py",
+    "src/trailing /x.py",
+    "a".repeat(256),
+    "x/".repeat(21) + "x",
+    "x".repeat(1025),
+    42,
+  ];
+  for (const value of refused) {
+    assert.throws(() => normalizePath(value), (error) => {
+      assert.ok(error instanceof PathError, JSON.stringify(value));
+      assert.equal(error.code, "INVALID_PATH");
+      return true;
+    });
+  }
+});
+
+test("paths are resolved inside the directory they belong to", () => {
+  assert.equal(resolveInside("/tmp/env-1", "src/a.py"), "/tmp/env-1/src/a.py");
+  assert.throws(() => resolveInside("/tmp/env-1", "../env-2/a.py"), PathError);
+  assert.throws(() => resolveInside("/tmp/env-1", ""), PathError);
+});
+
+test("folders are worked out from paths", () => {
+  assert.deepEqual(parentFolders("a/b/c.py"), ["a", "a/b"]);
+  assert.deepEqual(parentFolders("c.py"), []);
+  assert.equal(isInside("a/b/c.py", "a"), true);
+  assert.equal(isInside("ab/c.py", "a"), false);
+  assert.equal(isInside("c.py", ""), true);
+});
+
+test("the tree lists folders first, then files, by name", () => {
+  assert.deepEqual(buildTree(["main.py", "src/b.py", "src/a.py"], ["empty", "src/lib"]), [
+    { type: "folder", name: "empty", path: "empty", children: [] },
+    {
+      type: "folder",
+      name: "src",
+      path: "src",
+      children: [
+        { type: "folder", name: "lib", path: "src/lib", children: [] },
+        { type: "file", name: "a.py", path: "src/a.py" },
+        { type: "file", name: "b.py", path: "src/b.py" },
+      ],
+    },
+    { type: "file", name: "main.py", path: "main.py" },
+  ]);
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("folders are created with their parents and listed with their contents", async () => {
+  assert.equal(await manager.createFolder("env-1", "/src//lib/"), "src/lib");
+  await manager.saveFile("env-1", "src/main.py", "");
+  await manager.saveFile("env-1", "other.py", "");
+
+  assert.deepEqual((await manager.getFolders("env-1")).sort(), ["src", "src/lib"]);
+  const contents = await manager.getFolderContents("env-1", "src");
+  assert.deepEqual(contents.fileNames, ["src/main.py"]);
+  assert.deepEqual(contents.folders.sort(), ["src", "src/lib"]);
+});
+
+test("files move between folders, keeping their name", async () => {
+  await manager.saveFile("env-1", "util.py", "x = 1");
+
+  assert.equal(await manager.moveFile("env-1", "util.py", "lib/helpers"), "lib/helpers/util.py");
+  assert.equal(await manager.moveFile("env-1", "lib/helpers/util.py", ""), "util.py");
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), { "util.py": "x = 1" });
+  assert.ok((await manager.getFolders("env-1")).includes("lib/helpers"));
+});
+
+test("folders are renamed and deleted with everything inside", async () => {
+  await manager.saveFile("env-1", "src/a.py", "a");
+  await manager.saveFile("env-1", "src/deep/b.py", "b");
+  await manager.createFolder("env-1", "src/empty");
+
+  const moves = await manager.renameFolder("env-1", "src", "app");
+  assert.deepEqual(
+    moves.sort((a, b) => a.from.localeCompare(b.from)),
+    [
+      { from: "src/a.py", to: "app/a.py" },
+      { from: "src/deep/b.py", to: "app/deep/b.py" },
+    ]
+  );
+  assert.deepEqual(Object.keys(await manager.getAllFilesForEnvironment("env-1")).sort(), [
+    "app/a.py",
+    "app/deep/b.py",
+  ]);
+  assert.deepEqual((await manager.getFolders("env-1")).sort(), ["app", "app/empty"]);
+
+  await assert.rejects(manager.renameFolder("env-1", "app", "app/inner"), /inside itself/);
+  await assert.rejects(manager.renameFolder("env-1", "missing", "other"), /does not exist/);
+
+  assert.deepEqual((await manager.deleteFolder("env-1", "app")).sort(), ["app/a.py", "app/deep/b.py"]);
+  assert.deepEqual(await manager.getAllFilesForEnvironment("env-1"), {});
+  assert.deepEqual(await manager.getFolders("env-1"), []);
+});
+
+test("a folder rename that would overwrite a file changes nothing", async () => {
+  await manager.saveFile("env-1", "src/a.py", "new");
+  await manager.saveFile("env-1", "src/b.py", "new");
+  await manager.saveFile("env-1", "app/b.py", "existing");
+
+  await assert.rejects(manager.renameFolder("env-1", "src", "app"), /app\/b.py already exists/);
+  assert.equal(await redis.get("env-1_src/a.py"), "new");
+  assert.equal(await redis.get("env-1_app/b.py"), "existing");
+});
+
+test("files are written into their folders, exactly as stored", async () => {
+  const json = '{"debug": true}';
+  await manager.saveFile("env-1", "config/settings.json", json);
+  await manager.saveFile("env-1", "answer.txt", "42");
+
+  const { files } = await manager.buildFileObject(["config/settings.json", "answer.txt"], "env-1");
+  assert.deepEqual(files, { "config/settings.json": json, "answer.txt": "42" });
+
+  const dir = await manager.writeFilesToDir("env-1", files);
+  assert.equal(fs.readFileSync(path.join(dir, "config/settings.json"), "utf8"), json);
+  await assert.rejects(manager.writeFilesToDir("env-1", { "../escape.py": "" }), PathError);
+  await assert.rejects(manager.writeFilesToDir("../env-2", {}), PathError);
+});
+
+test("duplicates stay in the same folder and keep the content as is", async () => {
+  const json = '["a", "b"]';
+  await manager.saveFile("env-1", "data/list.json", json);
+  await manager.saveFile("env-1", "data/Makefile", "all:");
+
+  assert.equal(await manager.duplicateFile("env-1", "data/list.json"), "data/list_copy.json");
+  assert.equal(await manager.duplicateFile("env-1", "data/Makefile"), "data/Makefile_copy");
+  assert.equal(await redis.get("env-1_data/list_copy.json"), json);
+  await assert.rejects(manager.duplicateFile("env-1", "missing.py"), /does not exist/);
+});
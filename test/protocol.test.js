@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import {
+  PROTOCOL_VERSION,
+  ProtocolError,
+  parseMessage,
+  negotiateVersion,
+  requestedVersions,
+  subprotocolName,
+  describeProtocol,
+} from "../protocol.js";
+
+test("messages are checked and stripped to the fields their event declares", () => {
+  assert.deepEqual(
+    parseMessage({
+      event: "diffLine",
+      requestId: 7,
+      data: {
+        environmentId: "env-1",
+        fileName: "main.py",
+        op: "insert",
+        lineNumber: 0,
+        lineContent: "x = 1",
+        revision: 3,
+        sneaky: true,
+      },
+    }),
+    {
+      event: "diffLine",
+      requestId: 7,
+      data: {
+        environmentId: "env-1",
+        fileName: "main.py",
+        op: "insert",
+        lineNumber: 0,
+        lineContent: "x = 1",
+        revision: 3,
+      },
+    }
+  );
+  // Events without fields can leave data out
+  assert.deepEqual(parseMessage({ event: "stop", requestId: "a1" }), {
+    event: "stop",
+    data: {},
+    requestId: "a1",
+  });
+});
+
+test("malformed messages are refused with what is wrong", () => {
+  assert.throws(
+    () => parseMessage({ event: "resize", data: { cols: 0, rows: "24" } }),
+    (error) => {
+      assert.ok(error instanceof ProtocolError);
+      assert.equal(error.code, "INVALID_REQUEST");
+      assert.match(error.message, /^Invalid resize: cols: .+; rows: .+/);
+      assert.deepEqual(
+        error.issues.map(({ path }) => path),
+        ["cols", "rows"]
+      );
+      return true;
+    }
+  );
+  assert.throws(() => parseMessage({ event: "launchMissiles" }), { code: "UNKNOWN_EVENT" });
+  assert.throws(() => parseMessage({ data: {} }), { message: "Invalid message" });
+  assert.throws(() => parseMessage("run"), ProtocolError);
+  assert.throws(() => parseMessage({ event: "stop", requestId: 1.5 }), ProtocolError);
+  assert.throws(() => parseMessage({ event: "stop", requestId: "x".repeat(129) }), ProtocolError);
+  assert.throws(
+    () => parseMessage({ event: "setTests", data: { environmentId: "e", tests: [{ type: "io" }] } }),
+    /expectedOutput/
+  );
+});
+
+test("the highest version both sides support is picked", () => {
+  assert.equal(negotiateVersion([]), PROTOCOL_VERSION);
+  assert.equal(negotiateVersion([1, 99]), 1);
+  assert.equal(negotiateVersion([99]), null);
+});
+
+test("versions are offered as subprotocols or in the query", () => {
+  assert.equal(subprotocolName(1), "np-socket.v1");
+  assert.deepEqual(requestedVersions(new Set(["np-socket.v1", "graphql-ws", "np-socket.v3"])), [
+    1, 3,
+  ]);
+  assert.deepEqual(requestedVersions([], "/socket?token=x&protocol=2,abc,1"), [2, 1]);
+  assert.deepEqual(requestedVersions([]), []);
+});
+
+test("the spec lists every event with a JSON Schema", () => {
+  const spec = describeProtocol();
+  assert.equal(spec.version, PROTOCOL_VERSION);
+  assert.equal(spec.envelope.type, "object");
+  assert.deepEqual(spec.clientEvents.resize.schema.required, ["cols", "rows"]);
+  assert.ok(spec.serverEvents.error);
+  // It has to survive being sent as JSON
+  assert.deepEqual(JSON.parse(JSON.stringify(spec)), spec);
+});
+
+test("the server handles every event in the spec", () => {
+  const source = fs.readFileSync(new URL("../index.js", import.meta.url), "utf8");
+  const handled = new Set([...source.matchAll(/case "(\w+)":/g)].map(([, event]) => event));
+  const missing = Object.keys(describeProtocol().clientEvents).filter((event) => !handled.has(event));
+  assert.deepEqual(missing, []);
+});
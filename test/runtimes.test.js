@@ -0,0 +1,138 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { redis } from "../redis.js";
+import {
+  DEFAULT_RUNTIME,
+  getRuntime,
+  listRuntimes,
+  detectRuntime,
+  buildCommand,
+  shellQuote,
+} from "../runtimes.js";
+import { resetRedis, createManager, closeManager, tick } from "./helpers.js";
+
+test("every runtime is listed once, with what clients need to pick one", () => {
+  const listed = listRuntimes();
+  const ids = listed.map((runtime) => runtime.id);
+
+  assert.equal(new Set(ids).size, ids.length);
+  assert.ok(ids.includes(DEFAULT_RUNTIME));
+  for (const runtime of listed) {
+    assert.deepEqual(Object.keys(runtime).sort(), [
+      "debuggable",
+      "dependencyFile",
+      "extensions",
+      "id",
+      "name",
+      "template",
+    ]);
+    assert.equal(getRuntime(runtime.id).template.fileName, runtime.template);
+  }
+  assert.equal(getRuntime("cobol"), undefined);
+});
+
+test("the runtime is guessed from the files being run", () => {
+  assert.equal(detectRuntime(["main.py"]).id, "python3.9");
+  assert.equal(detectRuntime(["lib.js", "index.js"]).id, "node20");
+  assert.equal(detectRuntime(["util.h", "solver.cpp"]).id, "cpp");
+  assert.equal(detectRuntime(["util.h", "solver.c"]).id, "c");
+  assert.equal(detectRuntime(["run.sh"]).id, "bash");
+  // .h alone could be either, and nothing else matches
+  assert.equal(detectRuntime(["util.h", "notes.txt"]).id, DEFAULT_RUNTIME);
+});
+
+test("the entry file prefers the conventional name", () => {
+  const python = getRuntime("python3.12");
+  assert.equal(python.detectEntry(["helpers.py", "main.py"]), "main.py");
+  assert.equal(python.detectEntry(["data.txt", "app.py"]), "app.py");
+  assert.equal(python.detectEntry(["data.txt"]), "data.txt");
+  assert.equal(getRuntime("node22").detectEntry(["a.mjs", "main.js"]), "main.js");
+});
+
+test("interpreted programs are run directly", () => {
+  assert.deepEqual(buildCommand(getRuntime("python3.11"), "main.py", ["main.py"]), [
+    "python3",
+    "-u",
+    "main.py",
+  ]);
+  assert.deepEqual(buildCommand(getRuntime("node20"), "index.js", ["index.js"]), ["node", "index.js"]);
+});
+
+test("compiled programs are built from every source file first", () => {
+  const [shell, flag, script] = buildCommand(getRuntime("c"), "main.c", ["main.c", "it's.c", "x.h"]);
+  assert.equal(shell, "sh");
+  assert.equal(flag, "-c");
+  assert.equal(
+    script,
+    "'gcc' '-O2' '-o' '/tmp/program' 'main.c' 'it'\\''s.c' '-lm' && exec '/tmp/program'"
+  );
+
+  const [, , debug] = buildCommand(getRuntime("cpp"), "main.cpp", ["main.cpp"], { mode: "debug" });
+  assert.match(debug, /^'g\+\+' '-g' '-O0' /);
+  assert.match(debug, /&& exec 'gdbserver' /);
+});
+
+test("Node programs can only be debugged once js-debug's checksum is set", async (t) => {
+  assert.equal(getRuntime("node20").debug, null);
+  assert.equal(listRuntimes().find(({ id }) => id === "node22").debuggable, false);
+
+  // Both are read when the module loads, so load a fresh copy
+  process.env.JS_DEBUG_SHA256 = "AB12";
+  process.env.JS_DEBUG_URL = "https://mirror.test/js-debug.tar.gz";
+  t.after(() => {
+    delete process.env.JS_DEBUG_SHA256;
+    delete process.env.JS_DEBUG_URL;
+  });
+  const configured = await import("../runtimes.js?js-debug");
+  const [, , script] = configured.getRuntime("node20").debug.install;
+  assert.ok(script.includes(" 'https://mirror.test/js-debug.tar.gz' 'ab12' > /tmp/js-debug.tar.gz"));
+  assert.match(script, / && tar -xzf \/tmp\/js-debug\.tar\.gz -C \/opt /);
+});
+
+test("quoted values reach the shell unchanged", () => {
+  for (const value of ["plain", "two words", "it's", "$HOME", "`id`", 'a"b', "new\nline"]) {
+    assert.equal(execFileSync("sh", ["-c", `printf %s ${shellQuote(value)}`]).toString(), value);
+  }
+});
+
+let manager;
+before(() => {
+  manager = createManager();
+});
+after(() => closeManager(manager));
+beforeEach(resetRedis);
+
+test("an environment's runtime is saved and used unless a run names one", async () => {
+  await assert.rejects(manager.setEnvironmentRuntime("env-1", "cobol"), /Unknown runtime/);
+  assert.equal((await manager.resolveRuntime("env-1", ["main.py"])).id, "python3.9");
+
+  await manager.setEnvironmentRuntime("env-1", "python3.12");
+  assert.equal(await manager.getEnvironmentRuntime("env-1"), "python3.12");
+  assert.equal((await manager.resolveRuntime("env-1", ["main.py"])).id, "python3.12");
+  assert.equal((await manager.resolveRuntime("env-1", ["main.py"], "node22")).id, "node22");
+  await assert.rejects(manager.resolveRuntime("env-1", ["main.py"], "cobol"), /Unknown runtime/);
+});
+
+test("a run starts in the runtime's image, with its template if the entry is empty", async () => {
+  await redis.set("env-1_lib.js", "module.exports = 1;");
+
+  assert.equal(
+    await manager.startSession("env-1", ["index.js", "lib.js"], null, {}, { runtimeId: "node22" }),
+    true
+  );
+  const run = manager.backend.lastRun;
+  assert.equal(run.options.image, "node:22-slim");
+  assert.deepEqual(run.options.cmd, ["node", "index.js"]);
+  assert.equal(
+    fs.readFileSync(path.join(run.options.workspace, "index.js"), "utf8"),
+    getRuntime("node22").template.content
+  );
+  assert.equal(manager.sessionStatus.get("env-1").runtime, "node22");
+
+  run.exit(0);
+  await tick();
+  assert.equal(manager.sessions.has("env-1"), false);
+});
@@ -0,0 +1,5 @@
+// setup.js
+// Loaded with --import before every test file
+import { register } from "module";
+
+register("./hooks.js", import.meta.url);